@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const AccountService = require('../services/accountService');
+const TokenService = require('../services/tokenService');
+const { setMailer } = require('../mailers');
+const { passwordResetEmail } = require('../mailers/templates');
+const AccountToken = require('../models/AccountToken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+
+describe('Account Service', () => {
+  describe('Validation', () => {
+    it('should require a confirmed password of minimum length', () => {
+      expect(AccountService.validatePassword('secret1', 'secret1')).toBeNull();
+      expect(AccountService.validatePassword('', '')).toBe('Password is required');
+      expect(AccountService.validatePassword('short', 'short')).toBe('Password must be at least 6 characters');
+      expect(AccountService.validatePassword('secret1', 'secret2')).toBe('Passwords do not match');
+    });
+
+    it('should put the reset link in both email bodies', () => {
+      const email = passwordResetEmail({
+        username: 'member',
+        link: 'http://localhost:5173/reset-password?token=abc',
+        expiresAt: new Date()
+      });
+
+      expect(email.subject).toBe('Reset your password');
+      expect(email.text).toContain('reset-password?token=abc');
+      expect(email.html).toContain('href="http://localhost:5173/reset-password?token=abc"');
+    });
+  });
+
+  describe('Email links', () => {
+    let mongoServer;
+    let user;
+    const sent = [];
+
+    const tokenFromLastEmail = () => decodeURIComponent(sent[sent.length - 1].text.match(/token=(\S+)/)[1]);
+
+    beforeAll(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri(), {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+      setMailer('console', { send: async (message) => { sent.push(message); return { id: String(sent.length) }; } });
+    }, 30000);
+
+    afterAll(async () => {
+      setMailer('console', null);
+      await mongoose.disconnect();
+      if (mongoServer) {
+        await mongoServer.stop();
+      }
+    });
+
+    beforeEach(async () => {
+      sent.length = 0;
+      await AccountToken.deleteMany({});
+      await Session.deleteMany({});
+      await User.deleteMany({});
+      user = await User.create({ username: 'member', email: 'member@example.com', password: 'password123' });
+    });
+
+    it('should verify the email once with the emailed link', async () => {
+      await AccountService.sendVerificationEmail(user);
+      const token = tokenFromLastEmail();
+
+      const verified = await AccountService.verifyEmail(token);
+
+      expect(verified.emailVerified).toBe(true);
+      expect(await AccountService.verifyEmail(token)).toBeNull();
+    });
+
+    it('should invalidate earlier links when a new one is sent', async () => {
+      await AccountService.sendVerificationEmail(user);
+      const firstToken = tokenFromLastEmail();
+      await AccountService.sendVerificationEmail(user);
+
+      expect(await AccountService.verifyEmail(firstToken)).toBeNull();
+      expect(await AccountService.verifyEmail(tokenFromLastEmail())).not.toBeNull();
+    });
+
+    it('should not send reset links for unknown emails', async () => {
+      await AccountService.requestPasswordReset('nobody@example.com');
+      expect(sent).toHaveLength(0);
+
+      await AccountService.requestPasswordReset(' Member@Example.com ');
+      expect(sent[0].to).toBe('member@example.com');
+    });
+
+    it('should reset the password and end all sessions', async () => {
+      const { token } = await TokenService.createSession(user, new mongoose.Types.ObjectId());
+      await AccountService.requestPasswordReset(user.email);
+
+      const reset = await AccountService.resetPassword(tokenFromLastEmail(), 'new-password');
+
+      expect(reset).not.toBeNull();
+      const updated = await User.findById(user._id).select('+password');
+      expect(await updated.comparePassword('new-password')).toBe(true);
+      expect(await TokenService.isSessionActive(jwt.decode(token).sessionId)).toBe(false);
+    });
+
+    it('should reject expired reset links', async () => {
+      await AccountService.requestPasswordReset(user.email);
+      await AccountToken.updateMany({}, { expiresAt: new Date(Date.now() - 1000) });
+
+      expect(await AccountService.resetPassword(tokenFromLastEmail(), 'new-password')).toBeNull();
+    });
+
+    it('should keep the current session when the password is changed', async () => {
+      const current = await TokenService.createSession(user, new mongoose.Types.ObjectId());
+      const other = await TokenService.createSession(user, new mongoose.Types.ObjectId());
+      const sessionId = jwt.decode(current.token).sessionId;
+
+      expect(await AccountService.changePassword(user._id, { currentPassword: 'wrong', newPassword: 'new-password', sessionId }))
+        .toBe('Current password is incorrect');
+      expect(await AccountService.changePassword(user._id, { currentPassword: 'password123', newPassword: 'new-password', sessionId }))
+        .toBeNull();
+
+      expect(await TokenService.isSessionActive(sessionId)).toBe(true);
+      expect(await TokenService.isSessionActive(jwt.decode(other.token).sessionId)).toBe(false);
+    });
+  });
+});
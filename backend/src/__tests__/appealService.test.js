@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const AppealService = require('../services/appealService');
+const Video = require('../models/Video');
+
+describe('Appeal Service', () => {
+  const uploaderId = new mongoose.Types.ObjectId();
+
+  describe('Validation', () => {
+    it('should require a justification of reasonable length', () => {
+      expect(AppealService.validateJustification('too short')).toMatch('at least 10');
+      expect(AppealService.validateJustification(undefined)).toMatch('at least 10');
+      expect(AppealService.validateJustification('x'.repeat(2001))).toMatch('at most 2000');
+      expect(AppealService.validateJustification('This is a cooking tutorial')).toBeNull();
+    });
+
+    it('should require a note to deny an appeal', () => {
+      expect(AppealService.validateResolution('accepted')).toBeNull();
+      expect(AppealService.validateResolution('denied', ' ')).toBe('A note is required to deny an appeal');
+      expect(AppealService.validateResolution('denied', 'Weapon is clearly visible')).toBeNull();
+      expect(AppealService.validateResolution('maybe')).toBe('Invalid resolution');
+    });
+  });
+
+  describe('Eligibility', () => {
+    const flagged = (appealState = 'none') => ({ userId: uploaderId, status: 'flagged', appeal: { state: appealState } });
+
+    it('should let the uploader appeal a flagged video once', () => {
+      expect(AppealService.getAppealBlocker(flagged(), uploaderId.toString())).toBeNull();
+      expect(AppealService.getAppealBlocker(flagged('pending'), uploaderId).status).toBe(409);
+      expect(AppealService.getAppealBlocker(flagged('denied'), uploaderId).error).toMatch('already denied');
+    });
+
+    it('should not let other members or unflagged videos be appealed', () => {
+      expect(AppealService.getAppealBlocker(flagged(), new mongoose.Types.ObjectId()).status).toBe(403);
+      expect(AppealService.getAppealBlocker({ ...flagged(), status: 'safe' }, uploaderId).status).toBe(409);
+    });
+  });
+
+  describe('Notifications', () => {
+    it('should emit appeal events to the members who can watch the video', () => {
+      const emit = jest.fn();
+      const io = { to: jest.fn(() => ({ emit })) };
+
+      AppealService.notify(io, 'submitted', {
+        _id: 'v1',
+        title: 'Clip',
+        status: 'flagged',
+        organizationId: 'o1',
+        userId: 'u1',
+        appeal: { state: 'pending', requests: [{ justification: 'It is a toy knife' }] }
+      });
+
+      expect(io.to).toHaveBeenCalledWith(['org-o1', 'user-u1']);
+      expect(emit).toHaveBeenCalledWith('video-appeal-submitted', {
+        videoId: 'v1',
+        title: 'Clip',
+        status: 'flagged',
+        state: 'pending',
+        justification: 'It is a toy knife',
+        resolutionNote: '',
+        uploaderId: 'u1'
+      });
+    });
+
+    it('should keep appeals on private videos away from the organization room', () => {
+      const io = { to: jest.fn(() => ({ emit: jest.fn() })) };
+
+      AppealService.notify(io, 'resolved', {
+        _id: 'v1',
+        organizationId: 'o1',
+        userId: 'u1',
+        visibility: 'private',
+        appeal: { state: 'accepted', requests: [{ justification: 'It is a toy knife' }] }
+      });
+
+      expect(io.to).toHaveBeenCalledWith(['org-o1-all-videos', 'user-u1']);
+    });
+  });
+
+  describe('Submitting and resolving', () => {
+    let mongoServer;
+    const organizationId = new mongoose.Types.ObjectId();
+    const adminId = new mongoose.Types.ObjectId();
+
+    const createVideo = (overrides = {}) => Video.create({
+      title: 'Knife skills',
+      filename: 'knife.mp4',
+      filepath: 'videos/knife.mp4',
+      size: 1024,
+      userId: uploaderId,
+      organizationId,
+      status: 'flagged',
+      moderation: { state: 'pending' },
+      ...overrides
+    });
+
+    beforeAll(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri(), {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+    }, 30000);
+
+    afterAll(async () => {
+      await mongoose.disconnect();
+      if (mongoServer) {
+        await mongoServer.stop();
+      }
+    });
+
+    beforeEach(async () => {
+      await Video.deleteMany({});
+    });
+
+    it('should open a pending appeal', async () => {
+      const video = await createVideo();
+
+      const appealed = await AppealService.submit(video, { justification: ' A cooking tutorial ', userId: uploaderId });
+
+      expect(appealed.appeal.state).toBe('pending');
+      expect(appealed.appeal.requests[0].justification).toBe('A cooking tutorial');
+      expect(await AppealService.submit(video, { justification: 'Second attempt', userId: uploaderId })).toBeNull();
+    });
+
+    it('should open an appeal on a video flagged before appeals existed', async () => {
+      // Stored without the appeal field: schema defaults only apply in memory
+      const { insertedId } = await Video.collection.insertOne({
+        title: 'Knife skills',
+        filename: 'knife.mp4',
+        filepath: 'videos/knife.mp4',
+        size: 1024,
+        userId: uploaderId,
+        organizationId,
+        status: 'flagged'
+      });
+      const video = await Video.findById(insertedId);
+
+      const appealed = await AppealService.submit(video, { justification: 'A cooking tutorial', userId: uploaderId });
+
+      expect(appealed.appeal.state).toBe('pending');
+      expect(appealed.appeal.requests).toHaveLength(1);
+    });
+
+    it('should clear the flag when an appeal is accepted', async () => {
+      const video = await createVideo();
+      await AppealService.submit(video, { justification: 'A cooking tutorial', userId: uploaderId });
+
+      const resolved = await AppealService.resolve(video._id, organizationId, { resolution: 'accepted', resolvedBy: adminId });
+
+      expect(resolved.status).toBe('safe');
+      expect(resolved.appeal.state).toBe('accepted');
+      expect(resolved.appeal.requests[0].resolvedBy.toString()).toBe(adminId.toString());
+      expect(resolved.moderation.state).toBe('approved');
+      expect(resolved.moderation.decisions[0].reason).toBe('Appeal accepted');
+    });
+
+    it('should keep the video flagged when an appeal is denied', async () => {
+      const video = await createVideo();
+      await AppealService.submit(video, { justification: 'A cooking tutorial', userId: uploaderId });
+
+      const resolved = await AppealService.resolve(video._id, organizationId, {
+        resolution: 'denied',
+        note: 'Weapon is clearly visible',
+        resolvedBy: adminId
+      });
+
+      expect(resolved.status).toBe('flagged');
+      expect(resolved.appeal.state).toBe('denied');
+      expect(resolved.appeal.requests[0].resolutionNote).toBe('Weapon is clearly visible');
+      expect(await AppealService.resolve(video._id, organizationId, { resolution: 'accepted', resolvedBy: adminId })).toBeNull();
+    });
+
+    it('should list appeals of the organization by state', async () => {
+      const video = await createVideo();
+      await createVideo({ organizationId: new mongoose.Types.ObjectId() });
+      await AppealService.submit(video, { justification: 'A cooking tutorial', userId: uploaderId });
+
+      const appeals = await AppealService.getAppeals(organizationId);
+
+      expect(appeals.map(v => v._id.toString())).toEqual([video._id.toString()]);
+      expect(await AppealService.getAppeals(organizationId, { state: 'denied' })).toHaveLength(0);
+    });
+  });
+});
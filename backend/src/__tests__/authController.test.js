@@ -4,6 +4,7 @@ const { MongoMemoryServer } = require('mongodb-memory-server');
 const User = require('../models/User');
 const Organization = require('../models/Organization');
 const OrganizationMember = require('../models/OrganizationMember');
+const authController = require('../controllers/authController');
 
 let mongoServer;
 let app;
@@ -109,6 +110,28 @@ describe('User Registration', () => {
     await expect(user2.save()).rejects.toThrow();
   });
 
+  it('should not let registration join an existing organization by name', async () => {
+    const org = await Organization.create({ name: 'Acme Corp', slug: 'acme-corp' });
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+
+    await authController.register({
+      body: {
+        username: 'intruder',
+        email: 'intruder@example.com',
+        password: 'password123',
+        confirmPassword: 'password123',
+        organizationName: ' acme  CORP '
+      }
+    }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(await User.exists({ email: 'intruder@example.com' })).toBeNull();
+    expect(await OrganizationMember.countDocuments({ organizationId: org._id })).toBe(0);
+  });
+
   it('should create organization membership on registration', async () => {
     const userData = {
       username: 'testuser',
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const InvitationService = require('../services/invitationService');
+const FileMailer = require('../mailers/FileMailer');
+const { setMailer } = require('../mailers');
+const { invitationEmail } = require('../mailers/templates');
+const Invitation = require('../models/Invitation');
+const OrganizationMember = require('../models/OrganizationMember');
+
+describe('Invitation Service', () => {
+  describe('Validation', () => {
+    it('should require a valid email and role', () => {
+      expect(InvitationService.validateInvite({ email: 'new@example.com', role: 'editor' })).toBeNull();
+      expect(InvitationService.validateInvite({ email: 'new@example.com' })).toBe('Email and role are required');
+      expect(InvitationService.validateInvite({ email: 'not-an-email', role: 'viewer' })).toBe('Please provide a valid email');
+      expect(InvitationService.validateInvite({ email: 'new@example.com', role: 'owner' })).toMatch('Invalid role');
+    });
+
+    it('should only let pending invitations be answered before they expire', () => {
+      const future = new Date(Date.now() + 60 * 1000);
+
+      expect(InvitationService.getResponseBlocker({ status: 'pending', expiresAt: future })).toBeNull();
+      expect(InvitationService.getResponseBlocker({ status: 'pending', expiresAt: new Date(0) }).error).toMatch('expired');
+      expect(InvitationService.getResponseBlocker({ status: 'revoked', expiresAt: future }).status).toBe(410);
+    });
+  });
+
+  describe('Emails', () => {
+    let dir;
+
+    beforeEach(async () => {
+      dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+    });
+
+    afterEach(async () => {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    it('should escape names in the HTML body', () => {
+      const email = invitationEmail({
+        organizationName: '<Acme>',
+        inviterName: 'admin',
+        role: 'editor',
+        link: 'http://localhost:5173/invite/abc',
+        expiresAt: new Date()
+      });
+
+      expect(email.subject).toBe("You're invited to join <Acme>");
+      expect(email.html).toContain('&lt;Acme&gt;');
+      expect(email.text).toContain('http://localhost:5173/invite/abc');
+    });
+
+    it('should write emails to files with the file mailer', async () => {
+      const mailer = new FileMailer({ dir });
+
+      await mailer.send({ to: 'a@example.com', subject: 'First', text: 'one' });
+      await mailer.send({ to: 'b@example.com', subject: 'Second', text: 'two' });
+
+      const messages = await mailer.list();
+      expect(messages.map(m => m.subject)).toEqual(['First', 'Second']);
+      expect(messages[0].to).toBe('a@example.com');
+    });
+  });
+
+  describe('Inviting and accepting', () => {
+    let mongoServer;
+    const sent = [];
+    const organization = { _id: new mongoose.Types.ObjectId(), name: 'Acme' };
+    const inviter = { _id: new mongoose.Types.ObjectId(), username: 'admin' };
+    const user = { _id: new mongoose.Types.ObjectId(), email: 'New@Example.com' };
+
+    const tokenFromLastEmail = () => sent[sent.length - 1].text.match(/\/invite\/(\S+)/)[1];
+
+    beforeAll(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri(), {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+      setMailer('console', { send: async (message) => { sent.push(message); return { id: String(sent.length) }; } });
+    }, 30000);
+
+    afterAll(async () => {
+      setMailer('console', null);
+      await mongoose.disconnect();
+      if (mongoServer) {
+        await mongoServer.stop();
+      }
+    });
+
+    beforeEach(async () => {
+      sent.length = 0;
+      await Invitation.deleteMany({});
+      await OrganizationMember.deleteMany({});
+    });
+
+    it('should email a link that finds the invitation', async () => {
+      const invitation = await InvitationService.create({ organization, email: ' New@Example.com ', role: 'editor', inviter });
+
+      expect(invitation.email).toBe('new@example.com');
+      expect(invitation.sendCount).toBe(1);
+      expect(sent[0].to).toBe('new@example.com');
+
+      const found = await InvitationService.findByToken(tokenFromLastEmail());
+      expect(found._id.toString()).toBe(invitation._id.toString());
+    });
+
+    it('should replace the link when an invitation is resent', async () => {
+      const invitation = await InvitationService.create({ organization, email: 'new@example.com', role: 'editor', inviter });
+      const firstToken = tokenFromLastEmail();
+
+      await InvitationService.resend(invitation, { organization, inviter });
+
+      expect(await InvitationService.findByToken(firstToken)).toBeNull();
+      expect(await InvitationService.findByToken(tokenFromLastEmail())).not.toBeNull();
+    });
+
+    it('should add the user with the invited role only once', async () => {
+      const invitation = await InvitationService.create({ organization, email: 'new@example.com', role: 'editor', inviter });
+
+      expect(InvitationService.isForUser(invitation, user)).toBe(true);
+      const membership = await InvitationService.accept(invitation, user);
+
+      expect(membership.role).toBe('editor');
+      expect(await InvitationService.accept(invitation, user)).toBeNull();
+      expect(await OrganizationMember.countDocuments({ userId: user._id })).toBe(1);
+    });
+
+    it('should expire pending invitations that ran out', async () => {
+      const invitation = await InvitationService.create({ organization, email: 'new@example.com', role: 'viewer', inviter });
+      await Invitation.updateOne({ _id: invitation._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      expect(await InvitationService.findPending(organization._id, 'new@example.com')).toBeNull();
+      expect((await Invitation.findById(invitation._id)).status).toBe('expired');
+    });
+  });
+});
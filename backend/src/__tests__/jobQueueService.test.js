@@ -0,0 +1,278 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const JobQueueService = require('../services/jobQueueService');
+const Job = require('../models/Job');
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  const mongoUri = mongoServer.getUri();
+
+  await mongoose.connect(mongoUri, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+  });
+}, 30000);
+
+afterAll(async () => {
+  JobQueueService.stop();
+  await mongoose.disconnect();
+  if (mongoServer) {
+    await mongoServer.stop();
+  }
+});
+
+beforeEach(async () => {
+  await Job.deleteMany({});
+  JobQueueService.handlers.clear();
+  JobQueueService.activeJobs.clear();
+  JobQueueService.options = {
+    ...JobQueueService.options,
+    concurrency: 2,
+    maxAttempts: 3,
+    backoffBaseMs: 1000,
+    backoffMaxMs: 60000,
+    staleAfterMs: 60000
+  };
+});
+
+const orgId = () => new mongoose.Types.ObjectId();
+
+describe('Job Queue Service', () => {
+  describe('Backoff', () => {
+    it('should double the delay for each attempt', () => {
+      const options = { backoffBaseMs: 1000, backoffMaxMs: 60000 };
+
+      expect(JobQueueService.getBackoffDelay(1, options)).toBe(1000);
+      expect(JobQueueService.getBackoffDelay(2, options)).toBe(2000);
+      expect(JobQueueService.getBackoffDelay(3, options)).toBe(4000);
+    });
+
+    it('should cap the delay', () => {
+      const options = { backoffBaseMs: 1000, backoffMaxMs: 5000 };
+
+      expect(JobQueueService.getBackoffDelay(10, options)).toBe(5000);
+    });
+  });
+
+  describe('Enqueue and claim', () => {
+    it('should persist queued jobs', async () => {
+      const job = await JobQueueService.enqueue('test-job', { organizationId: orgId(), payload: { a: 1 } });
+
+      const stored = await Job.findById(job._id);
+      expect(stored.status).toBe('queued');
+      expect(stored.attempts).toBe(0);
+      expect(stored.maxAttempts).toBe(3);
+      expect(stored.payload).toEqual({ a: 1 });
+    });
+
+    it('should only claim jobs that have a handler and are due', async () => {
+      JobQueueService.registerHandler('test-job', async () => {});
+      await JobQueueService.enqueue('other-job');
+      await JobQueueService.enqueue('test-job', { runAt: new Date(Date.now() + 60000) });
+
+      expect(await JobQueueService.claimNextJob()).toBeNull();
+
+      const due = await JobQueueService.enqueue('test-job');
+      const claimed = await JobQueueService.claimNextJob();
+
+      expect(claimed._id.toString()).toBe(due._id.toString());
+      expect(claimed.status).toBe('running');
+      expect(claimed.attempts).toBe(1);
+      expect(claimed.lockedBy).toBe(JobQueueService.workerId);
+    });
+
+    it('should not claim the same job twice', async () => {
+      JobQueueService.registerHandler('test-job', async () => {});
+      await JobQueueService.enqueue('test-job');
+
+      const [first, second] = await Promise.all([
+        JobQueueService.claimNextJob(),
+        JobQueueService.claimNextJob()
+      ]);
+
+      expect([first, second].filter(Boolean)).toHaveLength(1);
+    });
+  });
+
+  describe('Running jobs', () => {
+    it('should store the handler result on success', async () => {
+      JobQueueService.registerHandler('test-job', async () => ({ ok: true }));
+      await JobQueueService.enqueue('test-job');
+
+      const job = await JobQueueService.claimNextJob();
+      await JobQueueService.runJob(job);
+
+      const stored = await Job.findById(job._id);
+      expect(stored.status).toBe('completed');
+      expect(stored.progress).toBe(100);
+      expect(stored.result).toEqual({ ok: true });
+      expect(stored.lockedBy).toBeNull();
+    });
+
+    it('should requeue failed attempts with backoff', async () => {
+      JobQueueService.registerHandler('test-job', async () => {
+        throw new Error('boom');
+      });
+      await JobQueueService.enqueue('test-job');
+
+      const job = await JobQueueService.claimNextJob();
+      const before = Date.now();
+      await JobQueueService.runJob(job);
+
+      const stored = await Job.findById(job._id);
+      expect(stored.status).toBe('queued');
+      expect(stored.lastError).toBe('boom');
+      expect(stored.attemptErrors).toHaveLength(1);
+      expect(stored.runAt.getTime()).toBeGreaterThanOrEqual(before + 1000);
+    });
+
+    it('should fail the job and call onFailed once attempts are exhausted', async () => {
+      const onFailed = jest.fn();
+      JobQueueService.registerHandler('test-job', async () => {
+        throw new Error('boom');
+      }, { onFailed });
+      await JobQueueService.enqueue('test-job', { maxAttempts: 1 });
+
+      const job = await JobQueueService.claimNextJob();
+      await JobQueueService.runJob(job);
+
+      const stored = await Job.findById(job._id);
+      expect(stored.status).toBe('failed');
+      expect(onFailed).toHaveBeenCalledTimes(1);
+    });
+
+    it('should tell the handler whether this is the final attempt', async () => {
+      const seen = [];
+      JobQueueService.registerHandler('test-job', async (job, { isFinalAttempt }) => {
+        seen.push(isFinalAttempt);
+        throw new Error('boom');
+      });
+      await JobQueueService.enqueue('test-job', { maxAttempts: 2 });
+
+      await JobQueueService.runJob(await JobQueueService.claimNextJob());
+      await Job.updateMany({}, { runAt: new Date() });
+      await JobQueueService.runJob(await JobQueueService.claimNextJob());
+
+      expect(seen).toEqual([false, true]);
+    });
+
+    it('should respect the concurrency limit', async () => {
+      let release;
+      const blocker = new Promise(resolve => { release = resolve; });
+      JobQueueService.registerHandler('test-job', () => blocker);
+      JobQueueService.options.concurrency = 2;
+
+      await JobQueueService.enqueue('test-job');
+      await JobQueueService.enqueue('test-job');
+      await JobQueueService.enqueue('test-job');
+
+      await JobQueueService.poll();
+
+      expect(JobQueueService.activeJobs.size).toBe(2);
+      expect(await Job.countDocuments({ status: 'running' })).toBe(2);
+
+      release();
+    });
+  });
+
+  describe('Stuck job recovery', () => {
+    it('should requeue running jobs whose lock is stale', async () => {
+      JobQueueService.registerHandler('test-job', async () => {});
+      await Job.create({
+        type: 'test-job',
+        status: 'running',
+        attempts: 1,
+        maxAttempts: 3,
+        lockedBy: 'crashed-worker',
+        lockedAt: new Date(Date.now() - 120000)
+      });
+
+      const recovered = await JobQueueService.recoverStuckJobs();
+      const stored = await Job.findOne({});
+
+      expect(recovered).toBe(1);
+      expect(stored.status).toBe('queued');
+      expect(stored.lockedBy).toBeNull();
+    });
+
+    it('should not let a worker overwrite a job recovered by another one', async () => {
+      JobQueueService.registerHandler('test-job', async () => {
+        // Meanwhile, another worker recovered the job and runs it again
+        await Job.updateOne({}, { lockedBy: 'other-worker', lockedAt: new Date() });
+        return { ok: true };
+      });
+      await JobQueueService.enqueue('test-job');
+
+      const job = await JobQueueService.claimNextJob();
+      await JobQueueService.runJob(job);
+
+      const stored = await Job.findById(job._id);
+      expect(stored.status).toBe('running');
+      expect(stored.lockedBy).toBe('other-worker');
+      expect(stored.result).toBeFalsy();
+    });
+
+    it('should leave jobs with a recent heartbeat alone', async () => {
+      await Job.create({
+        type: 'test-job',
+        status: 'running',
+        attempts: 1,
+        lockedBy: 'other-worker',
+        lockedAt: new Date()
+      });
+
+      expect(await JobQueueService.recoverStuckJobs()).toBe(0);
+    });
+  });
+
+  describe('Admin helpers', () => {
+    it('should retry failed jobs only', async () => {
+      const organizationId = orgId();
+      const failed = await Job.create({ type: 'test-job', organizationId, status: 'failed', attempts: 3 });
+      const completed = await Job.create({ type: 'test-job', organizationId, status: 'completed' });
+
+      const retried = await JobQueueService.retryJob(failed._id, organizationId);
+      expect(retried.status).toBe('queued');
+      expect(retried.attempts).toBe(0);
+
+      expect(await JobQueueService.retryJob(completed._id, organizationId)).toBeNull();
+      expect(await JobQueueService.retryJob(failed._id, orgId())).toBeNull();
+    });
+
+    it('should only filter the job list by registered job types', async () => {
+      const jobController = require('../controllers/jobController');
+      const organizationId = orgId();
+      JobQueueService.registerHandler('test-job', async () => {});
+      await Job.create({ type: 'test-job', organizationId, status: 'queued' });
+      const createRes = () => {
+        const res = {};
+        res.status = jest.fn(() => res);
+        res.json = jest.fn(() => res);
+        return res;
+      };
+
+      const res = createRes();
+      await jobController.listJobs({ organizationId, query: { type: 'test-job' } }, res);
+      expect(res.json.mock.calls[0][0].jobs).toHaveLength(1);
+
+      for (const type of [{ $ne: null }, ['test-job'], 'other-job']) {
+        const refused = createRes();
+        await jobController.listJobs({ organizationId, query: { type } }, refused);
+        expect(refused.status).toHaveBeenCalledWith(400);
+      }
+    });
+
+    it('should count jobs per status for an organization', async () => {
+      const organizationId = orgId();
+      await Job.create({ type: 'test-job', organizationId, status: 'queued' });
+      await Job.create({ type: 'test-job', organizationId, status: 'failed' });
+      await Job.create({ type: 'test-job', organizationId: orgId(), status: 'failed' });
+
+      const counts = await JobQueueService.getStatusCounts(organizationId);
+
+      expect(counts).toEqual({ queued: 1, running: 0, completed: 0, failed: 1 });
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const ModerationPolicyService = require('../services/moderationPolicyService');
+const VideoProcessingService = require('../services/videoProcessingService');
+const ModerationPolicy = require('../models/ModerationPolicy');
+
+const buildPolicy = (overrides = {}) => {
+  const { policy, errors } = ModerationPolicyService.validatePolicy({
+    threshold: 30,
+    categories: [
+      { key: 'violence', name: 'Violence', weight: 40, keywords: ['kill'], wholeWord: true }
+    ],
+    ...overrides
+  });
+  expect(errors).toEqual([]);
+  return policy;
+};
+
+describe('Moderation Policy Service', () => {
+  describe('Validation', () => {
+    it('should normalize a valid policy', () => {
+      const { policy, errors } = ModerationPolicyService.validatePolicy({
+        categories: [{ key: ' Gambling ', weight: '25', keywords: ['Casino', 'casino', ' '] }],
+        allowList: ['casino royale']
+      });
+
+      expect(errors).toEqual([]);
+      expect(policy.threshold).toBe(30);
+      expect(policy.heuristics).toBe(true);
+      expect(policy.categories[0]).toEqual({
+        key: 'gambling',
+        name: 'gambling',
+        weight: 25,
+        keywords: ['casino'],
+        patterns: [],
+        wholeWord: false,
+        enabled: true
+      });
+    });
+
+    it('should report every problem at once', () => {
+      const { policy, errors } = ModerationPolicyService.validatePolicy({
+        threshold: 150,
+        categories: [
+          { key: 'dup', weight: 10 },
+          { key: 'dup', weight: -1, patterns: ['(unclosed'] }
+        ]
+      });
+
+      expect(policy).toBeNull();
+      expect(errors).toEqual(expect.arrayContaining([
+        'threshold must be a number between 0 and 100',
+        'categories[1].key "dup" is used more than once',
+        'categories[1].weight must be a number between 0 and 100'
+      ]));
+      expect(errors.some(e => e.includes('not a valid regular expression'))).toBe(true);
+    });
+
+    it('should reject patterns with nested quantifiers', () => {
+      const { errors } = ModerationPolicyService.validatePolicy({
+        categories: [{ key: 'spam', weight: 10, patterns: ['(a+)+$'] }]
+      });
+
+      expect(errors[0]).toContain('nested quantifiers');
+    });
+
+    it('should require at least one category', () => {
+      expect(ModerationPolicyService.validatePolicy({}).errors).toContain('categories must be a non-empty array');
+    });
+  });
+
+  describe('Analysis with a policy', () => {
+    it('should produce the same verdict as before for the built-in policy', () => {
+      const result = VideoProcessingService.analyzeSensitivity('This video contains adult and explicit content');
+
+      expect(result.result).toBe('flagged');
+      expect(result.policyVersion).toBe(0);
+      expect(result.policyId).toBeNull();
+      expect(result.threshold).toBe(30);
+      expect(result.detectedIssues[0].keywords).toEqual(['"adult" in title', '"explicit" in title']);
+    });
+
+    it('should match whole words only when configured', () => {
+      const policy = buildPolicy();
+
+      expect(VideoProcessingService.analyzeSensitivity('Improve your skill', policy).detectedIssues).toEqual([]);
+      expect(VideoProcessingService.analyzeSensitivity('How to kill a process', policy).result).toBe('flagged');
+    });
+
+    it('should match regular expressions', () => {
+      const policy = buildPolicy({
+        categories: [{ key: 'weapons', name: 'Weapons', weight: 35, patterns: ['gun\\s*shots?'] }]
+      });
+
+      const result = VideoProcessingService.analyzeSensitivity({ title: 'Gun  shots at dawn' }, policy);
+
+      expect(result.result).toBe('flagged');
+      expect(result.categoryBreakdown.Weapons.keywords).toEqual(['/gun\\s*shots?/ in title']);
+    });
+
+    it('should ignore allow-listed phrases', () => {
+      const policy = buildPolicy({ allowList: ['kill switch'] });
+
+      expect(VideoProcessingService.analyzeSensitivity('Adding a kill switch', policy).result).toBe('safe');
+    });
+
+    it('should skip disabled categories and heuristics', () => {
+      const policy = buildPolicy({
+        heuristics: false,
+        categories: [{ key: 'violence', name: 'Violence', weight: 40, keywords: ['kill'], enabled: false }]
+      });
+
+      const result = VideoProcessingService.analyzeSensitivity('kill!!!!!!!!', policy);
+
+      expect(result.score).toBe(0);
+      expect(result.rules).toEqual(['Passed all content checks']);
+    });
+
+    it('should use the policy threshold', () => {
+      const strict = buildPolicy({ threshold: 10, categories: [{ key: 'mild', weight: 15, keywords: ['heck'] }] });
+      const lenient = buildPolicy({ threshold: 90, categories: [{ key: 'mild', weight: 15, keywords: ['heck'] }] });
+
+      expect(VideoProcessingService.analyzeSensitivity('what the heck', strict).result).toBe('flagged');
+      expect(VideoProcessingService.analyzeSensitivity('what the heck', lenient).result).toBe('safe');
+    });
+  });
+
+  describe('Versioning', () => {
+    let mongoServer;
+    const organizationId = new mongoose.Types.ObjectId();
+
+    beforeAll(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri(), {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+    }, 30000);
+
+    afterAll(async () => {
+      await mongoose.disconnect();
+      if (mongoServer) {
+        await mongoServer.stop();
+      }
+    });
+
+    beforeEach(async () => {
+      await ModerationPolicy.deleteMany({});
+    });
+
+    it('should fall back to the built-in policy', async () => {
+      const policy = await ModerationPolicyService.getActivePolicy(organizationId);
+
+      expect(policy.version).toBe(0);
+      expect(policy.categories.map(c => c.key)).toContain('violence');
+    });
+
+    it('should save increasing versions and activate the newest', async () => {
+      const first = await ModerationPolicyService.savePolicy(organizationId, buildPolicy(), null);
+      const second = await ModerationPolicyService.savePolicy(organizationId, buildPolicy({ threshold: 50 }), null);
+
+      expect(first.version).toBe(1);
+      expect(second.version).toBe(2);
+      expect((await ModerationPolicyService.getActivePolicy(organizationId)).threshold).toBe(50);
+      expect((await ModerationPolicyService.listVersions(organizationId)).map(v => v.version)).toEqual([2, 1]);
+    });
+
+    it('should keep versions separate per organization', async () => {
+      const otherOrganizationId = new mongoose.Types.ObjectId();
+      await ModerationPolicyService.savePolicy(organizationId, buildPolicy(), null);
+
+      const other = await ModerationPolicyService.savePolicy(otherOrganizationId, buildPolicy(), null);
+
+      expect(other.version).toBe(1);
+      expect(await ModerationPolicyService.getVersion(otherOrganizationId, 2)).toBeNull();
+    });
+  });
+});
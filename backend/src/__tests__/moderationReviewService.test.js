@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const ModerationReviewService = require('../services/moderationReviewService');
+const Video = require('../models/Video');
+
+describe('Moderation Review Service', () => {
+  describe('Decision validation', () => {
+    it('should accept an approval without a reason', () => {
+      expect(ModerationReviewService.validateDecision('approve')).toBeNull();
+    });
+
+    it('should require a reason to reject or request edits', () => {
+      expect(ModerationReviewService.validateDecision('reject', '  ')).toBe('A reason is required for this decision');
+      expect(ModerationReviewService.validateDecision('request_edits')).toBe('A reason is required for this decision');
+      expect(ModerationReviewService.validateDecision('reject', 'Graphic violence')).toBeNull();
+    });
+
+    it('should reject unknown decisions and overly long reasons', () => {
+      expect(ModerationReviewService.validateDecision('resubmit', 'x')).toMatch('Invalid decision');
+      expect(ModerationReviewService.validateDecision('reject', 'x'.repeat(1001))).toMatch('at most 1000');
+      expect(ModerationReviewService.validateDecision('reject', { text: 'x' })).toBe('Reason must be a string');
+    });
+  });
+
+  describe('Reviewability', () => {
+    it('should only allow decisions on processed videos that were flagged or reviewed', () => {
+      expect(ModerationReviewService.canReview({ status: 'flagged', moderation: { state: 'pending' } })).toBe(true);
+      expect(ModerationReviewService.canReview({ status: 'safe', moderation: { state: 'approved' } })).toBe(true);
+      expect(ModerationReviewService.canReview({ status: 'safe', moderation: { state: 'none' } })).toBe(false);
+      expect(ModerationReviewService.canReview({ status: 'processing', moderation: { state: 'pending' } })).toBe(false);
+    });
+
+    it('should requeue a video only when edits were requested', () => {
+      const userId = new mongoose.Types.ObjectId();
+      const video = { status: 'flagged', moderation: { state: 'changes_requested', decisions: [] } };
+
+      expect(ModerationReviewService.resubmit(video, userId)).toBe(true);
+      expect(video.moderation.state).toBe('pending');
+      expect(video.moderation.decisions[0]).toMatchObject({ decision: 'resubmit', decidedBy: userId, previousStatus: 'flagged' });
+      expect(ModerationReviewService.resubmit(video, userId)).toBe(false);
+    });
+  });
+
+  describe('Notifications', () => {
+    it('should notify the organization and the uploader once', () => {
+      const emit = jest.fn();
+      const io = { to: jest.fn(() => ({ emit })) };
+
+      ModerationReviewService.notify(io, {
+        _id: 'v1',
+        title: 'Clip',
+        status: 'flagged',
+        organizationId: 'o1',
+        userId: { _id: 'u1', username: 'uploader' },
+        moderation: {
+          state: 'rejected',
+          decisions: [{ decision: 'reject', reason: 'Graphic violence', decidedAt: 'now' }]
+        }
+      });
+
+      expect(io.to).toHaveBeenCalledWith(['org-o1', 'user-u1']);
+      expect(emit).toHaveBeenCalledWith('video-moderation-decision', {
+        videoId: 'v1',
+        title: 'Clip',
+        status: 'flagged',
+        state: 'rejected',
+        decision: 'reject',
+        reason: 'Graphic violence',
+        decidedAt: 'now'
+      });
+    });
+  });
+
+  describe('Queue and decisions', () => {
+    let mongoServer;
+    const organizationId = new mongoose.Types.ObjectId();
+    const reviewerId = new mongoose.Types.ObjectId();
+
+    const createVideo = (overrides = {}) => Video.create({
+      title: 'Flagged clip',
+      filename: 'clip.mp4',
+      filepath: 'videos/clip.mp4',
+      size: 1024,
+      userId: new mongoose.Types.ObjectId(),
+      organizationId,
+      status: 'flagged',
+      moderation: { state: 'pending' },
+      ...overrides
+    });
+
+    beforeAll(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri(), {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+    }, 30000);
+
+    afterAll(async () => {
+      await mongoose.disconnect();
+      if (mongoServer) {
+        await mongoServer.stop();
+      }
+    });
+
+    beforeEach(async () => {
+      await Video.deleteMany({});
+    });
+
+    it('should list pending videos oldest first with counts per state', async () => {
+      const newer = await createVideo({ processingCompletedAt: new Date('2024-02-01') });
+      const older = await createVideo({ processingCompletedAt: new Date('2024-01-01') });
+      await createVideo({ status: 'safe', moderation: { state: 'approved' } });
+      await createVideo({ organizationId: new mongoose.Types.ObjectId() });
+
+      const queue = await ModerationReviewService.getQueue(organizationId);
+      const counts = await ModerationReviewService.getQueueCounts(organizationId);
+
+      expect(queue.map(v => v._id.toString())).toEqual([older._id.toString(), newer._id.toString()]);
+      expect(counts).toEqual({ pending: 2, changes_requested: 0, approved: 1, rejected: 0 });
+    });
+
+    it('should approve a flagged video and record the decision', async () => {
+      const video = await createVideo();
+
+      const reviewed = await ModerationReviewService.decide(video._id, organizationId, { decision: 'approve', reviewerId });
+
+      expect(reviewed.status).toBe('safe');
+      expect(reviewed.moderation.state).toBe('approved');
+      expect(reviewed.moderation.decisions).toHaveLength(1);
+      expect(reviewed.moderation.decisions[0]).toMatchObject({ decision: 'approve', previousStatus: 'flagged' });
+      expect(reviewed.moderation.decisions[0].decidedBy.toString()).toBe(reviewerId.toString());
+    });
+
+    it('should keep rejected videos flagged with the reason', async () => {
+      const video = await createVideo();
+
+      const reviewed = await ModerationReviewService.decide(video._id, organizationId, {
+        decision: 'reject',
+        reason: ' Graphic violence ',
+        reviewerId
+      });
+
+      expect(reviewed.status).toBe('flagged');
+      expect(reviewed.moderation.state).toBe('rejected');
+      expect(reviewed.moderation.decisions[0].reason).toBe('Graphic violence');
+    });
+
+    it('should queue and decide on videos flagged before reviews existed', async () => {
+      // Stored without a moderation state: schema defaults only apply in memory
+      const { insertedId } = await Video.collection.insertOne({
+        title: 'Flagged clip',
+        filename: 'clip.mp4',
+        filepath: 'videos/clip.mp4',
+        size: 1024,
+        userId: new mongoose.Types.ObjectId(),
+        organizationId,
+        status: 'flagged'
+      });
+
+      const queue = await ModerationReviewService.getQueue(organizationId);
+      const counts = await ModerationReviewService.getQueueCounts(organizationId);
+      expect(queue.map(v => v._id.toString())).toEqual([insertedId.toString()]);
+      expect(counts.pending).toBe(1);
+
+      const reviewed = await ModerationReviewService.decide(insertedId, organizationId, { decision: 'approve', reviewerId });
+      expect(reviewed.status).toBe('safe');
+      expect(reviewed.moderation.state).toBe('approved');
+    });
+
+    it('should not review videos of another organization or videos that were never flagged', async () => {
+      const other = await createVideo({ organizationId: new mongoose.Types.ObjectId() });
+      const safe = await createVideo({ status: 'safe', moderation: { state: 'none' } });
+
+      expect(await ModerationReviewService.decide(other._id, organizationId, { decision: 'approve', reviewerId })).toBeNull();
+      expect(await ModerationReviewService.decide(safe._id, organizationId, { decision: 'reject', reason: 'x', reviewerId })).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const PaginationService = require('../services/paginationService');
+const Video = require('../models/Video');
+
+describe('Pagination Service', () => {
+  const sorts = {
+    date: { field: 'createdAt', direction: -1 },
+    title: { field: 'title', direction: 1 }
+  };
+
+  describe('Parameters', () => {
+    it('should check the sort and bound the limit', () => {
+      expect(PaginationService.parseParams({}, { sorts, defaultSort: 'date' })).toEqual({
+        sort: 'date',
+        field: 'createdAt',
+        direction: -1,
+        limit: 20,
+        cursor: null
+      });
+      expect(PaginationService.parseParams({ sort: 'title', limit: '500' }, { sorts, defaultSort: 'date' }))
+        .toMatchObject({ sort: 'title', limit: 100 });
+      expect(PaginationService.parseParams({ limit: '-3' }, { sorts, defaultSort: 'date', maxLimit: 50 }).limit).toBe(1);
+      expect(PaginationService.parseParams({ sort: 'size' }, { sorts, defaultSort: 'date' }))
+        .toEqual({ error: 'Invalid sort. Must be one of: date, title' });
+    });
+
+    it('should read back cursors of the same sort only', () => {
+      const id = new mongoose.Types.ObjectId();
+      const createdAt = new Date('2026-03-01T10:00:00Z');
+      const cursor = PaginationService.encodeCursor('date', createdAt, id);
+
+      expect(PaginationService.parseParams({ cursor }, { sorts, defaultSort: 'date' }).cursor)
+        .toEqual({ value: createdAt, id });
+      expect(PaginationService.parseParams({ cursor, sort: 'title' }, { sorts, defaultSort: 'date' }))
+        .toEqual({ error: 'Invalid cursor' });
+      expect(PaginationService.parseParams({ cursor: 'garbage' }, { sorts, defaultSort: 'date' }))
+        .toEqual({ error: 'Invalid cursor' });
+    });
+
+    it('should refuse cursors whose value is not a string, number or date', () => {
+      const id = new mongoose.Types.ObjectId().toString();
+      const craft = (fields) => Buffer.from(JSON.stringify({ s: 'title', id, ...fields })).toString('base64url');
+      const parse = (cursor) => PaginationService.parseParams({ cursor, sort: 'title' }, { sorts, defaultSort: 'date' });
+
+      expect(parse(craft({ v: 'B' })).cursor.value).toBe('B');
+      expect(parse(craft({ v: 42 })).cursor.value).toBe(42);
+      expect(parse(craft({ v: '2026-03-01T10:00:00.000Z', d: 1 })).cursor.value).toEqual(new Date('2026-03-01T10:00:00Z'));
+
+      for (const fields of [{ v: { $gt: '' } }, { v: ['B'] }, { v: true }, { v: 3, d: 1 }, { v: 'March', d: 1 }, { v: 'B', id: { $ne: null } }]) {
+        expect(parse(craft(fields))).toEqual({ error: 'Invalid cursor' });
+      }
+    });
+  });
+
+  describe('Pages', () => {
+    it('should continue after the last item, breaking ties on _id', () => {
+      const [first, second, third] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+      const params = PaginationService.parseParams({ sort: 'title', limit: '2' }, { sorts, defaultSort: 'date' });
+
+      const page = PaginationService.buildPage(
+        [{ _id: first, title: 'A' }, { _id: second, title: 'B' }, { _id: third, title: 'C' }],
+        params
+      );
+      expect(page.items.map(item => item._id)).toEqual([first, second]);
+
+      const next = PaginationService.parseParams({ sort: 'title', cursor: page.nextCursor }, { sorts, defaultSort: 'date' });
+      expect(PaginationService.getCursorFilter(next)).toEqual({
+        $or: [{ title: { $gt: 'B' } }, { title: 'B', _id: { $gt: second } }]
+      });
+      expect(PaginationService.getSort(next)).toEqual({ title: 1, _id: 1 });
+      expect(PaginationService.buildPage([{ _id: third, title: 'C' }], next).nextCursor).toBeNull();
+    });
+  });
+
+  describe('with a database', () => {
+    let mongoServer;
+    const organizationId = new mongoose.Types.ObjectId();
+
+    beforeAll(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri(), {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+    }, 30000);
+
+    afterAll(async () => {
+      await mongoose.disconnect();
+      if (mongoServer) {
+        await mongoServer.stop();
+      }
+    });
+
+    beforeEach(async () => {
+      await Video.deleteMany({});
+    });
+
+    it('should list every video exactly once across pages, with the total on the first', async () => {
+      // Videos created in the same millisecond share createdAt
+      const createdAt = new Date('2026-03-01T10:00:00Z');
+      await Video.insertMany([1, 2, 3, 4, 5].map(n => ({
+        title: `Video ${n}`,
+        filename: `video-${n}.mp4`,
+        filepath: `videos/video-${n}.mp4`,
+        size: 1024,
+        userId: new mongoose.Types.ObjectId(),
+        organizationId,
+        createdAt: n <= 3 ? createdAt : new Date(createdAt.getTime() + n)
+      })));
+
+      const titles = [];
+      let cursor;
+      let first;
+      do {
+        const params = PaginationService.parseParams({ cursor, limit: '2' }, { sorts, defaultSort: 'date' });
+        const page = await PaginationService.findPage(Video, { organizationId }, params);
+        first = first || page;
+        titles.push(...page.items.map(video => video.title));
+        cursor = page.nextCursor;
+      } while (cursor);
+
+      expect(first.total).toBe(5);
+      expect(titles.slice(0, 2)).toEqual(['Video 5', 'Video 4']);
+      expect([...titles].sort()).toEqual(['Video 1', 'Video 2', 'Video 3', 'Video 4', 'Video 5']);
+    });
+  });
+});
@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const PermissionService = require('../services/permissionService');
+const { requirePermission } = require('../middleware/rbacMiddleware');
+const { BUILT_IN_ROLES, ALL_PERMISSIONS, hasPrivilegedPermission } = require('../config/permissions');
+const Role = require('../models/Role');
+const OrganizationMember = require('../models/OrganizationMember');
+const Invitation = require('../models/Invitation');
+
+describe('Permission Service', () => {
+  const organizationId = new mongoose.Types.ObjectId();
+  const userId = new mongoose.Types.ObjectId();
+
+  describe('Built-in roles', () => {
+    it('should keep the privileges of the former role hierarchy', () => {
+      expect(BUILT_IN_ROLES.admin).toEqual(ALL_PERMISSIONS);
+      expect(BUILT_IN_ROLES.moderator).toContain('moderation:review');
+      expect(BUILT_IN_ROLES.editor).toContain('video:upload');
+      expect(BUILT_IN_ROLES.editor).not.toContain('moderation:review');
+      expect(BUILT_IN_ROLES.viewer).toEqual([]);
+    });
+
+    it('should count roles with administrative permissions as admin roles', () => {
+      expect(hasPrivilegedPermission(BUILT_IN_ROLES.admin)).toBe(true);
+      expect(hasPrivilegedPermission(['video:upload', 'org:settings'])).toBe(true);
+      expect(hasPrivilegedPermission(['role:manage'])).toBe(true);
+      expect(hasPrivilegedPermission(BUILT_IN_ROLES.moderator)).toBe(false);
+      expect(hasPrivilegedPermission(BUILT_IN_ROLES.viewer)).toBe(false);
+    });
+
+    it('should let editors change only their own videos', () => {
+      const req = { userId: userId.toString(), permissions: BUILT_IN_ROLES.editor };
+
+      expect(PermissionService.canModifyVideo(req, { userId }, 'edit')).toBe(true);
+      expect(PermissionService.canModifyVideo(req, { userId: new mongoose.Types.ObjectId() }, 'delete')).toBe(false);
+      expect(PermissionService.canModifyVideo({ ...req, permissions: BUILT_IN_ROLES.admin }, { userId: new mongoose.Types.ObjectId() }, 'delete')).toBe(true);
+      expect(PermissionService.canModifyVideo({ ...req, permissions: [] }, { userId }, 'edit')).toBe(false);
+    });
+  });
+
+  describe('Custom role input', () => {
+    it('should check names and permissions', () => {
+      expect(PermissionService.validateRoleInput({ name: 'Reviewer', permissions: ['moderation:review'] })).toBeNull();
+      expect(PermissionService.validateRoleInput({ name: 'x', permissions: [] })).toMatch('Role name');
+      expect(PermissionService.validateRoleInput({ name: 'editor', permissions: [] })).toBe('editor is a built-in role');
+      expect(PermissionService.validateRoleInput({ name: 'reviewer' })).toBe('Permissions must be a list');
+      expect(PermissionService.validateRoleInput({ name: 'reviewer', permissions: ['video:fly'] })).toBe('Unknown permissions: video:fly');
+      expect(PermissionService.validateRoleInput({ description: 'Only text' }, { isUpdate: true })).toBeNull();
+    });
+
+    it('should not let members grant permissions they do not hold', () => {
+      const req = { permissions: ['member:invite', 'video:upload'] };
+
+      expect(PermissionService.getEscalationError(req, ['video:upload'])).toBeNull();
+      expect(PermissionService.getEscalationError(req, ['video:upload', 'role:manage']))
+        .toBe('You cannot grant permissions you do not have: role:manage');
+    });
+  });
+
+  describe('requirePermission middleware', () => {
+    const createResponse = () => {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    it('should reject unknown permissions when routes are defined', () => {
+      expect(() => requirePermission('video:fly')).toThrow('Unknown permission: video:fly');
+    });
+
+    it('should use the permissions of the loaded membership', async () => {
+      const middleware = requirePermission(['video:upload', 'moderation:review']);
+      const membership = { organizationId, role: 'editor' };
+      const next = jest.fn();
+
+      const denied = createResponse();
+      await middleware({ userId, organizationId, membership, permissions: BUILT_IN_ROLES.editor }, denied, next);
+      expect(next).not.toHaveBeenCalled();
+      expect(denied.status).toHaveBeenCalledWith(403);
+      expect(denied.json).toHaveBeenCalledWith(expect.objectContaining({ required: ['moderation:review'] }));
+
+      const req = { userId, organizationId, membership: { ...membership, role: 'moderator' }, permissions: BUILT_IN_ROLES.moderator };
+      await middleware(req, createResponse(), next);
+      expect(next).toHaveBeenCalledTimes(1);
+      expect(req.userRole).toBe('moderator');
+    });
+  });
+
+  describe('Custom roles', () => {
+    let mongoServer;
+
+    beforeAll(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri(), {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+    }, 30000);
+
+    afterAll(async () => {
+      await mongoose.disconnect();
+      if (mongoServer) {
+        await mongoServer.stop();
+      }
+    });
+
+    beforeEach(async () => {
+      await Role.deleteMany({});
+      await OrganizationMember.deleteMany({});
+      await Invitation.deleteMany({});
+    });
+
+    it('should resolve the permissions of custom and built-in roles', async () => {
+      await PermissionService.createRole(organizationId, { name: ' Reviewer ', permissions: ['moderation:review', 'moderation:review'] }, userId);
+
+      expect(await PermissionService.getRolePermissions(organizationId, 'reviewer')).toEqual(['moderation:review']);
+      expect(await PermissionService.getRolePermissions(new mongoose.Types.ObjectId(), 'reviewer')).toEqual([]);
+
+      const memberships = [
+        { _id: new mongoose.Types.ObjectId(), organizationId, role: 'reviewer' },
+        { _id: new mongoose.Types.ObjectId(), organizationId: { _id: organizationId }, role: 'viewer' }
+      ];
+      const permissions = await PermissionService.getMembershipPermissions(memberships);
+      expect(permissions.get(memberships[0]._id.toString())).toEqual(['moderation:review']);
+      expect(permissions.get(memberships[1]._id.toString())).toEqual([]);
+    });
+
+    it('should accept custom roles for members and list them after the built-in ones', async () => {
+      await PermissionService.createRole(organizationId, { name: 'reviewer', permissions: ['moderation:review'] }, userId);
+
+      expect(await PermissionService.validateRole(organizationId, 'reviewer')).toBeNull();
+      expect(await PermissionService.validateRole(organizationId, 'owner'))
+        .toBe('Invalid role. Must be one of: admin, moderator, editor, viewer, reviewer');
+
+      const roles = await PermissionService.listRoles(organizationId);
+      expect(roles.map(r => r.name)).toEqual(['admin', 'moderator', 'editor', 'viewer', 'reviewer']);
+      expect(roles[4].builtIn).toBe(false);
+    });
+
+    it('should block assigning roles beyond the permissions of the current member', async () => {
+      await PermissionService.createRole(organizationId, { name: 'reviewer', permissions: ['moderation:review'] }, userId);
+      const req = { permissions: ['member:manage', 'moderation:review'] };
+
+      expect(await PermissionService.getRoleAssignmentBlocker(req, organizationId, 'reviewer')).toBeNull();
+      expect((await PermissionService.getRoleAssignmentBlocker(req, organizationId, 'editor')).status).toBe(403);
+      expect((await PermissionService.getRoleAssignmentBlocker(req, organizationId, 'reviewer', { currentRole: 'admin' })).status).toBe(403);
+      expect((await PermissionService.getRoleAssignmentBlocker(req, organizationId, 'owner')).status).toBe(400);
+    });
+
+    it('should keep one member with every permission in the organization', async () => {
+      await PermissionService.createRole(organizationId, { name: 'owner', permissions: ALL_PERMISSIONS }, userId);
+      await PermissionService.createRole(organizationId, { name: 'reviewer', permissions: ['moderation:review'] }, userId);
+      const admin = await OrganizationMember.create({ userId, organizationId, role: 'admin' });
+
+      expect(await PermissionService.getLastAdminError(organizationId, admin))
+        .toBe('Cannot remove the last admin from the organization');
+      expect(await PermissionService.getLastAdminError(organizationId, admin, 'reviewer'))
+        .toBe('Cannot remove admin role from the last admin');
+      expect(await PermissionService.getLastAdminError(organizationId, admin, 'owner')).toBeNull();
+
+      const owner = await OrganizationMember.create({ userId: new mongoose.Types.ObjectId(), organizationId, role: 'owner' });
+      expect(await PermissionService.getLastAdminError(organizationId, admin)).toBeNull();
+      expect(await PermissionService.getLastAdminError(organizationId, owner, 'reviewer')).toBeNull();
+    });
+
+    it('should count members and pending invitations using a role', async () => {
+      await OrganizationMember.create({ userId, organizationId, role: 'reviewer' });
+      await Invitation.create({
+        organizationId,
+        email: 'new@example.com',
+        role: 'reviewer',
+        invitedBy: userId,
+        tokenHash: 'hash',
+        expiresAt: new Date(Date.now() + 60000)
+      });
+
+      expect(await PermissionService.countRoleUsage(organizationId, 'reviewer')).toEqual({ members: 1, invitations: 1 });
+    });
+  });
+});
@@ -0,0 +1,155 @@
+const RateLimitService = require('../services/rateLimitService');
+const rateLimitMiddleware = require('../middleware/rateLimitMiddleware');
+const MemoryStore = require('../rateLimitStores/MemoryStore');
+const RedisStore = require('../rateLimitStores/RedisStore');
+const { setRateLimitStore } = require('../rateLimitStores');
+const { getRateLimit } = require('../config/rateLimitConfig');
+
+describe('Rate Limit Service', () => {
+  let store;
+
+  beforeEach(() => {
+    store = new MemoryStore();
+    setRateLimitStore('memory', store);
+  });
+
+  afterEach(() => {
+    store.close();
+    setRateLimitStore('memory', null);
+  });
+
+  describe('Counters', () => {
+    it('should allow requests up to the limit within a window', async () => {
+      const limit = { max: 2, windowMs: 60000 };
+
+      expect(await RateLimitService.consume('test:ip:1', limit)).toMatchObject({ allowed: true, remaining: 1 });
+      expect(await RateLimitService.consume('test:ip:1', limit)).toMatchObject({ allowed: true, remaining: 0 });
+      expect(await RateLimitService.consume('test:ip:1', limit)).toMatchObject({ allowed: false, remaining: 0 });
+      expect(await RateLimitService.consume('test:ip:2', limit)).toMatchObject({ allowed: true });
+    });
+
+    it('should start a new window once the old one expires', async () => {
+      await store.increment('key', 1);
+      await new Promise(resolve => setTimeout(resolve, 5));
+
+      expect((await store.increment('key', 60000)).count).toBe(1);
+      store.sweep(Date.now() + 120000);
+      expect(await store.get('key')).toBeNull();
+    });
+
+    it('should let requests through when the store fails', async () => {
+      setRateLimitStore('memory', { increment: async () => { throw new Error('down'); } });
+
+      expect(await RateLimitService.consume('test:ip:1', { max: 1, windowMs: 1000 }))
+        .toMatchObject({ allowed: true });
+    });
+
+    it('should read limits with environment overrides', () => {
+      process.env.RATE_LIMIT_UPLOAD_MAX = '3';
+      process.env.RATE_LIMIT_UPLOAD_WINDOW_SECONDS = '30';
+      try {
+        expect(getRateLimit('upload')).toEqual({ max: 3, windowMs: 30000 });
+      } finally {
+        delete process.env.RATE_LIMIT_UPLOAD_MAX;
+        delete process.env.RATE_LIMIT_UPLOAD_WINDOW_SECONDS;
+      }
+      expect(() => getRateLimit('unknown')).toThrow('Unknown rate limit');
+    });
+  });
+
+  describe('Login lockout', () => {
+    it('should lock an account after repeated failures, longer each time', async () => {
+      const accountKey = RateLimitService.getAccountKey(null, ' Member@Example.com ');
+      expect(accountKey).toBe('identifier:member@example.com');
+
+      for (let i = 0; i < 4; i++) {
+        expect(await RateLimitService.recordLoginFailure(accountKey)).toBeNull();
+      }
+      const first = await RateLimitService.recordLoginFailure(accountKey);
+      expect(first.retryAfter).toBe(60);
+      expect(await RateLimitService.getLoginLockout(accountKey)).not.toBeNull();
+
+      await store.reset(`login-lock:${accountKey}`);
+      const second = await RateLimitService.recordLoginFailure(accountKey);
+      expect(second.retryAfter).toBe(120);
+      expect(RateLimitService.getLockoutMessage(second)).toBe('Too many failed login attempts. Try again in 2 minutes');
+    });
+
+    it('should forget failures after a successful login', async () => {
+      const accountKey = RateLimitService.getAccountKey({ _id: 'abc' });
+
+      for (let i = 0; i < 4; i++) {
+        await RateLimitService.recordLoginFailure(accountKey);
+      }
+      await RateLimitService.clearLoginFailures(accountKey);
+
+      expect(await RateLimitService.recordLoginFailure(accountKey)).toBeNull();
+    });
+  });
+
+  describe('Middleware', () => {
+    const createResponse = () => {
+      const res = { headers: {} };
+      res.set = jest.fn((name, value) => {
+        Object.assign(res.headers, typeof name === 'object' ? name : { [name]: value });
+        return res;
+      });
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    it('should send RateLimit headers and 429 once the limit is used up', async () => {
+      process.env.RATE_LIMIT_PUBLIC_MAX = '1';
+      try {
+        const middleware = rateLimitMiddleware('public');
+        const next = jest.fn();
+
+        const first = createResponse();
+        await middleware({ ip: '10.0.0.1' }, first, next);
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(first.headers).toMatchObject({ 'RateLimit-Limit': '1', 'RateLimit-Remaining': '0', 'RateLimit-Policy': '1;w=60' });
+
+        const second = createResponse();
+        await middleware({ ip: '10.0.0.1' }, second, next);
+        expect(next).toHaveBeenCalledTimes(1);
+        expect(second.status).toHaveBeenCalledWith(429);
+        expect(Number(second.headers['Retry-After'])).toBeGreaterThan(0);
+      } finally {
+        delete process.env.RATE_LIMIT_PUBLIC_MAX;
+      }
+    });
+
+    it('should count per user when limiting by user', async () => {
+      const middleware = rateLimitMiddleware('upload', { by: 'user' });
+      const next = jest.fn();
+
+      await middleware({ ip: '10.0.0.1', userId: 'user-1' }, createResponse(), next);
+      await middleware({ ip: '10.0.0.1', userId: 'user-2' }, createResponse(), next);
+
+      expect((await store.get('upload:user:user-1')).count).toBe(1);
+      expect((await store.get('upload:user:user-2')).count).toBe(1);
+    });
+  });
+
+  describe('Redis store', () => {
+    it('should count with one atomic script call per hit', async () => {
+      const client = {
+        eval: jest.fn(async () => [3, 45000]),
+        get: jest.fn(async () => '3'),
+        pttl: jest.fn(async () => 45000),
+        del: jest.fn(async () => 1)
+      };
+      const redisStore = new RedisStore({ client });
+
+      const { count, resetAt } = await redisStore.increment('login:ip:1', 60000);
+
+      expect(count).toBe(3);
+      expect(resetAt.getTime()).toBeGreaterThan(Date.now() + 40000);
+      expect(client.eval).toHaveBeenCalledWith(expect.stringContaining('INCR'), 1, 'ratelimit:login:ip:1', 60000);
+      expect((await redisStore.get('login:ip:1')).count).toBe(3);
+      await redisStore.reset('login:ip:1');
+      expect(client.del).toHaveBeenCalledWith('ratelimit:login:ip:1');
+    });
+  });
+});
@@ -1,10 +1,17 @@
 const mongoose = require('mongoose');
 const { MongoMemoryServer } = require('mongodb-memory-server');
-const { rbacMiddleware } = require('../middleware/rbacMiddleware');
+const { requirePermission, organizationMiddleware } = require('../middleware/rbacMiddleware');
 const User = require('../models/User');
 const Organization = require('../models/Organization');
 const OrganizationMember = require('../models/OrganizationMember');
 
+// Guards of routes open to any member, to editors (video:upload) and to admins (org:settings)
+const guardFor = (level) => ({
+  viewer: organizationMiddleware,
+  editor: requirePermission('video:upload'),
+  admin: requirePermission('org:settings')
+})[level];
+
 let mongoServer;
 
 beforeAll(async () => {
@@ -98,7 +105,7 @@ describe('Role Hierarchy Validation', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('editor'); // Requiring editor role
+    const middleware = guardFor('editor'); // Requiring editor role
     await middleware(req, res, next);
 
     // Admin should pass because admin > editor
@@ -116,7 +123,7 @@ describe('Role Hierarchy Validation', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('editor'); // Requiring editor role
+    const middleware = guardFor('editor'); // Requiring editor role
     await middleware(req, res, next);
 
     expect(next).toHaveBeenCalled();
@@ -133,7 +140,7 @@ describe('Role Hierarchy Validation', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('viewer'); // Requiring viewer role
+    const middleware = guardFor('viewer'); // Requiring viewer role
     await middleware(req, res, next);
 
     expect(next).toHaveBeenCalled();
@@ -150,7 +157,7 @@ describe('Role Hierarchy Validation', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('editor'); // Requiring editor role
+    const middleware = guardFor('editor'); // Requiring editor role
     await middleware(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(403);
@@ -169,7 +176,7 @@ describe('Role Hierarchy Validation', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('admin'); // Requiring admin role
+    const middleware = guardFor('admin'); // Requiring admin role
     await middleware(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(403);
@@ -187,7 +194,7 @@ describe('Role Hierarchy Validation', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('editor');
+    const middleware = guardFor('editor');
     await middleware(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(403);
@@ -255,7 +262,7 @@ describe('Organization Isolation', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('viewer');
+    const middleware = guardFor('viewer');
     await middleware(req, res, next);
 
     expect(next).toHaveBeenCalled();
@@ -272,7 +279,7 @@ describe('Organization Isolation', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('viewer');
+    const middleware = guardFor('viewer');
     await middleware(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(403);
@@ -299,7 +306,7 @@ describe('Organization Isolation', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('editor');
+    const middleware = guardFor('editor');
     await middleware(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(403);
@@ -317,7 +324,7 @@ describe('Organization Isolation', () => {
     };
     const next1 = jest.fn();
 
-    const middleware1 = rbacMiddleware('admin');
+    const middleware1 = guardFor('admin');
     await middleware1(req1, res1, next1);
     expect(next1).toHaveBeenCalled();
 
@@ -340,7 +347,7 @@ describe('Organization Isolation', () => {
     };
     const next2 = jest.fn();
 
-    const middleware2 = rbacMiddleware('viewer');
+    const middleware2 = guardFor('viewer');
     await middleware2(req2, res2, next2);
     expect(next2).toHaveBeenCalled();
   });
@@ -382,7 +389,7 @@ describe('Authentication Checks', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('viewer');
+    const middleware = guardFor('viewer');
     await middleware(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(401);
@@ -399,7 +406,7 @@ describe('Authentication Checks', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('viewer');
+    const middleware = guardFor('viewer');
     await middleware(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(401);
@@ -416,7 +423,7 @@ describe('Authentication Checks', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('viewer');
+    const middleware = guardFor('viewer');
     await middleware(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(401);
@@ -433,7 +440,7 @@ describe('Authentication Checks', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('viewer');
+    const middleware = guardFor('viewer');
     await middleware(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(401);
@@ -457,7 +464,7 @@ describe('Authentication Checks', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('viewer');
+    const middleware = guardFor('viewer');
     await middleware(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(403);
@@ -529,7 +536,7 @@ describe('Role Hierarchy System', () => {
       };
       const next = jest.fn();
 
-      const middleware = rbacMiddleware(role);
+      const middleware = guardFor(role);
       await middleware(req, res, next);
       expect(next).toHaveBeenCalled();
     }
@@ -546,7 +553,7 @@ describe('Role Hierarchy System', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('viewer');
+    const middleware = guardFor('viewer');
     await middleware(req, res, next);
 
     expect(req.userRole).toBe('editor');
@@ -563,7 +570,7 @@ describe('Role Hierarchy System', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('viewer');
+    const middleware = guardFor('viewer');
     await middleware(req, res, next);
 
     expect(req.membership).toBeDefined();
@@ -582,7 +589,7 @@ describe('Role Hierarchy System', () => {
     const next = jest.fn();
 
     // Viewer trying to access admin endpoint
-    const middleware = rbacMiddleware('admin');
+    const middleware = guardFor('admin');
     await middleware(req, res, next);
 
     expect(res.status).toHaveBeenCalledWith(403);
@@ -625,7 +632,7 @@ describe('Error Messages', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('editor');
+    const middleware = guardFor('editor');
     await middleware(req, res, next);
 
     expect(res.json).toHaveBeenCalledWith(
@@ -635,7 +642,7 @@ describe('Error Messages', () => {
     );
   });
 
-  it('should indicate required role in error message', async () => {
+  it('should indicate required permission in error message', async () => {
     const req = {
       userId: user._id,
       organizationId: org._id
@@ -646,17 +653,17 @@ describe('Error Messages', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('admin');
+    const middleware = guardFor('admin');
     await middleware(req, res, next);
 
     expect(res.json).toHaveBeenCalledWith(
       expect.objectContaining({
-        error: expect.stringContaining('admin')
+        error: expect.stringContaining('org:settings')
       })
     );
   });
 
-  it('should indicate user role in error message', async () => {
+  it('should list the missing permissions', async () => {
     const req = {
       userId: user._id,
       organizationId: org._id
@@ -667,12 +674,12 @@ describe('Error Messages', () => {
     };
     const next = jest.fn();
 
-    const middleware = rbacMiddleware('editor');
+    const middleware = guardFor('editor');
     await middleware(req, res, next);
 
     expect(res.json).toHaveBeenCalledWith(
       expect.objectContaining({
-        error: expect.stringContaining('viewer')
+        required: ['video:upload']
       })
     );
   });
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const bcrypt = require('bcryptjs');
+const ShareLinkService = require('../services/shareLinkService');
+const MediaTokenService = require('../services/mediaTokenService');
+const ShareLink = require('../models/ShareLink');
+const Organization = require('../models/Organization');
+
+describe('Share Link Service', () => {
+  const organization = { status: 'active', settings: { allowPublicSharing: true } };
+  const video = { _id: new mongoose.Types.ObjectId(), status: 'safe' };
+
+  const link = (fields = {}) => ({ revokedAt: null, expiresAt: null, maxViews: null, viewCount: 0, ...fields });
+
+  describe('Input', () => {
+    it('should accept links without options and check each option', () => {
+      expect(ShareLinkService.validateInput({})).toBeNull();
+      expect(ShareLinkService.validateInput({
+        label: 'Press',
+        password: 'secret',
+        expiresAt: new Date(Date.now() + 60000).toISOString(),
+        maxViews: 10,
+        allowDownload: true
+      })).toBeNull();
+
+      expect(ShareLinkService.validateInput({ password: 'abc' })).toBe('Password must be 4-100 characters');
+      expect(ShareLinkService.validateInput({ expiresAt: 'soon' })).toBe('expiresAt must be a date');
+      expect(ShareLinkService.validateInput({ expiresAt: new Date(Date.now() - 1000) })).toBe('expiresAt must be in the future');
+      expect(ShareLinkService.validateInput({ maxViews: 0 })).toMatch('maxViews must be a whole number');
+      expect(ShareLinkService.validateInput({ maxViews: 2.5 })).toMatch('maxViews must be a whole number');
+      expect(ShareLinkService.validateInput({ allowDownload: 'yes' })).toBe('allowDownload must be a boolean');
+    });
+  });
+
+  describe('Opening links', () => {
+    it('should report why a link no longer works', () => {
+      expect(ShareLinkService.getStatus(link())).toBe('active');
+      expect(ShareLinkService.getStatus(link({ revokedAt: new Date() }))).toBe('revoked');
+      expect(ShareLinkService.getStatus(link({ expiresAt: new Date(Date.now() - 1000) }))).toBe('expired');
+      expect(ShareLinkService.getStatus(link({ maxViews: 3, viewCount: 3 }))).toBe('used_up');
+
+      expect(ShareLinkService.getAccessBlocker(link(), organization, video)).toBeNull();
+      expect(ShareLinkService.getAccessBlocker(link({ revokedAt: new Date() }), organization, video)).toMatchObject({ status: 410 });
+      expect(ShareLinkService.getAccessBlocker(link(), organization, null)).toMatchObject({ status: 404 });
+      expect(ShareLinkService.getAccessBlocker(link(), organization, { ...video, status: 'flagged' })).toMatchObject({ status: 403 });
+    });
+
+    it('should stop every link when the organization turns public sharing off', () => {
+      const disabled = { status: 'active', settings: { allowPublicSharing: false } };
+
+      expect(ShareLinkService.isSharingAllowed(organization)).toBe(true);
+      expect(ShareLinkService.isSharingAllowed({ status: 'suspended', settings: {} })).toBe(false);
+      expect(ShareLinkService.getAccessBlocker(link(), disabled, video))
+        .toEqual({ status: 403, error: 'Public sharing is disabled for this organization' });
+    });
+
+    it('should check the password of protected links', async () => {
+      const passwordHash = await bcrypt.hash('secret', 4);
+
+      expect(await ShareLinkService.checkPassword(link({ passwordHash: null }), undefined)).toBe(true);
+      expect(await ShareLinkService.checkPassword(link({ passwordHash }), 'secret')).toBe(true);
+      expect(await ShareLinkService.checkPassword(link({ passwordHash }), 'wrong')).toBe(false);
+      expect(await ShareLinkService.checkPassword(link({ passwordHash }), undefined)).toBe(false);
+    });
+
+    it('should only let media tokens of downloadable links download', () => {
+      const token = MediaTokenService.create('video1', { download: true });
+
+      expect(MediaTokenService.decode(token, 'video1').download).toBe(true);
+      expect(MediaTokenService.decode(MediaTokenService.create('video1'), 'video1').download).toBeUndefined();
+      expect(MediaTokenService.decode(token, 'video2')).toBeNull();
+    });
+
+    it('should keep media tokens working after the last view was counted', () => {
+      const token = MediaTokenService.create('video1', { shareLinkId: 'link1' });
+      const usedUp = link({ maxViews: 3, viewCount: 3 });
+
+      expect(MediaTokenService.decode(token, 'video1').shareLinkId).toBe('link1');
+      expect(ShareLinkService.getAccessBlocker(usedUp, organization, video)).toMatchObject({ status: 410 });
+      expect(ShareLinkService.getAccessBlocker(usedUp, organization, video, { checkViewLimit: false })).toBeNull();
+    });
+  });
+
+  describe('with a database', () => {
+    let mongoServer;
+
+    beforeAll(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri(), {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+    }, 30000);
+
+    afterAll(async () => {
+      await mongoose.disconnect();
+      if (mongoServer) {
+        await mongoServer.stop();
+      }
+    });
+
+    beforeEach(async () => {
+      await ShareLink.deleteMany({});
+      await Organization.deleteMany({});
+    });
+
+    const sharedVideo = { _id: video._id, organizationId: new mongoose.Types.ObjectId() };
+    const userId = new mongoose.Types.ObjectId();
+
+    it('should find links by their token without storing it', async () => {
+      const { shareLink, token } = await ShareLinkService.create(sharedVideo, { password: 'secret' }, userId);
+
+      expect(shareLink.tokenHash).not.toBe(token);
+      expect(shareLink.toJSON()).toMatchObject({ hasPassword: true });
+      expect(shareLink.toJSON().passwordHash).toBeUndefined();
+      expect((await ShareLinkService.findByToken(token))._id).toEqual(shareLink._id);
+      expect(await ShareLinkService.findByToken('unknown')).toBeNull();
+    });
+
+    it('should not count views beyond the limit, even concurrently', async () => {
+      const { shareLink } = await ShareLinkService.create(sharedVideo, { maxViews: 2 }, userId);
+
+      const results = await Promise.all([1, 2, 3].map(() => ShareLinkService.recordView(shareLink)));
+      expect(results.filter(Boolean).length).toBe(2);
+      expect((await ShareLink.findById(shareLink._id)).viewCount).toBe(2);
+    });
+
+    it('should revoke a link once', async () => {
+      const { shareLink } = await ShareLinkService.create(sharedVideo, {}, userId);
+
+      const revoked = await ShareLinkService.revoke(sharedVideo._id, shareLink._id, userId);
+      expect(ShareLinkService.getStatus(revoked)).toBe('revoked');
+      expect(await ShareLinkService.revoke(sharedVideo._id, shareLink._id, userId)).toBeNull();
+      expect(await ShareLinkService.recordView(shareLink)).toBeNull();
+    });
+
+    it('should stop media tokens of links that no longer work', async () => {
+      const org = await Organization.create({ name: 'Share Org', slug: 'share-org' });
+      const orgVideo = { ...sharedVideo, organizationId: org._id, status: 'safe' };
+      const { shareLink } = await ShareLinkService.create(orgVideo, {}, userId);
+
+      expect(await ShareLinkService.getMediaAccessBlocker(shareLink._id, orgVideo)).toBeNull();
+      expect(await ShareLinkService.getMediaAccessBlocker(shareLink._id, { ...orgVideo, status: 'flagged' }))
+        .toMatchObject({ status: 403 });
+      expect(await ShareLinkService.getMediaAccessBlocker(shareLink._id, { ...orgVideo, _id: new mongoose.Types.ObjectId() }))
+        .toMatchObject({ status: 404 });
+
+      await Organization.updateOne({ _id: org._id }, { 'settings.allowPublicSharing': false });
+      expect(await ShareLinkService.getMediaAccessBlocker(shareLink._id, orgVideo))
+        .toEqual({ status: 403, error: 'Public sharing is disabled for this organization' });
+
+      await Organization.updateOne({ _id: org._id }, { 'settings.allowPublicSharing': true });
+      await ShareLinkService.revoke(orgVideo._id, shareLink._id, userId);
+      expect(await ShareLinkService.getMediaAccessBlocker(shareLink._id, orgVideo)).toMatchObject({ status: 410 });
+    });
+  });
+});
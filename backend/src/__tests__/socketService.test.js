@@ -0,0 +1,135 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const SocketService = require('../services/socketService');
+const TokenService = require('../services/tokenService');
+const OrganizationMember = require('../models/OrganizationMember');
+
+describe('Socket Service', () => {
+  const organizationId = new mongoose.Types.ObjectId().toString();
+  const userId = new mongoose.Types.ObjectId().toString();
+
+  const sign = (payload) => jwt.sign(payload, process.env.JWT_SECRET || 'secret', { expiresIn: '15m' });
+
+  const createSocket = ({ auth = {}, rooms = [] } = {}) => {
+    const socket = {
+      handshake: { auth, headers: {} },
+      data: { userId, sessionId: 's1' },
+      rooms: new Set(rooms)
+    };
+    socket.join = jest.fn(names => [].concat(names).forEach(name => socket.rooms.add(name)));
+    socket.leave = jest.fn(name => socket.rooms.delete(name));
+    return socket;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Handshake', () => {
+    it('should refuse sockets without a valid access token', async () => {
+      const next = jest.fn();
+
+      await SocketService.authenticate(createSocket(), next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Authentication required' }));
+
+      await SocketService.authenticate(createSocket({ auth: { token: 'not-a-jwt' } }), next);
+      expect(next).toHaveBeenLastCalledWith(expect.objectContaining({ message: 'Invalid or expired token' }));
+    });
+
+    it('should refuse tokens of ended sessions and accept active ones', async () => {
+      const token = sign({ userId, organizationId, sessionId: 's1' });
+      const next = jest.fn();
+
+      jest.spyOn(TokenService, 'isSessionActive').mockResolvedValue(false);
+      await SocketService.authenticate(createSocket({ auth: { token } }), next);
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ message: 'Session has ended. Please login again' }));
+
+      TokenService.isSessionActive.mockResolvedValue(true);
+      const socket = createSocket({ auth: { token } });
+      socket.data = {};
+      await SocketService.authenticate(socket, next);
+      expect(next).toHaveBeenLastCalledWith();
+      expect(socket.data).toEqual({ userId, sessionId: 's1' });
+    });
+  });
+
+  describe('Organization rooms', () => {
+    it('should only let members join, in the rooms of their role', async () => {
+      jest.spyOn(TokenService, 'isSessionActive').mockResolvedValue(true);
+      const findMembership = jest.spyOn(OrganizationMember, 'findOne').mockResolvedValue(null);
+
+      const outsider = createSocket();
+      expect(await SocketService.joinOrganization(outsider, organizationId))
+        .toEqual({ ok: false, error: 'Not a member of this organization' });
+      expect(outsider.rooms.size).toBe(0);
+
+      findMembership.mockResolvedValue({ role: 'moderator' });
+      const moderator = createSocket();
+      expect(await SocketService.joinOrganization(moderator, organizationId)).toEqual({ ok: true });
+      expect([...moderator.rooms]).toEqual([
+        `org-${organizationId}`,
+        `org-${organizationId}-role-moderator`,
+        `org-${organizationId}-all-videos`
+      ]);
+
+      expect(await SocketService.joinOrganization(createSocket(), 'not-an-id')).toMatchObject({ ok: false });
+    });
+
+    it('should evict sockets of removed members', async () => {
+      jest.spyOn(OrganizationMember, 'exists').mockResolvedValue(null);
+      const socket = createSocket({
+        rooms: [`user-${userId}`, `org-${organizationId}`, `org-${organizationId}-role-viewer`]
+      });
+      const emit = jest.fn();
+      const io = {
+        in: jest.fn(() => ({ fetchSockets: async () => [socket] })),
+        to: jest.fn(() => ({ emit }))
+      };
+
+      await SocketService.syncMembership(io, userId, organizationId);
+
+      expect([...socket.rooms]).toEqual([`user-${userId}`]);
+      expect(io.to).toHaveBeenCalledWith(`user-${userId}`);
+      expect(emit).toHaveBeenCalledWith('organization-access-revoked', { organizationId });
+    });
+  });
+
+  describe('Ended sessions', () => {
+    it('should close the sockets of a user, or of all but the current session', () => {
+      const disconnectSockets = jest.fn();
+      const except = jest.fn(() => ({ disconnectSockets }));
+      const io = { in: jest.fn(() => ({ disconnectSockets, except })) };
+
+      SocketService.disconnectUser(io, userId);
+      expect(io.in).toHaveBeenCalledWith(`user-${userId}`);
+      expect(except).not.toHaveBeenCalled();
+
+      SocketService.disconnectUser(io, userId, { exceptSessionId: 's1' });
+      expect(except).toHaveBeenCalledWith('session-s1');
+      expect(disconnectSockets).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Video events', () => {
+    const video = (visibility, extra = {}) => ({ organizationId, userId, visibility, ...extra });
+
+    it('should send events about organization-wide videos to the organization room', () => {
+      expect(SocketService.getVideoRooms(video('organization'))).toEqual([`org-${organizationId}`, `user-${userId}`]);
+      expect(SocketService.getVideoRooms({ organizationId, userId, isPublic: false })).toContain(`org-${organizationId}`);
+    });
+
+    it('should send events about private and restricted videos only to who can watch them', () => {
+      const memberId = new mongoose.Types.ObjectId();
+
+      expect(SocketService.getVideoRooms(video('private', { allowedUsers: [memberId] })))
+        .toEqual([`org-${organizationId}-all-videos`, `user-${userId}`]);
+      expect(SocketService.getVideoRooms(video('restricted', { allowedUsers: [memberId], allowedRoles: ['editor'] })))
+        .toEqual([
+          `org-${organizationId}-all-videos`,
+          `user-${userId}`,
+          `user-${memberId}`,
+          `org-${organizationId}-role-editor`
+        ]);
+    });
+  });
+});
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable, PassThrough } = require('stream');
+const LocalStorageDriver = require('../storage/LocalStorageDriver');
+const StorageDriverEngine = require('../storage/multerStorageEngine');
+const VideoStreamingService = require('../services/videoStreamingService');
+const { getVideoStorageKey } = require('../storage');
+
+const readAll = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+let rootDir;
+let storage;
+
+beforeEach(() => {
+  rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  storage = new LocalStorageDriver({ rootDir, signingSecret: 'test-secret' });
+});
+
+afterEach(() => {
+  fs.rmSync(rootDir, { recursive: true, force: true });
+});
+
+describe('Local Storage Driver', () => {
+  it('should put and read back objects from buffers and streams', async () => {
+    await storage.put('videos/org1/a.mp4', Buffer.from('hello world'));
+    await storage.put('videos/org1/b.mp4', Readable.from([Buffer.from('from '), Buffer.from('stream')]));
+
+    expect((await readAll(await storage.getStream('videos/org1/a.mp4'))).toString()).toBe('hello world');
+    expect((await readAll(await storage.getStream('videos/org1/b.mp4'))).toString()).toBe('from stream');
+  });
+
+  it('should read inclusive byte ranges', async () => {
+    await storage.put('videos/range.mp4', Buffer.from('0123456789'));
+
+    const data = await readAll(await storage.getStream('videos/range.mp4', { start: 2, end: 5 }));
+    expect(data.toString()).toBe('2345');
+  });
+
+  it('should report stats and null for missing objects', async () => {
+    await storage.put('thumbs/poster.jpg', Buffer.alloc(42));
+
+    const stats = await storage.stat('thumbs/poster.jpg');
+    expect(stats.size).toBe(42);
+    expect(stats.contentType).toBe('image/jpeg');
+    expect(await storage.stat('thumbs/missing.jpg')).toBeNull();
+  });
+
+  it('should delete objects and tolerate missing ones', async () => {
+    await storage.put('videos/delete-me.mp4', Buffer.from('x'));
+    await storage.delete('videos/delete-me.mp4');
+    await storage.delete('videos/delete-me.mp4');
+
+    expect(await storage.stat('videos/delete-me.mp4')).toBeNull();
+  });
+
+  it('should delete everything under a prefix only', async () => {
+    await storage.put('videos/org1/v1/thumbnail.jpg', Buffer.from('x'));
+    await storage.put('videos/org1/v1/storyboard.jpg', Buffer.from('x'));
+    await storage.put('videos/org1/v10/thumbnail.jpg', Buffer.from('x'));
+
+    await storage.deletePrefix('videos/org1/v1');
+    await storage.deletePrefix('videos/org1/missing');
+
+    expect(await storage.stat('videos/org1/v1/thumbnail.jpg')).toBeNull();
+    expect(await storage.stat('videos/org1/v1/storyboard.jpg')).toBeNull();
+    expect(await storage.stat('videos/org1/v10/thumbnail.jpg')).not.toBeNull();
+  });
+
+  it('should reject keys escaping the root directory', async () => {
+    await expect(storage.put('../outside.mp4', Buffer.from('x'))).rejects.toThrow('Invalid storage key');
+    expect(() => storage.resolvePath('videos/../../etc/passwd')).toThrow('Invalid storage key');
+  });
+
+  it('should create signed URLs that verify until they expire', async () => {
+    const url = new URL(await storage.getSignedUrl('videos/a b.mp4', { expiresIn: 60 }), 'http://localhost');
+    const expires = url.searchParams.get('expires');
+    const signature = url.searchParams.get('signature');
+
+    expect(url.pathname).toBe('/api/storage/videos/a%20b.mp4');
+    expect(storage.verifySignature('videos/a b.mp4', expires, signature)).toBe(true);
+    expect(storage.verifySignature('videos/other.mp4', expires, signature)).toBe(false);
+    expect(storage.verifySignature('videos/a b.mp4', Math.floor(Date.now() / 1000) - 1, signature)).toBe(false);
+  });
+
+  it('should pass the on-disk path to withLocalFile', async () => {
+    await storage.put('videos/local.mp4', Buffer.from('data'));
+
+    const content = await storage.withLocalFile('videos/local.mp4', (filePath) => fs.readFileSync(filePath, 'utf8'));
+    expect(content).toBe('data');
+  });
+});
+
+describe('Multer Storage Engine', () => {
+  it('should stream uploads into the storage driver', (done) => {
+    const engine = new StorageDriverEngine({ getStorage: () => storage, keyPrefix: 'videos' });
+    const file = {
+      originalname: 'Clip.MP4',
+      mimetype: 'video/mp4',
+      stream: Readable.from([Buffer.alloc(1500, 7)])
+    };
+
+    engine._handleFile({ organizationId: 'org1' }, file, async (err, info) => {
+      expect(err).toBeNull();
+      expect(info.storageProvider).toBe('local');
+      expect(info.size).toBe(1500);
+      expect(info.storageKey).toMatch(/^videos\/org1\/\d+-[a-f0-9]+\.mp4$/);
+      expect((await storage.stat(info.storageKey)).size).toBe(1500);
+      done();
+    });
+  });
+});
+
+describe('Streaming From Storage', () => {
+  const createResponse = () => {
+    const res = new PassThrough();
+    res.headers = {};
+    res.statusCode = 200;
+    res.header = jest.fn((key, value) => { res.headers[key] = value; return res; });
+    res.status = jest.fn((code) => { res.statusCode = code; return res; });
+    res.json = jest.fn();
+    return res;
+  };
+
+  it('should serve ranges through the driver', async () => {
+    await storage.put('videos/clip.webm', Buffer.from('abcdefghij'));
+    const res = createResponse();
+
+    await VideoStreamingService.streamFromStorage({ headers: { range: 'bytes=3-6' } }, res, storage, 'videos/clip.webm');
+    const body = await readAll(res);
+
+    expect(res.statusCode).toBe(206);
+    expect(res.headers['Content-Range']).toBe('bytes 3-6/10');
+    expect(res.headers['Content-Type']).toBe('video/webm');
+    expect(body.toString()).toBe('defg');
+  });
+
+  it('should respond 404 for missing objects', async () => {
+    const res = createResponse();
+    await VideoStreamingService.streamFromStorage({ headers: {} }, res, storage, 'videos/missing.mp4');
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('Video Storage Keys', () => {
+  it('should prefer the stored key', () => {
+    expect(getVideoStorageKey({ storageKey: 'videos/x.mp4', cloudinaryPublicId: 'legacy' })).toBe('videos/x.mp4');
+  });
+
+  it('should derive keys for legacy Cloudinary uploads', () => {
+    const video = {
+      cloudinaryPublicId: 'video_platform/videos/abc',
+      filepath: 'https://res.cloudinary.com/demo/video/upload/v1/video_platform/videos/abc.webm'
+    };
+    expect(getVideoStorageKey(video)).toBe('video_platform/videos/abc.webm');
+  });
+});
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const TagService = require('../services/tagService');
+const Tag = require('../models/Tag');
+const Video = require('../models/Video');
+
+describe('Tag Service', () => {
+  describe('Names', () => {
+    it('should normalize names and drop duplicates', () => {
+      expect(TagService.normalize('  Product   Demo ')).toBe('product demo');
+      expect(TagService.parseList('Onboarding, onboarding ,, HR')).toEqual(['onboarding', 'hr']);
+      expect(TagService.parseList(['a', 'B'])).toEqual(['a', 'b']);
+      expect(TagService.parseList(undefined)).toEqual([]);
+    });
+
+    it('should check the tags of a video', () => {
+      expect(TagService.parseTags(undefined)).toEqual({ tags: [] });
+      expect(TagService.parseTags('Sales, Q3')).toEqual({ tags: ['sales', 'q3'] });
+      expect(TagService.parseTags(['Sales', 'sales'])).toEqual({ tags: ['sales'] });
+      expect(TagService.parseTags([1, 2])).toEqual({ error: 'Tags must be a list of names' });
+      expect(TagService.parseTags({ $ne: null })).toEqual({ error: 'Tags must be a list of names' });
+      expect(TagService.parseTags(['a,b'])).toEqual({ error: 'Tags cannot contain commas' });
+      expect(TagService.parseTags(['x'.repeat(41)]).error).toMatch(/at most 40 characters/);
+      expect(TagService.parseTags(Array.from({ length: 21 }, (_, i) => `tag ${i}`)).error).toMatch(/at most 20 tags/);
+    });
+
+    it('should tell which counts change with an edit', () => {
+      expect(TagService.getChangedNames(['a', 'b'], ['b', 'c'])).toEqual(['a', 'c']);
+      expect(TagService.getChangedNames(['a'], ['a'])).toEqual([]);
+    });
+  });
+
+  describe('with a database', () => {
+    let mongoServer;
+    const organizationId = new mongoose.Types.ObjectId();
+    const otherOrganizationId = new mongoose.Types.ObjectId();
+
+    const createVideo = (tags, orgId = organizationId) => Video.create({
+      title: `Video ${tags.join(' ')}`,
+      filename: 'video.mp4',
+      filepath: 'videos/video.mp4',
+      size: 1024,
+      userId: new mongoose.Types.ObjectId(),
+      organizationId: orgId,
+      tags
+    });
+
+    beforeAll(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri(), {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+    }, 30000);
+
+    afterAll(async () => {
+      await mongoose.disconnect();
+      if (mongoServer) {
+        await mongoServer.stop();
+      }
+    });
+
+    beforeEach(async () => {
+      await Promise.all([Video.deleteMany({}), Tag.deleteMany({})]);
+      await createVideo(['sales', 'q3']);
+      await createVideo(['sales']);
+      await createVideo(['sales'], otherOrganizationId);
+      await TagService.syncCounts(organizationId, ['sales', 'q3']);
+    });
+
+    it('should count the videos of each tag within the organization', async () => {
+      const page = await TagService.listTags(organizationId, TagService.parseListParams({}));
+      expect(page.items.map(({ name, usageCount }) => ({ name, usageCount }))).toEqual([
+        { name: 'sales', usageCount: 2 },
+        { name: 'q3', usageCount: 1 }
+      ]);
+
+      expect(await TagService.autocomplete(organizationId, 'Q')).toEqual([{ name: 'q3', usageCount: 1 }]);
+    });
+
+    it('should rename tags, refusing names in use', async () => {
+      expect(await TagService.renameTag(organizationId, 'q3', 'Sales'))
+        .toEqual({ status: 409, error: 'Tag "sales" already exists. Merge the tags instead' });
+
+      const result = await TagService.renameTag(organizationId, 'q3', 'Q3 2026');
+      expect(result.videoCount).toBe(1);
+      expect(result.tag.name).toBe('q3 2026');
+      expect(await Tag.exists({ organizationId, name: 'q3' })).toBeNull();
+    });
+
+    it('should merge tags without duplicating them on a video', async () => {
+      const result = await TagService.mergeTags(organizationId, ['q3'], 'sales');
+      expect(result.tag.usageCount).toBe(2);
+
+      const videos = await Video.find({ organizationId });
+      expect(videos.map(video => [...video.tags])).toEqual([['sales'], ['sales']]);
+    });
+
+    it('should delete a tag from the videos of the organization only', async () => {
+      expect(await TagService.deleteTag(organizationId, 'sales')).toBe(2);
+      expect(await TagService.deleteTag(organizationId, 'sales')).toBeNull();
+      expect(await Video.countDocuments({ tags: 'sales' })).toBe(1);
+    });
+  });
+});
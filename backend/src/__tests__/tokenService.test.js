@@ -0,0 +1,150 @@
+const mongoose = require('mongoose');
+const jwt = require('jsonwebtoken');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const TokenService = require('../services/tokenService');
+const SocketService = require('../services/socketService');
+const authMiddleware = require('../middleware/authMiddleware');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const OrganizationMember = require('../models/OrganizationMember');
+
+describe('Token Service', () => {
+  describe('Auth middleware', () => {
+    const createRes = () => {
+      const res = {};
+      res.status = jest.fn(() => res);
+      res.json = jest.fn(() => res);
+      return res;
+    };
+
+    const sign = (payload) => jwt.sign(payload, process.env.JWT_SECRET || 'secret', { expiresIn: '15m' });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should accept access tokens of active sessions', async () => {
+      jest.spyOn(TokenService, 'isSessionActive').mockResolvedValue(true);
+      const req = { headers: { authorization: `Bearer ${sign({ userId: 'u1', organizationId: 'o1', sessionId: 's1' })}` } };
+      const next = jest.fn();
+
+      await authMiddleware(req, createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.userId).toBe('u1');
+      expect(req.sessionId).toBe('s1');
+      expect(TokenService.isSessionActive).toHaveBeenCalledWith('s1');
+    });
+
+    it('should reject access tokens of revoked sessions', async () => {
+      jest.spyOn(TokenService, 'isSessionActive').mockResolvedValue(false);
+      const req = { headers: { authorization: `Bearer ${sign({ userId: 'u1', organizationId: 'o1', sessionId: 's1' })}` } };
+      const res = createRes();
+      const next = jest.fn();
+
+      await authMiddleware(req, res, next);
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+    });
+
+    it('should not read login tokens from the query string', async () => {
+      jest.spyOn(TokenService, 'isSessionActive').mockResolvedValue(true);
+      const token = sign({ userId: 'u1', organizationId: 'o1', sessionId: 's1' });
+      const req = { headers: {}, query: { token } };
+      const next = jest.fn();
+
+      await authMiddleware.optionalAuthMiddleware(req, createRes(), next);
+
+      expect(next).toHaveBeenCalled();
+      expect(req.userId).toBeUndefined();
+    });
+  });
+
+  describe('Sessions', () => {
+    let mongoServer;
+    let user;
+    const organizationId = new mongoose.Types.ObjectId();
+
+    beforeAll(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri(), {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+    }, 30000);
+
+    afterAll(async () => {
+      await mongoose.disconnect();
+      if (mongoServer) {
+        await mongoServer.stop();
+      }
+    });
+
+    beforeEach(async () => {
+      await Session.deleteMany({});
+      await User.deleteMany({});
+      await OrganizationMember.deleteMany({});
+
+      user = await User.create({ username: 'member', email: 'member@example.com', password: 'password123' });
+      await OrganizationMember.create({ userId: user._id, organizationId, role: 'editor' });
+    });
+
+    it('should issue access tokens bound to a session', async () => {
+      const tokens = await TokenService.createSession(user, organizationId);
+
+      const decoded = jwt.verify(tokens.token, process.env.JWT_SECRET || 'secret');
+      expect(decoded.organizationId).toBe(organizationId.toString());
+      expect(await TokenService.isSessionActive(decoded.sessionId)).toBe(true);
+      expect(tokens.refreshToken).toBeDefined();
+      expect(tokens.expiresIn).toBe(15 * 60);
+    });
+
+    it('should rotate the refresh token on every refresh', async () => {
+      const { refreshToken } = await TokenService.createSession(user, organizationId);
+
+      const refreshed = await TokenService.refresh(refreshToken);
+
+      expect(refreshed.refreshToken).not.toBe(refreshToken);
+      expect(await TokenService.refresh(refreshed.refreshToken)).not.toBeNull();
+    });
+
+    it('should revoke the session when a replaced refresh token is reused', async () => {
+      const { refreshToken } = await TokenService.createSession(user, organizationId);
+      const refreshed = await TokenService.refresh(refreshToken);
+      await Session.updateMany({}, { lastUsedAt: new Date(Date.now() - 60 * 1000) });
+
+      expect(await TokenService.refresh(refreshToken)).toBeNull();
+      expect(await TokenService.refresh(refreshed.refreshToken)).toBeNull();
+
+      const session = await Session.findOne({ userId: user._id });
+      expect(session.revokedReason).toBe('token-reuse');
+    });
+
+    it('should end sessions and close sockets when a user is deactivated', async () => {
+      const { token, refreshToken } = await TokenService.createSession(user, organizationId);
+      const disconnectUser = jest.spyOn(SocketService, 'disconnectUser').mockImplementation(() => {});
+
+      user.isActive = false;
+      await user.save();
+
+      const { sessionId } = jwt.decode(token);
+      expect(await TokenService.isSessionActive(sessionId)).toBe(false);
+      expect(await TokenService.refresh(refreshToken)).toBeNull();
+      expect(disconnectUser).toHaveBeenCalledWith(SocketService.io, user._id);
+      disconnectUser.mockRestore();
+    });
+
+    it('should only revoke sessions of the organization a member was removed from', async () => {
+      const otherOrganizationId = new mongoose.Types.ObjectId();
+      const removed = await TokenService.createSession(user, organizationId);
+      const other = await TokenService.createSession(user, otherOrganizationId);
+
+      const revoked = await TokenService.revokeUserSessions(user._id, { organizationId, reason: 'member-removed' });
+
+      expect(revoked).toBe(1);
+      expect(await TokenService.isSessionActive(jwt.decode(removed.token).sessionId)).toBe(false);
+      expect(await TokenService.isSessionActive(jwt.decode(other.token).sessionId)).toBe(true);
+    });
+  });
+});
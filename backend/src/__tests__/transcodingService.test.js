@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const TranscodingService = require('../services/transcodingService');
+const MediaTokenService = require('../services/mediaTokenService');
+const LocalStorageDriver = require('../storage/LocalStorageDriver');
+const { setStorage } = require('../storage');
+
+describe('Transcoding Service', () => {
+  describe('Rendition ladder', () => {
+    it('should include every rung up to the source height', () => {
+      const ladder = TranscodingService.getLadder({ width: 1280, height: 720 });
+
+      expect(ladder.map(r => r.name)).toEqual(['240p', '480p', '720p']);
+      expect(ladder[2]).toMatchObject({ width: 1280, height: 720 });
+      expect(ladder[0]).toMatchObject({ width: 426, height: 240 });
+    });
+
+    it('should include 1080p for 4K sources without upscaling further', () => {
+      const ladder = TranscodingService.getLadder({ width: 3840, height: 2160 });
+
+      expect(ladder.map(r => r.name)).toEqual(['240p', '480p', '720p', '1080p']);
+    });
+
+    it('should use the source height for sources below the lowest rung', () => {
+      const ladder = TranscodingService.getLadder({ width: 320, height: 181 });
+
+      expect(ladder).toHaveLength(1);
+      expect(ladder[0]).toMatchObject({ name: '180p', height: 180, width: 318 });
+    });
+
+    it('should produce one rendition when the resolution is unknown', () => {
+      const ladder = TranscodingService.getLadder({ width: 0, height: 0 });
+
+      expect(ladder.map(r => r.name)).toEqual(['480p']);
+    });
+  });
+
+  describe('Encoding arguments', () => {
+    it('should scale one decoded stream into every rendition', () => {
+      const ladder = TranscodingService.getLadder({ width: 854, height: 480 });
+      const args = TranscodingService.buildEncodingArgs(ladder, {
+        hasAudio: true,
+        segmentSeconds: 6,
+        audioPerRendition: true
+      });
+
+      expect(args[1]).toBe('[0:v]split=2[v0][v1];[v0]scale=-2:240[v0out];[v1]scale=-2:480[v1out]');
+      expect(args).toContain('[v1out]');
+      expect(args.filter(a => a === 'a:0')).toHaveLength(2);
+      expect(args).toContain('expr:gte(t,n_forced*6)');
+    });
+
+    it('should skip audio mapping for silent videos', () => {
+      const ladder = TranscodingService.getLadder({ width: 854, height: 480 });
+      const args = TranscodingService.buildEncodingArgs(ladder, { hasAudio: false, segmentSeconds: 6 });
+
+      expect(args).not.toContain('a:0');
+    });
+  });
+
+  describe('Playlist signing', () => {
+    it('should add the token to variant, segment and tag URIs', () => {
+      const playlist = [
+        '#EXTM3U',
+        '#EXT-X-MAP:URI="init.mp4"',
+        '#EXTINF:6.0,',
+        'segment_0000.ts',
+        '#EXT-X-STREAM-INF:BANDWIDTH=464000',
+        '240p/index.m3u8?x=1',
+        ''
+      ].join('\n');
+
+      const signed = TranscodingService.signPlaylist(playlist, 'mt=abc');
+
+      expect(signed).toContain('#EXT-X-MAP:URI="init.mp4?mt=abc"');
+      expect(signed).toContain('\nsegment_0000.ts?mt=abc\n');
+      expect(signed).toContain('\n240p/index.m3u8?x=1&mt=abc\n');
+      expect(signed.startsWith('#EXTM3U\n')).toBe(true);
+    });
+
+    it('should add the token to DASH segment templates', () => {
+      const manifest = '<SegmentTemplate initialization="init-$RepresentationID$.m4s" media="chunk-$RepresentationID$-$Number%05d$.m4s"/>';
+
+      const signed = TranscodingService.signManifest(manifest, 'mt=abc');
+
+      expect(signed).toBe('<SegmentTemplate initialization="init-$RepresentationID$.m4s?mt=abc" media="chunk-$RepresentationID$-$Number%05d$.m4s?mt=abc"/>');
+    });
+  });
+
+  describe('Transcode', () => {
+    let rootDir;
+    const video = { _id: 'video1', organizationId: 'org1', storageProvider: 'local' };
+
+    beforeEach(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'transcode-test-'));
+      setStorage('local', new LocalStorageDriver({ rootDir }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      delete process.env.ENABLE_DASH;
+      setStorage('local', null);
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('should store HLS output under the video asset prefix and replace earlier runs', async () => {
+      fs.mkdirSync(path.join(rootDir, 'videos/org1/video1/hls/1080p'), { recursive: true });
+      fs.writeFileSync(path.join(rootDir, 'videos/org1/video1/hls/1080p/index.m3u8'), 'stale');
+
+      jest.spyOn(TranscodingService, 'transcodeHls').mockImplementation(async (input, outputDir, { ladder, onProgress }) => {
+        fs.writeFileSync(path.join(outputDir, 'master.m3u8'), '#EXTM3U');
+        for (const r of ladder) {
+          fs.mkdirSync(path.join(outputDir, r.name));
+          fs.writeFileSync(path.join(outputDir, r.name, 'index.m3u8'), '#EXTM3U');
+          fs.writeFileSync(path.join(outputDir, r.name, 'segment_0000.ts'), 'ts');
+        }
+        onProgress(50);
+      });
+      const progress = [];
+
+      const streaming = await TranscodingService.transcode(video, '/tmp/input.mp4', {
+        duration: 12,
+        resolution: { width: 854, height: 480 },
+        hasAudio: true,
+        onProgress: p => progress.push(p)
+      });
+
+      expect(streaming.hls).toEqual({ prefix: 'videos/org1/video1/hls', masterKey: 'videos/org1/video1/hls/master.m3u8' });
+      expect(streaming.dash.manifestKey).toBeNull();
+      expect(streaming.renditions).toEqual([
+        { name: '240p', width: 428, height: 240, bandwidth: 464000 },
+        { name: '480p', width: 854, height: 480, bandwidth: 1096000 }
+      ]);
+      expect(fs.existsSync(path.join(rootDir, 'videos/org1/video1/hls/480p/segment_0000.ts'))).toBe(true);
+      expect(fs.existsSync(path.join(rootDir, 'videos/org1/video1/hls/1080p'))).toBe(false);
+      expect(progress).toEqual([50]);
+    });
+
+    it('should also produce DASH when enabled', async () => {
+      process.env.ENABLE_DASH = 'true';
+      jest.spyOn(TranscodingService, 'transcodeHls').mockImplementation(async (input, outputDir, { onProgress }) => {
+        fs.writeFileSync(path.join(outputDir, 'master.m3u8'), '#EXTM3U');
+        onProgress(100);
+      });
+      jest.spyOn(TranscodingService, 'transcodeDash').mockImplementation(async (input, outputDir, { onProgress }) => {
+        fs.writeFileSync(path.join(outputDir, 'manifest.mpd'), '<MPD/>');
+        onProgress(100);
+      });
+      const progress = [];
+
+      const streaming = await TranscodingService.transcode(video, '/tmp/input.mp4', {
+        duration: 12,
+        resolution: { width: 854, height: 480 },
+        onProgress: p => progress.push(p)
+      });
+
+      expect(streaming.dash.manifestKey).toBe('videos/org1/video1/dash/manifest.mpd');
+      expect(fs.existsSync(path.join(rootDir, 'videos/org1/video1/dash/manifest.mpd'))).toBe(true);
+      expect(progress).toEqual([60, 100]);
+    });
+  });
+});
+
+describe('Media Token Service', () => {
+  it('should accept tokens for the video they were issued for', () => {
+    const token = MediaTokenService.create('video1', { userId: 'user1', duration: 30 });
+
+    expect(MediaTokenService.verify(token, 'video1')).toBe(true);
+    expect(MediaTokenService.verify(token, 'video2')).toBe(false);
+  });
+
+  it('should reject missing and tampered tokens', () => {
+    const token = MediaTokenService.create('video1');
+
+    expect(MediaTokenService.verify(undefined, 'video1')).toBe(false);
+    expect(MediaTokenService.verify(`${token}x`, 'video1')).toBe(false);
+  });
+
+  it('should not accept login tokens', () => {
+    const jwt = require('jsonwebtoken');
+    const loginToken = jwt.sign({ userId: 'user1', videoId: 'video1', purpose: 'media' }, process.env.JWT_SECRET || 'secret');
+
+    expect(MediaTokenService.verify(loginToken, 'video1')).toBe(false);
+  });
+});
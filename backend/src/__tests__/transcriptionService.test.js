@@ -0,0 +1,180 @@
+const { EventEmitter } = require('events');
+const TranscriptionService = require('../services/transcriptionService');
+const VideoProcessingService = require('../services/videoProcessingService');
+const ModerationPolicyService = require('../services/moderationPolicyService');
+const WhisperCppTranscriber = require('../transcribers/WhisperCppTranscriber');
+const { setTranscriber } = require('../transcribers');
+
+const transcript = {
+  segments: [
+    { start: 0, end: 4, text: 'Welcome back to the channel' },
+    { start: 4, end: 9.5, text: 'Today we review a new knife and a gun cleaning kit' },
+    { start: 65, end: 70, text: 'That knife is sharp' }
+  ]
+};
+
+describe('Transcription Service', () => {
+  describe('Transcript analysis', () => {
+    it('should find policy keywords with the times they were spoken', () => {
+      const issues = TranscriptionService.analyzeTranscript(transcript);
+
+      expect(issues).toEqual([
+        {
+          category: 'Violence/Gore',
+          score: 60,
+          source: 'transcript',
+          keywords: ['"gun" at 0:04', '"knife" at 0:04', '"knife" at 1:05'],
+          timestamps: [
+            { time: 4, label: '"gun"', confidence: 1 },
+            { time: 4, label: '"knife"', confidence: 1 },
+            { time: 65, label: '"knife"', confidence: 1 }
+          ]
+        }
+      ]);
+    });
+
+    it('should use the organization policy', () => {
+      const { policy } = ModerationPolicyService.validatePolicy({
+        allowList: ['gun cleaning kit'],
+        categories: [{ key: 'weapons', name: 'Weapons', weight: 20, keywords: ['gun'] }]
+      });
+
+      expect(TranscriptionService.analyzeTranscript(transcript, policy)).toEqual([]);
+    });
+
+    it('should flag videos for what is said in them', () => {
+      const metadata = VideoProcessingService.analyzeSensitivity({ title: 'Product review' });
+
+      const merged = VideoProcessingService.mergeTranscriptAnalysis(metadata, transcript);
+
+      expect(metadata.result).toBe('safe');
+      expect(merged.result).toBe('flagged');
+      expect(merged.detectedIssues[0].source).toBe('transcript');
+      expect(merged.rules).toEqual(['Transcript: Violence/Gore at 3 moment(s)']);
+    });
+
+    it('should leave the analysis unchanged without a transcript', () => {
+      const metadata = VideoProcessingService.analyzeSensitivity('hello');
+
+      expect(VideoProcessingService.mergeTranscriptAnalysis(metadata, null)).toBe(metadata);
+    });
+  });
+
+  describe('WebVTT', () => {
+    it('should format cue times', () => {
+      expect(TranscriptionService.formatVttTime(3725.5)).toBe('01:02:05.500');
+      expect(TranscriptionService.formatVttTime(0)).toBe('00:00:00.000');
+    });
+
+    it('should build numbered cues and escape cue text', () => {
+      const vtt = TranscriptionService.toWebVTT([
+        { start: 0, end: 1.25, text: 'Hello' },
+        { start: 1.25, end: 3, text: 'A <b> & --> c' }
+      ]);
+
+      expect(vtt).toBe([
+        'WEBVTT',
+        '',
+        '1',
+        '00:00:00.000 --> 00:00:01.250',
+        'Hello',
+        '',
+        '2',
+        '00:00:01.250 --> 00:00:03.000',
+        'A &lt;b> &amp; -> c',
+        ''
+      ].join('\n'));
+    });
+  });
+
+  describe('Search', () => {
+    it('should return segments containing the text', () => {
+      expect(TranscriptionService.findSegments(transcript.segments, 'KNIFE').map(s => s.start)).toEqual([4, 65]);
+      expect(TranscriptionService.findSegments(transcript.segments, '  ')).toEqual([]);
+    });
+  });
+
+  describe('Transcribing', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      setTranscriber('whisper-cpp', null);
+    });
+
+    it('should extract audio and store the engine output', async () => {
+      jest.spyOn(TranscriptionService, 'extractAudio').mockResolvedValue();
+      setTranscriber('whisper-cpp', {
+        name: 'whisper-cpp',
+        transcribe: jest.fn(async (audioPath, { onProgress }) => {
+          expect(audioPath).toMatch(/audio\.wav$/);
+          onProgress(50);
+          return { language: 'en', segments: transcript.segments.slice(0, 2) };
+        })
+      });
+      const progress = [];
+
+      const result = await TranscriptionService.transcribe('/tmp/input.mp4', { duration: 10, onProgress: p => progress.push(p) });
+
+      expect(result).toMatchObject({
+        engine: 'whisper-cpp',
+        language: 'en',
+        text: 'Welcome back to the channel Today we review a new knife and a gun cleaning kit'
+      });
+      expect(result.segments).toHaveLength(2);
+      expect(progress).toEqual([55]);
+    });
+  });
+});
+
+describe('whisper.cpp Transcriber', () => {
+  // Stand-in for child_process.spawn that writes whisper.cpp's JSON output
+  const createSpawn = ({ code = 0, stderr = '', output } = {}) => jest.fn((binary, args) => {
+    const child = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.kill = jest.fn();
+
+    setImmediate(() => {
+      if (output) {
+        const outputBase = args[args.indexOf('-of') + 1];
+        require('fs').writeFileSync(`${outputBase}.json`, JSON.stringify(output));
+      }
+      if (stderr) child.stderr.emit('data', Buffer.from(stderr));
+      child.emit('close', code);
+    });
+
+    return child;
+  });
+
+  it('should parse segments with millisecond offsets', async () => {
+    const spawnProcess = createSpawn({
+      stderr: 'whisper_print_progress_callback: progress =  50%\n',
+      output: {
+        result: { language: 'en' },
+        transcription: [
+          { offsets: { from: 0, to: 2500 }, text: ' Hello there.' },
+          { offsets: { from: 2500, to: 3000 }, text: ' ' }
+        ]
+      }
+    });
+    const transcriber = new WhisperCppTranscriber({ modelPath: '/models/ggml-base.bin', spawnProcess });
+    const progress = [];
+
+    const result = await transcriber.transcribe('/tmp/audio.wav', { onProgress: p => progress.push(p) });
+
+    expect(result).toEqual({ language: 'en', segments: [{ start: 0, end: 2.5, text: 'Hello there.' }] });
+    expect(progress).toEqual([50]);
+    expect(spawnProcess.mock.calls[0][1]).toEqual(expect.arrayContaining(['-m', '/models/ggml-base.bin', '-oj']));
+  });
+
+  it('should reject with the last line of output on failure', async () => {
+    const transcriber = new WhisperCppTranscriber({
+      modelPath: '/models/missing.bin',
+      spawnProcess: createSpawn({ code: 1, stderr: 'loading model\nfailed to open model file\n' })
+    });
+
+    await expect(transcriber.transcribe('/tmp/audio.wav')).rejects.toThrow('failed to open model file');
+  });
+
+  it('should require a model', async () => {
+    await expect(new WhisperCppTranscriber().transcribe('/tmp/audio.wav')).rejects.toThrow('WHISPER_MODEL_PATH');
+  });
+});
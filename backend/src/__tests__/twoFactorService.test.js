@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const TotpService = require('../services/totpService');
+const TwoFactorService = require('../services/twoFactorService');
+const Organization = require('../models/Organization');
+const OrganizationMember = require('../models/OrganizationMember');
+const Role = require('../models/Role');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+const User = require('../models/User');
+
+// RFC 6238 test secret ("12345678901234567890")
+const RFC_SECRET = TotpService.base32Encode(Buffer.from('12345678901234567890'));
+
+describe('Two-Factor Service', () => {
+  describe('TOTP', () => {
+    it('should match the RFC 6238 SHA-1 test vectors', () => {
+      const vectors = [
+        [59, '94287082'],
+        [1111111109, '07081804'],
+        [1111111111, '14050471'],
+        [1234567890, '89005924'],
+        [2000000000, '69279037']
+      ];
+
+      vectors.forEach(([seconds, code]) => {
+        expect(TotpService.generateCode(RFC_SECRET, TotpService.getStep(seconds * 1000), 8)).toBe(code);
+        expect(TotpService.generateCode(RFC_SECRET, TotpService.getStep(seconds * 1000))).toBe(code.slice(-6));
+      });
+    });
+
+    it('should accept codes of adjacent time steps only', () => {
+      const now = 1111111109 * 1000;
+      const step = TotpService.getStep(now);
+
+      expect(TotpService.verifyCode(RFC_SECRET, '081804', now)).toBe(step);
+      expect(TotpService.verifyCode(RFC_SECRET, TotpService.generateCode(RFC_SECRET, step - 1), now)).toBe(step - 1);
+      expect(TotpService.verifyCode(RFC_SECRET, TotpService.generateCode(RFC_SECRET, step + 2), now)).toBeNull();
+      expect(TotpService.verifyCode(RFC_SECRET, 'abcdef', now)).toBeNull();
+    });
+
+    it('should round-trip base32 and encrypted secrets', () => {
+      const secret = TotpService.generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(TotpService.base32Encode(TotpService.base32Decode(secret))).toBe(secret);
+
+      const encrypted = TotpService.encryptSecret(secret);
+      expect(encrypted).not.toContain(secret);
+      expect(TotpService.decryptSecret(encrypted)).toBe(secret);
+    });
+
+    it('should build a provisioning URI for authenticator apps', () => {
+      const uri = TotpService.getProvisioningUri('JBSWY3DPEHPK3PXP', 'admin@example.com');
+
+      expect(uri.startsWith('otpauth://totp/Video%20Platform%3Aadmin%40example.com?')).toBe(true);
+      expect(uri).toContain('secret=JBSWY3DPEHPK3PXP');
+      expect(uri).toContain('issuer=Video+Platform');
+    });
+
+    it('should only accept login challenge tokens', () => {
+      const user = { _id: new mongoose.Types.ObjectId() };
+      const challenge = TwoFactorService.createChallenge(user);
+
+      expect(TwoFactorService.verifyChallenge(challenge)).toBe(user._id.toString());
+      expect(TwoFactorService.verifyChallenge('not-a-token')).toBeNull();
+      expect(TwoFactorService.verifyChallenge(undefined)).toBeNull();
+    });
+  });
+
+  describe('Enrollment', () => {
+    let mongoServer;
+    let user;
+
+    const currentCode = (secret, offset = 0) =>
+      TotpService.generateCode(secret, TotpService.getStep() + offset);
+
+    beforeAll(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri(), {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+    }, 30000);
+
+    afterAll(async () => {
+      await mongoose.disconnect();
+      if (mongoServer) {
+        await mongoServer.stop();
+      }
+    });
+
+    beforeEach(async () => {
+      await Organization.deleteMany({});
+      await OrganizationMember.deleteMany({});
+      await User.deleteMany({});
+      user = await User.create({ username: 'member', email: 'member@example.com', password: 'password123' });
+    });
+
+    it('should enable with a code from the new secret and hide secrets from JSON', async () => {
+      const { secret } = await TwoFactorService.beginSetup(user);
+
+      expect((await TwoFactorService.enable(user._id, '000000')).error).toBe('Invalid verification code');
+
+      const { recoveryCodes } = await TwoFactorService.enable(user._id, currentCode(secret));
+      expect(recoveryCodes).toHaveLength(10);
+
+      const updated = await User.findById(user._id);
+      expect(updated.twoFactor.enabled).toBe(true);
+      expect(JSON.stringify(updated.toJSON())).not.toContain('secret');
+    });
+
+    it('should accept each authenticator code only once', async () => {
+      const { secret } = await TwoFactorService.beginSetup(user);
+      await TwoFactorService.enable(user._id, currentCode(secret, -1));
+
+      const code = currentCode(secret);
+      expect(await TwoFactorService.verifyCode(user._id, code)).toBe(true);
+      expect(await TwoFactorService.verifyCode(user._id, code)).toBe(false);
+    });
+
+    it('should use up recovery codes', async () => {
+      const { secret } = await TwoFactorService.beginSetup(user);
+      const { recoveryCodes } = await TwoFactorService.enable(user._id, currentCode(secret));
+
+      expect(await TwoFactorService.verifySecondFactor(user._id, { recoveryCode: recoveryCodes[0].toUpperCase() })).toBe(true);
+      expect(await TwoFactorService.verifySecondFactor(user._id, { recoveryCode: recoveryCodes[0] })).toBe(false);
+      expect((await TwoFactorService.getStatus(user._id)).recoveryCodesRemaining).toBe(9);
+    });
+
+    it('should block unverified admins only where the organization requires it', async () => {
+      const organization = await Organization.create({
+        name: 'Strict Org',
+        slug: 'strict-org',
+        settings: { requireTwoFactorForAdmins: true }
+      });
+      const admin = { role: 'admin', organizationId: organization._id };
+
+      expect(await TwoFactorService.getAdminAccessBlocker({ twoFactorVerified: false }, admin))
+        .toMatchObject({ status: 403, code: 'TWO_FACTOR_REQUIRED' });
+      expect(await TwoFactorService.getAdminAccessBlocker({ twoFactorVerified: true }, admin)).toBeNull();
+      expect(await TwoFactorService.getAdminAccessBlocker({ twoFactorVerified: false }, { ...admin, role: 'editor' }))
+        .toBeNull();
+    });
+
+    it('should require two-factor authentication from custom roles with admin permissions', async () => {
+      const organization = await Organization.create({
+        name: 'Custom Org',
+        slug: 'custom-org',
+        settings: { requireTwoFactorForAdmins: true }
+      });
+      await Role.create({ organizationId: organization._id, name: 'owner', permissions: ALL_PERMISSIONS });
+      await Role.create({ organizationId: organization._id, name: 'reviewer', permissions: ['moderation:review'] });
+      const owner = await OrganizationMember.create({ userId: user._id, organizationId: organization._id, role: 'owner' });
+
+      expect(await TwoFactorService.getAdminAccessBlocker({ twoFactorVerified: false }, owner))
+        .toMatchObject({ status: 403, code: 'TWO_FACTOR_REQUIRED' });
+      expect(await TwoFactorService.getAdminAccessBlocker({ twoFactorVerified: false }, { ...owner.toObject(), role: 'reviewer' }))
+        .toBeNull();
+      expect((await TwoFactorService.findRequiringOrganizations(user._id)).map(o => o.name)).toEqual(['Custom Org']);
+    });
+  });
+});
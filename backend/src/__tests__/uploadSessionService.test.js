@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { Readable, PassThrough } = require('stream');
+const UploadSessionService = require('../services/uploadSessionService');
+const UploadSession = require('../models/UploadSession');
+const LocalStorageDriver = require('../storage/LocalStorageDriver');
+const { setStorage } = require('../storage');
+const { getMaxUploadSize, getResumableUploadMaxSize, getMaxVideoSize } = require('../config/uploadConfig');
+
+describe('Upload Session Service', () => {
+  let stagingDir;
+
+  const createSession = (fields = {}) => {
+    const session = { _id: new mongoose.Types.ObjectId(), size: 10, offset: 0, mimeType: 'video/mp4', ...fields };
+    fs.writeFileSync(UploadSessionService.getStagingPath(session), '');
+    return session;
+  };
+
+  const readStaged = (session) => fs.readFileSync(UploadSessionService.getStagingPath(session)).toString();
+
+  beforeEach(() => {
+    stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-staging-'));
+    process.env.UPLOAD_STAGING_DIR = stagingDir;
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    delete process.env.UPLOAD_STAGING_DIR;
+    fs.rmSync(stagingDir, { recursive: true, force: true });
+  });
+
+  describe('Input', () => {
+    const input = { filename: 'talk.mp4', size: 1024, mimeType: 'video/mp4', title: 'Conference talk' };
+
+    it('should accept a video and check the file and metadata', () => {
+      expect(UploadSessionService.validateInput(input)).toBeNull();
+      expect(UploadSessionService.validateInput({ ...input, visibility: 'private' })).toBeNull();
+
+      expect(UploadSessionService.validateInput({ ...input, filename: '' })).toMatch('filename is required');
+      expect(UploadSessionService.validateInput({ ...input, size: '1024' })).toBe('size must be the file size in bytes');
+      expect(UploadSessionService.validateInput({ ...input, size: 3000 * 1024 * 1024 })).toBe('File is too large (max 2048 MB)');
+      expect(UploadSessionService.validateInput({ ...input, mimeType: 'image/png' })).toBe('Only video files are allowed');
+      expect(UploadSessionService.validateInput({ ...input, title: 'ab' })).toMatch('Video title is required');
+      expect(UploadSessionService.validateInput({ ...input, visibility: 'everyone' })).toMatch('Invalid visibility');
+      expect(UploadSessionService.validateInput({ ...input, tags: [42] })).toBe('Tags must be a list of names');
+    });
+
+    it('should not accept files that processing would refuse', () => {
+      expect(getMaxVideoSize()).toBe(getResumableUploadMaxSize());
+      expect(getMaxVideoSize()).toBeGreaterThanOrEqual(getMaxUploadSize());
+    });
+  });
+
+  describe('Chunks', () => {
+    beforeEach(() => {
+      jest.spyOn(UploadSession, 'updateOne').mockResolvedValue({});
+    });
+
+    it('should append chunks and record the offset to continue from', async () => {
+      const session = createSession();
+
+      expect(await UploadSessionService.appendChunk(session, Readable.from([Buffer.from('0123')]))).toEqual({ offset: 4 });
+      expect(await UploadSessionService.appendChunk(session, Readable.from([Buffer.from('456789')]))).toEqual({ offset: 10 });
+
+      expect(readStaged(session)).toBe('0123456789');
+      expect(UploadSession.updateOne).toHaveBeenLastCalledWith(
+        { _id: session._id },
+        { $set: { offset: 10, expiresAt: expect.any(Date) } }
+      );
+    });
+
+    it('should keep the bytes of an interrupted chunk', async () => {
+      const session = createSession();
+      const source = new PassThrough();
+      const appended = UploadSessionService.appendChunk(session, source);
+
+      source.write(Buffer.from('012'));
+      while (readStaged(session).length < 3) {
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      source.destroy(new Error('aborted'));
+
+      expect(await appended).toMatchObject({ offset: 3, status: 400 });
+      expect(readStaged(session)).toBe('012');
+    });
+
+    it('should drop bytes past the recorded offset and past the end of the file', async () => {
+      const session = createSession({ offset: 2 });
+      fs.writeFileSync(UploadSessionService.getStagingPath(session), '01xx');
+
+      const result = await UploadSessionService.appendChunk(session, Readable.from([Buffer.from('23456789ABC')]));
+      expect(result).toMatchObject({ offset: 10, status: 413 });
+      expect(readStaged(session)).toBe('0123456789');
+    });
+
+    it('should receive one chunk of an upload at a time', async () => {
+      const session = createSession();
+      const source = new PassThrough();
+      const first = UploadSessionService.appendChunk(session, source);
+
+      expect(await UploadSessionService.appendChunk(session, Readable.from([Buffer.from('x')])))
+        .toMatchObject({ status: 409 });
+
+      source.end(Buffer.from('0123'));
+      expect(await first).toEqual({ offset: 4 });
+    });
+
+    it('should move the complete file to storage', async () => {
+      const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+      setStorage('local', new LocalStorageDriver({ rootDir }));
+      process.env.STORAGE_PROVIDER = 'local';
+
+      try {
+        const session = createSession({ organizationId: 'org1', filename: 'Talk.MP4' });
+        await UploadSessionService.appendChunk(session, Readable.from([Buffer.from('0123456789')]));
+
+        const file = await UploadSessionService.storeFile(session);
+        expect(file).toMatchObject({ originalname: 'Talk.MP4', storageProvider: 'local', size: 10 });
+        expect(file.storageKey).toMatch(/^videos\/org1\/.+\.mp4$/);
+        expect(fs.readFileSync(path.join(rootDir, file.storageKey)).toString()).toBe('0123456789');
+      } finally {
+        delete process.env.STORAGE_PROVIDER;
+        setStorage('local', null);
+        fs.rmSync(rootDir, { recursive: true, force: true });
+      }
+    });
+  });
+
+  describe('with a database', () => {
+    let mongoServer;
+
+    beforeAll(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri(), {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+    }, 30000);
+
+    afterAll(async () => {
+      await mongoose.disconnect();
+      if (mongoServer) {
+        await mongoServer.stop();
+      }
+    });
+
+    beforeEach(async () => {
+      await UploadSession.deleteMany({});
+    });
+
+    const owner = { userId: new mongoose.Types.ObjectId(), organizationId: new mongoose.Types.ObjectId() };
+    const input = { filename: 'talk.mp4', size: 4, mimeType: 'video/mp4', title: 'Conference talk' };
+
+    it('should only find uploads of the user in the organization', async () => {
+      const session = await UploadSessionService.create(owner, input);
+
+      expect(fs.existsSync(UploadSessionService.getStagingPath(session))).toBe(true);
+      expect((await UploadSessionService.findForUser(session._id, owner.userId, owner.organizationId))._id)
+        .toEqual(session._id);
+      expect(await UploadSessionService.findForUser(session._id, new mongoose.Types.ObjectId(), owner.organizationId))
+        .toBeNull();
+      expect(await UploadSessionService.findForUser('not-an-id', owner.userId, owner.organizationId)).toBeNull();
+    });
+
+    it('should complete an upload once, and only when every byte arrived', async () => {
+      const session = await UploadSessionService.create(owner, input);
+      expect(await UploadSessionService.claimForCompletion(session)).toBeNull();
+
+      await UploadSessionService.appendChunk(session, Readable.from([Buffer.from('0123')]));
+      const claims = await Promise.all([1, 2].map(() => UploadSessionService.claimForCompletion(session)));
+      expect(claims.filter(Boolean).length).toBe(1);
+    });
+
+    it('should remove expired uploads with their staged bytes', async () => {
+      const session = await UploadSessionService.create(owner, input);
+      await UploadSession.updateOne({ _id: session._id }, { expiresAt: new Date(Date.now() - 1000) });
+
+      expect(await UploadSessionService.cleanupExpired()).toBe(1);
+      expect(fs.existsSync(UploadSessionService.getStagingPath(session))).toBe(false);
+      expect(await UploadSession.countDocuments()).toBe(0);
+    });
+  });
+});
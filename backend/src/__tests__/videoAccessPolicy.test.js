@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const VideoAccessPolicy = require('../services/videoAccessPolicy');
+const { BUILT_IN_ROLES } = require('../config/permissions');
+const Video = require('../models/Video');
+const OrganizationMember = require('../models/OrganizationMember');
+
+describe('Video Access Policy', () => {
+  const organizationId = new mongoose.Types.ObjectId();
+  const ownerId = new mongoose.Types.ObjectId();
+  const memberId = new mongoose.Types.ObjectId();
+
+  const viewerFor = (userId, role) => ({
+    userId: userId.toString(),
+    membership: role ? { organizationId, role } : null,
+    permissions: role ? BUILT_IN_ROLES[role] : []
+  });
+
+  const video = (visibility, extra = {}) => ({ organizationId, userId: ownerId, visibility, ...extra });
+
+  describe('Visibility', () => {
+    it('should derive the visibility of videos saved before it existed', () => {
+      expect(VideoAccessPolicy.getVisibility({ isPublic: true })).toBe('public');
+      expect(VideoAccessPolicy.getVisibility({ isPublic: false })).toBe('organization');
+      expect(VideoAccessPolicy.getVisibility({ visibility: 'private', isPublic: true })).toBe('private');
+    });
+
+    it('should keep isPublic in sync and reject unknown levels', () => {
+      const doc = {};
+      VideoAccessPolicy.applyVisibility(doc, 'public');
+      expect(doc).toEqual({ visibility: 'public', isPublic: true });
+      VideoAccessPolicy.applyVisibility(doc, 'unlisted');
+      expect(doc.isPublic).toBe(false);
+
+      expect(VideoAccessPolicy.validateVisibility('restricted')).toBeNull();
+      expect(VideoAccessPolicy.validateVisibility('secret')).toMatch('Invalid visibility');
+    });
+
+    it('should not open flagged videos to everyone', () => {
+      const flagged = video('private', { status: 'flagged' });
+
+      expect(VideoAccessPolicy.validateVisibility('public', flagged)).toBe('Flagged videos cannot be made unlisted or public');
+      expect(VideoAccessPolicy.validateVisibility('unlisted', flagged)).toBe('Flagged videos cannot be made unlisted or public');
+      expect(VideoAccessPolicy.validateVisibility('organization', flagged)).toBeNull();
+      expect(VideoAccessPolicy.validateVisibility('public', video('private', { status: 'safe' }))).toBeNull();
+    });
+  });
+
+  describe('Who can watch', () => {
+    it('should let anyone watch public and unlisted videos', () => {
+      const anonymous = { userId: null, membership: null, permissions: [] };
+
+      expect(VideoAccessPolicy.canView(video('public'), anonymous)).toBe(true);
+      expect(VideoAccessPolicy.canView(video('unlisted'), anonymous)).toBe(true);
+      expect(VideoAccessPolicy.canView(video('organization'), anonymous)).toBe(false);
+      expect(VideoAccessPolicy.canView(video('organization'), viewerFor(memberId))).toBe(false);
+    });
+
+    it('should keep flagged videos inside their organization whatever their visibility', () => {
+      const anonymous = { userId: null, membership: null, permissions: [] };
+
+      expect(VideoAccessPolicy.canView(video('public', { status: 'flagged' }), anonymous)).toBe(false);
+      expect(VideoAccessPolicy.canView(video('unlisted', { status: 'flagged' }), viewerFor(memberId))).toBe(false);
+      expect(VideoAccessPolicy.canView(video(undefined, { isPublic: true, status: 'flagged' }), anonymous)).toBe(false);
+      expect(VideoAccessPolicy.canView(video('public', { status: 'flagged' }), viewerFor(memberId, 'viewer'))).toBe(true);
+    });
+
+    it('should limit private and restricted videos to the uploader and who they are shared with', () => {
+      expect(VideoAccessPolicy.canView(video('organization'), viewerFor(memberId, 'viewer'))).toBe(true);
+      expect(VideoAccessPolicy.canView(video('private'), viewerFor(ownerId, 'editor'))).toBe(true);
+      expect(VideoAccessPolicy.canView(video('private'), viewerFor(memberId, 'editor'))).toBe(false);
+
+      expect(VideoAccessPolicy.canView(video('restricted', { allowedUsers: [memberId] }), viewerFor(memberId, 'viewer'))).toBe(true);
+      expect(VideoAccessPolicy.canView(video('restricted', { allowedRoles: ['viewer'] }), viewerFor(memberId, 'viewer'))).toBe(true);
+      expect(VideoAccessPolicy.canView(video('restricted', { allowedRoles: ['editor'] }), viewerFor(memberId, 'viewer'))).toBe(false);
+    });
+
+    it('should let members with video:view:private see every video', () => {
+      expect(VideoAccessPolicy.canView(video('private'), viewerFor(memberId, 'moderator'))).toBe(true);
+      expect(VideoAccessPolicy.canView(video('private'), viewerFor(memberId, 'admin'))).toBe(true);
+    });
+
+    it('should answer 401 to visitors and 403 to members who may not watch', async () => {
+      const membership = { organizationId, role: 'viewer' };
+
+      expect(await VideoAccessPolicy.getViewBlocker({}, video('private'))).toMatchObject({ status: 401 });
+      expect(await VideoAccessPolicy.getViewBlocker(
+        { userId: memberId.toString(), membership, permissions: [] },
+        video('private')
+      )).toMatchObject({ status: 403, error: 'Access denied to this video' });
+      expect(await VideoAccessPolicy.getViewBlocker({}, video('unlisted'))).toBeNull();
+    });
+  });
+
+  describe('Listing', () => {
+    it('should list only public videos publicly', () => {
+      expect(VideoAccessPolicy.getPublicFilter()).toEqual({
+        status: { $ne: 'flagged' },
+        $or: [{ visibility: 'public' }, { visibility: null, isPublic: true }]
+      });
+    });
+
+    it('should not restrict members who see every video', () => {
+      expect(VideoAccessPolicy.getListFilter(organizationId, viewerFor(memberId, 'admin'))).toEqual({ organizationId });
+    });
+
+    describe('with a database', () => {
+      let mongoServer;
+
+      beforeAll(async () => {
+        mongoServer = await MongoMemoryServer.create();
+        await mongoose.connect(mongoServer.getUri(), {
+          useNewUrlParser: true,
+          useUnifiedTopology: true,
+        });
+      }, 30000);
+
+      afterAll(async () => {
+        await mongoose.disconnect();
+        if (mongoServer) {
+          await mongoServer.stop();
+        }
+      });
+
+      beforeEach(async () => {
+        await Video.deleteMany({});
+        await OrganizationMember.deleteMany({});
+      });
+
+      const createVideo = (title, fields) => Video.create({
+        title,
+        filename: `${title}.mp4`,
+        filepath: `videos/${title}.mp4`,
+        size: 1024,
+        organizationId,
+        userId: ownerId,
+        ...fields
+      });
+
+      it('should list the same videos canView allows', async () => {
+        await createVideo('private', { visibility: 'private' });
+        await createVideo('shared', { visibility: 'restricted', allowedUsers: [memberId] });
+        await createVideo('for-editors', { visibility: 'restricted', allowedRoles: ['editor'] });
+        await createVideo('organization', { visibility: 'organization' });
+        await createVideo('legacy', { isPublic: false });
+        await createVideo('unlisted', { visibility: 'unlisted' });
+
+        const viewer = viewerFor(memberId, 'viewer');
+        const listed = await Video.find(VideoAccessPolicy.getListFilter(organizationId, viewer)).sort({ title: 1 });
+        expect(listed.map(v => v.title)).toEqual(['legacy', 'organization', 'shared', 'unlisted']);
+
+        const all = await Video.find({ organizationId });
+        expect(all.filter(v => VideoAccessPolicy.canView(v, viewer)).length).toBe(4);
+      });
+
+      it('should not list flagged videos publicly', async () => {
+        await createVideo('public', { visibility: 'public', status: 'safe' });
+        await createVideo('flagged', { visibility: 'public', status: 'flagged' });
+        await createVideo('legacy-flagged', { isPublic: true, status: 'flagged' });
+
+        const listed = await Video.find(VideoAccessPolicy.getPublicFilter());
+        expect(listed.map(v => v.title)).toEqual(['public']);
+      });
+
+      it('should only share with members of the organization', async () => {
+        await OrganizationMember.create({ userId: memberId, organizationId, role: 'viewer' });
+
+        expect(await VideoAccessPolicy.validateShares(organizationId, { userIds: [memberId.toString()], roles: ['editor'] })).toBeNull();
+        expect(await VideoAccessPolicy.validateShares(organizationId, { userIds: [ownerId.toString()] }))
+          .toBe('Videos can only be shared with members of the organization');
+        expect(await VideoAccessPolicy.validateShares(organizationId, { roles: ['owner'] })).toMatch('Invalid role');
+      });
+    });
+  });
+});
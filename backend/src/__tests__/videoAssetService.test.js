@@ -0,0 +1,149 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const VideoAssetService = require('../services/videoAssetService');
+const LocalStorageDriver = require('../storage/LocalStorageDriver');
+const { setStorage } = require('../storage');
+
+// Minimal stand-in for a fluent-ffmpeg command
+class FakeCommand extends EventEmitter {
+  constructor(script) {
+    super();
+    this.script = script;
+  }
+
+  run() {
+    setImmediate(() => this.script(this));
+  }
+}
+
+describe('Video Asset Service', () => {
+  describe('Helpers', () => {
+    it('should parse FFmpeg timemarks', () => {
+      expect(VideoAssetService.parseTimemark('00:01:02.50')).toBeCloseTo(62.5);
+      expect(VideoAssetService.parseTimemark('01:00:00.00')).toBe(3600);
+      expect(VideoAssetService.parseTimemark(undefined)).toBe(0);
+    });
+
+    it('should scale frames keeping the aspect ratio with even heights', () => {
+      expect(VideoAssetService.getScaledSize({ width: 1920, height: 1080 }, 640)).toEqual({ width: 640, height: 360 });
+      expect(VideoAssetService.getScaledSize({ width: 1080, height: 1920 }, 160)).toEqual({ width: 160, height: 284 });
+    });
+
+    it('should not upscale small videos', () => {
+      expect(VideoAssetService.getScaledSize({ width: 320, height: 240 }, 640)).toEqual({ width: 320, height: 240 });
+    });
+
+    it('should assume 16:9 when the resolution is unknown', () => {
+      expect(VideoAssetService.getScaledSize({ width: 0, height: 0 }, 160)).toEqual({ width: 160, height: 90 });
+    });
+
+    it('should lay out one frame per second for short videos', () => {
+      expect(VideoAssetService.getStoryboardLayout(25)).toEqual({
+        frameCount: 25,
+        interval: 1,
+        columns: 10,
+        rows: 3
+      });
+    });
+
+    it('should cap the storyboard frame count for long videos', () => {
+      const layout = VideoAssetService.getStoryboardLayout(600);
+
+      expect(layout.frameCount).toBe(100);
+      expect(layout.interval).toBe(6);
+      expect(layout.rows).toBe(10);
+    });
+
+    it('should use a single frame for sub-second videos', () => {
+      const layout = VideoAssetService.getStoryboardLayout(0.5);
+
+      expect(layout).toEqual({ frameCount: 1, interval: 0.5, columns: 1, rows: 1 });
+    });
+  });
+
+  describe('Running FFmpeg commands', () => {
+    it('should report progress from timemarks relative to the duration', async () => {
+      const reported = [];
+      const command = new FakeCommand((cmd) => {
+        cmd.emit('progress', { timemark: '00:00:05.00' });
+        cmd.emit('progress', { timemark: '00:00:10.00' });
+        cmd.emit('progress', { timemark: '00:00:30.00' });
+        cmd.emit('end');
+      });
+
+      await VideoAssetService.runCommand(command, { duration: 20, onProgress: p => reported.push(p) });
+
+      expect(reported).toEqual([25, 50, 100]);
+    });
+
+    it('should reject with the last line of FFmpeg output', async () => {
+      const command = new FakeCommand((cmd) => {
+        cmd.emit('error', new Error('ffmpeg exited with code 1'), '', 'line one\ninput.mp4: Invalid data found\n');
+      });
+
+      await expect(VideoAssetService.runCommand(command)).rejects.toThrow('Invalid data found');
+    });
+  });
+
+  describe('Generating assets', () => {
+    let rootDir;
+    const video = { _id: 'video1', organizationId: 'org1', storageProvider: 'local' };
+
+    beforeEach(() => {
+      rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'assets-test-'));
+      setStorage('local', new LocalStorageDriver({ rootDir }));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+      setStorage('local', null);
+      fs.rmSync(rootDir, { recursive: true, force: true });
+    });
+
+    it('should store the thumbnail and storyboard under the video asset prefix', async () => {
+      jest.spyOn(VideoAssetService, 'generateThumbnail').mockImplementation(async (input, output) => {
+        fs.writeFileSync(output, 'thumb');
+        return { width: 640, height: 360, timestamp: 1 };
+      });
+      jest.spyOn(VideoAssetService, 'generateStoryboard').mockImplementation(async (input, output, { onProgress }) => {
+        onProgress(50);
+        fs.writeFileSync(output, 'sprite');
+        return { frameCount: 10, interval: 1, columns: 10, rows: 1, frameWidth: 160, frameHeight: 90 };
+      });
+      const progress = [];
+
+      const assets = await VideoAssetService.generateAssets(video, '/tmp/input.mp4', {
+        duration: 10,
+        resolution: { width: 1280, height: 720 },
+        onProgress: (step, percent) => progress.push([step, percent])
+      });
+
+      expect(assets.errors).toEqual([]);
+      expect(assets.thumbnail).toMatchObject({ key: 'videos/org1/video1/thumbnail.jpg', width: 640, height: 360 });
+      expect(assets.storyboard).toMatchObject({ key: 'videos/org1/video1/storyboard.jpg', columns: 10, frameCount: 10 });
+      expect(fs.readFileSync(path.join(rootDir, 'videos/org1/video1/storyboard.jpg'), 'utf8')).toBe('sprite');
+      expect(progress).toEqual([['thumbnail', 100], ['storyboard', 50], ['storyboard', 100]]);
+    });
+
+    it('should keep going when one asset fails', async () => {
+      jest.spyOn(VideoAssetService, 'generateThumbnail').mockRejectedValue(new Error('no frames'));
+      jest.spyOn(VideoAssetService, 'generateStoryboard').mockImplementation(async (input, output) => {
+        fs.writeFileSync(output, 'sprite');
+        return { frameCount: 1, interval: 1, columns: 1, rows: 1, frameWidth: 160, frameHeight: 90 };
+      });
+
+      const assets = await VideoAssetService.generateAssets(video, '/tmp/input.mp4', { duration: 1 });
+
+      expect(assets.thumbnail).toBeNull();
+      expect(assets.storyboard).not.toBeNull();
+      expect(assets.errors).toEqual([{ step: 'thumbnail', error: 'no frames' }]);
+    });
+
+    it('should require a duration for storyboards', async () => {
+      await expect(VideoAssetService.generateStoryboard('/tmp/input.mp4', '/tmp/out.jpg', { duration: 0 }))
+        .rejects.toThrow('duration is required');
+    });
+  });
+});
@@ -199,6 +199,63 @@ describe('Video Retrieval', () => {
     const updated = await Video.findById(video._id);
     expect(updated.views).toBe(initialViews + 1);
   });
+
+  it('should hand out media tokens to viewers of the video only', async () => {
+    const videoController = require('../controllers/videoController');
+    const MediaTokenService = require('../services/mediaTokenService');
+    const mockResponse = () => {
+      const res = {};
+      res.status = jest.fn().mockReturnValue(res);
+      res.json = jest.fn().mockReturnValue(res);
+      return res;
+    };
+
+    const res = mockResponse();
+    await videoController.getMediaToken({ params: { id: video._id.toString() }, query: {}, userId: user._id }, res);
+    const { mediaToken, expiresAt } = res.json.mock.calls[0][0];
+    expect(MediaTokenService.decode(mediaToken, video._id).userId).toBe(user._id.toString());
+    expect(MediaTokenService.decode(mediaToken, video._id).download).toBeUndefined();
+    expect(expiresAt.getTime()).toBeGreaterThan(Date.now());
+
+    const anonymous = mockResponse();
+    await videoController.getMediaToken({ params: { id: video._id.toString() }, query: {} }, anonymous);
+    expect(anonymous.status).toHaveBeenCalledWith(401);
+  });
+
+  it('should hand out media tokens for a page of videos in one request', async () => {
+    const videoController = require('../controllers/videoController');
+    const MediaTokenService = require('../services/mediaTokenService');
+    const mockResponse = () => {
+      const res = {};
+      res.status = jest.fn().mockReturnValue(res);
+      res.json = jest.fn().mockReturnValue(res);
+      return res;
+    };
+    const publicVideo = await Video.create({
+      title: 'Public Video',
+      filename: 'public.mp4',
+      filepath: 'https://example.com/public.mp4',
+      userId: user._id,
+      organizationId: organization._id,
+      size: 1024,
+      visibility: 'public'
+    });
+    const videoIds = [video._id.toString(), publicVideo._id.toString(), new mongoose.Types.ObjectId().toString()];
+
+    const res = mockResponse();
+    await videoController.getMediaTokens({ body: { videoIds }, userId: user._id }, res);
+    const { tokens } = res.json.mock.calls[0][0];
+    expect(Object.keys(tokens).sort()).toEqual(videoIds.slice(0, 2).sort());
+    expect(MediaTokenService.verify(tokens[video._id].mediaToken, video._id)).toBe(true);
+
+    const anonymous = mockResponse();
+    await videoController.getMediaTokens({ body: { videoIds } }, anonymous);
+    expect(Object.keys(anonymous.json.mock.calls[0][0].tokens)).toEqual([publicVideo._id.toString()]);
+
+    const invalid = mockResponse();
+    await videoController.getMediaTokens({ body: { videoIds: [{ $ne: null }] }, userId: user._id }, invalid);
+    expect(invalid.status).toHaveBeenCalledWith(400);
+  });
 });
 
 describe('Video Deletion', () => {
@@ -256,3 +313,218 @@ describe('Video Deletion', () => {
     expect(videosAfter.length).toBe(0);
   });
 });
+
+describe('Technical Metadata', () => {
+  let user, organization;
+  const videoController = require('../controllers/videoController');
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  const createVideo = (title, technicalMetadata, extra = {}) => Video.create({
+    title,
+    filename: `${title}.mp4`,
+    filepath: `videos/${title}.mp4`,
+    storageProvider: 'local',
+    userId: user._id,
+    organizationId: organization._id,
+    size: 1024,
+    status: 'safe',
+    technicalMetadata,
+    ...extra
+  });
+
+  beforeEach(async () => {
+    user = await User.create({
+      username: 'metauser',
+      email: 'meta@example.com',
+      password: 'password123'
+    });
+    organization = await Organization.create({ name: 'Meta Org', slug: 'meta-org' });
+    await OrganizationMember.create({ userId: user._id, organizationId: organization._id, role: 'admin' });
+  });
+
+  it('should persist technical metadata', async () => {
+    const video = await createVideo('persisted', {
+      container: 'mov,mp4,m4a,3gp,3g2,mj2',
+      videoCodec: 'h264',
+      audioCodec: 'aac',
+      bitrate: 2500000,
+      width: 1920,
+      height: 1080,
+      fps: 29.97,
+      pixelFormat: 'yuv420p',
+      audioChannels: 2,
+      rotation: 90,
+      hasAudio: true
+    });
+
+    const stored = await Video.findById(video._id).lean();
+    expect(stored.technicalMetadata).toMatchObject({
+      videoCodec: 'h264',
+      audioCodec: 'aac',
+      fps: 29.97,
+      pixelFormat: 'yuv420p',
+      audioChannels: 2,
+      rotation: 90
+    });
+  });
+
+  it('should filter videos by codec, container and resolution', async () => {
+    await createVideo('hd-h264', { container: 'mov,mp4,m4a,3gp,3g2,mj2', videoCodec: 'h264', height: 1080, hasAudio: true });
+    await createVideo('sd-h264', { container: 'mov,mp4,m4a,3gp,3g2,mj2', videoCodec: 'h264', height: 480, hasAudio: false });
+    await createVideo('hd-vp9', { container: 'matroska,webm', videoCodec: 'vp9', height: 1080, hasAudio: true });
+
+    const titlesFor = async (query) => {
+      const res = mockResponse();
+      await videoController.getFilteredVideos(
+        { query, organizationId: organization._id, userRole: 'admin' },
+        res
+      );
+      return res.json.mock.calls[0][0].items.map(v => v.title).sort();
+    };
+
+    expect(await titlesFor({ videoCodec: 'H264' })).toEqual(['hd-h264', 'sd-h264']);
+    expect(await titlesFor({ container: 'webm' })).toEqual(['hd-vp9']);
+    expect(await titlesFor({ container: 'mp' })).toEqual([]);
+    expect(await titlesFor({ minHeight: '720' })).toEqual(['hd-h264', 'hd-vp9']);
+    expect(await titlesFor({ videoCodec: 'h264', hasAudio: 'false' })).toEqual(['sd-h264']);
+  });
+});
+
+describe('Transcripts', () => {
+  let user, organization, video;
+  const videoController = require('../controllers/videoController');
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    res.header = jest.fn().mockReturnValue(res);
+    res.send = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    user = await User.create({
+      username: 'transcriptuser',
+      email: 'transcript@example.com',
+      password: 'password123'
+    });
+    organization = await Organization.create({ name: 'Transcript Org', slug: 'transcript-org' });
+    await OrganizationMember.create({ userId: user._id, organizationId: organization._id, role: 'viewer' });
+
+    const segments = [
+      { start: 0, end: 2.5, text: 'Welcome to the quarterly review' },
+      { start: 2.5, end: 6, text: 'Revenue grew in every region' }
+    ];
+    video = await Video.create({
+      title: 'Quarterly Review',
+      filename: 'review.mp4',
+      filepath: 'videos/review.mp4',
+      storageProvider: 'local',
+      userId: user._id,
+      organizationId: organization._id,
+      size: 1024,
+      status: 'safe',
+      transcript: {
+        engine: 'whisper-cpp',
+        language: 'en',
+        text: segments.map(s => s.text).join(' '),
+        segments,
+        transcribedAt: new Date()
+      }
+    });
+  });
+
+  it('should not load transcript text with the video by default', async () => {
+    const stored = await Video.findById(video._id).lean();
+
+    expect(stored.transcript.language).toBe('en');
+    expect(stored.transcript.segments).toBeUndefined();
+  });
+
+  it('should return transcript segments filtered by ?q=', async () => {
+    const res = mockResponse();
+
+    await videoController.getTranscript({ params: { id: video._id }, query: { q: 'revenue' }, userId: user._id }, res);
+
+    expect(res.json.mock.calls[0][0].transcript.segments).toEqual([
+      { start: 2.5, end: 6, text: 'Revenue grew in every region' }
+    ]);
+  });
+
+  it('should serve WebVTT captions', async () => {
+    const res = mockResponse();
+
+    await videoController.getTranscriptVtt({ params: { id: video._id }, query: {}, userId: user._id }, res);
+
+    expect(res.header).toHaveBeenCalledWith('Content-Type', 'text/vtt; charset=utf-8');
+    expect(res.send.mock.calls[0][0]).toContain('00:00:02.500 --> 00:00:06.000\nRevenue grew in every region');
+  });
+
+  it('should search transcripts within the organization', async () => {
+    const res = mockResponse();
+
+    await videoController.searchTranscripts({ query: { q: 'quarterly' }, organizationId: organization._id }, res);
+
+    const { results } = res.json.mock.calls[0][0];
+    expect(results).toHaveLength(1);
+    expect(results[0].video.title).toBe('Quarterly Review');
+    expect(results[0].matches[0].start).toBe(0);
+  });
+});
+
+describe('Flagged Video Visibility', () => {
+  let user, organization;
+  const videoController = require('../controllers/videoController');
+  const { BUILT_IN_ROLES } = require('../config/permissions');
+
+  const mockResponse = () => {
+    const res = {};
+    res.status = jest.fn().mockReturnValue(res);
+    res.json = jest.fn().mockReturnValue(res);
+    return res;
+  };
+
+  beforeEach(async () => {
+    user = await User.create({ username: 'flaggeduser', email: 'flagged@example.com', password: 'password123' });
+    organization = await Organization.create({ name: 'Flagged Org', slug: 'flagged-org' });
+  });
+
+  it('should not let the uploader make a flagged video public or unlisted', async () => {
+    const video = await Video.create({
+      title: 'Flagged upload',
+      filename: 'flagged.mp4',
+      filepath: 'videos/flagged.mp4',
+      userId: user._id,
+      organizationId: organization._id,
+      size: 1024,
+      status: 'flagged',
+      visibility: 'organization'
+    });
+    const req = (body) => ({
+      params: { id: video._id.toString() },
+      body,
+      userId: user._id,
+      organizationId: organization._id,
+      permissions: BUILT_IN_ROLES.editor
+    });
+
+    for (const body of [{ visibility: 'public' }, { visibility: 'unlisted' }, { isPublic: true }]) {
+      const res = mockResponse();
+      await videoController.updateVideo(req(body), res);
+      expect(res.status).toHaveBeenCalledWith(400);
+    }
+
+    const shareRes = mockResponse();
+    await videoController.updateVideoAccess(req({ visibility: 'public' }), shareRes);
+    expect(shareRes.status).toHaveBeenCalledWith(400);
+
+    expect((await Video.findById(video._id)).visibility).toBe('organization');
+  });
+});
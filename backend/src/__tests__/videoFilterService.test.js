@@ -0,0 +1,44 @@
+const VideoFilterService = require('../services/videoFilterService');
+
+describe('Video Filter Service', () => {
+  it('should build filters from advanced filter parameters', () => {
+    const filters = VideoFilterService.buildFilters({
+      status: 'failed',
+      sensitivity: 'flagged',
+      minHeight: '720',
+      maxDuration: '60',
+      container: 'mp4',
+      hasAudio: 'false',
+      rotation: '90'
+    });
+
+    expect(filters).toEqual({
+      status: 'failed',
+      'sensitivityAnalysis.result': 'flagged',
+      'technicalMetadata.height': { $gte: 720 },
+      duration: { $lte: 60 },
+      'technicalMetadata.container': /(^|,)mp4(,|$)/,
+      'technicalMetadata.hasAudio': false,
+      'technicalMetadata.rotation': 90
+    });
+  });
+
+  it('should filter by tags, normalized', () => {
+    expect(VideoFilterService.buildFilters({ tags: 'Sales, q3,' })).toEqual({ tags: { $all: ['sales', 'q3'] } });
+    expect(VideoFilterService.buildFilters({ tags: ' , ' })).toEqual({});
+  });
+
+  it('should ignore invalid values', () => {
+    expect(VideoFilterService.buildFilters({ status: 'deleted', sensitivity: 'maybe', minFps: 'fast', rotation: '45' })).toEqual({});
+  });
+
+  it('should keep only known scalar parameters', () => {
+    expect(VideoFilterService.pickParams({
+      status: 'safe',
+      maxBitrate: 5000000,
+      hasAudio: true,
+      $where: 'sleep(1000)',
+      category: { $ne: null }
+    })).toEqual({ status: 'safe', maxBitrate: 5000000, hasAudio: true });
+  });
+});
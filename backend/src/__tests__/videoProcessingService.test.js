@@ -460,3 +460,66 @@ describe('Edge Cases & Error Handling', () => {
     });
   });
 });
+
+describe('Re-analysis', () => {
+  const { reprocessBulk } = require('../jobs/videoJobs');
+  const organizationId = new mongoose.Types.ObjectId();
+
+  const createVideo = (overrides = {}) => Video.create({
+    title: 'Cooking show',
+    filename: 'cooking.mp4',
+    filepath: 'uploads/cooking.mp4',
+    userId: new mongoose.Types.ObjectId(),
+    organizationId,
+    size: 1024,
+    status: 'safe',
+    ...overrides
+  });
+
+  it('should re-run metadata analysis and keep visual findings', async () => {
+    const video = await createVideo({
+      title: 'Knife skills with a gun',
+      sensitivityAnalysis: {
+        result: 'safe',
+        score: 0,
+        detectedIssues: [
+          { category: 'Explicit Content', score: 20, source: 'visual', keywords: ['nudity at 0:04 (50%)'], timestamps: [{ time: 4, label: 'nudity', confidence: 0.5 }] }
+        ],
+        visualAnalysis: { classifier: 'heuristic', framesAnalyzed: 10 }
+      }
+    });
+
+    const updated = await VideoProcessingService.reanalyzeVideo(video._id);
+
+    expect(updated.status).toBe('flagged');
+    expect(updated.sensitivityAnalysis.detectedIssues.map(issue => issue.source)).toEqual(['metadata', 'visual']);
+    expect(updated.sensitivityAnalysis.visualAnalysis.framesAnalyzed).toBe(10);
+    expect(updated.moderation.state).toBe('pending');
+  });
+
+  it('should report progress of a bulk re-analysis and skip unprocessed videos', async () => {
+    await createVideo();
+    await createVideo({ title: 'Violent fight compilation', status: 'flagged' });
+    await createVideo({ status: 'failed' });
+    await createVideo({ organizationId: new mongoose.Types.ObjectId() });
+
+    const report = await reprocessBulk(
+      { _id: new mongoose.Types.ObjectId(), organizationId, payload: { mode: 'analysis', filters: {} } },
+      { io: null }
+    );
+
+    expect(report).toMatchObject({ mode: 'analysis', total: 3, processed: 3, succeeded: 2, skipped: 1, failed: 0 });
+  });
+
+  it('should only reprocess videos matching the filter', async () => {
+    await createVideo();
+    await createVideo({ status: 'flagged', title: 'Violent fight compilation' });
+
+    const report = await reprocessBulk(
+      { _id: new mongoose.Types.ObjectId(), organizationId, payload: { mode: 'analysis', filters: { status: 'flagged' } } },
+      { io: null }
+    );
+
+    expect(report.total).toBe(1);
+  });
+});
@@ -0,0 +1,225 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const VideoSearchService = require('../services/videoSearchService');
+const Video = require('../models/Video');
+const User = require('../models/User');
+
+describe('Video Search Service', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Parameters', () => {
+    it('should sort by relevance with search text and by date without', () => {
+      expect(VideoSearchService.parseParams({ q: ' onboarding ' })).toMatchObject({ q: 'onboarding', sort: 'relevance', limit: 20 });
+      expect(VideoSearchService.parseParams({})).toMatchObject({ q: '', sort: 'date', cursor: null });
+      expect(VideoSearchService.parseParams({ sort: 'relevance' })).toEqual({ error: 'Sorting by relevance needs search text' });
+      expect(VideoSearchService.parseParams({ sort: 'size' }).error).toMatch('Invalid sort');
+      expect(VideoSearchService.parseParams({ limit: '500' }).limit).toBe(50);
+    });
+
+    it('should check the filters', () => {
+      const uploader = new mongoose.Types.ObjectId().toString();
+      const { filters } = VideoSearchService.parseParams({
+        status: 'safe',
+        category: 'tutorial',
+        uploader,
+        tags: 'Onboarding, ,hr'
+      });
+
+      expect(filters).toEqual({
+        status: 'safe',
+        category: 'tutorial',
+        userId: new mongoose.Types.ObjectId(uploader),
+        tags: { $all: ['onboarding', 'hr'] }
+      });
+      expect(VideoSearchService.parseParams({ status: 'deleted' }).error).toMatch('Invalid status');
+      expect(VideoSearchService.parseParams({ category: 'news' }).error).toMatch('Invalid category');
+      expect(VideoSearchService.parseParams({ uploader: 'bob' })).toEqual({ error: 'Invalid uploader' });
+    });
+  });
+
+  describe('Highlights', () => {
+    it('should mark the words starting with a search term', () => {
+      const terms = VideoSearchService.getTerms('Running -draft "safety"');
+      expect(terms).toEqual(['runn', 'safety']);
+
+      expect(VideoSearchService.highlight('title', 'Safety first: running drills', terms)).toEqual({
+        field: 'title',
+        text: 'Safety first: running drills',
+        matches: [[0, 6], [14, 21]]
+      });
+      expect(VideoSearchService.highlight('title', 'Unrelated', terms)).toBeNull();
+    });
+
+    it('should cut long fields around the first match', () => {
+      const text = `${'intro '.repeat(40)}the safety briefing${' outro'.repeat(40)}`;
+      const highlight = VideoSearchService.highlight('description', text, ['safety']);
+
+      expect(highlight.text.length).toBeLessThanOrEqual(162);
+      expect(highlight.text.startsWith('…')).toBe(true);
+      expect(highlight.text.endsWith('…')).toBe(true);
+      const [[start, end]] = highlight.matches;
+      expect(highlight.text.slice(start, end)).toBe('safety');
+    });
+
+    it('should point to the transcript segment where the words are said', () => {
+      const video = {
+        title: 'Warehouse tour',
+        tags: ['forklift'],
+        description: '',
+        transcript: {
+          text: 'Welcome. Always check the forklift brakes.',
+          segments: [
+            { start: 0, end: 2, text: 'Welcome.' },
+            { start: 2, end: 6, text: 'Always check the forklift brakes.' }
+          ]
+        }
+      };
+
+      expect(VideoSearchService.getHighlights(video, ['forklift'])).toEqual([
+        { field: 'tags', text: 'forklift', matches: [[0, 8]] },
+        { field: 'transcript', text: 'Always check the forklift brakes.', matches: [[17, 25]], start: 2 }
+      ]);
+    });
+  });
+
+  describe('Pages', () => {
+    const ids = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    const videos = ids.map((_id, index) => ({
+      _id,
+      title: `Video ${index}`,
+      createdAt: new Date(Date.UTC(2026, 0, 3 - index)),
+      transcript: { text: 'secret', segments: [], language: 'en' }
+    }));
+
+    beforeEach(() => {
+      jest.spyOn(Video, 'populate').mockImplementation(async docs => docs);
+    });
+
+    it('should return a cursor to the next page and strip transcripts', async () => {
+      const aggregate = jest.spyOn(Video, 'aggregate').mockResolvedValue(videos);
+      const params = VideoSearchService.parseParams({ limit: '2' });
+
+      const page = await VideoSearchService.search({}, params);
+      expect(page.items.map(item => item.video._id)).toEqual(ids.slice(0, 2));
+      expect(page.items[0].video.transcript).toEqual({ language: 'en' });
+      expect(page.nextCursor).toEqual(expect.any(String));
+      expect(aggregate.mock.calls[0][0]).toContainEqual({ $limit: 3 });
+
+      const next = VideoSearchService.parseParams({ limit: '2', cursor: page.nextCursor });
+      expect(next.cursor).toEqual({ value: videos[1].createdAt, id: ids[1] });
+
+      aggregate.mockResolvedValue(videos.slice(2));
+      expect((await VideoSearchService.search({}, next)).nextCursor).toBeNull();
+      expect(aggregate.mock.calls[1][0]).toContainEqual({
+        $match: {
+          $or: [
+            { createdAt: { $lt: videos[1].createdAt } },
+            { createdAt: videos[1].createdAt, _id: { $lt: ids[1] } }
+          ]
+        }
+      });
+    });
+
+    it('should count each facet without its own filter, over the faceted fields only', async () => {
+      const aggregate = jest.spyOn(Video, 'aggregate')
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([{ status: [], category: [], uploader: [], tags: [], total: [] }]);
+      const params = VideoSearchService.parseParams({ q: 'fire', status: 'safe', category: 'tutorial' });
+
+      await VideoSearchService.search({ organizationId: 'org1' }, params, { withFacets: true });
+
+      const [match, project, { $facet: facets }] = aggregate.mock.calls[1][0];
+      expect(match.$match).toEqual({ $and: [{ organizationId: 'org1' }, { $text: { $search: 'fire' } }] });
+      expect(project.$project).toEqual({ status: 1, category: 1, userId: 1, tags: 1 });
+      expect(facets.status[0]).toEqual({ $match: { category: 'tutorial' } });
+      expect(facets.category[0]).toEqual({ $match: { status: 'safe' } });
+      expect(facets.total[0]).toEqual({ $match: { status: 'safe', category: 'tutorial' } });
+    });
+
+    it('should refuse cursors of another sort or that are not cursors', async () => {
+      jest.spyOn(Video, 'aggregate').mockResolvedValue(videos);
+      const { nextCursor } = await VideoSearchService.search({}, VideoSearchService.parseParams({ limit: '1' }));
+
+      expect(VideoSearchService.parseParams({ sort: 'views', cursor: nextCursor })).toEqual({ error: 'Invalid cursor' });
+      expect(VideoSearchService.parseParams({ cursor: 'not-a-cursor' })).toEqual({ error: 'Invalid cursor' });
+    });
+  });
+
+  describe('with a database', () => {
+    let mongoServer;
+    const organizationId = new mongoose.Types.ObjectId();
+
+    beforeAll(async () => {
+      mongoServer = await MongoMemoryServer.create();
+      await mongoose.connect(mongoServer.getUri(), {
+        useNewUrlParser: true,
+        useUnifiedTopology: true,
+      });
+      await Video.syncIndexes();
+    }, 30000);
+
+    afterAll(async () => {
+      await mongoose.disconnect();
+      if (mongoServer) {
+        await mongoServer.stop();
+      }
+    });
+
+    beforeEach(async () => {
+      await Promise.all([Video.deleteMany({}), User.deleteMany({})]);
+    });
+
+    const createVideo = (userId, fields) => Video.create({
+      filename: 'video.mp4',
+      filepath: 'videos/video.mp4',
+      size: 1024,
+      userId,
+      organizationId,
+      status: 'safe',
+      ...fields
+    });
+
+    it('should rank title matches first and count facets', async () => {
+      const user = await User.create({ username: 'alice', email: 'alice@example.com', password: 'password123' });
+      await createVideo(user._id, { title: 'Kitchen tour', description: 'Where the fire safety kit is' });
+      await createVideo(user._id, { title: 'Fire safety training', tags: ['safety'], category: 'tutorial' });
+      await createVideo(user._id, { title: 'Holiday party', status: 'flagged' });
+
+      const params = VideoSearchService.parseParams({ q: 'fire safety' });
+      const { items, facets, total } = await VideoSearchService.search({ organizationId }, params, { withFacets: true });
+
+      expect(items.map(item => item.video.title)).toEqual(['Fire safety training', 'Kitchen tour']);
+      expect(items[0].video.userId.username).toBe('alice');
+      expect(items[0].highlights[0]).toMatchObject({ field: 'title', matches: [[0, 4], [5, 11]] });
+      expect(total).toBe(2);
+      expect(facets.status).toEqual([{ value: 'safe', count: 2 }]);
+      expect(facets.uploader).toEqual([{ value: user._id, count: 2, label: 'alice' }]);
+      expect(facets.tags).toEqual([{ value: 'safety', count: 1 }]);
+    });
+
+    it('should keep the other values of a filtered facet on offer', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      await createVideo(userId, { title: 'Fire drill', category: 'tutorial' });
+      await createVideo(userId, { title: 'Fire safety talk', category: 'educational' });
+
+      const params = VideoSearchService.parseParams({ q: 'fire', category: 'tutorial' });
+      const { items, facets, total } = await VideoSearchService.search({ organizationId }, params, { withFacets: true });
+
+      expect(items.map(item => item.video.title)).toEqual(['Fire drill']);
+      expect(total).toBe(1);
+      expect(facets.category.map(bucket => bucket.value).sort()).toEqual(['educational', 'tutorial']);
+      expect(facets.status).toEqual([{ value: 'safe', count: 1 }]);
+    });
+
+    it('should index videos whatever the language of their transcript', async () => {
+      const userId = new mongoose.Types.ObjectId();
+      await createVideo(userId, { title: 'Quarterly update', transcript: { text: 'revenue grew', language: 'auto' } });
+
+      const { items } = await VideoSearchService.search({ organizationId }, VideoSearchService.parseParams({ q: 'revenue' }));
+      expect(items).toHaveLength(1);
+      expect(items[0].highlights).toEqual([{ field: 'transcript', text: 'revenue grew', matches: [[0, 7]] }]);
+    });
+  });
+});
@@ -453,3 +453,116 @@ describe('Performance Optimization', () => {
     expect(cache.get(filePath).size).toBe(fileSize);
   });
 });
+
+describe('Local Disk Streaming', () => {
+  const os = require('os');
+  let tmpDir;
+  let filePath;
+
+  const createResponse = () => {
+    const { PassThrough } = require('stream');
+    const res = new PassThrough();
+    res.headers = {};
+    res.statusCode = 200;
+    res.header = jest.fn((key, value) => { res.headers[key] = value; return res; });
+    res.status = jest.fn((code) => { res.statusCode = code; return res; });
+    res.json = jest.fn();
+    return res;
+  };
+
+  beforeAll(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-test-'));
+    filePath = path.join(tmpDir, 'sample.webm');
+    fs.writeFileSync(filePath, Buffer.alloc(2048, 1));
+  });
+
+  afterAll(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should detect content type from file extension', () => {
+    expect(VideoStreamingService.getContentType('a.webm')).toBe('video/webm');
+    expect(VideoStreamingService.getContentType('a.mov')).toBe('video/quicktime');
+    expect(VideoStreamingService.getContentType('a.unknown')).toBe('video/mp4');
+  });
+
+  it('should respond 206 with partial content for range requests', (done) => {
+    const res = createResponse();
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => {
+      expect(res.statusCode).toBe(206);
+      expect(res.headers['Content-Range']).toBe('bytes 0-99/2048');
+      expect(res.headers['Content-Type']).toBe('video/webm');
+      expect(Buffer.concat(chunks).length).toBe(100);
+      done();
+    });
+
+    VideoStreamingService.streamVideo({ headers: { range: 'bytes=0-99' } }, res, filePath);
+  });
+
+  it('should respond 404 when the file is missing', () => {
+    const res = createResponse();
+    VideoStreamingService.streamVideo({ headers: {} }, res, path.join(tmpDir, 'missing.mp4'));
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+});
+
+describe('Technical Metadata Parsing', () => {
+  const probe = {
+    format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2', duration: '12.345', bit_rate: '2500000' },
+    streams: [
+      { codec_type: 'audio', codec_name: 'aac', channels: 2, channel_layout: 'stereo', sample_rate: '48000', bit_rate: '128000' },
+      {
+        codec_type: 'video',
+        codec_name: 'h264',
+        profile: 'High',
+        width: 1920,
+        height: 1080,
+        avg_frame_rate: '30000/1001',
+        r_frame_rate: '30/1',
+        pix_fmt: 'yuv420p',
+        side_data_list: [{ side_data_type: 'Display Matrix', rotation: -90 }]
+      }
+    ]
+  };
+
+  it('should pick the video and audio streams regardless of order', () => {
+    const metadata = VideoStreamingService.parseTechnicalMetadata(probe);
+
+    expect(metadata).toMatchObject({
+      container: 'mov,mp4,m4a,3gp,3g2,mj2',
+      duration: 12.345,
+      bitrate: 2500000,
+      videoCodec: 'h264',
+      videoProfile: 'High',
+      width: 1920,
+      height: 1080,
+      fps: 29.97,
+      pixelFormat: 'yuv420p',
+      hasAudio: true,
+      audioCodec: 'aac',
+      audioChannels: 2,
+      audioSampleRate: 48000
+    });
+  });
+
+  it('should normalize rotation from display matrices and rotate tags', () => {
+    expect(VideoStreamingService.parseTechnicalMetadata(probe).rotation).toBe(90);
+    expect(VideoStreamingService.getRotation({ tags: { rotate: '270' } })).toBe(270);
+    expect(VideoStreamingService.getRotation({ side_data_list: [{ rotation: 180 }] })).toBe(180);
+    expect(VideoStreamingService.getRotation({})).toBe(0);
+  });
+
+  it('should handle silent videos and missing values', () => {
+    const metadata = VideoStreamingService.parseTechnicalMetadata({
+      format: {},
+      streams: [{ codec_type: 'video', codec_name: 'vp9', r_frame_rate: '25/1', avg_frame_rate: '0/0' }]
+    });
+
+    expect(metadata.hasAudio).toBe(false);
+    expect(metadata.audioCodec).toBeNull();
+    expect(metadata.bitrate).toBeNull();
+    expect(metadata.fps).toBe(25);
+  });
+});
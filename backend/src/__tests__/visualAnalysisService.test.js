@@ -0,0 +1,193 @@
+const VisualAnalysisService = require('../services/visualAnalysisService');
+const VideoProcessingService = require('../services/videoProcessingService');
+const HeuristicFrameClassifier = require('../classifiers/HeuristicFrameClassifier');
+const OnnxFrameClassifier = require('../classifiers/OnnxFrameClassifier');
+const { setClassifier } = require('../classifiers');
+const { parseLabelMap } = require('../config/visualAnalysisConfig');
+
+// Solid-color RGB24 frame, optionally with the first `share` of pixels in a second color
+const createFrame = (color, { share = 0, accent = [0, 0, 0], timestamp = 0, width = 10, height = 10 } = {}) => {
+  const data = Buffer.alloc(width * height * 3);
+  const accentPixels = Math.round(width * height * share);
+  for (let i = 0; i < width * height; i++) {
+    data.set(i < accentPixels ? accent : color, i * 3);
+  }
+  return { timestamp, width, height, data };
+};
+
+const SKIN = [224, 172, 140];
+const BLOOD = [150, 20, 25];
+const SKY = [90, 140, 220];
+
+describe('Visual Analysis Service', () => {
+  describe('Sampling', () => {
+    it('should sample at most maxFrames frames across long videos', () => {
+      expect(VisualAnalysisService.getSampling(600, { maxFrames: 30, minInterval: 2 }))
+        .toEqual({ frameCount: 30, interval: 20 });
+    });
+
+    it('should keep a minimum interval for short videos', () => {
+      expect(VisualAnalysisService.getSampling(9, { maxFrames: 30, minInterval: 2 }))
+        .toEqual({ frameCount: 4, interval: 2 });
+    });
+
+    it('should sample one frame when the duration is unknown', () => {
+      expect(VisualAnalysisService.getSampling(0, { maxFrames: 30, minInterval: 2 }).frameCount).toBe(1);
+    });
+  });
+
+  describe('Heuristic classifier', () => {
+    const classifier = new HeuristicFrameClassifier();
+
+    it('should report nudity for frames dominated by skin tones', async () => {
+      const results = await classifier.classify(createFrame(SKIN));
+
+      expect(results).toEqual([{ label: 'nudity', confidence: 1 }]);
+    });
+
+    it('should report gore for a share of blood red pixels', async () => {
+      const results = await classifier.classify(createFrame(SKY, { share: 0.2, accent: BLOOD }));
+
+      expect(results).toEqual([{ label: 'gore', confidence: 1 }]);
+    });
+
+    it('should report nothing for ordinary frames', async () => {
+      expect(await classifier.classify(createFrame(SKY, { share: 0.2, accent: SKIN }))).toEqual([]);
+    });
+  });
+
+  describe('ONNX classifier', () => {
+    // Stand-in for onnxruntime-node returning fixed logits
+    const createRuntime = (scores) => ({
+      Tensor: class {
+        constructor(type, data, dims) {
+          Object.assign(this, { type, data, dims });
+        }
+      },
+      InferenceSession: {
+        create: jest.fn(async () => ({
+          inputNames: ['input'],
+          outputNames: ['output'],
+          run: jest.fn(async (feeds) => {
+            expect(feeds.input.dims).toEqual([1, 3, 2, 2]);
+            return { output: { data: Float32Array.from(scores) } };
+          })
+        }))
+      }
+    });
+
+    it('should map model labels to visual labels with softmax over logits', async () => {
+      const classifier = new OnnxFrameClassifier({
+        modelPath: '/models/nsfw.onnx',
+        labels: ['drawings', 'hentai', 'neutral', 'porn', 'sexy'],
+        labelMap: parseLabelMap('porn:nudity,hentai:nudity'),
+        inputSize: 2,
+        runtime: createRuntime([0, 1, 0, 5, 0])
+      });
+
+      const results = await classifier.classify(createFrame(SKIN, { width: 2, height: 2 }));
+
+      expect(results).toHaveLength(1);
+      expect(results[0].label).toBe('nudity');
+      expect(results[0].confidence).toBeGreaterThan(0.9);
+    });
+
+    it('should lay out tensors channel-first by default', () => {
+      const classifier = new OnnxFrameClassifier({ modelPath: 'm.onnx', labels: ['porn'], inputSize: 2 });
+      const tensor = classifier.toTensorData(createFrame([255, 0, 0], { width: 2, height: 1 }));
+
+      expect(Array.from(tensor)).toEqual([1, 1, 0, 0, 0, 0]);
+    });
+
+    it('should require a model path', () => {
+      expect(() => new OnnxFrameClassifier({ labels: ['porn'] })).toThrow('ONNX_MODEL_PATH');
+    });
+  });
+
+  describe('Issues', () => {
+    it('should group findings by category with timestamps', () => {
+      const issues = VisualAnalysisService.buildIssues([
+        { time: 4, label: 'nudity', confidence: 0.8 },
+        { time: 64, label: 'nudity', confidence: 0.9 },
+        { time: 10, label: 'gore', confidence: 0.7 }
+      ]);
+
+      expect(issues).toEqual([
+        {
+          category: 'Explicit Content',
+          score: 45,
+          source: 'visual',
+          keywords: ['nudity at 0:04 (80%)', 'nudity at 1:04 (90%)'],
+          timestamps: [
+            { time: 4, label: 'nudity', confidence: 0.8 },
+            { time: 64, label: 'nudity', confidence: 0.9 }
+          ]
+        },
+        expect.objectContaining({ category: 'Violence/Gore', score: 21 })
+      ]);
+    });
+
+    it('should classify extracted frames with the configured classifier', async () => {
+      const classifier = new HeuristicFrameClassifier();
+      setClassifier('heuristic', classifier);
+      jest.spyOn(VisualAnalysisService, 'extractFrames').mockResolvedValue([
+        createFrame(SKY, { timestamp: 0 }),
+        createFrame(SKIN, { timestamp: 2 })
+      ]);
+      const progress = [];
+
+      const visual = await VisualAnalysisService.analyze('/tmp/input.mp4', {
+        duration: 4,
+        onProgress: p => progress.push(p)
+      });
+
+      expect(visual.classifier).toBe('heuristic');
+      expect(visual.framesAnalyzed).toBe(2);
+      expect(visual.issues[0].timestamps).toEqual([{ time: 2, label: 'nudity', confidence: 1 }]);
+      expect(progress).toEqual([75, 100]);
+
+      jest.restoreAllMocks();
+      setClassifier('heuristic', null);
+    });
+  });
+
+  describe('Merging into sensitivity analysis', () => {
+    it('should flag videos with harmless metadata but explicit frames', () => {
+      const metadata = VideoProcessingService.analyzeSensitivity({ title: 'Holiday at the beach' });
+      const visual = {
+        classifier: 'heuristic',
+        framesAnalyzed: 10,
+        issues: VisualAnalysisService.buildIssues([{ time: 12, label: 'nudity', confidence: 0.9 }])
+      };
+
+      const merged = VideoProcessingService.mergeVisualAnalysis(metadata, visual);
+
+      expect(metadata.result).toBe('safe');
+      expect(merged.result).toBe('flagged');
+      expect(merged.score).toBe(36);
+      expect(merged.detectedIssues[0]).toMatchObject({ source: 'visual', timestamps: [{ time: 12 }] });
+      expect(merged.rules).toEqual(['Visual analysis: Explicit Content in 1 frame(s)']);
+      expect(merged.visualAnalysis).toMatchObject({ classifier: 'heuristic', framesAnalyzed: 10 });
+    });
+
+    it('should combine keyword and visual scores for the same category', () => {
+      const metadata = VideoProcessingService.analyzeSensitivity({ description: 'a fight' });
+      const visual = {
+        classifier: 'heuristic',
+        framesAnalyzed: 5,
+        issues: VisualAnalysisService.buildIssues([{ time: 3, label: 'gore', confidence: 0.5 }])
+      };
+
+      const merged = VideoProcessingService.mergeVisualAnalysis(metadata, visual);
+
+      expect(merged.categoryBreakdown['Violence/Gore'].score).toBe(45);
+      expect(merged.detectedIssues).toHaveLength(2);
+    });
+
+    it('should leave the analysis unchanged without visual results', () => {
+      const metadata = VideoProcessingService.analyzeSensitivity('hello');
+
+      expect(VideoProcessingService.mergeVisualAnalysis(metadata, null)).toBe(metadata);
+    });
+  });
+});
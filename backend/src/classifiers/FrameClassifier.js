@@ -0,0 +1,37 @@
+/**
+ * Frame Classifier
+ * Base class describing the interface every visual content classifier implements.
+ * Frames are raw RGB24 pixels: `data[(y * width + x) * 3 + channel]`.
+ */
+
+class FrameClassifier {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Frame size the classifier needs, e.g. { width: 224, height: 224 }.
+   * null means any size; frames are then scaled down keeping the aspect ratio.
+   * @returns {{ width: number, height: number }|null}
+   */
+  get inputSize() {
+    return null;
+  }
+
+  /**
+   * Prepare the classifier (load models, ...). Called once before the first frame.
+   */
+  async load() {}
+
+  /**
+   * Classify one frame
+   * @param {{ timestamp: number, width: number, height: number, data: Buffer }} frame
+   * @returns {Promise<Array<{ label: string, confidence: number }>>} confidence between 0 and 1
+   *   for the visual labels in VISUAL_LABEL_CATEGORIES (e.g. "nudity", "gore")
+   */
+  async classify(frame) {
+    throw new Error(`${this.name} classifier does not implement classify()`);
+  }
+}
+
+module.exports = FrameClassifier;
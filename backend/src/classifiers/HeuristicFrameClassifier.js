@@ -0,0 +1,78 @@
+/**
+ * Heuristic Frame Classifier
+ * Dependency-free default classifier based on pixel colors: a large share of
+ * skin-toned pixels suggests nudity, a share of dark saturated red suggests blood.
+ * Cheap enough to run on every upload, but expect false positives (close-up faces,
+ * red lighting); use the ONNX classifier with a trained model for real moderation.
+ */
+
+const FrameClassifier = require('./FrameClassifier');
+
+class HeuristicFrameClassifier extends FrameClassifier {
+  /**
+   * Pixel share (0-1) at which confidence starts rising and where it reaches 1
+   */
+  static THRESHOLDS = {
+    skin: { min: 0.3, max: 0.6 },
+    blood: { min: 0.05, max: 0.2 }
+  };
+
+  constructor({ thresholds = HeuristicFrameClassifier.THRESHOLDS } = {}) {
+    super('heuristic');
+    this.thresholds = thresholds;
+  }
+
+  // RGB skin rule for daylight illumination (Kovac et al.)
+  static isSkin(r, g, b) {
+    return r > 95 && g > 40 && b > 20 &&
+      Math.max(r, g, b) - Math.min(r, g, b) > 15 &&
+      Math.abs(r - g) > 15 && r > g && r > b;
+  }
+
+  // Saturated, fairly dark red: red dominates both other channels by a wide margin
+  static isBlood(r, g, b) {
+    return r > 80 && r < 230 && g < r * 0.4 && b < r * 0.4;
+  }
+
+  /**
+   * Share of skin and blood colored pixels in a frame
+   */
+  static measure(frame) {
+    const { data } = frame;
+    const pixels = Math.floor(data.length / 3);
+    let skin = 0;
+    let blood = 0;
+
+    for (let i = 0; i < pixels * 3; i += 3) {
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      if (this.isBlood(r, g, b)) {
+        blood++;
+      } else if (this.isSkin(r, g, b)) {
+        skin++;
+      }
+    }
+
+    return {
+      skin: pixels > 0 ? skin / pixels : 0,
+      blood: pixels > 0 ? blood / pixels : 0
+    };
+  }
+
+  static toConfidence(ratio, { min, max }) {
+    if (ratio <= min) return 0;
+    return Math.min(1, (ratio - min) / (max - min));
+  }
+
+  async classify(frame) {
+    const ratios = HeuristicFrameClassifier.measure(frame);
+
+    return [
+      { label: 'nudity', confidence: HeuristicFrameClassifier.toConfidence(ratios.skin, this.thresholds.skin) },
+      { label: 'gore', confidence: HeuristicFrameClassifier.toConfidence(ratios.blood, this.thresholds.blood) }
+    ].filter(result => result.confidence > 0);
+  }
+}
+
+module.exports = HeuristicFrameClassifier;
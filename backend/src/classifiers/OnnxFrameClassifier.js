@@ -0,0 +1,115 @@
+/**
+ * ONNX Frame Classifier
+ * Runs an image classification model (e.g. an NSFW/gore classifier exported to ONNX)
+ * on the CPU with onnxruntime-node. The runtime is an optional dependency:
+ * install it with `npm install onnxruntime-node` before selecting this classifier.
+ *
+ * The model is expected to take one float32 image tensor and return one score per label.
+ * Model labels are mapped onto visual labels ("nudity", "gore"); unmapped labels
+ * (e.g. "neutral", "drawings") are ignored.
+ */
+
+const FrameClassifier = require('./FrameClassifier');
+
+class OnnxFrameClassifier extends FrameClassifier {
+  /**
+   * @param {{ modelPath: string, labels: string[], labelMap: Object<string, string>,
+   *           inputSize?: number, layout?: 'nchw'|'nhwc', runtime?: object }} options
+   */
+  constructor({ modelPath, labels = [], labelMap = {}, inputSize = 224, layout = 'nchw', runtime } = {}) {
+    super('onnx');
+    if (!modelPath) {
+      throw new Error('ONNX classifier requires ONNX_MODEL_PATH');
+    }
+    if (labels.length === 0) {
+      throw new Error('ONNX classifier requires ONNX_LABELS (model output labels in order)');
+    }
+
+    this.modelPath = modelPath;
+    this.labels = labels;
+    this.labelMap = labelMap;
+    this.size = inputSize;
+    this.layout = layout;
+    this.runtime = runtime || null;
+    this.session = null;
+  }
+
+  get inputSize() {
+    return { width: this.size, height: this.size };
+  }
+
+  async load() {
+    if (this.session) return;
+
+    if (!this.runtime) {
+      try {
+        this.runtime = require('onnxruntime-node');
+      } catch (error) {
+        throw new Error('onnxruntime-node is not installed; run `npm install onnxruntime-node` or use VISUAL_CLASSIFIER=heuristic');
+      }
+    }
+
+    this.session = await this.runtime.InferenceSession.create(this.modelPath);
+    console.log(`[VISUAL] Loaded ONNX model ${this.modelPath}`);
+  }
+
+  /**
+   * RGB24 bytes to a float32 tensor scaled to 0-1 in the model's layout
+   */
+  toTensorData(frame) {
+    const { width, height, data } = frame;
+    const pixels = width * height;
+    const tensor = new Float32Array(pixels * 3);
+
+    for (let i = 0; i < pixels; i++) {
+      for (let c = 0; c < 3; c++) {
+        const value = data[i * 3 + c] / 255;
+        if (this.layout === 'nhwc') {
+          tensor[i * 3 + c] = value;
+        } else {
+          tensor[c * pixels + i] = value;
+        }
+      }
+    }
+
+    return tensor;
+  }
+
+  /**
+   * Models either output probabilities or raw logits; logits are normalized with softmax
+   */
+  static toProbabilities(scores) {
+    if (scores.every(score => score >= 0 && score <= 1)) {
+      return scores;
+    }
+
+    const max = Math.max(...scores);
+    const exps = scores.map(score => Math.exp(score - max));
+    const sum = exps.reduce((total, value) => total + value, 0);
+    return exps.map(value => value / sum);
+  }
+
+  async classify(frame) {
+    await this.load();
+
+    const dims = this.layout === 'nhwc'
+      ? [1, frame.height, frame.width, 3]
+      : [1, 3, frame.height, frame.width];
+    const input = new this.runtime.Tensor('float32', this.toTensorData(frame), dims);
+    const outputs = await this.session.run({ [this.session.inputNames[0]]: input });
+    const scores = OnnxFrameClassifier.toProbabilities(Array.from(outputs[this.session.outputNames[0]].data));
+
+    // Several model labels can map to one visual label ("porn", "hentai" -> "nudity"); keep the highest
+    const byLabel = new Map();
+    scores.forEach((confidence, index) => {
+      const label = this.labelMap[this.labels[index]];
+      if (label && confidence > (byLabel.get(label) || 0)) {
+        byLabel.set(label, confidence);
+      }
+    });
+
+    return [...byLabel].map(([label, confidence]) => ({ label, confidence }));
+  }
+}
+
+module.exports = OnnxFrameClassifier;
@@ -0,0 +1,49 @@
+/**
+ * Classifiers
+ * Entry point for visual content classifiers: creates the classifier selected
+ * by configuration and lets tests swap in their own.
+ */
+
+const HeuristicFrameClassifier = require('./HeuristicFrameClassifier');
+const OnnxFrameClassifier = require('./OnnxFrameClassifier');
+const { getVisualClassifierName, getOnnxConfig } = require('../config/visualAnalysisConfig');
+
+// One classifier instance per name, created lazily (models are loaded once)
+const classifiers = new Map();
+
+const createClassifier = (name) => {
+  switch (name) {
+    case 'heuristic':
+      return new HeuristicFrameClassifier();
+    case 'onnx':
+      return new OnnxFrameClassifier(getOnnxConfig());
+    default:
+      throw new Error(`Unknown visual classifier: ${name}`);
+  }
+};
+
+/**
+ * Get a classifier; defaults to the one configured with VISUAL_CLASSIFIER
+ */
+const getClassifier = (name = getVisualClassifierName()) => {
+  if (!classifiers.has(name)) {
+    classifiers.set(name, createClassifier(name));
+  }
+  return classifiers.get(name);
+};
+
+/**
+ * Override the classifier for a name (used by tests to avoid loading models)
+ */
+const setClassifier = (name, classifier) => {
+  if (classifier) {
+    classifiers.set(name, classifier);
+  } else {
+    classifiers.delete(name);
+  }
+};
+
+module.exports = {
+  getClassifier,
+  setClassifier
+};
@@ -0,0 +1,31 @@
+/**
+ * Auth Configuration
+ * - ACCESS_TOKEN_TTL: lifetime of access tokens (jsonwebtoken format, e.g. "15m")
+ * - REFRESH_TOKEN_TTL_DAYS: lifetime of a session without being refreshed
+ * - INVITE_TTL_DAYS: how long organization invitations can be accepted
+ * - VERIFY_EMAIL_TTL_HOURS / PASSWORD_RESET_TTL_MINUTES: lifetime of emailed account links
+ * - TWO_FACTOR_ENCRYPTION_KEY: key for stored TOTP secrets (defaults to JWT_SECRET)
+ */
+const getJwtSecret = () => process.env.JWT_SECRET || 'secret';
+
+const getAccessTokenTtl = () => process.env.ACCESS_TOKEN_TTL || '15m';
+
+const getRefreshTokenTtlMs = () => (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+
+const getInviteTtlMs = () => (parseInt(process.env.INVITE_TTL_DAYS, 10) || 7) * 24 * 60 * 60 * 1000;
+
+const getVerifyEmailTtlMs = () => (parseInt(process.env.VERIFY_EMAIL_TTL_HOURS, 10) || 48) * 60 * 60 * 1000;
+
+const getPasswordResetTtlMs = () => (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000;
+
+const getTwoFactorEncryptionKey = () => process.env.TWO_FACTOR_ENCRYPTION_KEY || getJwtSecret();
+
+module.exports = {
+  getJwtSecret,
+  getAccessTokenTtl,
+  getRefreshTokenTtlMs,
+  getInviteTtlMs,
+  getVerifyEmailTtlMs,
+  getPasswordResetTtlMs,
+  getTwoFactorEncryptionKey
+};
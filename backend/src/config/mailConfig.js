@@ -0,0 +1,41 @@
+const path = require('path');
+
+/**
+ * Mail Configuration
+ * Selects how emails (invitations, verification and password reset links) are delivered via `MAIL_TRANSPORT`:
+ * - console (default): logged to the server output, for development
+ * - file: written as JSON files to `MAIL_FILE_DIR`, for development and tests
+ * - smtp: sent through an SMTP server configured with SMTP_* (needs `npm install nodemailer`)
+ */
+const MAIL_TRANSPORTS = ['console', 'file', 'smtp'];
+
+const getMailTransportName = () => {
+  const name = (process.env.MAIL_TRANSPORT || 'console').trim().toLowerCase();
+  return MAIL_TRANSPORTS.includes(name) ? name : 'console';
+};
+
+const getMailFrom = () => process.env.MAIL_FROM || 'Video Platform <no-reply@localhost>';
+
+const getMailFileDir = () => {
+  return path.resolve(process.env.MAIL_FILE_DIR || path.join(__dirname, '../../mail'));
+};
+
+const getSmtpConfig = () => ({
+  host: process.env.SMTP_HOST,
+  port: parseInt(process.env.SMTP_PORT, 10) || 587,
+  secure: process.env.SMTP_SECURE === 'true',
+  user: process.env.SMTP_USER,
+  pass: process.env.SMTP_PASS
+});
+
+// Base URL of the frontend, used for links in emails
+const getAppUrl = () => (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, '');
+
+module.exports = {
+  MAIL_TRANSPORTS,
+  getMailTransportName,
+  getMailFrom,
+  getMailFileDir,
+  getSmtpConfig,
+  getAppUrl
+};
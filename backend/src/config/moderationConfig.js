@@ -0,0 +1,69 @@
+/**
+ * Moderation Configuration
+ * Built-in moderation policy used for organizations that have not saved their own
+ * (see ModerationPolicyService). Organizations start from a copy of these categories.
+ */
+
+// Keyword lists for different content categories
+const DEFAULT_KEYWORD_CATEGORIES = {
+  // Explicit/Adult content
+  explicit: {
+    keywords: ['adult', 'explicit', 'porn', 'xxx', 'sexual', 'nude', 'naked', 'sex', 'xxx', 'hot', 'strip', 'naked', 'orgasm', 'intercourse'],
+    weight: 40,
+    category: 'Explicit Content'
+  },
+  // Violence/Gore
+  violence: {
+    keywords: ['violence', 'murder', 'kill', 'death', 'gore', 'blood', 'brutal', 'assault', 'fight', 'weapon', 'gun', 'knife', 'shoot'],
+    weight: 30,
+    category: 'Violence/Gore'
+  },
+  // Hate speech/Discrimination
+  hate: {
+    keywords: ['hate', 'racist', 'sexist', 'discrimination', 'slur', 'bigot', 'inferior', 'supremacist', 'prejudice'],
+    weight: 35,
+    category: 'Hate Speech'
+  },
+  // Illegal activities
+  illegal: {
+    keywords: ['illegal', 'drug', 'cocaine', 'heroin', 'meth', 'steal', 'robbery', 'crime', 'criminal', 'fraud', 'scam'],
+    weight: 35,
+    category: 'Illegal Activity'
+  },
+  // Self-harm/Dangerous
+  harmful: {
+    keywords: ['suicide', 'self-harm', 'cutting', 'dangerous', 'harm', 'injury', 'trauma', 'abuse', 'domestic violence'],
+    weight: 38,
+    category: 'Self-Harm/Dangerous Content'
+  },
+  // Spam/Misleading
+  spam: {
+    keywords: ['spam', 'clickbait', 'scam', 'fake', 'hoax', 'misinformation', 'misleading', 'phishing', 'malware'],
+    weight: 20,
+    category: 'Spam/Misleading'
+  }
+};
+
+// Flagging threshold: score strictly greater than this marks video as 'flagged'
+const DEFAULT_FLAG_THRESHOLD = 30;
+
+// Multipliers applied to a category weight depending on where a keyword was found
+const FIELD_WEIGHTS = {
+  title: 1.2,
+  description: 1,
+  filename: 0.8,
+  transcript: 1
+};
+
+// Categories and weights for labels reported by visual (frame) classifiers
+const VISUAL_LABEL_CATEGORIES = {
+  nudity: { category: 'Explicit Content', weight: 40 },
+  gore: { category: 'Violence/Gore', weight: 30 }
+};
+
+module.exports = {
+  DEFAULT_KEYWORD_CATEGORIES,
+  DEFAULT_FLAG_THRESHOLD,
+  FIELD_WEIGHTS,
+  VISUAL_LABEL_CATEGORIES
+};
@@ -1,30 +1,13 @@
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
-const { CloudinaryStorage } = require('multer-storage-cloudinary');
+const StorageDriverEngine = require('../storage/multerStorageEngine');
+const { ALLOWED_VIDEO_TYPES, getMaxUploadSize } = require('./uploadConfig');
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
-});
-
-// Configure Cloudinary storage for multer
-const storage = new CloudinaryStorage({
-  cloudinary: cloudinary,
-  params: {
-    folder: 'video_platform/videos',
-    resource_type: 'video',
-    allowed_formats: ['mp4', 'mpeg', 'mov', 'avi', 'webm'],
-    max_file_size: 500 * 1024 * 1024, // 500MB
-  },
-});
+// Uploads are streamed into the storage driver selected by STORAGE_PROVIDER
+const storage = new StorageDriverEngine({ keyPrefix: 'videos' });
 
 // File filter
 const fileFilter = (req, file, cb) => {
-  const allowedMimes = ['video/mp4', 'video/mpeg', 'video/quicktime', 'video/x-msvideo', 'video/webm'];
-  
-  if (allowedMimes.includes(file.mimetype)) {
+  if (ALLOWED_VIDEO_TYPES.includes(file.mimetype)) {
     cb(null, true);
   } else {
     cb(new Error('Only video files are allowed'), false);
@@ -35,7 +18,8 @@ const upload = multer({
   storage: storage,
   fileFilter: fileFilter,
   limits: {
-    fileSize: 500 * 1024 * 1024 // 500MB limit
+    // 500MB unless MAX_UPLOAD_SIZE_MB is set; larger files go through resumable uploads
+    fileSize: getMaxUploadSize()
   }
 });
 
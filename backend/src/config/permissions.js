@@ -0,0 +1,69 @@
+/**
+ * Permissions
+ * Named permissions checked by requirePermission() and the controllers, and the
+ * built-in roles composed of them. Organizations can add custom roles with any
+ * subset of these permissions (see models/Role.js).
+ */
+const PERMISSIONS = {
+  'video:upload': 'Upload videos',
+  'video:view:private': 'See every video of the organization, whatever its visibility',
+  'video:edit:own': 'Edit own videos',
+  'video:edit:any': 'Edit any video of the organization',
+  'video:delete:own': 'Delete own videos',
+  'video:delete:any': 'Delete any video of the organization',
+  'video:reprocess': 'Reprocess or re-analyze a video',
+  'video:reprocess:bulk': 'Reprocess many videos at once',
+  'moderation:review': 'Review flagged videos',
+  'moderation:policy': 'Manage the moderation policy',
+  'appeal:resolve': 'Resolve appeals against flagged verdicts',
+  'member:invite': 'Add members and manage invitations',
+  'member:manage': 'Change member roles and remove members',
+  'role:manage': 'Create, edit and delete custom roles',
+  'org:settings': 'Change organization settings',
+  'job:manage': 'See and retry background jobs',
+  'tag:manage': 'Rename, merge and delete tags'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+const EDITOR_PERMISSIONS = [
+  'video:upload',
+  'video:edit:own',
+  'video:delete:own',
+  'video:reprocess'
+];
+
+// Built-in roles, from most to least privileged
+const BUILT_IN_ROLES = {
+  admin: ALL_PERMISSIONS,
+  moderator: [...EDITOR_PERMISSIONS, 'video:view:private', 'moderation:review'],
+  editor: EDITOR_PERMISSIONS,
+  viewer: []
+};
+
+const BUILT_IN_ROLE_NAMES = Object.keys(BUILT_IN_ROLES);
+
+// Administrative permissions: the ones no built-in role below admin holds. Any role with
+// one of them (custom roles included) counts as an admin role, e.g. for the setting that
+// requires admins to use two-factor authentication. New permissions are administrative
+// until a non-admin built-in role gets them.
+const PRIVILEGED_PERMISSIONS = ALL_PERMISSIONS.filter(permission =>
+  BUILT_IN_ROLE_NAMES.every(role => role === 'admin' || !BUILT_IN_ROLES[role].includes(permission))
+);
+
+const isPermission = (permission) => Object.prototype.hasOwnProperty.call(PERMISSIONS, permission);
+
+const isBuiltInRole = (role) => Object.prototype.hasOwnProperty.call(BUILT_IN_ROLES, role);
+
+const hasPrivilegedPermission = (permissions) => permissions.some(permission => PRIVILEGED_PERMISSIONS.includes(permission));
+
+module.exports = {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  BUILT_IN_ROLE_NAMES,
+  PRIVILEGED_PERMISSIONS,
+  isPermission,
+  isBuiltInRole,
+  hasPrivilegedPermission
+};
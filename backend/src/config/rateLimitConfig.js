@@ -0,0 +1,74 @@
+/**
+ * Rate Limit Configuration
+ * Selects where request counters are kept via `RATE_LIMIT_STORE`:
+ * - memory (default): in the server process; counters are per instance and reset on restart
+ * - redis: a Redis (or Redis-compatible) server at `REDIS_URL`, shared by all instances
+ *   (needs `npm install ioredis`)
+ *
+ * Limits can be tuned with RATE_LIMIT_<NAME>_MAX and RATE_LIMIT_<NAME>_WINDOW_SECONDS,
+ * e.g. RATE_LIMIT_UPLOAD_MAX=50. `RATE_LIMIT_ENABLED=false` turns limiting off.
+ */
+const RATE_LIMIT_STORES = ['memory', 'redis'];
+
+// Requests allowed per window, per client (IP) or per user
+const DEFAULT_LIMITS = {
+  // Password step and two-factor step of logins, per IP
+  login: { max: 20, windowSeconds: 15 * 60 },
+  register: { max: 5, windowSeconds: 60 * 60 },
+  // Emailed links and token endpoints (verification, password reset, invitations), per IP
+  account: { max: 10, windowSeconds: 15 * 60 },
+  // Video uploads, per user
+  upload: { max: 20, windowSeconds: 60 * 60 },
+  // Unauthenticated listing endpoints, per IP
+  public: { max: 120, windowSeconds: 60 },
+  // Media tokens for the URLs of video players and cards, per user (IP without login)
+  media: { max: 300, windowSeconds: 60 },
+  // Opening share links, per IP; also slows down guessing link passwords
+  share: { max: 30, windowSeconds: 15 * 60 }
+};
+
+const getRateLimitStoreName = () => {
+  const name = (process.env.RATE_LIMIT_STORE || 'memory').trim().toLowerCase();
+  return RATE_LIMIT_STORES.includes(name) ? name : 'memory';
+};
+
+const isRateLimitEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+const getRedisUrl = () => process.env.REDIS_URL || 'redis://localhost:6379';
+
+/**
+ * Limit for a named rate limit
+ * @returns {{ max: number, windowMs: number }}
+ */
+const getRateLimit = (name) => {
+  const defaults = DEFAULT_LIMITS[name];
+  if (!defaults) {
+    throw new Error(`Unknown rate limit: ${name}`);
+  }
+
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  const max = parseInt(process.env[`${prefix}_MAX`], 10) || defaults.max;
+  const windowSeconds = parseInt(process.env[`${prefix}_WINDOW_SECONDS`], 10) || defaults.windowSeconds;
+  return { max, windowMs: windowSeconds * 1000 };
+};
+
+/**
+ * Lockout after repeated failed logins of one account: after LOGIN_LOCKOUT_THRESHOLD
+ * failures (within LOGIN_FAILURE_WINDOW_MINUTES) the account is locked for
+ * LOGIN_LOCKOUT_BASE_SECONDS, doubling with every further failure up to LOGIN_LOCKOUT_MAX_SECONDS.
+ */
+const getLoginLockoutConfig = () => ({
+  threshold: parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD, 10) || 5,
+  failureWindowMs: (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 60) * 60 * 1000,
+  baseLockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS, 10) || 60) * 1000,
+  maxLockoutMs: (parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS, 10) || 60 * 60) * 1000
+});
+
+module.exports = {
+  RATE_LIMIT_STORES,
+  getRateLimitStoreName,
+  isRateLimitEnabled,
+  getRedisUrl,
+  getRateLimit,
+  getLoginLockoutConfig
+};
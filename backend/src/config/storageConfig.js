@@ -0,0 +1,42 @@
+const path = require('path');
+
+/**
+ * Storage Configuration
+ * Selects where uploaded videos and derived files are stored via `STORAGE_PROVIDER`:
+ * - cloudinary (default): Cloudinary, configured with CLOUDINARY_*
+ * - local: files under `LOCAL_STORAGE_DIR`, streamed through the backend
+ * - s3: an S3 or S3-compatible bucket, configured with S3_*
+ */
+const STORAGE_PROVIDERS = ['cloudinary', 'local', 's3'];
+
+const getStorageProvider = () => {
+  const provider = (process.env.STORAGE_PROVIDER || 'cloudinary').trim().toLowerCase();
+  return STORAGE_PROVIDERS.includes(provider) ? provider : 'cloudinary';
+};
+
+// Kept outside of the statically served `uploads/` folder so files are only reachable
+// through the authenticated streaming route or signed URLs
+const getLocalStorageDir = () => {
+  return path.resolve(process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '../../storage'));
+};
+
+const getS3Config = () => ({
+  bucket: process.env.S3_BUCKET,
+  region: process.env.S3_REGION,
+  endpoint: process.env.S3_ENDPOINT,
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  accessKeyId: process.env.S3_ACCESS_KEY_ID,
+  secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  prefix: process.env.S3_PREFIX
+});
+
+// Redirect media requests to a signed URL instead of proxying bytes through the backend
+const shouldRedirectToSignedUrl = () => process.env.STORAGE_STREAM_MODE === 'redirect';
+
+module.exports = {
+  STORAGE_PROVIDERS,
+  getStorageProvider,
+  getLocalStorageDir,
+  getS3Config,
+  shouldRedirectToSignedUrl
+};
@@ -0,0 +1,30 @@
+/**
+ * Transcription Configuration
+ * Optional speech-to-text step during processing:
+ * - TRANSCRIPTION_ENABLED=true turns it on (off by default: it needs a local engine)
+ * - TRANSCRIBER: whisper-cpp (WHISPER_* settings)
+ */
+const TRANSCRIBERS = ['whisper-cpp'];
+
+const isTranscriptionEnabled = () => process.env.TRANSCRIPTION_ENABLED === 'true';
+
+const getTranscriberName = () => {
+  const name = (process.env.TRANSCRIBER || 'whisper-cpp').trim().toLowerCase();
+  return TRANSCRIBERS.includes(name) ? name : 'whisper-cpp';
+};
+
+const getWhisperCppConfig = () => ({
+  binaryPath: process.env.WHISPER_CPP_PATH || 'whisper-cli',
+  modelPath: process.env.WHISPER_MODEL_PATH,
+  // "auto" lets whisper detect the spoken language
+  language: process.env.WHISPER_LANGUAGE || 'auto',
+  threads: parseInt(process.env.WHISPER_THREADS, 10) || 2,
+  timeoutMs: parseInt(process.env.TRANSCRIPTION_TIMEOUT_MS, 10) || 30 * 60 * 1000
+});
+
+module.exports = {
+  TRANSCRIBERS,
+  isTranscriptionEnabled,
+  getTranscriberName,
+  getWhisperCppConfig
+};
@@ -0,0 +1,42 @@
+const path = require('path');
+
+/**
+ * Upload Configuration
+ * - MAX_UPLOAD_SIZE_MB: largest file accepted in a single multipart request (POST /videos/upload)
+ * - RESUMABLE_UPLOAD_MAX_SIZE_MB: largest file accepted through resumable uploads
+ *   Processing refuses files over the larger of the two limits (getMaxVideoSize).
+ * - UPLOAD_CHUNK_MAX_SIZE_MB: largest chunk accepted in one PUT of a resumable upload
+ * - UPLOAD_SESSION_TTL_HOURS: how long an unfinished resumable upload can be continued
+ *   after its last chunk; expired uploads and their staged bytes are removed
+ * - UPLOAD_STAGING_DIR: where chunks are assembled before the file is moved to storage.
+ *   Every backend instance must see the same directory (shared volume) to resume uploads.
+ */
+const ALLOWED_VIDEO_TYPES = ['video/mp4', 'video/mpeg', 'video/quicktime', 'video/x-msvideo', 'video/webm'];
+
+const MB = 1024 * 1024;
+
+const getMaxUploadSize = () => (parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || 500) * MB;
+
+const getResumableUploadMaxSize = () => (parseInt(process.env.RESUMABLE_UPLOAD_MAX_SIZE_MB, 10) || 2048) * MB;
+
+// Largest video processing accepts, so every upload that was accepted can be processed
+const getMaxVideoSize = () => Math.max(getMaxUploadSize(), getResumableUploadMaxSize());
+
+const getUploadChunkMaxSize = () => (parseInt(process.env.UPLOAD_CHUNK_MAX_SIZE_MB, 10) || 50) * MB;
+
+const getUploadSessionTtlMs = () => (parseInt(process.env.UPLOAD_SESSION_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+// Outside of the statically served `uploads/` folder: staged bytes are never public
+const getUploadStagingDir = () => {
+  return path.resolve(process.env.UPLOAD_STAGING_DIR || path.join(__dirname, '../../upload-staging'));
+};
+
+module.exports = {
+  ALLOWED_VIDEO_TYPES,
+  getMaxUploadSize,
+  getResumableUploadMaxSize,
+  getMaxVideoSize,
+  getUploadChunkMaxSize,
+  getUploadSessionTtlMs,
+  getUploadStagingDir
+};
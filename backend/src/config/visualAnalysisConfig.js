@@ -0,0 +1,48 @@
+/**
+ * Visual Analysis Configuration
+ * Frame sampling and classifier selection for the visual moderation step:
+ * - VISUAL_ANALYSIS_ENABLED=false skips the step
+ * - VISUAL_CLASSIFIER: heuristic (default, no dependencies) or onnx (ONNX_* settings)
+ */
+const VISUAL_CLASSIFIERS = ['heuristic', 'onnx'];
+
+// "porn:nudity,hentai:nudity" -> { porn: 'nudity', hentai: 'nudity' }
+const parseLabelMap = (value) => {
+  return (value || '').split(',').reduce((map, entry) => {
+    const [from, to] = entry.split(':').map(part => part && part.trim());
+    if (from && to) map[from] = to;
+    return map;
+  }, {});
+};
+
+const isVisualAnalysisEnabled = () => process.env.VISUAL_ANALYSIS_ENABLED !== 'false';
+
+const getVisualClassifierName = () => {
+  const name = (process.env.VISUAL_CLASSIFIER || 'heuristic').trim().toLowerCase();
+  return VISUAL_CLASSIFIERS.includes(name) ? name : 'heuristic';
+};
+
+const getSamplingConfig = () => ({
+  maxFrames: parseInt(process.env.VISUAL_MAX_FRAMES, 10) || 30,
+  // Minimum seconds between sampled frames, so short videos are not sampled every frame
+  minInterval: parseFloat(process.env.VISUAL_MIN_INTERVAL) || 2,
+  // Findings below this confidence (0-1) are ignored
+  minConfidence: parseFloat(process.env.VISUAL_MIN_CONFIDENCE) || 0.6
+});
+
+const getOnnxConfig = () => ({
+  modelPath: process.env.ONNX_MODEL_PATH,
+  labels: (process.env.ONNX_LABELS || '').split(',').map(label => label.trim()).filter(Boolean),
+  labelMap: parseLabelMap(process.env.ONNX_LABEL_MAP || 'porn:nudity,hentai:nudity,sexy:nudity,nsfw:nudity,gore:gore,violence:gore'),
+  inputSize: parseInt(process.env.ONNX_INPUT_SIZE, 10) || 224,
+  layout: process.env.ONNX_INPUT_LAYOUT === 'nhwc' ? 'nhwc' : 'nchw'
+});
+
+module.exports = {
+  VISUAL_CLASSIFIERS,
+  parseLabelMap,
+  isVisualAnalysisEnabled,
+  getVisualClassifierName,
+  getSamplingConfig,
+  getOnnxConfig
+};
@@ -0,0 +1,113 @@
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const AppealService = require('../services/appealService');
+
+/**
+ * Appeal a flagged video; body: { justification }
+ * Only the uploader can appeal, once per verdict
+ */
+exports.submitAppeal = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const { justification } = req.body || {};
+    const validationError = AppealService.validateJustification(justification);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const video = await Video.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const blocker = AppealService.getAppealBlocker(video, req.userId);
+    if (blocker) {
+      return res.status(blocker.status).json({ error: blocker.error });
+    }
+
+    const appealed = await AppealService.submit(video, { justification, userId: req.userId });
+    if (!appealed) {
+      return res.status(409).json({ error: 'The video changed while appealing. Please reload and try again' });
+    }
+
+    console.log(`[APPEAL] Appeal submitted for video ${appealed._id} by ${req.userId}`);
+    AppealService.notify(req.app.get('io'), 'submitted', appealed);
+
+    res.status(201).json({
+      message: 'Appeal submitted',
+      appeal: appealed.appeal
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * List appeals of the current organization
+ * Supports ?state=pending|accepted|denied (default pending) and ?limit=
+ */
+exports.listAppeals = async (req, res) => {
+  try {
+    const state = req.query.state || 'pending';
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    if (!AppealService.appealStates.includes(state)) {
+      return res.status(400).json({ error: 'Invalid state filter' });
+    }
+
+    const videos = await AppealService.getAppeals(req.organizationId, { state, limit });
+    res.json({ videos, count: videos.length });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const resolve = (resolution) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const { note } = req.body || {};
+    const validationError = AppealService.validateResolution(resolution, note);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const video = await AppealService.resolve(req.params.id, req.organizationId, {
+      resolution,
+      note,
+      resolvedBy: req.userId
+    });
+
+    if (!video) {
+      const exists = await Video.exists({ _id: req.params.id, organizationId: req.organizationId });
+      return exists
+        ? res.status(409).json({ error: 'This video has no pending appeal' })
+        : res.status(404).json({ error: 'Video not found' });
+    }
+
+    console.log(`[APPEAL] Appeal ${resolution} for video ${video._id} by ${req.userId}`);
+    AppealService.notify(req.app.get('io'), 'resolved', video);
+
+    res.json({
+      message: `Appeal ${resolution}`,
+      video
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Accept a pending appeal; the video becomes safe. Body: { note? }
+ */
+exports.acceptAppeal = resolve('accepted');
+
+/**
+ * Deny a pending appeal; the video stays flagged. Body: { note }
+ */
+exports.denyAppeal = resolve('denied');
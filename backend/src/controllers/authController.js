@@ -1,12 +1,19 @@
 const User = require('../models/User');
 const Organization = require('../models/Organization');
 const OrganizationMember = require('../models/OrganizationMember');
-const jwt = require('jsonwebtoken');
+const TokenService = require('../services/tokenService');
+const InvitationService = require('../services/invitationService');
+const AccountService = require('../services/accountService');
+const TwoFactorService = require('../services/twoFactorService');
+const RateLimitService = require('../services/rateLimitService');
+const PermissionService = require('../services/permissionService');
+const SocketService = require('../services/socketService');
+const { hasPrivilegedPermission } = require('../config/permissions');
 
 // Register - user is global identity
 exports.register = async (req, res) => {
   try {
-    const { username, email, password, confirmPassword, organizationName } = req.body;
+    const { username, email, password, confirmPassword, organizationName, inviteToken } = req.body;
 
     // Validation
     if (!username || !email || !password) {
@@ -21,6 +28,24 @@ exports.register = async (req, res) => {
       return res.status(400).json({ error: 'Password must be at least 6 characters' });
     }
 
+    // Registering from an invitation joins the inviting organization instead
+    let invitation = null;
+    if (inviteToken) {
+      invitation = await InvitationService.findByToken(inviteToken);
+      if (!invitation) {
+        return res.status(404).json({ error: 'Invitation not found' });
+      }
+
+      const blocker = InvitationService.getResponseBlocker(invitation);
+      if (blocker) {
+        return res.status(blocker.status).json({ error: blocker.error });
+      }
+
+      if (InvitationService.normalizeEmail(email) !== invitation.email) {
+        return res.status(400).json({ error: 'Register with the email address the invitation was sent to' });
+      }
+    }
+
     // Check if email already exists globally
     const existingEmail = await User.findOne({ email });
     if (existingEmail) {
@@ -33,12 +58,25 @@ exports.register = async (req, res) => {
       return res.status(400).json({ error: 'Username already exists' });
     }
 
+    // Organizations are joined by invitation only: naming an existing one does not join it
+    const organizationSlug = !invitation && organizationName
+      ? Organization.slugify(organizationName)
+      : null;
+    if (organizationSlug && await Organization.exists({ slug: organizationSlug })) {
+      return res.status(409).json({
+        error: 'An organization with this name already exists. Ask one of its admins for an invitation, or choose another name'
+      });
+    }
+
     // Step 1: Create global user identity
+    // The invitation link was emailed to this address, so it needs no separate verification
     const user = new User({
       username,
       email,
       password,
-      isActive: true
+      isActive: true,
+      emailVerified: !!invitation,
+      emailVerifiedAt: invitation ? new Date() : null
     });
 
     await user.save();
@@ -46,23 +84,19 @@ exports.register = async (req, res) => {
     // Step 2: Create organization (or join existing one)
     let organization;
     let isNewOrg = false;
+    let role = 'admin';
 
-    if (organizationName) {
-      const existingOrg = await Organization.findOne({ 
-        slug: organizationName.toLowerCase().replace(/\s+/g, '-') 
+    if (invitation) {
+      organization = invitation.organizationId;
+      role = invitation.role;
+    } else if (organizationSlug) {
+      isNewOrg = true;
+      organization = new Organization({
+        name: organizationName,
+        slug: organizationSlug,
+        description: ''
       });
-      
-      if (existingOrg) {
-        organization = existingOrg;
-      } else {
-        isNewOrg = true;
-        organization = new Organization({
-          name: organizationName,
-          slug: organizationName.toLowerCase().replace(/\s+/g, '-').substring(0, 50),
-          description: ''
-        });
-        await organization.save();
-      }
+      await organization.save();
     } else {
       // Create default personal organization
       isNewOrg = true;
@@ -75,15 +109,23 @@ exports.register = async (req, res) => {
       await organization.save();
     }
 
-    // Step 3: Create membership record - new users are always ADMIN of their org
-    const membership = new OrganizationMember({
-      userId: user._id,
-      organizationId: organization._id,
-      role: 'admin'
-    });
-
+    // Step 3: Create membership record - new users are ADMIN of their org,
+    // invited users get the invited role
     console.log('[REGISTER] Creating membership for user:', user._id, 'org:', organization._id);
-    await membership.save();
+    if (invitation) {
+      const membership = await InvitationService.accept(invitation, user);
+      if (!membership) {
+        await User.findByIdAndDelete(user._id);
+        return res.status(410).json({ error: 'This invitation is no longer open' });
+      }
+    } else {
+      const membership = new OrganizationMember({
+        userId: user._id,
+        organizationId: organization._id,
+        role
+      });
+      await membership.save();
+    }
     console.log('[REGISTER] Membership saved successfully');
 
     // Verify membership was created
@@ -92,27 +134,29 @@ exports.register = async (req, res) => {
       organizationId: organization._id
     });
     console.log('[REGISTER] Membership verification:', verifyMembership ? 'FOUND' : 'NOT FOUND');
+    const permissions = await PermissionService.getRolePermissions(organization._id, role);
 
-    // Generate JWT token with selected organization
-    const token = jwt.sign(
-      { 
-        userId: user._id.toString(), 
-        email: user.email, 
-        organizationId: organization._id.toString() 
-      },
-      process.env.JWT_SECRET || 'secret',
-      { expiresIn: '7d' }
-    );
-    console.log('[REGISTER] Token generated with org:', organization._id.toString());
+    // Start a session in the selected organization
+    const tokens = await TokenService.createSession(user, organization._id, TokenService.getClientInfo(req));
+    console.log('[REGISTER] Session started with org:', organization._id.toString());
+
+    if (!user.emailVerified) {
+      // Registration succeeds even if the email cannot be sent; it can be resent later
+      AccountService.sendVerificationEmail(user).catch(error => {
+        console.error('[REGISTER] Failed to send verification email:', error.message);
+      });
+    }
 
     res.status(201).json({
       message: 'User registered successfully',
-      token,
+      ...tokens,
       user: user.toJSON(),
       organization: {
         id: organization._id,
         name: organization.name,
-        slug: organization.slug
+        slug: organization.slug,
+        role,
+        permissions
       },
       isNewOrganization: isNewOrg
     });
@@ -122,6 +166,71 @@ exports.register = async (req, res) => {
   }
 };
 
+// 429 for an account locked after repeated failed logins
+const sendLockout = (res, lockout) => {
+  res.set('Retry-After', String(lockout.retryAfter));
+  return res.status(429).json({
+    error: RateLimitService.getLockoutMessage(lockout),
+    retryAfter: lockout.retryAfter
+  });
+};
+
+/**
+ * Start a session in the user's first organization and send the login response.
+ * Shared by the password step and the two-factor step of a login.
+ */
+const completeLogin = async (req, res, user, { twoFactorVerified = false } = {}) => {
+  // Get all organizations this user belongs to
+  const memberships = await OrganizationMember.find({ userId: user._id })
+    .populate('organizationId');
+
+  console.log('[LOGIN] User:', user._id, 'Memberships found:', memberships.length);
+  memberships.forEach(m => {
+    console.log('[LOGIN]   - Org:', m.organizationId._id, 'Role:', m.role);
+  });
+
+  if (memberships.length === 0) {
+    return res.status(403).json({ error: 'User is not part of any organization' });
+  }
+
+  // Default to first organization
+  const defaultOrg = memberships[0].organizationId;
+  const defaultRole = memberships[0].role;
+  const permissions = await PermissionService.getMembershipPermissions(memberships);
+
+  // Start a session in the default organization
+  const tokens = await TokenService.createSession(user, defaultOrg._id, {
+    ...TokenService.getClientInfo(req),
+    twoFactorVerified
+  });
+
+  console.log('[LOGIN] Session started. User ID:', user._id.toString(), 'Org ID:', defaultOrg._id.toString());
+
+  res.json({
+    message: 'Login successful',
+    ...tokens,
+    user: user.toJSON(),
+    currentOrganization: {
+      id: defaultOrg._id,
+      name: defaultOrg.name,
+      slug: defaultOrg.slug,
+      role: defaultRole,
+      permissions: permissions.get(memberships[0]._id.toString())
+    },
+    organizations: memberships.map(m => ({
+      id: m.organizationId._id,
+      name: m.organizationId.name,
+      slug: m.organizationId.slug,
+      role: m.role,
+      permissions: permissions.get(m._id.toString())
+    })),
+    // Admin access is blocked until the user enrolls in two-factor authentication
+    twoFactorSetupRequired: !twoFactorVerified &&
+      hasPrivilegedPermission(permissions.get(memberships[0]._id.toString())) &&
+      !!defaultOrg.settings?.requireTwoFactorForAdmins
+  });
+};
+
 // Login - returns all organizations user belongs to
 exports.login = async (req, res) => {
   try {
@@ -136,7 +245,18 @@ exports.login = async (req, res) => {
       $or: [{ email: identifier }, { username: identifier }] 
     }).select('+password');
 
+    // Unknown identifiers are counted too, so responses do not reveal which accounts exist
+    const accountKey = RateLimitService.getAccountKey(user, identifier);
+    const lockout = await RateLimitService.getLoginLockout(accountKey);
+    if (lockout) {
+      return sendLockout(res, lockout);
+    }
+
     if (!user) {
+      const newLockout = await RateLimitService.recordLoginFailure(accountKey);
+      if (newLockout) {
+        return sendLockout(res, newLockout);
+      }
       return res.status(401).json({ error: 'Invalid username/email or password' });
     }
 
@@ -147,58 +267,68 @@ exports.login = async (req, res) => {
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const newLockout = await RateLimitService.recordLoginFailure(accountKey);
+      if (newLockout) {
+        return sendLockout(res, newLockout);
+      }
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    // Get all organizations this user belongs to
-    const memberships = await OrganizationMember.find({ userId: user._id })
-      .populate('organizationId');
+    // With two-factor authentication the client continues at /login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: TwoFactorService.createChallenge(user)
+      });
+    }
 
-    console.log('[LOGIN] User:', user._id, 'Memberships found:', memberships.length);
-    memberships.forEach(m => {
-      console.log('[LOGIN]   - Org:', m.organizationId._id, 'Role:', m.role);
-    });
+    await RateLimitService.clearLoginFailures(accountKey);
+    await completeLogin(req, res, user);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Second login step: authenticator code or recovery code for the challenge from /login
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body || {};
 
-    if (memberships.length === 0) {
-      return res.status(403).json({ error: 'User is not part of any organization' });
+    const userId = TwoFactorService.verifyChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({ error: 'Login attempt expired. Please login again' });
     }
 
-    // Default to first organization
-    const defaultOrg = memberships[0].organizationId;
-    const defaultRole = memberships[0].role;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ error: 'Verification code is required' });
+    }
 
-    // Generate JWT token with default organization
-    const token = jwt.sign(
-      { 
-        userId: user._id.toString(), 
-        email: user.email, 
-        organizationId: defaultOrg._id.toString() 
-      },
-      process.env.JWT_SECRET || 'secret',
-      { expiresIn: '7d' }
-    );
+    const user = await User.findById(userId);
+    if (!user || !user.isActive) {
+      return res.status(401).json({ error: 'Login attempt expired. Please login again' });
+    }
 
-    console.log('[LOGIN] Token generated. User ID:', user._id.toString(), 'Org ID:', defaultOrg._id.toString());
+    // Wrong codes count towards the same lockout as wrong passwords
+    const accountKey = RateLimitService.getAccountKey(user);
+    const lockout = await RateLimitService.getLoginLockout(accountKey);
+    if (lockout) {
+      return sendLockout(res, lockout);
+    }
 
-    res.json({
-      message: 'Login successful',
-      token,
-      user: user.toJSON(),
-      currentOrganization: {
-        id: defaultOrg._id,
-        name: defaultOrg.name,
-        slug: defaultOrg.slug,
-        role: defaultRole
-      },
-      organizations: memberships.map(m => ({
-        id: m.organizationId._id,
-        name: m.organizationId.name,
-        slug: m.organizationId.slug,
-        role: m.role
-      }))
-    });
+    if (!(await TwoFactorService.verifySecondFactor(user._id, { code, recoveryCode }))) {
+      const newLockout = await RateLimitService.recordLoginFailure(accountKey);
+      if (newLockout) {
+        return sendLockout(res, newLockout);
+      }
+      return res.status(401).json({ error: recoveryCode ? 'Invalid recovery code' : 'Invalid verification code' });
+    }
+
+    await RateLimitService.clearLoginFailures(accountKey);
+    await completeLogin(req, res, user, { twoFactorVerified: true });
   } catch (error) {
-    console.error('Login error:', error);
+    console.error('Two-factor login error:', error);
     res.status(500).json({ error: error.message });
   }
 };
@@ -225,25 +355,24 @@ exports.switchOrganization = async (req, res) => {
 
     const organization = membership.organizationId;
 
-    // Generate new token with selected organization
-    const token = jwt.sign(
-      { 
-        userId: userId, 
-        email: req.userEmail, 
-        organizationId: organization._id 
-      },
-      process.env.JWT_SECRET || 'secret',
-      { expiresIn: '7d' }
-    );
+    // Move the session so refreshed tokens keep the selected organization
+    const session = await TokenService.switchOrganization(req.sessionId, organization._id);
+    if (!session) {
+      return res.status(401).json({ error: 'Session has ended. Please login again' });
+    }
+
+    const { token, expiresIn } = TokenService.buildTokenResponse({ _id: userId, email: req.userEmail }, session);
 
     res.json({
       message: 'Organization switched successfully',
       token,
+      expiresIn,
       organization: {
         id: organization._id,
         name: organization.name,
         slug: organization.slug,
-        role: membership.role
+        role: membership.role,
+        permissions: await PermissionService.getRolePermissions(organization._id, membership.role)
       }
     });
   } catch (error) {
@@ -265,6 +394,8 @@ exports.getCurrentUser = async (req, res) => {
     const memberships = await OrganizationMember.find({ userId: req.userId })
       .populate('organizationId');
 
+    const permissions = await PermissionService.getMembershipPermissions(memberships);
+
     // Get current organization
     const currentOrg = await Organization.findById(req.organizationId);
 
@@ -279,7 +410,8 @@ exports.getCurrentUser = async (req, res) => {
         id: m.organizationId._id,
         name: m.organizationId.name,
         slug: m.organizationId.slug,
-        role: m.role
+        role: m.role,
+        permissions: permissions.get(m._id.toString())
       }))
     });
   } catch (error) {
@@ -295,12 +427,14 @@ exports.getMyOrganizations = async (req, res) => {
 
     const memberships = await OrganizationMember.find({ userId })
       .populate('organizationId');
+    const permissions = await PermissionService.getMembershipPermissions(memberships);
 
     const organizations = memberships.map(m => ({
       id: m.organizationId._id,
       name: m.organizationId.name,
       slug: m.organizationId.slug,
-      role: m.role
+      role: m.role,
+      permissions: permissions.get(m._id.toString())
     }));
 
     res.json({
@@ -311,4 +445,170 @@ exports.getMyOrganizations = async (req, res) => {
     console.error('Get my organizations error:', error);
     res.status(500).json({ error: error.message });
   }
-};
\ No newline at end of file
+};
+
+// Exchange a refresh token for a new access token and refresh token
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+
+    const tokens = await TokenService.refresh(refreshToken, TokenService.getClientInfo(req));
+    if (!tokens) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      message: 'Token refreshed',
+      ...tokens
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// End the current session, identified by the refresh token or the access token
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body || {};
+
+    if (refreshToken) {
+      await TokenService.revokeRefreshToken(refreshToken, 'logout');
+    } else if (req.sessionId) {
+      await TokenService.revokeSession(req.sessionId, 'logout');
+    }
+    SocketService.disconnectSession(req.app.get('io'), req.sessionId);
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// End every session of the current user, including this one
+exports.logoutAll = async (req, res) => {
+  try {
+    const revoked = await TokenService.revokeUserSessions(req.userId, { reason: 'logout-all' });
+    SocketService.disconnectUser(req.app.get('io'), req.userId);
+    console.log('[LOGOUT] Revoked', revoked, 'sessions of user', req.userId);
+
+    res.json({
+      message: 'Logged out of all sessions',
+      revoked
+    });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Confirm the email address with the token from the verification email
+exports.verifyEmail = async (req, res) => {
+  try {
+    const user = await AccountService.verifyEmail((req.body || {}).token);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired verification link' });
+    }
+
+    res.json({
+      message: 'Email verified successfully',
+      user: user.toJSON()
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Send a new verification email to the current user
+exports.resendVerification = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    if (user.emailVerified) {
+      return res.status(409).json({ error: 'Email is already verified' });
+    }
+
+    await AccountService.sendVerificationEmail(user);
+    res.json({ message: `Verification email sent to ${user.email}` });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Email a password reset link; same answer whether or not the email exists
+exports.forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body || {};
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    await AccountService.requestPasswordReset(email);
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Set a new password with the token from the reset email; ends all sessions
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password, confirmPassword } = req.body || {};
+
+    const validationError = AccountService.validatePassword(password, confirmPassword);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const user = await AccountService.resetPassword(token, password);
+    if (!user) {
+      return res.status(400).json({ error: 'Invalid or expired reset link' });
+    }
+
+    SocketService.disconnectUser(req.app.get('io'), user._id);
+    console.log('[ACCOUNT] Password reset for user', user._id.toString());
+    res.json({ message: 'Password reset successfully. Please login with your new password' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Change the password of the current user; other sessions are ended
+exports.changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword, confirmPassword } = req.body || {};
+
+    const validationError = AccountService.validatePassword(newPassword, confirmPassword);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const error = await AccountService.changePassword(req.userId, {
+      currentPassword,
+      newPassword,
+      sessionId: req.sessionId
+    });
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    SocketService.disconnectUser(req.app.get('io'), req.userId, { exceptSessionId: req.sessionId });
+
+    res.json({ message: 'Password changed successfully. Other sessions were logged out' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,247 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Invitation = require('../models/Invitation');
+const InvitationService = require('../services/invitationService');
+const PermissionService = require('../services/permissionService');
+const { addMemberToCurrent } = require('./organizationController');
+
+/**
+ * Invite someone to the current organization (member:invite); body: { email, role }
+ * Existing users are added right away, unknown emails get an invitation email
+ */
+exports.inviteMember = async (req, res) => {
+  try {
+    const roles = (await PermissionService.listRoles(req.organizationId)).map(role => role.name);
+    const validationError = InvitationService.validateInvite(req.body || {}, roles);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const roleBlocker = await PermissionService.getRoleAssignmentBlocker(req, req.organizationId, req.body.role);
+    if (roleBlocker) {
+      return res.status(roleBlocker.status).json({ error: roleBlocker.error });
+    }
+
+    const email = InvitationService.normalizeEmail(req.body.email);
+    if (await User.exists({ email })) {
+      req.body.email = email;
+      return addMemberToCurrent(req, res);
+    }
+
+    const pending = await InvitationService.findPending(req.organizationId, email);
+    if (pending) {
+      return res.status(409).json({ error: `An invitation for '${email}' is already pending. Resend it instead` });
+    }
+
+    const [organization, inviter] = await Promise.all([
+      Organization.findById(req.organizationId),
+      User.findById(req.userId)
+    ]);
+
+    const invitation = await InvitationService.create({
+      organization,
+      email,
+      role: req.body.role,
+      inviter
+    });
+
+    res.status(201).json({
+      message: `Invitation sent to ${email}`,
+      invitation
+    });
+  } catch (error) {
+    console.error('Invite member error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * List invitations of the current organization (member:invite)
+ * Supports ?status=pending|accepted|declined|revoked|expired (default pending)
+ */
+exports.listInvitations = async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!InvitationService.statuses.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status filter' });
+    }
+
+    const invitations = await InvitationService.list(req.organizationId, { status });
+    res.json({ invitations, count: invitations.length });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Send a pending invitation again with a new link (member:invite)
+ */
+exports.resendInvitation = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const invitation = await Invitation.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+    if (!['pending', 'expired'].includes(invitation.status)) {
+      return res.status(409).json({ error: `This invitation was already ${invitation.status}` });
+    }
+    // Expired invitations are reopened unless a newer one exists for the email
+    if (invitation.status === 'expired') {
+      const pending = await InvitationService.findPending(req.organizationId, invitation.email);
+      if (pending) {
+        return res.status(409).json({ error: `An invitation for '${invitation.email}' is already pending` });
+      }
+      invitation.status = 'pending';
+    }
+
+    const [organization, inviter] = await Promise.all([
+      Organization.findById(req.organizationId),
+      User.findById(req.userId)
+    ]);
+
+    await InvitationService.resend(invitation, { organization, inviter });
+
+    res.json({
+      message: `Invitation resent to ${invitation.email}`,
+      invitation
+    });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Revoke a pending invitation (member:invite); its link stops working
+ */
+exports.revokeInvitation = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const invitation = await Invitation.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const revoked = await InvitationService.close(invitation._id, 'revoked');
+    if (!revoked) {
+      return res.status(409).json({ error: `This invitation was already ${invitation.status}` });
+    }
+
+    console.log(`[INVITE] Revoked invitation ${revoked._id} for ${revoked.email}`);
+    res.json({
+      message: 'Invitation revoked',
+      invitation: revoked
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Public details of an invitation for the accept page
+ */
+exports.getInvitation = async (req, res) => {
+  try {
+    const invitation = await InvitationService.findByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const blocker = InvitationService.getResponseBlocker(invitation);
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        role: invitation.role,
+        status: blocker && invitation.status === 'pending' ? 'expired' : invitation.status,
+        expiresAt: invitation.expiresAt,
+        organization: {
+          id: invitation.organizationId._id,
+          name: invitation.organizationId.name
+        },
+        invitedBy: invitation.invitedBy?.username || null,
+        // Lets the page offer login instead of registration
+        hasAccount: !!(await User.exists({ email: invitation.email }))
+      }
+    });
+  } catch (error) {
+    console.error('Get invitation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Accept an invitation as the logged-in user, whose email must match the invitation
+ */
+exports.acceptInvitation = async (req, res) => {
+  try {
+    const invitation = await InvitationService.findByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const blocker = InvitationService.getResponseBlocker(invitation);
+    if (blocker) {
+      return res.status(blocker.status).json({ error: blocker.error });
+    }
+
+    const user = await User.findById(req.userId);
+    if (!user || !InvitationService.isForUser(invitation, user)) {
+      return res.status(403).json({ error: 'This invitation was sent to a different email address' });
+    }
+
+    const membership = await InvitationService.accept(invitation, user);
+    if (!membership) {
+      return res.status(410).json({ error: 'This invitation is no longer open' });
+    }
+
+    console.log(`[INVITE] User ${user._id} accepted invitation ${invitation._id}`);
+    res.json({
+      message: 'Invitation accepted',
+      organization: {
+        id: invitation.organizationId._id,
+        name: invitation.organizationId.name,
+        slug: invitation.organizationId.slug,
+        role: membership.role
+      }
+    });
+  } catch (error) {
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Decline an invitation; the token in the link is enough
+ */
+exports.declineInvitation = async (req, res) => {
+  try {
+    const invitation = await InvitationService.findByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const blocker = InvitationService.getResponseBlocker(invitation);
+    if (blocker) {
+      return res.status(blocker.status).json({ error: blocker.error });
+    }
+
+    await InvitationService.close(invitation._id, 'declined');
+    console.log(`[INVITE] Invitation ${invitation._id} declined`);
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    console.error('Decline invitation error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
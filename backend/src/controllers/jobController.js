@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const JobQueueService = require('../services/jobQueueService');
+
+/**
+ * List background jobs for the current organization
+ * Supports ?status=queued|running|completed|failed, ?type= (a registered job type) and ?limit=
+ */
+exports.listJobs = async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    if (status && !Job.schema.path('status').enumValues.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status filter' });
+    }
+    if (type !== undefined && (typeof type !== 'string' || !JobQueueService.handlers.has(type))) {
+      return res.status(400).json({ error: 'Invalid type filter' });
+    }
+
+    const [jobs, counts] = await Promise.all([
+      JobQueueService.listJobs(req.organizationId, { status, type, limit }),
+      JobQueueService.getStatusCounts(req.organizationId)
+    ]);
+
+    res.json({ jobs, counts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Get a single job of the current organization
+ */
+exports.getJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = await Job.findOne({ _id: req.params.id, organizationId: req.organizationId })
+      .populate('videoId', 'title status');
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json({ job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Requeue a failed job
+ */
+exports.retryJob = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const job = await JobQueueService.retryJob(req.params.id, req.organizationId);
+    if (!job) {
+      return res.status(400).json({ error: 'Only failed jobs of this organization can be retried' });
+    }
+
+    res.json({ message: 'Job requeued', job });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const ModerationReviewService = require('../services/moderationReviewService');
+
+/**
+ * Review queue of the current organization
+ * Supports ?state=pending|changes_requested|approved|rejected (default pending) and ?limit=
+ */
+exports.getQueue = async (req, res) => {
+  try {
+    const state = req.query.state || 'pending';
+    const limit = parseInt(req.query.limit, 10) || 50;
+
+    if (!ModerationReviewService.queueStates.includes(state)) {
+      return res.status(400).json({ error: 'Invalid state filter' });
+    }
+
+    const [videos, counts] = await Promise.all([
+      ModerationReviewService.getQueue(req.organizationId, { state, limit }),
+      ModerationReviewService.getQueueCounts(req.organizationId)
+    ]);
+
+    res.json({ videos, counts });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Get a video with its analysis and decision history for review
+ */
+exports.getReviewVideo = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const video = await Video.findOne({ _id: req.params.id, organizationId: req.organizationId })
+      .populate('userId', 'username email')
+      .populate('moderation.decisions.decidedBy', 'username email');
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    res.json({ video });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const decide = (decision) => async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const { reason } = req.body || {};
+    const validationError = ModerationReviewService.validateDecision(decision, reason);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const video = await ModerationReviewService.decide(req.params.id, req.organizationId, {
+      decision,
+      reason,
+      reviewerId: req.userId
+    });
+
+    if (!video) {
+      const exists = await Video.exists({ _id: req.params.id, organizationId: req.organizationId });
+      return exists
+        ? res.status(409).json({ error: 'Video is not awaiting review or was just reviewed by someone else' })
+        : res.status(404).json({ error: 'Video not found' });
+    }
+
+    console.log(`[MODERATION] ${decision} on video ${video._id} by ${req.userId}`);
+    ModerationReviewService.notify(req.app.get('io'), video);
+
+    res.json({
+      message: 'Decision recorded',
+      video
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Approve a flagged video (it becomes visible as safe)
+ */
+exports.approve = decide('approve');
+
+/**
+ * Reject a flagged video; body: { reason }
+ */
+exports.reject = decide('reject');
+
+/**
+ * Ask the uploader to edit a flagged video; body: { reason }
+ */
+exports.requestEdits = decide('request_edits');
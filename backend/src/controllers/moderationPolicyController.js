@@ -0,0 +1,119 @@
+const ModerationPolicyService = require('../services/moderationPolicyService');
+const VideoProcessingService = require('../services/videoProcessingService');
+
+const parseVersion = (value) => {
+  const version = parseInt(value, 10);
+  return Number.isInteger(version) && version > 0 ? version : null;
+};
+
+/**
+ * Get the active moderation policy of the current organization
+ * Organizations that never saved a policy get the built-in one (version 0)
+ */
+exports.getPolicy = async (req, res) => {
+  try {
+    const policy = await ModerationPolicyService.getActivePolicy(req.organizationId);
+    res.json({ policy, isDefault: policy.version === 0 });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Save a new version of the moderation policy (moderation:policy)
+ * Body: { categories, allowList?, threshold?, heuristics?, note? }
+ */
+exports.updatePolicy = async (req, res) => {
+  try {
+    const { policy, errors } = ModerationPolicyService.validatePolicy(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Invalid moderation policy', details: errors });
+    }
+
+    const saved = await ModerationPolicyService.savePolicy(req.organizationId, policy, req.userId);
+    console.log(`[MODERATION] Organization ${req.organizationId} saved policy version ${saved.version}`);
+
+    res.json({ message: 'Moderation policy updated', policy: saved });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * List saved policy versions, newest first (moderation:policy)
+ */
+exports.listVersions = async (req, res) => {
+  try {
+    const versions = await ModerationPolicyService.listVersions(req.organizationId);
+    res.json({ versions });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Get one saved policy version (moderation:policy)
+ */
+exports.getVersion = async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    const policy = version && await ModerationPolicyService.getVersion(req.organizationId, version);
+    if (!policy) {
+      return res.status(404).json({ error: 'Policy version not found' });
+    }
+
+    res.json({ policy });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Make an earlier version active again by saving a copy of it as a new version (moderation:policy)
+ */
+exports.restoreVersion = async (req, res) => {
+  try {
+    const version = parseVersion(req.params.version);
+    const previous = version && await ModerationPolicyService.getVersion(req.organizationId, version);
+    if (!previous) {
+      return res.status(404).json({ error: 'Policy version not found' });
+    }
+
+    const { categories, allowList, threshold, heuristics } = previous.toObject();
+    const saved = await ModerationPolicyService.savePolicy(
+      req.organizationId,
+      { categories, allowList, threshold, heuristics, note: `Restored from version ${version}` },
+      req.userId
+    );
+
+    res.json({ message: `Restored moderation policy version ${version}`, policy: saved });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Dry-run the analysis on sample metadata without saving anything (moderation:policy)
+ * Body: { title?, description?, filename?, policy? } - uses the active policy when `policy` is omitted
+ */
+exports.previewPolicy = async (req, res) => {
+  try {
+    const { title, description, filename } = req.body;
+    let policy;
+
+    if (req.body.policy) {
+      const validation = ModerationPolicyService.validatePolicy(req.body.policy);
+      if (validation.errors.length > 0) {
+        return res.status(400).json({ error: 'Invalid moderation policy', details: validation.errors });
+      }
+      policy = validation.policy;
+    } else {
+      policy = await ModerationPolicyService.getActivePolicy(req.organizationId);
+    }
+
+    const analysis = VideoProcessingService.analyzeSensitivity({ title, description, filename }, policy);
+    res.json({ analysis });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
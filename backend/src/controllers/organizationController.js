@@ -1,9 +1,19 @@
 const Organization = require('../models/Organization');
 const OrganizationMember = require('../models/OrganizationMember');
 const User = require('../models/User');
+const TokenService = require('../services/tokenService');
+const PermissionService = require('../services/permissionService');
+const SocketService = require('../services/socketService');
+const PaginationService = require('../services/paginationService');
+
+// Move the member's sockets to the rooms of their new role, or out of the organization
+const syncMemberSockets = (req, userId, organizationId) => {
+  SocketService.syncMembership(req.app.get('io'), userId, organizationId)
+    .catch(error => console.error('[SOCKET] Membership sync error:', error));
+};
 
 /**
- * Get organization details with members
+ * Get organization details with members (requires member:invite in the organization)
  */
 exports.getOrganization = async (req, res) => {
   try {
@@ -49,8 +59,9 @@ exports.addMember = async (req, res) => {
       return res.status(400).json({ error: 'Email and role are required' });
     }
 
-    if (!['admin', 'editor', 'viewer'].includes(role)) {
-      return res.status(400).json({ error: 'Invalid role. Must be admin, editor, or viewer' });
+    const roleBlocker = await PermissionService.getRoleAssignmentBlocker(req, organizationId, role);
+    if (roleBlocker) {
+      return res.status(roleBlocker.status).json({ error: roleBlocker.error });
     }
 
     // Find user by email
@@ -103,8 +114,8 @@ exports.updateMemberRole = async (req, res) => {
     const { organizationId, memberId } = req.params;
     const { role } = req.body;
 
-    if (!role || !['admin', 'editor', 'viewer'].includes(role)) {
-      return res.status(400).json({ error: 'Invalid role. Must be admin, editor, or viewer' });
+    if (!role) {
+      return res.status(400).json({ error: 'Role is required' });
     }
 
     const membership = await OrganizationMember.findById(memberId);
@@ -117,8 +128,21 @@ exports.updateMemberRole = async (req, res) => {
       return res.status(403).json({ error: 'Invalid organization' });
     }
 
+    const roleBlocker = await PermissionService.getRoleAssignmentBlocker(req, organizationId, role, {
+      currentRole: membership.role
+    });
+    if (roleBlocker) {
+      return res.status(roleBlocker.status).json({ error: roleBlocker.error });
+    }
+
+    const lastAdminError = await PermissionService.getLastAdminError(organizationId, membership, role);
+    if (lastAdminError) {
+      return res.status(400).json({ error: lastAdminError });
+    }
+
     membership.role = role;
     await membership.save();
+    syncMemberSockets(req, membership.userId, organizationId);
 
     const user = await User.findById(membership.userId);
 
@@ -157,20 +181,15 @@ exports.removeMember = async (req, res) => {
       return res.status(403).json({ error: 'Invalid organization' });
     }
 
-    // Check if this is the last admin
-    const adminCount = await OrganizationMember.countDocuments({
-      organizationId,
-      role: 'admin'
-    });
-
-    if (membership.role === 'admin' && adminCount === 1) {
-      return res.status(400).json({ 
-        error: 'Cannot remove the last admin from the organization' 
-      });
+    const lastAdminError = await PermissionService.getLastAdminError(organizationId, membership);
+    if (lastAdminError) {
+      return res.status(400).json({ error: lastAdminError });
     }
 
     const user = await User.findById(membership.userId);
     await OrganizationMember.findByIdAndDelete(memberId);
+    await TokenService.revokeUserSessions(membership.userId, { organizationId, reason: 'member-removed' });
+    syncMemberSockets(req, membership.userId, organizationId);
 
     res.json({
       message: 'Member removed from organization successfully',
@@ -195,12 +214,14 @@ exports.getUserOrganizations = async (req, res) => {
 
     const memberships = await OrganizationMember.find({ userId })
       .populate('organizationId');
+    const permissions = await PermissionService.getMembershipPermissions(memberships);
 
     const organizations = memberships.map(m => ({
       id: m.organizationId._id,
       name: m.organizationId.name,
       slug: m.organizationId.slug,
       role: m.role,
+      permissions: permissions.get(m._id.toString()),
       joinedAt: m.joinedAt
     }));
 
@@ -300,6 +321,10 @@ exports.getCurrentOrganization = async (req, res) => {
         slug: organization.slug,
         description: organization.description || '',
         status: organization.status,
+        settings: {
+          requireTwoFactorForAdmins: !!organization.settings?.requireTwoFactorForAdmins,
+          allowPublicSharing: organization.settings?.allowPublicSharing !== false
+        },
         createdAt: organization.createdAt,
         updatedAt: organization.updatedAt
       },
@@ -322,15 +347,29 @@ exports.getCurrentOrganization = async (req, res) => {
 };
 
 /**
- * Update current organization (admin only)
+ * Update current organization (org:settings)
  */
 exports.updateCurrentOrganization = async (req, res) => {
   try {
     const organizationId = req.organizationId;
-    const { name, description } = req.body;
+    const { name, description, settings } = req.body;
 
     console.log('[ORG-CONTROLLER] Updating current organization:', organizationId);
 
+    const { requireTwoFactorForAdmins, allowPublicSharing } = settings || {};
+    if (requireTwoFactorForAdmins !== undefined && typeof requireTwoFactorForAdmins !== 'boolean') {
+      return res.status(400).json({ error: 'requireTwoFactorForAdmins must be a boolean' });
+    }
+    if (allowPublicSharing !== undefined && typeof allowPublicSharing !== 'boolean') {
+      return res.status(400).json({ error: 'allowPublicSharing must be a boolean' });
+    }
+    // The admin turning it on would otherwise lose admin access right away
+    if (requireTwoFactorForAdmins && !req.twoFactorVerified) {
+      return res.status(409).json({
+        error: 'Sign in with two-factor authentication before requiring it for admins'
+      });
+    }
+
     const organization = await Organization.findById(organizationId);
     if (!organization) {
       return res.status(404).json({ error: 'Organization not found' });
@@ -339,6 +378,13 @@ exports.updateCurrentOrganization = async (req, res) => {
     // Update fields
     if (name) organization.name = name;
     if (description !== undefined) organization.description = description;
+    if (requireTwoFactorForAdmins !== undefined) {
+      organization.settings.requireTwoFactorForAdmins = requireTwoFactorForAdmins;
+    }
+    // Turning it off disables existing share links too
+    if (allowPublicSharing !== undefined) {
+      organization.settings.allowPublicSharing = allowPublicSharing;
+    }
     organization.updatedAt = Date.now();
 
     await organization.save();
@@ -353,6 +399,10 @@ exports.updateCurrentOrganization = async (req, res) => {
         slug: organization.slug,
         description: organization.description || '',
         status: organization.status,
+        settings: {
+          requireTwoFactorForAdmins: !!organization.settings?.requireTwoFactorForAdmins,
+          allowPublicSharing: organization.settings?.allowPublicSharing !== false
+        },
         createdAt: organization.createdAt,
         updatedAt: organization.updatedAt
       }
@@ -363,18 +413,32 @@ exports.updateCurrentOrganization = async (req, res) => {
   }
 };
 
+// Members are listed in the order they joined (?cursor= and ?limit=, see services/paginationService.js)
+const MEMBER_LIST_SORTS = {
+  joined: { field: 'joinedAt', direction: 1 }
+};
+
 /**
  * Get current organization's members
+ * Response: { items, nextCursor, total? }
  */
 exports.getCurrentOrganizationMembers = async (req, res) => {
   try {
     const organizationId = req.organizationId;
+    const page = PaginationService.parseParams(req.query, { sorts: MEMBER_LIST_SORTS, defaultSort: 'joined' });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
 
-    const members = await OrganizationMember.find({ organizationId })
-      .populate('userId', 'username email isActive');
+    const { items: members, ...rest } = await PaginationService.findPage(
+      OrganizationMember,
+      { organizationId },
+      page,
+      query => query.populate('userId', 'username email isActive createdAt')
+    );
 
     res.json({
-      members: members.map(m => ({
+      items: members.map(m => ({
         _id: m._id,
         userId: {
           _id: m.userId._id,
@@ -386,7 +450,7 @@ exports.getCurrentOrganizationMembers = async (req, res) => {
         role: m.role,
         joinedAt: m.joinedAt
       })),
-      count: members.length
+      ...rest
     });
   } catch (error) {
     console.error('Get current organization members error:', error);
@@ -406,15 +470,16 @@ exports.addMemberToCurrent = async (req, res) => {
       return res.status(400).json({ error: 'Email and role are required' });
     }
 
-    if (!['admin', 'editor', 'viewer'].includes(role)) {
-      return res.status(400).json({ error: 'Invalid role. Must be admin, editor, or viewer' });
-    }
-
     // Validate organizationId
     if (!organizationId) {
       return res.status(400).json({ error: 'Organization ID is required' });
     }
 
+    const roleBlocker = await PermissionService.getRoleAssignmentBlocker(req, organizationId, role);
+    if (roleBlocker) {
+      return res.status(roleBlocker.status).json({ error: roleBlocker.error });
+    }
+
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
@@ -468,7 +533,7 @@ exports.addMemberToCurrent = async (req, res) => {
 };
 
 /**
- * Remove member from current organization (admin only)
+ * Remove member from current organization (member:manage)
  */
 exports.removeMemberFromCurrent = async (req, res) => {
   try {
@@ -492,16 +557,9 @@ exports.removeMemberFromCurrent = async (req, res) => {
       return res.status(404).json({ error: 'User is not a member of this organization' });
     }
 
-    // Prevent removing the last admin
-    if (membership.role === 'admin') {
-      const adminCount = await OrganizationMember.countDocuments({
-        organizationId: organizationId,
-        role: 'admin'
-      });
-
-      if (adminCount === 1) {
-        return res.status(400).json({ error: 'Cannot remove the last admin from organization' });
-      }
+    const lastAdminError = await PermissionService.getLastAdminError(organizationId, membership);
+    if (lastAdminError) {
+      return res.status(400).json({ error: lastAdminError });
     }
 
     const deleteResult = await OrganizationMember.findByIdAndDelete(membership._id);
@@ -510,6 +568,11 @@ exports.removeMemberFromCurrent = async (req, res) => {
       throw new Error('Failed to delete membership from database');
     }
 
+    // End the removed member's sessions in this organization right away
+    const revoked = await TokenService.revokeUserSessions(userId, { organizationId, reason: 'member-removed' });
+    console.log('[ORG] Removed user', userId, 'from', organizationId, '- revoked sessions:', revoked);
+    syncMemberSockets(req, userId, organizationId);
+
     res.json({ 
       message: 'User removed from organization successfully',
       removedUserId: userId
@@ -521,7 +584,7 @@ exports.removeMemberFromCurrent = async (req, res) => {
 };
 
 /**
- * Update member role in current organization (admin only)
+ * Update member role in current organization (member:manage)
  */
 exports.updateMemberRoleInCurrent = async (req, res) => {
   try {
@@ -533,10 +596,6 @@ exports.updateMemberRoleInCurrent = async (req, res) => {
       return res.status(400).json({ error: 'User ID and new role are required' });
     }
 
-    if (!['admin', 'editor', 'viewer'].includes(role)) {
-      return res.status(400).json({ error: 'Invalid role. Must be admin, editor, or viewer' });
-    }
-
     if (!organizationId) {
       return res.status(400).json({ error: 'Organization ID is required' });
     }
@@ -550,16 +609,16 @@ exports.updateMemberRoleInCurrent = async (req, res) => {
       return res.status(404).json({ error: 'User is not a member of this organization' });
     }
 
-    // Prevent downgrading the last admin
-    if (membership.role === 'admin' && role !== 'admin') {
-      const adminCount = await OrganizationMember.countDocuments({
-        organizationId: organizationId,
-        role: 'admin'
-      });
+    const roleBlocker = await PermissionService.getRoleAssignmentBlocker(req, organizationId, role, {
+      currentRole: membership.role
+    });
+    if (roleBlocker) {
+      return res.status(roleBlocker.status).json({ error: roleBlocker.error });
+    }
 
-      if (adminCount === 1) {
-        return res.status(400).json({ error: 'Cannot remove admin role from the last admin' });
-      }
+    const lastAdminError = await PermissionService.getLastAdminError(organizationId, membership, role);
+    if (lastAdminError) {
+      return res.status(400).json({ error: lastAdminError });
     }
 
     membership.role = role;
@@ -570,6 +629,7 @@ exports.updateMemberRoleInCurrent = async (req, res) => {
     if (!verifyUpdate || verifyUpdate.role !== role) {
       throw new Error('Failed to update membership role in database');
     }
+    syncMemberSockets(req, userId, organizationId);
 
     res.json({
       message: 'Member role updated successfully',
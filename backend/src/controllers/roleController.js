@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+const Role = require('../models/Role');
+const PermissionService = require('../services/permissionService');
+
+/**
+ * List all permissions that roles can be made of
+ */
+exports.listPermissions = async (req, res) => {
+  try {
+    res.json({ permissions: PermissionService.listPermissions() });
+  } catch (error) {
+    console.error('List permissions error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * List built-in and custom roles of the current organization,
+ * with the permissions of the current member
+ */
+exports.listRoles = async (req, res) => {
+  try {
+    const roles = await PermissionService.listRoles(req.organizationId);
+    res.json({ roles, permissions: req.permissions || [] });
+  } catch (error) {
+    console.error('List roles error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Create a custom role (role:manage); body: { name, description, permissions }
+ * Members can only create roles with permissions they hold themselves
+ */
+exports.createRole = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const validationError = PermissionService.validateRoleInput(body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const escalationError = PermissionService.getEscalationError(req, body.permissions);
+    if (escalationError) {
+      return res.status(403).json({ error: escalationError });
+    }
+
+    const name = body.name.trim().toLowerCase();
+    if (await Role.exists({ organizationId: req.organizationId, name })) {
+      return res.status(409).json({ error: `Role '${name}' already exists` });
+    }
+
+    const role = await PermissionService.createRole(req.organizationId, body, req.userId);
+    console.log(`[ROLES] Created role ${role.name} in organization ${req.organizationId}`);
+
+    res.status(201).json({ message: 'Role created', role });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'Role already exists' });
+    }
+    console.error('Create role error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Change the description or permissions of a custom role (role:manage)
+ * Members holding the role get the new permissions on their next request
+ */
+exports.updateRole = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const body = req.body || {};
+    const validationError = PermissionService.validateRoleInput(body, { isUpdate: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const existing = await Role.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!existing) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    // Both the old and the new permissions must be within the member's own
+    const escalationError = PermissionService.getEscalationError(req, [
+      ...existing.permissions,
+      ...(body.permissions || [])
+    ]);
+    if (escalationError) {
+      return res.status(403).json({ error: escalationError });
+    }
+
+    const role = await PermissionService.updateRole(req.organizationId, req.params.id, body);
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    res.json({ message: 'Role updated', role });
+  } catch (error) {
+    console.error('Update role error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Delete a custom role (role:manage)
+ * Refused while members or pending invitations still use it
+ */
+exports.deleteRole = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const role = await Role.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!role) {
+      return res.status(404).json({ error: 'Role not found' });
+    }
+
+    const usage = await PermissionService.countRoleUsage(req.organizationId, role.name);
+    if (usage.members > 0 || usage.invitations > 0) {
+      return res.status(409).json({
+        error: `Role '${role.name}' is still used by ${usage.members} member(s) and ${usage.invitations} pending invitation(s)`,
+        usage
+      });
+    }
+
+    await Role.deleteOne({ _id: role._id });
+    console.log(`[ROLES] Deleted role ${role.name} in organization ${req.organizationId}`);
+
+    res.json({ message: 'Role deleted' });
+  } catch (error) {
+    console.error('Delete role error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,180 @@
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const Organization = require('../models/Organization');
+const ShareLinkService = require('../services/shareLinkService');
+const PermissionService = require('../services/permissionService');
+const MediaTokenService = require('../services/mediaTokenService');
+
+/**
+ * Load a video of the current organization the member may share with a link
+ * Same permissions as editing: video:edit:any, or video:edit:own for own videos.
+ * Sends the error response and resolves to null otherwise.
+ */
+const findShareableVideo = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Video not found' });
+    return null;
+  }
+
+  const video = await Video.findOne({ _id: req.params.id, organizationId: req.organizationId });
+  if (!video) {
+    res.status(404).json({ error: 'Video not found' });
+    return null;
+  }
+
+  if (!PermissionService.canModifyVideo(req, video, 'edit')) {
+    res.status(403).json({ error: 'You do not have permission to share this video' });
+    return null;
+  }
+
+  return video;
+};
+
+/**
+ * Create a share link for a video
+ * Body: { label?, password?, expiresAt?, maxViews?, allowDownload? }
+ * The link (with its token) is only part of this response.
+ */
+exports.createShareLink = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const validationError = ShareLinkService.validateInput(body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const video = await findShareableVideo(req, res);
+    if (!video) return;
+
+    const organization = await Organization.findById(req.organizationId);
+    if (!ShareLinkService.isSharingAllowed(organization)) {
+      return res.status(403).json({ error: 'Public sharing is disabled for this organization' });
+    }
+
+    const { shareLink, token } = await ShareLinkService.create(video, body, req.userId);
+    console.log(`[SHARE] Share link ${shareLink._id} created for video ${video._id} by ${req.userId}`);
+
+    res.status(201).json({
+      message: 'Share link created',
+      shareLink: ShareLinkService.describe(shareLink),
+      url: ShareLinkService.getShareUrl(token)
+    });
+  } catch (error) {
+    console.error('Create share link error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * List the share links of a video, including revoked and expired ones
+ */
+exports.listShareLinks = async (req, res) => {
+  try {
+    const video = await findShareableVideo(req, res);
+    if (!video) return;
+
+    const organization = await Organization.findById(req.organizationId);
+
+    res.json({
+      shareLinks: await ShareLinkService.listForVideo(video._id),
+      sharingAllowed: ShareLinkService.isSharingAllowed(organization)
+    });
+  } catch (error) {
+    console.error('List share links error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Revoke a share link; it stops working right away
+ */
+exports.revokeShareLink = async (req, res) => {
+  try {
+    const video = await findShareableVideo(req, res);
+    if (!video) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.shareId)) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    const shareLink = await ShareLinkService.revoke(video._id, req.params.shareId, req.userId);
+    if (!shareLink) {
+      return res.status(404).json({ error: 'Share link not found or already revoked' });
+    }
+
+    console.log(`[SHARE] Share link ${shareLink._id} revoked by ${req.userId}`);
+    res.json({ message: 'Share link revoked', shareLink: ShareLinkService.describe(shareLink) });
+  } catch (error) {
+    console.error('Revoke share link error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Open a share link (public, no login)
+ * Password-protected links need the password in the X-Share-Password header.
+ * Every successful call counts as a view and returns a media token for
+ * /api/videos/:id/stream, /hls/*, /thumbnail and /transcript.vtt (`?mt=`).
+ */
+exports.openShareLink = async (req, res) => {
+  try {
+    const shareLink = await ShareLinkService.findByToken(req.params.token);
+    if (!shareLink) {
+      return res.status(404).json({ error: 'Share link not found' });
+    }
+
+    const [organization, video] = await Promise.all([
+      Organization.findById(shareLink.organizationId),
+      Video.findById(shareLink.videoId)
+    ]);
+
+    const blocker = ShareLinkService.getAccessBlocker(shareLink, organization, video);
+    if (blocker) {
+      return res.status(blocker.status).json({ error: blocker.error });
+    }
+
+    const password = req.get('X-Share-Password');
+    if (!(await ShareLinkService.checkPassword(shareLink, password))) {
+      return res.status(401).json({
+        error: password ? 'Incorrect password' : 'This link is protected by a password',
+        passwordRequired: true
+      });
+    }
+
+    const viewed = await ShareLinkService.recordView(shareLink);
+    if (!viewed) {
+      return res.status(410).json({ error: 'This share link has reached its view limit' });
+    }
+    await Video.updateOne({ _id: video._id }, { $inc: { views: 1 } });
+
+    res.json({
+      video: {
+        _id: video._id,
+        title: video.title,
+        description: video.description,
+        duration: video.duration,
+        resolution: video.resolution,
+        status: video.status,
+        thumbnail: video.thumbnail,
+        streaming: video.streaming,
+        transcript: video.transcript?.transcribedAt
+          ? { language: video.transcript.language, transcribedAt: video.transcript.transcribedAt }
+          : undefined,
+        createdAt: video.createdAt
+      },
+      share: {
+        allowDownload: viewed.allowDownload,
+        expiresAt: viewed.expiresAt,
+        remainingViews: viewed.maxViews === null ? null : viewed.maxViews - viewed.viewCount
+      },
+      mediaToken: MediaTokenService.create(video._id, {
+        shareLinkId: viewed._id,
+        duration: video.duration,
+        download: viewed.allowDownload
+      })
+    });
+  } catch (error) {
+    console.error('Open share link error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
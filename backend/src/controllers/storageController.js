@@ -0,0 +1,23 @@
+const { getStorage } = require('../storage');
+const VideoStreamingService = require('../services/videoStreamingService');
+
+/**
+ * Serve a file from local storage through a signed URL
+ * URLs are produced by LocalStorageDriver.getSignedUrl and expire
+ */
+exports.getSignedFile = async (req, res) => {
+  try {
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+    const storage = getStorage('local');
+
+    if (!storage.verifySignature(key, expires, signature)) {
+      return res.status(403).json({ error: 'Invalid or expired signature' });
+    }
+
+    return VideoStreamingService.streamFromStorage(req, res, storage, key);
+  } catch (error) {
+    console.error('[STORAGE] Signed file error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
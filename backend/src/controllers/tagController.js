@@ -0,0 +1,103 @@
+const TagService = require('../services/tagService');
+
+/**
+ * List the tag catalog of the current organization with usage counts
+ * Supports ?q= (names starting with it), ?sort=usage|name, ?limit= and ?cursor=
+ */
+exports.listTags = async (req, res) => {
+  try {
+    const page = TagService.parseListParams(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const result = await TagService.listTags(req.organizationId, page, { q: req.query.q });
+    res.json(result);
+  } catch (error) {
+    console.error('List tags error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Tags starting with ?q=, most used first (?limit=, at most 20)
+ */
+exports.autocompleteTags = async (req, res) => {
+  try {
+    const tags = await TagService.autocomplete(req.organizationId, req.query.q, req.query.limit);
+    res.json({ tags });
+  } catch (error) {
+    console.error('Autocomplete tags error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Rename a tag on every video of the organization; body: { name }
+ */
+exports.renameTag = async (req, res) => {
+  try {
+    const { name } = req.body || {};
+    const validationError = TagService.validateName(name);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await TagService.renameTag(req.organizationId, req.params.name, name);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log(`[TAG] "${req.params.name}" renamed to "${result.tag.name}" on ${result.videoCount} videos by ${req.userId}`);
+    res.json({ message: 'Tag renamed', tag: result.tag, videoCount: result.videoCount });
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Merge tags into one; body: { sources: [names], target }
+ * The target may be a new name or one of the catalog
+ */
+exports.mergeTags = async (req, res) => {
+  try {
+    const { sources, target } = req.body || {};
+    if (!Array.isArray(sources) || !sources.length || sources.some(name => typeof name !== 'string')) {
+      return res.status(400).json({ error: 'sources must be a list of tag names' });
+    }
+    const validationError = TagService.validateName(target);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    const result = await TagService.mergeTags(req.organizationId, sources, target);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    console.log(`[TAG] ${sources.length} tags merged into "${result.tag.name}" on ${result.videoCount} videos by ${req.userId}`);
+    res.json({ message: 'Tags merged', tag: result.tag, videoCount: result.videoCount });
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Remove a tag from every video of the organization
+ */
+exports.deleteTag = async (req, res) => {
+  try {
+    const videoCount = await TagService.deleteTag(req.organizationId, req.params.name);
+    if (videoCount === null) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    console.log(`[TAG] "${req.params.name}" deleted from ${videoCount} videos by ${req.userId}`);
+    res.json({ message: 'Tag deleted', videoCount });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,143 @@
+const User = require('../models/User');
+const TokenService = require('../services/tokenService');
+const TwoFactorService = require('../services/twoFactorService');
+
+// Two-factor status of the current user and of this session
+exports.getStatus = async (req, res) => {
+  try {
+    const status = await TwoFactorService.getStatus(req.userId);
+    if (!status) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      twoFactor: {
+        ...status,
+        sessionVerified: !!req.twoFactorVerified
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Start enrollment: secret and otpauth:// URI for the authenticator app
+exports.setup = async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (user.twoFactor.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const { secret, otpauthUrl } = await TwoFactorService.beginSetup(user);
+
+    res.json({
+      message: 'Scan the code with your authenticator app, then confirm with a code from the app',
+      secret,
+      otpauthUrl
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Confirm enrollment; recovery codes are shown this one time
+exports.enable = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+    if (!code) {
+      return res.status(400).json({ error: 'Verification code is required' });
+    }
+
+    const { error, recoveryCodes } = await TwoFactorService.enable(req.userId, code);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // The current session just proved the second factor
+    const session = await TwoFactorService.markSessionVerified(req.sessionId);
+    if (!session) {
+      return res.status(401).json({ error: 'Session has ended. Please login again' });
+    }
+    const { token, expiresIn } = TokenService.buildTokenResponse({ _id: req.userId, email: req.userEmail }, session);
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe',
+      recoveryCodes,
+      token,
+      expiresIn
+    });
+  } catch (error) {
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Turn two-factor authentication off with the password and a current code
+exports.disable = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body || {};
+
+    const user = await User.findById(req.userId).select('+password');
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!user.twoFactor.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!password || !(await user.comparePassword(password))) {
+      return res.status(400).json({ error: 'Password is incorrect' });
+    }
+
+    const requiringOrgs = await TwoFactorService.findRequiringOrganizations(user._id);
+    if (requiringOrgs.length > 0) {
+      return res.status(409).json({
+        error: `Two-factor authentication is required for admins of ${requiringOrgs.map(o => o.name).join(', ')}`
+      });
+    }
+
+    if (!(await TwoFactorService.verifySecondFactor(user._id, { code, recoveryCode }))) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    await TwoFactorService.disable(user._id);
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Replace the recovery codes after confirming a current code
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body || {};
+
+    const status = await TwoFactorService.getStatus(req.userId);
+    if (!status) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+    if (!status.enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    if (!(await TwoFactorService.verifyCode(req.userId, code))) {
+      return res.status(400).json({ error: 'Invalid verification code' });
+    }
+
+    const recoveryCodes = await TwoFactorService.regenerateRecoveryCodes(req.userId);
+
+    res.json({
+      message: 'New recovery codes created. Earlier codes no longer work',
+      recoveryCodes
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
@@ -1,24 +1,122 @@
 const Video = require('../models/Video');
+const Job = require('../models/Job');
 const Organization = require('../models/Organization');
-const OrganizationMember = require('../models/OrganizationMember');
 const mongoose = require('mongoose');
-const cloudinary = require('cloudinary').v2;
+const path = require('path');
 const VideoProcessingService = require('../services/videoProcessingService');
+const VideoStreamingService = require('../services/videoStreamingService');
+const TranscodingService = require('../services/transcodingService');
+const MediaTokenService = require('../services/mediaTokenService');
+const TranscriptionService = require('../services/transcriptionService');
+const ModerationReviewService = require('../services/moderationReviewService');
+const VideoFilterService = require('../services/videoFilterService');
+const PermissionService = require('../services/permissionService');
+const VideoAccessPolicy = require('../services/videoAccessPolicy');
+const SocketService = require('../services/socketService');
+const UploadSessionService = require('../services/uploadSessionService');
+const VideoSearchService = require('../services/videoSearchService');
+const PaginationService = require('../services/paginationService');
+const TagService = require('../services/tagService');
+const ShareLinkService = require('../services/shareLinkService');
+const ShareLink = require('../models/ShareLink');
+const {
+  REPROCESS_BULK,
+  enqueueVideoProcessing,
+  enqueueReprocessing,
+  enqueueBulkReprocessing,
+  createVideoEmitter
+} = require('../jobs/videoJobs');
+const { getStorageForVideo, getVideoStorageKey, getVideoAssetPrefix } = require('../storage');
+const { shouldRedirectToSignedUrl } = require('../config/storageConfig');
 
-// Configure Cloudinary (in case it's not already configured)
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET,
+/**
+ * Create the video of an uploaded file, announce it and queue its processing
+ * Used by single-request uploads and completed resumable uploads.
+ * @param {{ originalname: string, storageKey: string, storageProvider: string, size: number }} file
+ */
+const publishUploadedVideo = async (req, file, { title, description, category, tags, visibility }) => {
+  const video = new Video({
+    title,
+    description: description || '',
+    category: category || 'general',
+    tags: tags ? [...tags] : [],
+    filename: file.originalname,
+    filepath: file.storageKey,
+    storageProvider: file.storageProvider,
+    storageKey: file.storageKey,
+    userId: req.userId,
+    organizationId: req.organizationId,
+    size: file.size,
+    status: 'uploaded' // Initial status
+  });
+  VideoAccessPolicy.applyVisibility(video, visibility);
+
+  await video.save();
+  await video.populate('userId', 'username email');
+  await TagService.syncCounts(video.organizationId, video.tags);
+
+  console.log('[VIDEO-UPLOAD] Video saved:', {
+    videoId: video._id,
+    organizationId: video.organizationId
+  });
+
+  // Get Socket.io instance if available
+  const io = req.app.get('io');
+
+  // Emit video-uploaded event immediately so members who can watch it see the new video
+  if (io) {
+    console.log('[VIDEO-UPLOAD] Emitting video-uploaded event to org:', req.organizationId);
+    SocketService.emitVideoEvent(io, video, 'video-uploaded', {
+      videoId: video._id,
+      video: {
+        _id: video._id,
+        title: video.title,
+        description: video.description,
+        category: video.category,
+        tags: video.tags,
+        status: video.status,
+        processingProgress: video.processingProgress || 0,
+        filepath: video.filepath,
+        size: video.size,
+        views: video.views || 0,
+        createdAt: video.createdAt,
+        userId: video.userId
+      }
+    });
+  }
+
+  // Processing runs in the background job queue, which retries failed attempts
+  const job = await enqueueVideoProcessing(video);
+  return { video, job };
+};
+
+const describeUploadedVideo = (video, job = null) => ({
+  message: job ? 'Video uploaded successfully. Processing queued.' : 'Video already uploaded',
+  processingJobId: job ? job._id : undefined,
+  video: {
+    _id: video._id,
+    title: video.title,
+    description: video.description,
+    category: video.category,
+    tags: video.tags,
+    status: video.status,
+    processingProgress: video.processingProgress,
+    filepath: video.filepath,
+    size: video.size,
+    visibility: video.visibility,
+    createdAt: video.createdAt
+  }
 });
 
 /**
  * Upload video with organization isolation
- * Only ADMIN and EDITOR roles can upload
+ * Requires the video:upload permission (checked by the route)
  */
 exports.uploadVideo = async (req, res) => {
   try {
     const { title, description, category, isPublic } = req.body;
+    // Older clients send isPublic; without either the whole organization can watch
+    const visibility = req.body.visibility || (isPublic === true || isPublic === 'true' ? 'public' : 'organization');
 
     console.log('[VIDEO-UPLOAD] Starting upload:', {
       userId: req.userId,
@@ -31,120 +129,246 @@ exports.uploadVideo = async (req, res) => {
       return res.status(400).json({ error: 'Video title is required' });
     }
 
+    const visibilityError = VideoAccessPolicy.validateVisibility(visibility);
+    if (visibilityError) {
+      return res.status(400).json({ error: visibilityError });
+    }
+
+    // Multipart forms send tags as a comma-separated list
+    const { tags, error: tagsError } = TagService.parseTags(req.body.tags);
+    if (tagsError) {
+      return res.status(400).json({ error: tagsError });
+    }
+
     if (!req.file) {
       return res.status(400).json({ error: 'No video file provided' });
     }
 
-    // Check role-based permission: only admin and editor can upload
-    if (req.userRole !== 'admin' && req.userRole !== 'editor') {
-      return res.status(403).json({ 
-        error: 'You do not have permission to upload videos. Required role: editor or admin' 
-      });
+    // File info from the storage driver engine (see storage/multerStorageEngine.js)
+    const { video, job } = await publishUploadedVideo(req, req.file, { title, description, category, tags, visibility });
+
+    res.status(201).json(describeUploadedVideo(video, job));
+  } catch (error) {
+    console.error('Upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Offset headers of the tus protocol, alongside the JSON body
+const setUploadHeaders = (res, session) => {
+  res.set({
+    'Upload-Offset': String(session.offset),
+    'Upload-Length': String(session.size),
+    'Cache-Control': 'no-store'
+  });
+};
+
+const CHUNK_CONTENT_TYPES = ['application/offset+octet-stream', 'application/octet-stream'];
+
+/**
+ * Start a resumable upload (see services/uploadSessionService.js)
+ * Body: { filename, size, mimeType, title, description?, category?, tags?, visibility? }
+ * Requires the video:upload permission (checked by the route)
+ */
+exports.createUpload = async (req, res) => {
+  try {
+    const body = req.body || {};
+    const validationError = UploadSessionService.validateInput(body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
     }
 
-    // Cloudinary file info from multer storage
-    const cloudinaryUrl = req.file.path;
-    const cloudinaryPublicId = req.file.filename;
+    const session = await UploadSessionService.create(
+      { userId: req.userId, organizationId: req.organizationId },
+      body
+    );
+    console.log(`[VIDEO-UPLOAD] Resumable upload ${session._id} started by ${req.userId}: ${session.size} bytes`);
 
-    const video = new Video({
-      title,
-      description: description || '',
-      category: category || 'general',
-      filename: req.file.originalname,
-      filepath: cloudinaryUrl,
-      cloudinaryPublicId: cloudinaryPublicId,
-      userId: req.userId,
-      organizationId: req.organizationId,
-      size: req.file.size,
-      isPublic: isPublic === true ? true : false,
-      status: 'uploaded' // Initial status
-    });
+    setUploadHeaders(res, session);
+    res.set('Location', `${req.baseUrl}/uploads/${session._id}`);
+    res.status(201).json({ message: 'Upload started', upload: UploadSessionService.describe(session) });
+  } catch (error) {
+    console.error('Create upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
 
-    await video.save();
-    await video.populate('userId', 'username email');
+/**
+ * Where a resumable upload continues (also answers HEAD with the offset headers only)
+ */
+exports.getUpload = async (req, res) => {
+  try {
+    const session = await UploadSessionService.findForUser(req.params.uploadId, req.userId, req.organizationId);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
 
-    console.log('[VIDEO-UPLOAD] Video saved:', {
-      videoId: video._id,
-      organizationId: video.organizationId
-    });
+    setUploadHeaders(res, session);
+    res.json({ upload: UploadSessionService.describe(session) });
+  } catch (error) {
+    console.error('Get upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
 
-    // Start async processing (non-blocking)
-    // Get Socket.io instance if available
-    const io = req.app.get('io');
-    const ioEmitter = io ? (event, data) => {
-      io.to(`org-${req.organizationId}`).emit(event, data);
-    } : null;
-
-    // Emit video-uploaded event immediately so clients can see the new video
-    if (io) {
-      console.log('[VIDEO-UPLOAD] Emitting video-uploaded event to org:', req.organizationId);
-      io.to(`org-${req.organizationId}`).emit('video-uploaded', {
-        videoId: video._id,
-        video: {
-          _id: video._id,
-          title: video.title,
-          description: video.description,
-          category: video.category,
-          status: video.status,
-          processingProgress: video.processingProgress || 0,
-          filepath: video.filepath,
-          size: video.size,
-          views: video.views || 0,
-          createdAt: video.createdAt,
-          userId: video.userId
-        }
-      });
+/**
+ * Receive the next chunk of a resumable upload
+ * The raw body (application/offset+octet-stream) must start at the `Upload-Offset` header;
+ * a mismatch answers 409 with the offset to continue from.
+ */
+exports.uploadChunk = async (req, res) => {
+  try {
+    const session = await UploadSessionService.findForUser(req.params.uploadId, req.userId, req.organizationId);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
     }
+    setUploadHeaders(res, session);
 
-    // Trigger processing without waiting
-    VideoProcessingService.processVideoAsync(video._id, video, ioEmitter).catch(error => {
-      console.error('Background processing error:', error);
-    });
+    if (session.status !== 'pending') {
+      return res.status(409).json({ error: 'Upload is already complete', offset: session.offset });
+    }
 
-    res.status(201).json({
-      message: 'Video uploaded successfully. Processing started.',
-      video: {
-        _id: video._id,
-        title: video.title,
-        description: video.description,
-        category: video.category,
-        status: video.status,
-        processingProgress: video.processingProgress,
-        filepath: video.filepath,
-        size: video.size,
-        createdAt: video.createdAt
+    if (!CHUNK_CONTENT_TYPES.includes((req.get('Content-Type') || '').split(';')[0].trim())) {
+      return res.status(415).json({ error: 'Chunks must be sent as application/offset+octet-stream' });
+    }
+
+    const offsetHeader = req.get('Upload-Offset');
+    const offset = Number(offsetHeader);
+    if (!offsetHeader || !Number.isInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: 'Upload-Offset header is required' });
+    }
+    if (offset !== session.offset) {
+      return res.status(409).json({ error: 'Upload-Offset does not match the bytes received', offset: session.offset });
+    }
+
+    const limit = UploadSessionService.getChunkLimit(session);
+    if (parseInt(req.get('Content-Length'), 10) > limit) {
+      return res.status(413).json({ error: `Chunks of this upload can be at most ${limit} bytes`, offset: session.offset });
+    }
+
+    const result = await UploadSessionService.appendChunk(session, req);
+    setUploadHeaders(res, session);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error, offset: result.offset });
+    }
+
+    res.json({ upload: UploadSessionService.describe(session) });
+  } catch (error) {
+    console.error('Upload chunk error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Finish a fully received resumable upload: create the video and queue its processing
+ * Repeating the request after it succeeded returns the same video.
+ */
+exports.completeUpload = async (req, res) => {
+  try {
+    const session = await UploadSessionService.findForUser(req.params.uploadId, req.userId, req.organizationId);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+
+    if (session.status === 'completed') {
+      const video = await Video.findById(session.videoId);
+      if (!video) {
+        return res.status(404).json({ error: 'The video of this upload was deleted' });
       }
-    });
+      return res.json(describeUploadedVideo(video));
+    }
+
+    if (session.offset < session.size) {
+      setUploadHeaders(res, session);
+      return res.status(409).json({ error: 'Upload is incomplete', offset: session.offset });
+    }
+
+    const claimed = await UploadSessionService.claimForCompletion(session);
+    if (!claimed) {
+      return res.status(409).json({ error: 'Upload is already being completed' });
+    }
+
+    let file = null;
+    try {
+      file = await UploadSessionService.storeFile(claimed);
+      const { video, job } = await publishUploadedVideo(req, file, claimed);
+      await UploadSessionService.complete(claimed, video);
+
+      console.log(`[VIDEO-UPLOAD] Resumable upload ${claimed._id} completed as video ${video._id}`);
+      res.status(201).json(describeUploadedVideo(video, job));
+    } catch (error) {
+      await UploadSessionService.release(claimed, file);
+      throw error;
+    }
   } catch (error) {
-    console.error('Upload error:', error);
+    console.error('Complete upload error:', error);
     res.status(500).json({ error: error.message });
   }
 };
 
+/**
+ * Abandon a resumable upload and delete the bytes received
+ */
+exports.cancelUpload = async (req, res) => {
+  try {
+    const session = await UploadSessionService.findForUser(req.params.uploadId, req.userId, req.organizationId);
+    if (!session) {
+      return res.status(404).json({ error: 'Upload not found or expired' });
+    }
+    if (session.status === 'finalizing') {
+      return res.status(409).json({ error: 'Upload is already being completed' });
+    }
+
+    await UploadSessionService.remove(session);
+    res.json({ message: 'Upload cancelled' });
+  } catch (error) {
+    console.error('Cancel upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+// Sorts of the video lists (?sort=, paged with ?cursor= and ?limit=, see services/paginationService.js)
+const VIDEO_LIST_SORTS = {
+  date: { field: 'createdAt', direction: -1 },
+  views: { field: 'views', direction: -1 },
+  title: { field: 'title', direction: 1 }
+};
+
+const parseVideoListParams = (query) => PaginationService.parseParams(query, {
+  sorts: VIDEO_LIST_SORTS,
+  defaultSort: 'date'
+});
+
 /**
  * Get user's videos within organization
+ * Response: { items, nextCursor, total? }
  */
 exports.getUserVideos = async (req, res) => {
   try {
     const userId = req.userId;
     const organizationId = req.organizationId;
 
+    const page = parseVideoListParams(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
     console.log('[VIDEO] Getting user videos:', {
       userId,
       organizationId
     });
 
     // Fetch only videos belonging to user's organization
-    const videos = await Video.find({
-      userId: userId,
-      organizationId: organizationId
-    })
-    .populate('userId', 'username email')
-    .sort({ createdAt: -1 });
+    const result = await PaginationService.findPage(
+      Video,
+      { userId, organizationId },
+      page,
+      query => query.populate('userId', 'username email')
+    );
 
-    console.log('[VIDEO] User videos found:', videos.length, 'videos');
+    console.log('[VIDEO] User videos found:', result.items.length, 'videos');
 
-    res.json({ videos });
+    res.json(result);
   } catch (error) {
     console.error('[VIDEO] Error getting user videos:', error);
     res.status(500).json({ error: error.message });
@@ -152,39 +376,35 @@ exports.getUserVideos = async (req, res) => {
 };
 
 /**
- * Get all organization videos with role-based filtering
- * ADMIN: can see all videos
- * EDITOR: can see all videos
- * VIEWER: can see all videos in their organization (but cannot edit/delete)
+ * Get the organization videos the member can watch (see services/videoAccessPolicy.js)
+ * Response: { items, nextCursor, total? }
  */
 exports.getOrganizationVideos = async (req, res) => {
   try {
-    const userId = req.userId;
     const organizationId = req.organizationId;
-    const userRole = req.userRole;
+    const page = parseVideoListParams(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const viewer = await VideoAccessPolicy.getViewer(req, organizationId);
 
     console.log('[VIDEO] Getting organization videos:', {
-      userId,
+      userId: req.userId,
       organizationId,
-      userRole
+      userRole: req.userRole
     });
 
-    // All roles can see all organization videos
-    let query = { organizationId: organizationId };
-
-    console.log('[VIDEO] Showing all organization videos to', userRole, 'role');
+    const result = await PaginationService.findPage(
+      Video,
+      VideoAccessPolicy.getListFilter(organizationId, viewer),
+      page,
+      query => query.populate('userId', 'username email')
+    );
 
-    // Fetch videos based on query
-    const videos = await Video.find(query)
-      .populate('userId', 'username email')
-      .sort({ createdAt: -1 });
+    console.log('[VIDEO] Organization videos found:', result.items.length, 'videos');
 
-    console.log('[VIDEO] Organization videos found:', videos.length, 'videos');
-
-    res.json({ 
-      videos,
-      count: videos.length
-    });
+    res.json(result);
   } catch (error) {
     console.error('[VIDEO] Error getting organization videos:', error);
     res.status(500).json({ error: error.message });
@@ -196,63 +416,435 @@ exports.getOrganizationVideos = async (req, res) => {
  */
 exports.getAllPublicVideos = async (req, res) => {
   try {
-    // Only fetch public videos
-    const videos = await Video.find({
-      isPublic: true
-    })
-    .populate('userId', 'username email')
-    .populate('organizationId', 'name slug')
-    .sort({ createdAt: -1 });
+    const page = parseVideoListParams(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
 
-    res.json({ videos });
+    // Only fetch public videos; unlisted ones are reachable by link only
+    const result = await PaginationService.findPage(
+      Video,
+      VideoAccessPolicy.getPublicFilter(),
+      page,
+      query => query
+        .populate('userId', 'username email')
+        .populate('organizationId', 'name slug')
+    );
+
+    res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
 /**
- * Get video by ID with proper access control
- * User must be in same organization
- * VIEWER can only access public videos
- * EDITOR and ADMIN can access all videos in their org
+ * Get video by ID
+ * Anyone allowed by the video's visibility (see services/videoAccessPolicy.js);
+ * logged-out visitors only see public and unlisted videos
  */
 exports.getVideoById = async (req, res) => {
   try {
-    const video = await Video.findById(req.params.id)
-      .populate('userId', 'username email')
-      .populate('organizationId', 'name slug');
-    
-    if (!video) {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    // Verify video belongs to user's organization
-    if (video.organizationId._id.toString() !== req.organizationId.toString()) {
-      return res.status(403).json({ error: 'Access denied to this video' });
-    }
-
-    // Role-based access check
-    const isOwner = video.userId._id.toString() === req.userId;
+    const video = await findViewableVideo(req, res);
+    if (!video) return;
 
-    // All organization members can see videos (no public/private restriction for org members)
+    await video.populate([
+      { path: 'userId', select: 'username email' },
+      { path: 'organizationId', select: 'name slug' }
+    ]);
 
     // Increment views only if not owner
+    const isOwner = !!req.userId && video.userId?._id?.toString() === req.userId.toString();
     if (!isOwner) {
       video.views += 1;
       await video.save();
     }
 
-    res.json({ video });
+    res.json({ video, visibility: VideoAccessPolicy.getVisibility(video) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Load a video for viewing (detail, stream, thumbnail, storyboard, transcript)
+ * Access follows the video's visibility (see services/videoAccessPolicy.js).
+ * Sends the error response and resolves to null when access is denied.
+ * `select` adds fields that are not loaded by default (e.g. transcript segments).
+ * With `mediaToken`, a media token for the video (`?mt=`, handed out by share links)
+ * also grants access, as long as the share link it came from still works.
+ */
+const findViewableVideo = async (req, res, { select, mediaToken = false } = {}) => {
+  const video = await Video.findById(req.params.id).select(select);
+
+  if (!video) {
+    res.status(404).json({ error: 'Video not found' });
+    return null;
+  }
+
+  const media = mediaToken && MediaTokenService.decode(req.query.mt, video._id);
+  if (media) {
+    const shareBlocker = media.shareLinkId && await ShareLinkService.getMediaAccessBlocker(media.shareLinkId, video);
+    if (shareBlocker) {
+      res.status(shareBlocker.status).json({ error: shareBlocker.error });
+      return null;
+    }
+    return video;
+  }
+
+  const blocker = await VideoAccessPolicy.getViewBlocker(req, video);
+  if (blocker) {
+    res.status(blocker.status).json({ error: blocker.error });
+    return null;
+  }
+
+  return video;
+};
+
+/**
+ * Media token of a video for a viewer, with its expiry
+ * Viewing tokens do not allow downloads; only share links hand out tokens that do.
+ */
+const issueMediaToken = (req, video) => ({
+  mediaToken: MediaTokenService.create(video._id, { userId: req.userId, duration: video.duration }),
+  expiresAt: new Date(Date.now() + MediaTokenService.getTtlSeconds(video.duration) * 1000)
+});
+
+// Videos per request of getMediaTokens (a page of a video list)
+const MAX_MEDIA_TOKEN_VIDEOS = 50;
+
+/**
+ * Media token for the stream, thumbnail, storyboard, captions and playlists of a video
+ * Same access rules as the video detail (see findViewableVideo). Media elements cannot send
+ * the Authorization header, so the app puts this token in their URLs (`?mt=`) and asks for a
+ * new one before `expiresAt`.
+ */
+exports.getMediaToken = async (req, res) => {
+  try {
+    const video = await findViewableVideo(req, res);
+    if (!video) return;
+
+    res.json(issueMediaToken(req, video));
+  } catch (error) {
+    console.error('[VIDEO] Media token error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Media tokens for several videos at once (the cards of a video list), like getMediaToken
+ * Videos that do not exist or that the viewer cannot watch are left out of `tokens`.
+ */
+exports.getMediaTokens = async (req, res) => {
+  try {
+    const { videoIds } = req.body;
+    if (!Array.isArray(videoIds) || videoIds.length === 0 || videoIds.length > MAX_MEDIA_TOKEN_VIDEOS ||
+        !videoIds.every(id => typeof id === 'string' && mongoose.Types.ObjectId.isValid(id))) {
+      return res.status(400).json({ error: `videoIds must be a list of up to ${MAX_MEDIA_TOKEN_VIDEOS} video ids` });
+    }
+
+    const videos = await Video.find({ _id: { $in: videoIds } });
+    const viewers = new Map();
+    const tokens = {};
+    for (const video of videos) {
+      const organizationId = String(video.organizationId);
+      if (!viewers.has(organizationId)) {
+        viewers.set(organizationId, await VideoAccessPolicy.getViewer(req, video.organizationId));
+      }
+      if (VideoAccessPolicy.canView(video, viewers.get(organizationId))) {
+        tokens[video._id] = issueMediaToken(req, video);
+      }
+    }
+
+    res.json({ tokens });
   } catch (error) {
+    console.error('[VIDEO] Media tokens error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Send a stored object, either proxied with Range support or as a signed URL redirect
+ */
+const sendStoredFile = async (req, res, storage, key) => {
+  if (shouldRedirectToSignedUrl()) {
+    return res.redirect(await storage.getSignedUrl(key, { expiresIn: 3600 }));
+  }
+
+  return VideoStreamingService.streamFromStorage(req, res, storage, key);
+};
+
+/**
+ * Stream video with HTTP Range support
+ * Same access rules as the video detail (see findViewableVideo)
+ * ?download=1 sends the file as an attachment; with a media token only when
+ * the share link it came from allows downloads
+ */
+exports.streamVideo = async (req, res) => {
+  try {
+    const video = await findViewableVideo(req, res, { mediaToken: true });
+    if (!video) return;
+
+    const storageKey = getVideoStorageKey(video);
+
+    if (!storageKey) {
+      return res.status(404).json({ error: 'Video file not found' });
+    }
+
+    if (req.query.download) {
+      const media = MediaTokenService.decode(req.query.mt, video._id);
+      if (media && !media.download) {
+        return res.status(403).json({ error: 'Downloads are not allowed for this link' });
+      }
+      const filename = `${(video.title || 'video').replace(/[^\w.-]+/g, '_')}${path.extname(video.filename || '')}`;
+      res.header('Content-Disposition', `attachment; filename="${filename}"`);
+    }
+
+    return sendStoredFile(req, res, getStorageForVideo(video), storageKey);
+  } catch (error) {
+    console.error('[VIDEO] Stream error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Get the poster thumbnail generated during processing
+ */
+exports.getThumbnail = async (req, res) => {
+  try {
+    const video = await findViewableVideo(req, res, { mediaToken: true });
+    if (!video) return;
+
+    if (!video.thumbnail?.key) {
+      return res.status(404).json({ error: 'Thumbnail not available' });
+    }
+
+    return sendStoredFile(req, res, getStorageForVideo(video), video.thumbnail.key);
+  } catch (error) {
+    console.error('[VIDEO] Thumbnail error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Get the storyboard sprite generated during processing
+ * Layout (frame size, grid, interval) is part of the video document
+ */
+exports.getStoryboard = async (req, res) => {
+  try {
+    const video = await findViewableVideo(req, res, { mediaToken: true });
+    if (!video) return;
+
+    if (!video.storyboard?.key) {
+      return res.status(404).json({ error: 'Storyboard not available' });
+    }
+
+    return sendStoredFile(req, res, getStorageForVideo(video), video.storyboard.key);
+  } catch (error) {
+    console.error('[VIDEO] Storyboard error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Get the timestamped transcript of a video
+ * Optional ?q= returns only the segments containing the text
+ */
+exports.getTranscript = async (req, res) => {
+  try {
+    const video = await findViewableVideo(req, res, { select: '+transcript.segments' });
+    if (!video) return;
+
+    if (!video.transcript?.transcribedAt) {
+      return res.status(404).json({ error: 'Transcript not available' });
+    }
+
+    const { engine, language, transcribedAt, segments } = video.transcript;
+    const query = typeof req.query.q === 'string' ? req.query.q : '';
+
+    res.json({
+      transcript: {
+        engine,
+        language,
+        transcribedAt,
+        segments: query ? TranscriptionService.findSegments(segments, query) : segments
+      }
+    });
+  } catch (error) {
+    console.error('[VIDEO] Transcript error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Get the transcript as WebVTT captions (?download=1 to save as a file)
+ */
+exports.getTranscriptVtt = async (req, res) => {
+  try {
+    const video = await findViewableVideo(req, res, { select: '+transcript.segments', mediaToken: true });
+    if (!video) return;
+
+    if (!video.transcript?.transcribedAt) {
+      return res.status(404).json({ error: 'Transcript not available' });
+    }
+
+    res.header('Content-Type', 'text/vtt; charset=utf-8');
+    if (req.query.download) {
+      const filename = `${(video.title || 'transcript').replace(/[^\w.-]+/g, '_')}.vtt`;
+      res.header('Content-Disposition', `attachment; filename="${filename}"`);
+    }
+    res.send(TranscriptionService.toWebVTT(video.transcript.segments));
+  } catch (error) {
+    console.error('[VIDEO] Transcript VTT error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Full-text search over the videos the member can watch
+ * ?q= text, ?status= ?category= ?uploader= ?tags=a,b ?mine=true filters,
+ * ?sort=relevance|date|views|title, ?limit= and ?cursor= (nextCursor of the previous page).
+ * Facet counts and the total are only computed for the first page.
+ */
+exports.searchVideos = async (req, res) => {
+  try {
+    const params = VideoSearchService.parseParams(req.query);
+    if (params.error) {
+      return res.status(400).json({ error: params.error });
+    }
+    if (req.query.mine === 'true' || req.query.mine === '1') {
+      params.filters.userId = new mongoose.Types.ObjectId(req.userId);
+    }
+
+    const viewer = await VideoAccessPolicy.getViewer(req, req.organizationId);
+    const accessFilter = VideoAccessPolicy.getListFilter(req.organizationId, viewer);
+    const result = await VideoSearchService.search(accessFilter, params, { withFacets: !params.cursor });
+
+    res.json(result);
+  } catch (error) {
+    console.error('[VIDEO] Search error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Search the transcripts of the organization's videos
+ * Returns matching videos with the segments (and timestamps) containing ?q=
+ */
+exports.searchTranscripts = async (req, res) => {
+  try {
+    const query = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (query.length < 2) {
+      return res.status(400).json({ error: 'Search text must be at least 2 characters' });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+    const escaped = query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const viewer = await VideoAccessPolicy.getViewer(req, req.organizationId);
+    const videos = await Video.find({
+      ...VideoAccessPolicy.getListFilter(req.organizationId, viewer),
+      'transcript.text': { $regex: escaped, $options: 'i' }
+    })
+      .select('title duration thumbnail status createdAt +transcript.segments')
+      .sort({ createdAt: -1 })
+      .limit(limit);
+
+    res.json({
+      results: videos.map(video => ({
+        video: {
+          _id: video._id,
+          title: video.title,
+          duration: video.duration,
+          thumbnail: video.thumbnail,
+          status: video.status,
+          createdAt: video.createdAt
+        },
+        matches: TranscriptionService.findSegments(video.transcript.segments, query).slice(0, 10)
+      })),
+      count: videos.length
+    });
+  } catch (error) {
+    console.error('[VIDEO] Transcript search error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const STREAMING_FORMATS = {
+  hls: { prefixField: 'hls', playlistExt: '.m3u8', contentType: 'application/vnd.apple.mpegurl' },
+  dash: { prefixField: 'dash', playlistExt: '.mpd', contentType: 'application/dash+xml' }
+};
+
+const readStoredText = async (storage, key) => {
+  const stream = await storage.getStream(key);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+/**
+ * Serve HLS/DASH playlists and segments
+ * Playlists are rewritten so every URI they reference carries a short-lived media token
+ * (`?mt=`); segment requests are authorized by that token since players cannot send headers.
+ * Requests without a valid media token fall back to the normal video access rules.
+ */
+exports.getStreamingFile = async (req, res) => {
+  try {
+    const format = STREAMING_FORMATS[req.params.format];
+    const relativePath = req.params[0];
+
+    if (!format || !relativePath || relativePath.split('/').includes('..')) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const video = await findViewableVideo(req, res, { mediaToken: true });
+    if (!video) return;
+
+    let mediaToken = req.query.mt;
+    if (!MediaTokenService.verify(mediaToken, video._id)) {
+      mediaToken = MediaTokenService.create(video._id, { userId: req.userId, duration: video.duration });
+    }
+
+    const prefix = video.streaming?.[format.prefixField]?.prefix;
+    if (!prefix) {
+      return res.status(404).json({ error: 'Adaptive streaming not available for this video' });
+    }
+
+    const storage = getStorageForVideo(video);
+    const key = `${prefix}/${relativePath}`;
+
+    if (!relativePath.endsWith(format.playlistExt)) {
+      return sendStoredFile(req, res, storage, key);
+    }
+
+    if (!(await storage.stat(key))) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    const content = await readStoredText(storage, key);
+    const query = `mt=${encodeURIComponent(mediaToken)}`;
+    const signed = req.params.format === 'hls'
+      ? TranscodingService.signPlaylist(content, query)
+      : TranscodingService.signManifest(content, query);
+
+    res.set({
+      'Content-Type': format.contentType,
+      // Tokens inside the playlist are per-viewer
+      'Cache-Control': 'private, no-cache'
+    });
+    res.send(signed);
+  } catch (error) {
+    console.error('[VIDEO] Streaming file error:', error);
     res.status(500).json({ error: error.message });
   }
 };
 
 /**
  * Delete video
- * ADMIN: can delete any video in org
- * EDITOR: can delete only their own videos
- * VIEWER: cannot delete
+ * video:delete:any: any video in org
+ * video:delete:own: only videos the member uploaded
  */
 exports.deleteVideo = async (req, res) => {
   try {
@@ -267,29 +859,34 @@ exports.deleteVideo = async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Check delete permission based on role
-    const isAdmin = req.userRole === 'admin';
-    const isEditor = req.userRole === 'editor';
-
-    // Only admins and editors can delete videos in their organization
-    if (!isAdmin && !isEditor) {
+    if (!PermissionService.canModifyVideo(req, video, 'delete')) {
       return res.status(403).json({ 
         error: 'You do not have permission to delete this video' 
       });
     }
 
-    // Delete from Cloudinary if public ID exists
-    if (video.cloudinaryPublicId) {
+    // Delete the file from storage
+    const storageKey = getVideoStorageKey(video);
+    if (storageKey) {
       try {
-        await cloudinary.uploader.destroy(video.cloudinaryPublicId, { resource_type: 'video' });
-      } catch (cloudinaryError) {
-        console.error('Error deleting from Cloudinary:', cloudinaryError);
-        // Continue with deletion even if Cloudinary deletion fails
+        await getStorageForVideo(video).delete(storageKey);
+      } catch (storageError) {
+        console.error('Error deleting video file from storage:', storageError);
+        // Continue with deletion even if storage deletion fails
       }
     }
 
+    // Delete derived files (thumbnail, storyboard)
+    try {
+      await getStorageForVideo(video).deletePrefix(getVideoAssetPrefix(video));
+    } catch (storageError) {
+      console.error('Error deleting video assets from storage:', storageError);
+    }
+
     // Delete from database
     await Video.findByIdAndDelete(req.params.id);
+    await ShareLink.deleteMany({ videoId: video._id });
+    await TagService.syncCounts(video.organizationId, video.tags || []);
 
     res.json({ message: 'Video deleted successfully' });
   } catch (error) {
@@ -299,13 +896,12 @@ exports.deleteVideo = async (req, res) => {
 
 /**
  * Update video
- * ADMIN: can update any video in org
- * EDITOR: can update only their own videos
- * VIEWER: cannot update
+ * video:edit:any: any video in org
+ * video:edit:own: only videos the member uploaded
  */
 exports.updateVideo = async (req, res) => {
   try {
-    const { title, description, isPublic } = req.body;
+    const { title, description, isPublic, visibility } = req.body;
     const video = await Video.findById(req.params.id);
 
     if (!video) {
@@ -317,24 +913,51 @@ exports.updateVideo = async (req, res) => {
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Check update permission based on role
-    const isAdmin = req.userRole === 'admin';
-    const isEditor = req.userRole === 'editor';
-
-    // Only admins and editors can update videos in their organization
-    if (!isAdmin && !isEditor) {
+    if (!PermissionService.canModifyVideo(req, video, 'edit')) {
       return res.status(403).json({ 
         error: 'You do not have permission to update this video' 
       });
     }
 
+    let requestedVisibility = visibility;
+    if (requestedVisibility === undefined && isPublic !== undefined &&
+        isPublic !== (VideoAccessPolicy.getVisibility(video) === 'public')) {
+      // Older clients toggle isPublic only
+      requestedVisibility = isPublic ? 'public' : 'organization';
+    }
+    if (requestedVisibility !== undefined) {
+      const visibilityError = VideoAccessPolicy.validateVisibility(requestedVisibility, video);
+      if (visibilityError) {
+        return res.status(400).json({ error: visibilityError });
+      }
+    }
+
+    const { tags, error: tagsError } = TagService.parseTags(req.body.tags);
+    if (tagsError) {
+      return res.status(400).json({ error: tagsError });
+    }
+    const changedTags = req.body.tags !== undefined ? TagService.getChangedNames(video.tags, tags) : [];
+
     if (title) video.title = title;
     if (description !== undefined) video.description = description;
-    if (isPublic !== undefined) video.isPublic = isPublic;
+    if (req.body.tags !== undefined) video.tags = tags;
+    if (requestedVisibility !== undefined) {
+      VideoAccessPolicy.applyVisibility(video, requestedVisibility);
+    }
     video.updatedAt = Date.now();
 
+    // Editing a video that reviewers sent back puts it back in the review queue
+    const resubmitted = ModerationReviewService.resubmit(video, req.userId);
+
     await video.save();
     await video.populate('userId', 'username email');
+    if (changedTags.length) {
+      await TagService.syncCounts(video.organizationId, changedTags);
+    }
+
+    if (resubmitted) {
+      ModerationReviewService.notify(req.app.get('io'), video);
+    }
 
     res.json({
       message: 'Video updated successfully',
@@ -346,125 +969,293 @@ exports.updateVideo = async (req, res) => {
 };
 
 /**
- * Get video processing status
+ * Load a video of the current organization the member may edit, for the sharing endpoints
+ * Sends the error response and resolves to null otherwise
  */
-exports.getProcessingStatus = async (req, res) => {
+const findEditableVideo = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ error: 'Video not found' });
+    return null;
+  }
+
+  const video = await Video.findOne({ _id: req.params.id, organizationId: req.organizationId });
+  if (!video) {
+    res.status(404).json({ error: 'Video not found' });
+    return null;
+  }
+
+  if (!PermissionService.canModifyVideo(req, video, 'edit')) {
+    res.status(403).json({ error: 'You do not have permission to share this video' });
+    return null;
+  }
+
+  return video;
+};
+
+const sendVideoAccess = async (res, video, message) => {
+  await video.populate('allowedUsers', 'username email');
+  res.json({
+    ...(message && { message }),
+    access: {
+      visibility: VideoAccessPolicy.getVisibility(video),
+      allowedUsers: video.allowedUsers,
+      allowedRoles: video.allowedRoles
+    }
+  });
+};
+
+/**
+ * Get who can watch a video: visibility plus the members and roles it is shared with
+ */
+exports.getVideoAccess = async (req, res) => {
   try {
-    const status = await VideoProcessingService.getProcessingStatus(req.params.id);
-    res.json(status);
+    const video = await findEditableVideo(req, res);
+    if (!video) return;
+
+    await sendVideoAccess(res, video);
   } catch (error) {
+    console.error('[VIDEO] Get access error:', error);
     res.status(500).json({ error: error.message });
   }
 };
 
 /**
- * Advanced filtering for videos with role-based access
+ * Change who can watch a video; body: { visibility?, userIds?, roles? }
+ * userIds and roles replace the current lists. Sharing a private video
+ * with someone makes it restricted.
  */
-exports.getFilteredVideos = async (req, res) => {
+exports.updateVideoAccess = async (req, res) => {
   try {
-    const {
-      status,
-      sensitivity,
-      dateFrom,
-      dateTo,
-      minSize,
-      maxSize,
-      category,
-      page = 1,
-      limit = 20
-    } = req.query;
-
-    // Build filter objects for common filters
-    const commonFilters = {};
-    
-    // Status filter
-    if (status && ['uploaded', 'processing', 'safe', 'flagged', 'failed'].includes(status)) {
-      commonFilters.status = status;
-    }
-
-    // Sensitivity filter
-    if (sensitivity && ['safe', 'flagged'].includes(sensitivity)) {
-      commonFilters['sensitivityAnalysis.result'] = sensitivity;
-    }
-
-    // Date range filter
-    if (dateFrom || dateTo) {
-      commonFilters.createdAt = {};
-      if (dateFrom) {
-        commonFilters.createdAt.$gte = new Date(dateFrom);
-      }
-      if (dateTo) {
-        commonFilters.createdAt.$lte = new Date(dateTo);
+    const video = await findEditableVideo(req, res);
+    if (!video) return;
+
+    const { visibility, userIds, roles } = req.body || {};
+    if (visibility !== undefined) {
+      const visibilityError = VideoAccessPolicy.validateVisibility(visibility, video);
+      if (visibilityError) {
+        return res.status(400).json({ error: visibilityError });
       }
     }
 
-    // File size filter
-    if (minSize || maxSize) {
-      commonFilters.size = {};
-      if (minSize) {
-        commonFilters.size.$gte = parseInt(minSize);
-      }
-      if (maxSize) {
-        commonFilters.size.$lte = parseInt(maxSize);
+    const sharesError = await VideoAccessPolicy.validateShares(video.organizationId, {
+      userIds: userIds ?? [],
+      roles: roles ?? []
+    });
+    if (sharesError) {
+      return res.status(400).json({ error: sharesError });
+    }
+
+    if (userIds !== undefined) video.allowedUsers = [...new Set(userIds.map(String))];
+    if (roles !== undefined) video.allowedRoles = [...new Set(roles)];
+
+    const hasShares = video.allowedUsers.length > 0 || video.allowedRoles.length > 0;
+    if (visibility !== undefined) {
+      VideoAccessPolicy.applyVisibility(video, visibility);
+    } else if (hasShares && VideoAccessPolicy.getVisibility(video) === 'private') {
+      VideoAccessPolicy.applyVisibility(video, 'restricted');
+    }
+    video.updatedAt = Date.now();
+    await video.save();
+
+    console.log(`[VIDEO] Access of ${video._id} set to ${video.visibility} by ${req.userId}`);
+    await sendVideoAccess(res, video, 'Video access updated');
+  } catch (error) {
+    console.error('[VIDEO] Update access error:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+const REPROCESS_MODES = ['full', 'analysis'];
+
+/**
+ * Re-run processing for a video; body: { mode: 'full' | 'analysis' } (default full)
+ * full queues the whole pipeline again (also for failed videos); analysis re-runs
+ * sensitivity analysis right away with the organization's active moderation policy
+ */
+exports.reprocessVideo = async (req, res) => {
+  try {
+    const mode = req.body?.mode || 'full';
+    if (!REPROCESS_MODES.includes(mode)) {
+      return res.status(400).json({ error: 'Invalid mode. Must be full or analysis' });
+    }
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const video = await Video.findOne({ _id: req.params.id, organizationId: req.organizationId });
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    if (mode === 'analysis') {
+      if (!['safe', 'flagged'].includes(video.status)) {
+        return res.status(409).json({ error: 'Only processed videos can be re-analyzed. Use a full reprocess instead' });
       }
+
+      const processed = await VideoProcessingService.reanalyzeVideo(video._id);
+      createVideoEmitter(req.app.get('io'), processed)?.('video-processing-complete', {
+        videoId: video._id,
+        progress: 100,
+        step: 'Re-analysis complete',
+        status: processed.status,
+        analysis: processed.sensitivityAnalysis
+      });
+
+      return res.json({
+        message: 'Video re-analyzed',
+        video: processed
+      });
     }
 
-    // Category filter
-    if (category) {
-      commonFilters.category = category;
+    const job = await enqueueReprocessing(video);
+    if (!job) {
+      return res.status(409).json({ error: 'Video is already being processed' });
+    }
+
+    console.log(`[VIDEO] Reprocessing queued for ${video._id} by ${req.userId}`);
+    res.status(202).json({
+      message: 'Reprocessing queued',
+      processingJobId: job._id
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Reprocess every organization video matching a filter in the background
+ * Body: { mode: 'full' | 'analysis', filters: { ...same parameters as /filter/advanced } }
+ */
+exports.bulkReprocess = async (req, res) => {
+  try {
+    const { mode = 'analysis', filters = {} } = req.body || {};
+    if (!REPROCESS_MODES.includes(mode)) {
+      return res.status(400).json({ error: 'Invalid mode. Must be full or analysis' });
+    }
+    if (typeof filters !== 'object' || Array.isArray(filters)) {
+      return res.status(400).json({ error: 'filters must be an object' });
     }
 
-    let query = {};
-    
-    // Role-based filtering
-    if (req.userRole === 'viewer') {
-      // Viewers only see public videos
-      query = { organizationId: req.organizationId, isPublic: true, ...commonFilters };
-    } else {
-      // Editors and Admins see all org videos
-      query = { organizationId: req.organizationId, ...commonFilters };
+    const running = await Job.exists({
+      organizationId: req.organizationId,
+      type: REPROCESS_BULK,
+      status: { $in: ['queued', 'running'] }
+    });
+    if (running) {
+      return res.status(409).json({ error: 'A bulk reprocess is already in progress for this organization' });
     }
 
-    // Pagination
-    const pageNum = Math.max(1, parseInt(page));
-    const limitNum = Math.min(100, Math.max(1, parseInt(limit)));
-    const skip = (pageNum - 1) * limitNum;
+    const params = VideoFilterService.pickParams(filters);
+    const matching = await Video.countDocuments({
+      organizationId: req.organizationId,
+      ...VideoFilterService.buildFilters(params)
+    });
+    const job = await enqueueBulkReprocessing(req.organizationId, { mode, filters: params, requestedBy: req.userId });
 
-    // Execute query with pagination
-    const [videos, total] = await Promise.all([
-      Video.find(query)
-        .populate('userId', 'username email')
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(limitNum),
-      Video.countDocuments(query)
-    ]);
+    res.status(202).json({
+      message: 'Bulk reprocess queued',
+      jobId: job._id,
+      matching
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Progress report of a bulk reprocess job
+ */
+exports.getBulkReprocessStatus = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.jobId)) {
+      return res.status(404).json({ error: 'Bulk reprocess job not found' });
+    }
+
+    const job = await Job.findOne({
+      _id: req.params.jobId,
+      organizationId: req.organizationId,
+      type: REPROCESS_BULK
+    });
+    if (!job) {
+      return res.status(404).json({ error: 'Bulk reprocess job not found' });
+    }
 
     res.json({
-      videos,
-      pagination: {
-        total,
-        page: pageNum,
-        limit: limitNum,
-        pages: Math.ceil(total / limitNum)
-      }
+      jobId: job._id,
+      status: job.status,
+      progress: job.progress,
+      mode: job.payload.mode,
+      filters: job.payload.filters,
+      report: job.result,
+      lastError: job.lastError,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 };
 
+/**
+ * Get video processing status
+ */
+exports.getProcessingStatus = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const video = await findViewableVideo(req, res);
+    if (!video) return;
+
+    const status = await VideoProcessingService.getProcessingStatus(req.params.id);
+    res.json(status);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Advanced filtering for videos with permission-based access
+ */
+exports.getFilteredVideos = async (req, res) => {
+  try {
+    const page = parseVideoListParams(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const commonFilters = VideoFilterService.buildFilters(req.query);
+
+    // Only videos the member can watch (see services/videoAccessPolicy.js)
+    const viewer = await VideoAccessPolicy.getViewer(req, req.organizationId);
+    const query = { ...VideoAccessPolicy.getListFilter(req.organizationId, viewer), ...commonFilters };
+
+    const result = await PaginationService.findPage(
+      Video,
+      query,
+      page,
+      videos => videos.populate('userId', 'username email')
+    );
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 /**
  * Get video statistics for dashboard
+ * Counts only the videos the member can watch
  */
 exports.getVideoStatistics = async (req, res) => {
   try {
     const { startDate, endDate } = req.query;
 
+    const viewer = await VideoAccessPolicy.getViewer(req, req.organizationId);
     const matchStage = {
-      $match: {
-        organizationId: new mongoose.Types.ObjectId(req.organizationId)
-      }
+      $match: VideoAccessPolicy.getListFilter(req.organizationId, viewer)
     };
 
     // Add date filter if provided
@@ -0,0 +1,197 @@
+/**
+ * Video Jobs
+ * Registers video processing handlers with the job queue
+ */
+
+const Video = require('../models/Video');
+const Job = require('../models/Job');
+const JobQueueService = require('../services/jobQueueService');
+const VideoProcessingService = require('../services/videoProcessingService');
+const VideoFilterService = require('../services/videoFilterService');
+const SocketService = require('../services/socketService');
+
+const PROCESS_VIDEO = 'process-video';
+const REPROCESS_BULK = 'reprocess-bulk';
+
+// Bulk reprocessing persists its report every this many videos
+const BULK_REPORT_INTERVAL = 10;
+// Per-video errors kept in a bulk report
+const BULK_MAX_ERRORS = 50;
+
+/**
+ * Build the socket emitter used for organization-wide events (bulk reprocessing)
+ */
+const createOrgEmitter = (io, organizationId) => {
+  return io ? (event, data) => {
+    io.to(`org-${organizationId}`).emit(event, data);
+  } : null;
+};
+
+/**
+ * Build the socket emitter used for progress events of a video, sent only
+ * to the members who can watch it (see SocketService.getVideoRooms)
+ */
+const createVideoEmitter = (io, video) => {
+  return io ? (event, data) => SocketService.emitVideoEvent(io, video, event, data) : null;
+};
+
+/**
+ * Queue processing for an uploaded video
+ */
+const enqueueVideoProcessing = (video) => {
+  return JobQueueService.enqueue(PROCESS_VIDEO, {
+    organizationId: video.organizationId._id || video.organizationId,
+    videoId: video._id
+  });
+};
+
+const hasActiveProcessingJob = (videoId) => {
+  return Job.exists({
+    videoId,
+    type: PROCESS_VIDEO,
+    status: { $in: ['queued', 'running'] }
+  });
+};
+
+/**
+ * Queue the full processing pipeline again for an existing video
+ * @returns {Promise<object|null>} the job, or null when the video is already being processed
+ */
+const enqueueReprocessing = async (video) => {
+  if (video.status === 'processing' || await hasActiveProcessingJob(video._id)) {
+    return null;
+  }
+  return enqueueVideoProcessing(video);
+};
+
+/**
+ * Queue re-analysis ('analysis') or full reprocessing ('full') of every video of an
+ * organization matching the advanced filter parameters in `filters`
+ */
+const enqueueBulkReprocessing = (organizationId, { mode, filters = {}, requestedBy = null }) => {
+  return JobQueueService.enqueue(REPROCESS_BULK, {
+    organizationId,
+    payload: { mode, filters, requestedBy },
+    // Re-running the whole batch after a partial failure is safe but rarely useful
+    maxAttempts: 1
+  });
+};
+
+const processVideo = async (job, { io, isFinalAttempt }) => {
+  const video = await Video.findById(job.videoId);
+  if (!video) {
+    // Deleted while queued: nothing to do
+    return { skipped: true, reason: 'Video no longer exists' };
+  }
+
+  const ioEmitter = createVideoEmitter(io, video);
+  // Only the last attempt marks the video as failed; earlier failures are retried
+  const processed = await VideoProcessingService.processVideoAsync(video._id, video, ioEmitter, {
+    markFailed: isFinalAttempt
+  });
+
+  return { status: processed.status };
+};
+
+JobQueueService.registerHandler(PROCESS_VIDEO, processVideo, {
+  onFailed: async (job, error) => {
+    // Covers jobs recovered after a crash, which never reached processVideoAsync's own handling
+    const video = await Video.findOne({ _id: job.videoId, status: { $ne: 'failed' } });
+    if (video) {
+      await VideoProcessingService.failProcessing(video._id, error.message);
+      const io = JobQueueService.context.io;
+      createVideoEmitter(io, video)?.('video-processing-failed', {
+        videoId: video._id,
+        error: error.message
+      });
+    }
+  }
+});
+
+/**
+ * Bulk reprocessing: videos matching the filter when the job starts are handled one by one.
+ * Analysis-only runs inline and skips videos that were never processed; full reprocessing
+ * queues a process-video job per video and skips videos already being processed.
+ */
+const reprocessBulk = async (job, { io }) => {
+  const { mode, filters } = job.payload;
+  const videos = await Video.find({
+    organizationId: job.organizationId,
+    ...VideoFilterService.buildFilters(filters)
+  }).select('_id organizationId status').sort({ createdAt: 1 });
+
+  const report = { mode, total: videos.length, processed: 0, succeeded: 0, skipped: 0, failed: 0, errors: [] };
+  const emit = createOrgEmitter(io, job.organizationId);
+
+  const saveReport = async () => {
+    const progress = report.total ? Math.round((report.processed / report.total) * 100) : 100;
+    await Job.updateOne({ _id: job._id }, { progress, result: report, updatedAt: new Date() });
+    emit?.('bulk-reprocess-progress', { jobId: job._id, progress, report });
+  };
+
+  for (const video of videos) {
+    try {
+      if (mode === 'analysis') {
+        if (['safe', 'flagged'].includes(video.status)) {
+          await VideoProcessingService.reanalyzeVideo(video._id);
+          report.succeeded++;
+        } else {
+          report.skipped++;
+        }
+      } else if (await enqueueReprocessing(video)) {
+        report.succeeded++;
+      } else {
+        report.skipped++;
+      }
+    } catch (error) {
+      report.failed++;
+      if (report.errors.length < BULK_MAX_ERRORS) {
+        report.errors.push({ videoId: video._id, error: error.message });
+      }
+    }
+
+    report.processed++;
+    if (report.processed % BULK_REPORT_INTERVAL === 0) {
+      await saveReport();
+    }
+  }
+
+  await saveReport();
+  console.log(`[JOB-QUEUE] Bulk ${mode} reprocessing: ${report.succeeded} done, ${report.skipped} skipped, ${report.failed} failed`);
+  return report;
+};
+
+JobQueueService.registerHandler(REPROCESS_BULK, reprocessBulk);
+
+/**
+ * Queue videos left in 'uploaded'/'processing' without an active job,
+ * e.g. uploads from before the queue existed or whose job record was lost
+ */
+const recoverOrphanedVideos = async () => {
+  const pending = await Video.find({ status: { $in: ['uploaded', 'processing'] } }).select('_id organizationId');
+  let recovered = 0;
+
+  for (const video of pending) {
+    if (!await hasActiveProcessingJob(video._id)) {
+      await enqueueVideoProcessing(video);
+      recovered++;
+    }
+  }
+
+  if (recovered > 0) {
+    console.log(`[JOB-QUEUE] Requeued processing for ${recovered} orphaned video(s)`);
+  }
+  return recovered;
+};
+
+module.exports = {
+  PROCESS_VIDEO,
+  REPROCESS_BULK,
+  enqueueVideoProcessing,
+  enqueueReprocessing,
+  enqueueBulkReprocessing,
+  reprocessBulk,
+  recoverOrphanedVideos,
+  createOrgEmitter,
+  createVideoEmitter
+};
@@ -0,0 +1,21 @@
+/**
+ * Console Mailer
+ * Logs emails instead of sending them, so links can be copied from the server output.
+ */
+
+const crypto = require('crypto');
+const Mailer = require('./Mailer');
+
+class ConsoleMailer extends Mailer {
+  constructor() {
+    super('console');
+  }
+
+  async send(message) {
+    const id = crypto.randomUUID();
+    console.log(`[MAIL] To: ${message.to} | Subject: ${message.subject}\n${message.text}`);
+    return { id };
+  }
+}
+
+module.exports = ConsoleMailer;
@@ -0,0 +1,57 @@
+/**
+ * File Mailer
+ * Writes each email as a JSON file (<timestamp>-<id>.json) to a directory,
+ * where development tools and tests can read them back.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Mailer = require('./Mailer');
+
+class FileMailer extends Mailer {
+  /**
+   * @param {{ dir: string }} options
+   */
+  constructor({ dir }) {
+    super('file');
+    if (!dir) {
+      throw new Error('File mailer requires a directory');
+    }
+    this.dir = dir;
+  }
+
+  async send(message) {
+    const id = crypto.randomUUID();
+    const sentAt = new Date();
+
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(this.dir, `${sentAt.getTime()}-${id}.json`),
+      JSON.stringify({ id, sentAt, ...message }, null, 2)
+    );
+
+    return { id };
+  }
+
+  /**
+   * Emails written so far, oldest first
+   */
+  async list() {
+    let files;
+    try {
+      files = await fs.promises.readdir(this.dir);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const messages = await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .sort()
+      .map(async file => JSON.parse(await fs.promises.readFile(path.join(this.dir, file), 'utf8'))));
+    return messages;
+  }
+}
+
+module.exports = FileMailer;
@@ -0,0 +1,21 @@
+/**
+ * Mailer
+ * Base class describing the interface every mail transport implements.
+ */
+
+class Mailer {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Send an email
+   * @param {{ from: string, to: string, subject: string, text: string, html?: string }} message
+   * @returns {Promise<{ id: string }>}
+   */
+  async send(message) {
+    throw new Error(`${this.name} mailer does not implement send()`);
+  }
+}
+
+module.exports = Mailer;
@@ -0,0 +1,45 @@
+/**
+ * SMTP Mailer
+ * Sends emails through an SMTP server with nodemailer. nodemailer is an optional
+ * dependency: install it with `npm install nodemailer` before selecting this transport.
+ */
+
+const Mailer = require('./Mailer');
+
+class SmtpMailer extends Mailer {
+  /**
+   * @param {{ host: string, port: number, secure: boolean, user?: string, pass?: string, nodemailer?: object }} options
+   */
+  constructor({ host, port, secure, user, pass, nodemailer } = {}) {
+    super('smtp');
+    if (!host) {
+      throw new Error('SMTP mailer requires SMTP_HOST');
+    }
+
+    this.options = { host, port, secure, auth: user ? { user, pass } : undefined };
+    this.nodemailer = nodemailer || null;
+    this.transport = null;
+  }
+
+  getTransport() {
+    if (this.transport) return this.transport;
+
+    if (!this.nodemailer) {
+      try {
+        this.nodemailer = require('nodemailer');
+      } catch (error) {
+        throw new Error('nodemailer is not installed; run `npm install nodemailer` or use MAIL_TRANSPORT=console');
+      }
+    }
+
+    this.transport = this.nodemailer.createTransport(this.options);
+    return this.transport;
+  }
+
+  async send(message) {
+    const info = await this.getTransport().sendMail(message);
+    return { id: info.messageId };
+  }
+}
+
+module.exports = SmtpMailer;
@@ -0,0 +1,66 @@
+/**
+ * Mailers
+ * Entry point for email delivery: creates the transport selected by
+ * configuration and lets tests swap in their own.
+ */
+
+const ConsoleMailer = require('./ConsoleMailer');
+const FileMailer = require('./FileMailer');
+const SmtpMailer = require('./SmtpMailer');
+const {
+  getMailTransportName,
+  getMailFrom,
+  getMailFileDir,
+  getSmtpConfig
+} = require('../config/mailConfig');
+
+// One mailer instance per transport, created lazily
+const mailers = new Map();
+
+const createMailer = (name) => {
+  switch (name) {
+    case 'console':
+      return new ConsoleMailer();
+    case 'file':
+      return new FileMailer({ dir: getMailFileDir() });
+    case 'smtp':
+      return new SmtpMailer(getSmtpConfig());
+    default:
+      throw new Error(`Unknown mail transport: ${name}`);
+  }
+};
+
+/**
+ * Get a mailer; defaults to the one configured with MAIL_TRANSPORT
+ */
+const getMailer = (name = getMailTransportName()) => {
+  if (!mailers.has(name)) {
+    mailers.set(name, createMailer(name));
+  }
+  return mailers.get(name);
+};
+
+/**
+ * Override the mailer for a transport (used by tests to capture emails)
+ */
+const setMailer = (name, mailer) => {
+  if (mailer) {
+    mailers.set(name, mailer);
+  } else {
+    mailers.delete(name);
+  }
+};
+
+/**
+ * Send an email with the configured mailer and sender address
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+const sendMail = (message) => {
+  return getMailer().send({ from: getMailFrom(), ...message });
+};
+
+module.exports = {
+  getMailer,
+  setMailer,
+  sendMail
+};
@@ -0,0 +1,73 @@
+/**
+ * Email Templates
+ * Plain text and HTML bodies for the emails the platform sends.
+ */
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const layout = (paragraphs, link, linkLabel) => {
+  const body = paragraphs.map(p => `<p>${escapeHtml(p)}</p>`).join('\n');
+  return `${body}\n<p><a href="${escapeHtml(link)}">${escapeHtml(linkLabel)}</a></p>`;
+};
+
+/**
+ * Invitation to join an organization
+ * @param {{ organizationName: string, inviterName: string, role: string, link: string, expiresAt: Date }} data
+ */
+const invitationEmail = ({ organizationName, inviterName, role, link, expiresAt }) => {
+  const paragraphs = [
+    `${inviterName} invited you to join ${organizationName} on Video Platform as ${role}.`,
+    `The invitation expires on ${expiresAt.toUTCString()}.`
+  ];
+
+  return {
+    subject: `You're invited to join ${organizationName}`,
+    text: `${paragraphs.join('\n\n')}\n\nAccept or decline the invitation: ${link}\n`,
+    html: layout(paragraphs, link, 'View invitation')
+  };
+};
+
+/**
+ * Link confirming the email address of a new account
+ * @param {{ username: string, link: string, expiresAt: Date }} data
+ */
+const verificationEmail = ({ username, link, expiresAt }) => {
+  const paragraphs = [
+    `Hi ${username}, please confirm your email address for Video Platform.`,
+    `The link expires on ${expiresAt.toUTCString()}.`
+  ];
+
+  return {
+    subject: 'Confirm your email address',
+    text: `${paragraphs.join('\n\n')}\n\nConfirm your email: ${link}\n`,
+    html: layout(paragraphs, link, 'Confirm email address')
+  };
+};
+
+/**
+ * Password reset link
+ * @param {{ username: string, link: string, expiresAt: Date }} data
+ */
+const passwordResetEmail = ({ username, link, expiresAt }) => {
+  const paragraphs = [
+    `Hi ${username}, someone asked to reset the password of your Video Platform account.`,
+    `The link can be used once and expires on ${expiresAt.toUTCString()}. If you did not ask for it, you can ignore this email.`
+  ];
+
+  return {
+    subject: 'Reset your password',
+    text: `${paragraphs.join('\n\n')}\n\nChoose a new password: ${link}\n`,
+    html: layout(paragraphs, link, 'Reset password')
+  };
+};
+
+module.exports = {
+  escapeHtml,
+  invitationEmail,
+  verificationEmail,
+  passwordResetEmail
+};
@@ -1,6 +1,21 @@
 const jwt = require('jsonwebtoken');
+const TokenService = require('../services/tokenService');
 
-const authMiddleware = (req, res, next) => {
+/**
+ * Decode an access token and check that its session was not revoked
+ * (logout, member removal, user deactivation). Also used for socket handshakes.
+ * Throws when the token is invalid or expired.
+ * @returns {Promise<object|null>} token payload, or null when the session has ended
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
+  return (await TokenService.isSessionActive(decoded.sessionId)) ? decoded : null;
+};
+
+/**
+ * Verify an access token and check that its session was not revoked
+ */
+const authMiddleware = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split(' ')[1];
     
@@ -8,10 +23,17 @@ const authMiddleware = (req, res, next) => {
       return res.status(401).json({ error: 'No token provided' });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'secret');
+    const decoded = await verifyAccessToken(token);
+
+    if (!decoded) {
+      return res.status(401).json({ error: 'Session has ended. Please login again' });
+    }
+
     req.userId = decoded.userId;
     req.userEmail = decoded.email;
     req.organizationId = decoded.organizationId;
+    req.sessionId = decoded.sessionId;
+    req.twoFactorVerified = !!decoded.twoFactorVerified;
     
     next();
   } catch (error) {
@@ -20,5 +42,36 @@ const authMiddleware = (req, res, next) => {
   }
 };
 
-module.exports = authMiddleware;
+/**
+ * Optional authentication
+ * Attaches the user when a valid token is present, otherwise continues anonymously.
+ * Only the Authorization header is read: media elements (<video src>) cannot send it, so
+ * their URLs carry a media token (`?mt=`, see services/mediaTokenService.js) instead of
+ * the login token, which would end up in logs and browser history.
+ */
+const optionalAuthMiddleware = async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return next();
+  }
 
+  try {
+    const decoded = await verifyAccessToken(token);
+    if (decoded) {
+      req.userId = decoded.userId;
+      req.userEmail = decoded.email;
+      req.organizationId = decoded.organizationId;
+      req.sessionId = decoded.sessionId;
+      req.twoFactorVerified = !!decoded.twoFactorVerified;
+    }
+  } catch (error) {
+    console.warn('[AUTH MIDDLEWARE] Ignoring invalid optional token:', error.message);
+  }
+
+  next();
+};
+
+module.exports = authMiddleware;
+module.exports.optionalAuthMiddleware = optionalAuthMiddleware;
+module.exports.verifyAccessToken = verifyAccessToken;
@@ -0,0 +1,46 @@
+const RateLimitService = require('../services/rateLimitService');
+const { getRateLimit, isRateLimitEnabled } = require('../config/rateLimitConfig');
+
+/**
+ * Rate limit middleware
+ * Counts requests against a named limit from config/rateLimitConfig.js, per client IP
+ * or per authenticated user (`by: 'user'`, falls back to the IP before authentication).
+ * Sends the standard RateLimit-Limit / -Remaining / -Reset / -Policy headers and
+ * answers 429 with Retry-After once the limit is used up.
+ */
+const rateLimitMiddleware = (name, { by = 'ip' } = {}) => {
+  return async (req, res, next) => {
+    if (!isRateLimitEnabled()) {
+      return next();
+    }
+
+    try {
+      const { max, windowMs } = getRateLimit(name);
+      const client = by === 'user' && req.userId ? `user:${req.userId}` : `ip:${req.ip}`;
+      const result = await RateLimitService.consume(`${name}:${client}`, { max, windowMs });
+      const resetSeconds = Math.max(Math.ceil((result.resetAt.getTime() - Date.now()) / 1000), 0);
+
+      res.set({
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(resetSeconds),
+        'RateLimit-Policy': `${max};w=${Math.round(windowMs / 1000)}`
+      });
+
+      if (!result.allowed) {
+        console.warn(`[RATE LIMIT] ${name} limit reached for ${client}`);
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({
+          error: 'Too many requests. Please try again later',
+          retryAfter: resetSeconds
+        });
+      }
+    } catch (error) {
+      console.error('Rate limit middleware error:', error);
+    }
+
+    next();
+  };
+};
+
+module.exports = rateLimitMiddleware;
@@ -1,55 +1,64 @@
 const OrganizationMember = require('../models/OrganizationMember');
+const TwoFactorService = require('../services/twoFactorService');
+const PermissionService = require('../services/permissionService');
+const { isPermission } = require('../config/permissions');
 
 /**
- * RBAC Middleware
- * Checks if user has required role in the organization
- * Allowed roles: admin > editor > viewer (hierarchical)
+ * Permission middleware
+ * Requires every listed permission (config/permissions.js) in the current organization,
+ * or in the organization named by a route parameter with `{ organizationParam }`.
+ * Attaches req.userRole, req.membership and req.permissions.
  */
-const rbacMiddleware = (requiredRole) => {
+const requirePermission = (permissions, { organizationParam } = {}) => {
+  const required = [].concat(permissions);
+  required.forEach(permission => {
+    if (!isPermission(permission)) {
+      throw new Error(`Unknown permission: ${permission}`);
+    }
+  });
+
   return async (req, res, next) => {
     try {
       const userId = req.userId;
-      const organizationId = req.organizationId;
+      const organizationId = organizationParam ? req.params[organizationParam] : req.organizationId;
 
       if (!userId || !organizationId) {
         return res.status(401).json({ error: 'User not authenticated' });
       }
 
-      // Check if user is member of this organization
-      const membership = await OrganizationMember.findOne({
-        userId: userId,
-        organizationId: organizationId
-      });
-
-      if (!membership) {
-        return res.status(403).json({ 
-          error: 'User does not belong to this organization' 
-        });
+      // Reuse the membership loaded by organizationMiddleware for the same organization
+      let membership = req.membership;
+      let granted = req.permissions;
+      if (!membership || membership.organizationId.toString() !== organizationId.toString()) {
+        membership = await OrganizationMember.findOne({ userId, organizationId });
+        if (!membership) {
+          return res.status(403).json({ error: 'User does not belong to this organization' });
+        }
+
+        const twoFactorBlocker = await TwoFactorService.getAdminAccessBlocker(req, membership);
+        if (twoFactorBlocker) {
+          return res.status(twoFactorBlocker.status).json({ error: twoFactorBlocker.error, code: twoFactorBlocker.code });
+        }
+        granted = null;
       }
 
-      // Role hierarchy: admin > editor > viewer
-      const roleHierarchy = {
-        admin: 3,
-        editor: 2,
-        viewer: 1
-      };
-
-      const userRoleLevel = roleHierarchy[membership.role];
-      const requiredRoleLevel = roleHierarchy[requiredRole];
+      granted = granted || await PermissionService.getRolePermissions(organizationId, membership.role);
 
-      if (userRoleLevel < requiredRoleLevel) {
-        return res.status(403).json({ 
-          error: `Insufficient permissions. Required role: ${requiredRole}, User role: ${membership.role}` 
+      const missing = required.filter(permission => !granted.includes(permission));
+      if (missing.length > 0) {
+        return res.status(403).json({
+          error: `Insufficient permissions. Required: ${missing.join(', ')}`,
+          required: missing
         });
       }
 
-      // Attach user role and membership to request for later use
       req.userRole = membership.role;
       req.membership = membership;
+      req.permissions = granted;
 
       next();
     } catch (error) {
-      console.error('RBAC middleware error:', error);
+      console.error('Permission middleware error:', error);
       res.status(500).json({ error: 'Error checking permissions' });
     }
   };
@@ -104,8 +113,14 @@ const organizationMiddleware = async (req, res, next) => {
 
     console.log('[ORG MIDDLEWARE] Membership found. Role:', membership.role);
 
+    const twoFactorBlocker = await TwoFactorService.getAdminAccessBlocker(req, membership);
+    if (twoFactorBlocker) {
+      return res.status(twoFactorBlocker.status).json({ error: twoFactorBlocker.error, code: twoFactorBlocker.code });
+    }
+
     req.userRole = membership.role;
     req.membership = membership;
+    req.permissions = await PermissionService.getRolePermissions(organizationId, membership.role);
 
     next();
   } catch (error) {
@@ -115,6 +130,6 @@ const organizationMiddleware = async (req, res, next) => {
 };
 
 module.exports = {
-  rbacMiddleware,
+  requirePermission,
   organizationMiddleware
 };
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+/**
+ * Single-use token sent by email for account actions (see services/accountService.js)
+ */
+const accountTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['verify-email', 'reset-password'],
+    required: true
+  },
+  // SHA-256 of the token in the emailed link; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+accountTokenSchema.index({ tokenHash: 1 }, { unique: true });
+accountTokenSchema.index({ userId: 1, purpose: 1 });
+// Let MongoDB remove tokens a day after they expire
+accountTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('AccountToken', accountTokenSchema);
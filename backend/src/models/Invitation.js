@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+/**
+ * Invitation to join an organization, sent by email (see services/invitationService.js)
+ */
+const invitationSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  email: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true
+  },
+  // Role given on accepting: built-in or a custom role of the organization
+  role: {
+    type: String,
+    default: 'viewer'
+  },
+  // SHA-256 of the token in the invitation link; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked', 'expired'],
+    default: 'pending'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  sendCount: {
+    type: Number,
+    default: 0
+  },
+  lastSentAt: {
+    type: Date,
+    default: null
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+invitationSchema.index({ tokenHash: 1 }, { unique: true });
+// One pending invitation per email and organization
+invitationSchema.index(
+  { organizationId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { status: 'pending' } }
+);
+invitationSchema.index({ organizationId: 1, status: 1, createdAt: -1 });
+
+// Remove the token hash from JSON responses
+invitationSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.tokenHash;
+  return obj;
+};
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+
+/**
+ * Background job persisted in MongoDB (see services/jobQueueService.js)
+ */
+const jobSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    default: null
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  // Earliest time the job may run (pushed back on retry)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Worker lock; lockedAt doubles as a heartbeat while the job runs
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  attemptErrors: [
+    {
+      attempt: Number,
+      error: String,
+      timestamp: {
+        type: Date,
+        default: Date.now
+      }
+    }
+  ],
+  startedAt: Date,
+  completedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Worker polling: next runnable job
+jobSchema.index({ status: 1, runAt: 1 });
+// Stuck job recovery
+jobSchema.index({ status: 1, lockedAt: 1 });
+// Admin listing per organization
+jobSchema.index({ organizationId: 1, status: 1, createdAt: -1 });
+jobSchema.index({ videoId: 1, status: 1 });
+
+module.exports = mongoose.model('Job', jobSchema);
@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+const categorySchema = new mongoose.Schema({
+  // Stable identifier, e.g. "violence"
+  key: {
+    type: String,
+    required: true
+  },
+  // Label shown in analysis results, e.g. "Violence/Gore"
+  name: {
+    type: String,
+    required: true
+  },
+  weight: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  keywords: [String],
+  // Regular expression sources, matched case-insensitively
+  patterns: [String],
+  // Match keywords only as whole words ("kill" does not match "skill")
+  wholeWord: {
+    type: Boolean,
+    default: false
+  },
+  enabled: {
+    type: Boolean,
+    default: true
+  }
+}, { _id: false });
+
+/**
+ * Moderation Policy
+ * One document per saved version; versions are never modified, so every
+ * sensitivityAnalysis can point back at the exact rules that produced it.
+ */
+const moderationPolicySchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  categories: [categorySchema],
+  // Phrases ignored before matching, e.g. "kill switch" for an IT organization
+  allowList: [String],
+  // Score strictly greater than this marks a video as flagged
+  threshold: {
+    type: Number,
+    default: 30,
+    min: 0,
+    max: 100
+  },
+  // Built-in spam heuristics (repeated characters, number sequences, ...)
+  heuristics: {
+    type: Boolean,
+    default: true
+  },
+  note: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+moderationPolicySchema.index({ organizationId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('ModerationPolicy', moderationPolicySchema);
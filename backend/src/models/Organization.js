@@ -42,6 +42,11 @@ const organizationSchema = new mongoose.Schema({
     allowPublicSharing: {
       type: Boolean,
       default: true
+    },
+    // Admins must sign in with two-factor authentication to use admin access
+    requireTwoFactorForAdmins: {
+      type: Boolean,
+      default: false
     }
   },
   status: {
@@ -59,16 +64,22 @@ const organizationSchema = new mongoose.Schema({
   }
 });
 
+// Slug of an organization name; names with the same slug cannot coexist
+organizationSchema.statics.slugify = function(name) {
+  return String(name)
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^\w-]/g, '')
+    .substring(0, 50);
+};
+
 // Create slug before saving
 organizationSchema.pre('save', async function(next) {
   if (!this.isModified('name')) return next();
   
   // Create slug from organization name
-  this.slug = this.name
-    .toLowerCase()
-    .replace(/\s+/g, '-')
-    .replace(/[^\w-]/g, '')
-    .substring(0, 50);
+  this.slug = this.constructor.slugify(this.name);
   
   next();
 });
@@ -11,9 +11,9 @@ const organizationMemberSchema = new mongoose.Schema({
     ref: 'Organization',
     required: true
   },
+  // Built-in role (config/permissions.js) or the name of a custom role of the organization
   role: {
     type: String,
-    enum: ['admin', 'editor', 'viewer'],
     default: 'viewer'
   },
   joinedAt: {
@@ -28,5 +28,7 @@ organizationMemberSchema.index({ userId: 1, organizationId: 1 }, { unique: true
 // Find membership efficiently
 organizationMemberSchema.index({ userId: 1 });
 organizationMemberSchema.index({ organizationId: 1 });
+// Member list pages (ordered by join date)
+organizationMemberSchema.index({ organizationId: 1, joinedAt: 1 });
 
 module.exports = mongoose.model('OrganizationMember', organizationMemberSchema);
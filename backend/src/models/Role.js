@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const { ALL_PERMISSIONS } = require('../config/permissions');
+
+/**
+ * Custom role of an organization, composed of named permissions (see config/permissions.js).
+ * Members reference roles by name, like the built-in admin/moderator/editor/viewer roles.
+ */
+const roleSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Lowercase key stored on memberships and invitations, e.g. "reviewer"
+  name: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: [/^[a-z][a-z0-9-]{1,29}$/, 'Role name must be 2-30 lowercase letters, digits or dashes']
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+    default: ''
+  },
+  permissions: {
+    type: [{ type: String, enum: ALL_PERMISSIONS }],
+    default: []
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+roleSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('Role', roleSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+/**
+ * Login session backing a rotating refresh token (see services/tokenService.js).
+ * Access tokens carry the session id, so revoking a session ends them immediately.
+ */
+const sessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Organization selected in this session; refreshed access tokens keep it
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // SHA-256 of the current refresh token; the token itself is never stored
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the token replaced by the last rotation, to detect reuse of stolen tokens
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  // Set when the login completed a second factor; carried in access tokens
+  twoFactorVerified: {
+    type: Boolean,
+    default: false
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  // logout, logout-all, member-removed, user-deactivated, token-reuse, password-changed
+  revokedReason: {
+    type: String,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+sessionSchema.index({ refreshTokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHash: 1 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Let MongoDB remove sessions a while after they expire
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+/**
+ * Revoke active sessions matching a filter, e.g. all sessions of a user
+ * @returns {Promise<number>} number of revoked sessions
+ */
+sessionSchema.statics.revokeWhere = async function(filter, reason) {
+  const result = await this.updateMany(
+    { ...filter, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  return result.modifiedCount;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+
+/**
+ * Link that lets anyone watch one video without logging in (see services/shareLinkService.js)
+ * Only works while the organization allows public sharing.
+ */
+const shareLinkSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    required: true
+  },
+  // SHA-256 of the token in the link; the token itself is never stored
+  tokenHash: {
+    type: String,
+    required: true
+  },
+  // Helps tell links apart in the list, e.g. "Sent to the press"
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: ''
+  },
+  // bcrypt hash; null when the link has no password
+  passwordHash: {
+    type: String,
+    default: null
+  },
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  // Number of times the link can be opened; null for no limit
+  maxViews: {
+    type: Number,
+    default: null
+  },
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  allowDownload: {
+    type: Boolean,
+    default: false
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lastViewedAt: {
+    type: Date,
+    default: null
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+shareLinkSchema.index({ tokenHash: 1 }, { unique: true });
+shareLinkSchema.index({ videoId: 1, createdAt: -1 });
+
+// Remove the token and password hashes from JSON responses
+shareLinkSchema.methods.toJSON = function() {
+  const obj = this.toObject();
+  delete obj.tokenHash;
+  delete obj.passwordHash;
+  obj.hasPassword = !!this.passwordHash;
+  return obj;
+};
+
+module.exports = mongoose.model('ShareLink', shareLinkSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * Tag of the catalog of an organization (see services/tagService.js)
+ * Videos store tag names in Video.tags; this keeps one entry per name in use with
+ * the number of videos that have it, for autocomplete and tag management.
+ */
+const tagSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  // Normalized name (see TagService.normalize), as stored in Video.tags
+  name: {
+    type: String,
+    required: true
+  },
+  // Number of videos of the organization with this tag
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+tagSchema.index({ organizationId: 1, name: 1 }, { unique: true });
+tagSchema.index({ organizationId: 1, usageCount: -1 });
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+
+/**
+ * Resumable upload of a video (see services/uploadSessionService.js)
+ * Chunks are appended to a staged file until `offset` reaches `size`; finalizing
+ * moves the file to storage and creates the Video with the metadata given here.
+ */
+const uploadSessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  filename: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Total size of the file in bytes, declared when the upload is created
+  size: {
+    type: Number,
+    required: true
+  },
+  // Bytes received so far; the next chunk must start here
+  offset: {
+    type: Number,
+    default: 0
+  },
+  // Metadata of the video created when the upload is finalized
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  category: {
+    type: String,
+    default: 'general'
+  },
+  tags: [String],
+  visibility: {
+    type: String,
+    default: 'organization'
+  },
+  // finalizing: the file is being moved to storage; completed: the video exists
+  status: {
+    type: String,
+    enum: ['pending', 'finalizing', 'completed'],
+    default: 'pending'
+  },
+  videoId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Video',
+    default: null
+  },
+  // Pushed back by every chunk; expired uploads are removed with their staged bytes
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+uploadSessionSchema.index({ userId: 1, organizationId: 1, status: 1 });
+uploadSessionSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('UploadSession', uploadSessionSchema);
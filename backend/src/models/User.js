@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const Session = require('./Session');
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -26,6 +27,53 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date,
+    default: null
+  },
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // TOTP two-factor authentication (see services/twoFactorService.js)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Encrypted TOTP secret, set once enrollment is confirmed
+    secret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // Secret shown during setup until the first code confirms it
+    pendingSecret: {
+      type: String,
+      default: null,
+      select: false
+    },
+    // SHA-256 hashes of unused recovery codes
+    recoveryCodes: {
+      type: [String],
+      default: [],
+      select: false
+    },
+    // Last accepted time step, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number,
+      default: null,
+      select: false
+    },
+    enabledAt: {
+      type: Date,
+      default: null
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -48,15 +96,46 @@ userSchema.pre('save', async function(next) {
   }
 });
 
+// Deactivating a user ends all of their sessions and closes their sockets
+const endUserSessions = async (userId) => {
+  await Session.revokeWhere({ userId }, 'user-deactivated');
+
+  // Loaded here: the socket service loads services that load this model
+  const SocketService = require('../services/socketService');
+  SocketService.disconnectUser(SocketService.io, userId);
+};
+
+userSchema.pre('save', function(next) {
+  this.$locals.deactivated = !this.isNew && this.isModified('isActive') && !this.isActive;
+  next();
+});
+
+userSchema.post('save', async function(doc) {
+  if (doc.$locals.deactivated) {
+    await endUserSessions(doc._id);
+  }
+});
+
+userSchema.post('findOneAndUpdate', async function(doc) {
+  const update = this.getUpdate() || {};
+  const isActive = update.isActive ?? update.$set?.isActive;
+  if (doc && isActive === false) {
+    await endUserSessions(doc._id);
+  }
+});
+
 // Compare password method
 userSchema.methods.comparePassword = async function(password) {
   return await bcrypt.compare(password, this.password);
 };
 
-// Remove password from JSON response
+// Remove password and 2FA secrets from JSON response
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.password;
+  if (obj.twoFactor) {
+    obj.twoFactor = { enabled: obj.twoFactor.enabled, enabledAt: obj.twoFactor.enabledAt };
+  }
   return obj;
 };
 
@@ -24,6 +24,17 @@ const videoSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Storage driver holding the file and its key within that driver.
+  // Videos uploaded before storageKey existed are resolved from cloudinaryPublicId.
+  storageProvider: {
+    type: String,
+    enum: ['cloudinary', 'local', 's3'],
+    default: 'cloudinary'
+  },
+  storageKey: {
+    type: String,
+    default: null
+  },
   userId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -39,6 +50,93 @@ const videoSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  resolution: {
+    width: { type: Number, default: 0 },
+    height: { type: Number, default: 0 }
+  },
+  // Technical details probed with ffprobe during processing (null when unknown)
+  technicalMetadata: {
+    container: String,
+    duration: Number,
+    // bit/s
+    bitrate: Number,
+    videoCodec: String,
+    videoProfile: String,
+    videoBitrate: Number,
+    width: Number,
+    height: Number,
+    fps: Number,
+    pixelFormat: String,
+    // Clockwise degrees applied on display: 0, 90, 180 or 270
+    rotation: Number,
+    hasAudio: Boolean,
+    audioCodec: String,
+    audioBitrate: Number,
+    audioChannels: Number,
+    audioChannelLayout: String,
+    audioSampleRate: Number,
+    extractedAt: Date
+  },
+  // Derived images generated during processing, stored under the video's asset prefix
+  thumbnail: {
+    key: { type: String, default: null },
+    width: Number,
+    height: Number,
+    generatedAt: Date
+  },
+  // Sprite of `frameCount` frames taken every `interval` seconds, laid out row by row
+  storyboard: {
+    key: { type: String, default: null },
+    frameWidth: Number,
+    frameHeight: Number,
+    columns: Number,
+    rows: Number,
+    frameCount: Number,
+    interval: Number,
+    generatedAt: Date
+  },
+  // Adaptive bitrate output; empty renditions means only the original upload is playable
+  streaming: {
+    renditions: [
+      {
+        name: String,
+        width: Number,
+        height: Number,
+        bandwidth: Number
+      }
+    ],
+    hls: {
+      prefix: { type: String, default: null },
+      masterKey: { type: String, default: null }
+    },
+    dash: {
+      prefix: { type: String, default: null },
+      manifestKey: { type: String, default: null }
+    },
+    transcodedAt: Date
+  },
+  // Speech-to-text output (optional processing step). Text and segments can be large,
+  // so they are only loaded by the transcript endpoints.
+  transcript: {
+    engine: String,
+    language: String,
+    text: {
+      type: String,
+      select: false
+    },
+    segments: {
+      type: [
+        {
+          start: Number,
+          end: Number,
+          text: String,
+          _id: false
+        }
+      ],
+      select: false
+    },
+    transcribedAt: Date
+  },
   size: {
     type: Number,
     required: true
@@ -47,16 +145,27 @@ const videoSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Who can watch the video (see services/videoAccessPolicy.js). Videos saved before
+  // visibility existed have none and are treated as public or organization by isPublic.
+  visibility: {
+    type: String,
+    enum: ['private', 'restricted', 'organization', 'unlisted', 'public'],
+    default: undefined
+  },
+  // Kept in sync with visibility === 'public' for older clients
   isPublic: {
     type: Boolean,
     default: false
   },
+  // Members and roles a restricted video is shared with
   allowedUsers: [
     {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User'
     }
   ],
+  allowedRoles: [String],
+  // Normalized tag names (see services/tagService.js)
   tags: [String],
   category: {
     type: String,
@@ -96,7 +205,23 @@ const videoSchema = new mongoose.Schema({
       {
         category: String,
         score: Number,
-        keywords: [String]
+        // metadata: keywords in title/description/filename, visual: sampled video frames,
+        // transcript: keywords in the spoken audio
+        source: {
+          type: String,
+          enum: ['metadata', 'visual', 'transcript'],
+          default: 'metadata'
+        },
+        keywords: [String],
+        // Seconds into the video where the issue was seen (visual) or heard (transcript)
+        timestamps: [
+          {
+            time: Number,
+            label: String,
+            confidence: Number,
+            _id: false
+          }
+        ]
       }
     ],
     categoryBreakdown: {
@@ -107,8 +232,87 @@ const videoSchema = new mongoose.Schema({
       },
       default: new Map()
     },
+    threshold: Number,
+    // Moderation policy that produced this result (version 0 = built-in policy)
+    policyVersion: {
+      type: Number,
+      default: 0
+    },
+    policyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ModerationPolicy'
+    },
+    visualAnalysis: {
+      classifier: String,
+      framesAnalyzed: Number,
+      analyzedAt: Date
+    },
     analyzedAt: Date
   },
+  // Human review of flagged videos
+  moderation: {
+    state: {
+      type: String,
+      enum: ['none', 'pending', 'approved', 'rejected', 'changes_requested'],
+      default: 'none'
+    },
+    decisions: [
+      {
+        // resubmit: the uploader edited the video after changes were requested
+        decision: {
+          type: String,
+          enum: ['approve', 'reject', 'request_edits', 'resubmit'],
+          required: true
+        },
+        reason: String,
+        // Reviewer, or the uploader for resubmit
+        decidedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        previousStatus: String,
+        decidedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
+    lastDecisionAt: Date
+  },
+  // Uploader appeals against a flagged verdict, resolved by admins
+  appeal: {
+    state: {
+      type: String,
+      enum: ['none', 'pending', 'accepted', 'denied'],
+      default: 'none'
+    },
+    requests: [
+      {
+        justification: {
+          type: String,
+          required: true
+        },
+        submittedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        submittedAt: {
+          type: Date,
+          default: Date.now
+        },
+        resolution: {
+          type: String,
+          enum: ['accepted', 'denied']
+        },
+        resolutionNote: String,
+        resolvedBy: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        resolvedAt: Date
+      }
+    ]
+  },
   processingErrors: [
     {
       step: String,
@@ -136,8 +340,26 @@ const videoSchema = new mongoose.Schema({
 videoSchema.index({ userId: 1, organizationId: 1 });
 videoSchema.index({ organizationId: 1, createdAt: -1 });
 videoSchema.index({ status: 1, organizationId: 1 });
+videoSchema.index({ visibility: 1, createdAt: -1 });
 videoSchema.index({ 'sensitivityAnalysis.result': 1, organizationId: 1 });
+videoSchema.index({ organizationId: 1, 'moderation.state': 1, processingCompletedAt: 1 });
+videoSchema.index({ organizationId: 1, 'appeal.state': 1 });
+videoSchema.index({ organizationId: 1, tags: 1 });
 videoSchema.index({ createdAt: -1 });
 videoSchema.index({ size: 1 });
+videoSchema.index({ organizationId: 1, 'technicalMetadata.videoCodec': 1 });
+videoSchema.index({ organizationId: 1, 'technicalMetadata.height': 1 });
+
+// Full-text search (services/videoSearchService.js). Transcripts store their own
+// language codes ('auto', 'ja', ...), so the per-document language field is renamed
+// to one that is never set, and every video is indexed with the default language.
+videoSchema.index(
+  { title: 'text', tags: 'text', description: 'text', 'transcript.text': 'text' },
+  {
+    name: 'video_text_search',
+    weights: { title: 10, tags: 5, description: 2, 'transcript.text': 1 },
+    language_override: 'textSearchLanguage'
+  }
+);
 
 module.exports = mongoose.model('Video', videoSchema);
@@ -0,0 +1,57 @@
+/**
+ * Memory Store
+ * Keeps counters in the server process. Counters are not shared between
+ * instances; use the Redis store when running more than one.
+ */
+
+const RateLimitStore = require('./RateLimitStore');
+
+// How often expired counters are dropped
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+class MemoryStore extends RateLimitStore {
+  constructor() {
+    super('memory');
+    this.counters = new Map();
+
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL_MS);
+    // Do not keep the process (or a test run) alive for the sweep
+    this.sweepTimer.unref();
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt <= now) {
+        this.counters.delete(key);
+      }
+    }
+  }
+
+  async increment(key, windowMs) {
+    const now = Date.now();
+    let counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= now) {
+      counter = { count: 0, resetAt: now + windowMs };
+      this.counters.set(key, counter);
+    }
+    counter.count += 1;
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    if (!counter || counter.resetAt <= Date.now()) return null;
+    return { count: counter.count, resetAt: new Date(counter.resetAt) };
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+
+  close() {
+    clearInterval(this.sweepTimer);
+    this.counters.clear();
+  }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,34 @@
+/**
+ * Rate Limit Store
+ * Base class describing the interface every rate limit counter store implements.
+ * Counters use fixed windows: the first hit starts the window, later hits count
+ * towards it until it expires.
+ */
+
+class RateLimitStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Count a hit
+   * @returns {Promise<{ count: number, resetAt: Date }>}
+   */
+  async increment(key, windowMs) {
+    throw new Error(`${this.name} store does not implement increment()`);
+  }
+
+  /**
+   * Current counter, without counting a hit
+   * @returns {Promise<{ count: number, resetAt: Date }|null>}
+   */
+  async get(key) {
+    throw new Error(`${this.name} store does not implement get()`);
+  }
+
+  async reset(key) {
+    throw new Error(`${this.name} store does not implement reset()`);
+  }
+}
+
+module.exports = RateLimitStore;
@@ -0,0 +1,63 @@
+/**
+ * Redis Store
+ * Keeps counters in Redis so all backend instances share them. Works with any
+ * server speaking the Redis protocol (Redis, Valkey, KeyDB, ...). ioredis is an
+ * optional dependency: install it with `npm install ioredis` before selecting this store.
+ */
+
+const RateLimitStore = require('./RateLimitStore');
+
+// Count a hit and start the window on the first one, atomically
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+class RedisStore extends RateLimitStore {
+  /**
+   * @param {{ url: string, prefix?: string, client?: object }} options
+   *   client: an ioredis-compatible client (eval, get, pttl, del), e.g. for tests
+   */
+  constructor({ url, prefix = 'ratelimit:', client } = {}) {
+    super('redis');
+    this.url = url;
+    this.prefix = prefix;
+    this.client = client || null;
+  }
+
+  getClient() {
+    if (this.client) return this.client;
+
+    let Redis;
+    try {
+      Redis = require('ioredis');
+    } catch (error) {
+      throw new Error('ioredis is not installed; run `npm install ioredis` or use RATE_LIMIT_STORE=memory');
+    }
+
+    this.client = new Redis(this.url, { maxRetriesPerRequest: 1 });
+    this.client.on('error', (error) => console.error('[RATE LIMIT] Redis error:', error.message));
+    return this.client;
+  }
+
+  async increment(key, windowMs) {
+    const [count, ttl] = await this.getClient().eval(INCREMENT_SCRIPT, 1, this.prefix + key, windowMs);
+    return { count: Number(count), resetAt: new Date(Date.now() + Math.max(Number(ttl), 0)) };
+  }
+
+  async get(key) {
+    const client = this.getClient();
+    const [count, ttl] = await Promise.all([client.get(this.prefix + key), client.pttl(this.prefix + key)]);
+    if (count === null || ttl <= 0) return null;
+    return { count: Number(count), resetAt: new Date(Date.now() + Number(ttl)) };
+  }
+
+  async reset(key) {
+    await this.getClient().del(this.prefix + key);
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,49 @@
+/**
+ * Rate Limit Stores
+ * Entry point for rate limit counters: creates the store selected by
+ * configuration and lets tests swap in their own.
+ */
+
+const MemoryStore = require('./MemoryStore');
+const RedisStore = require('./RedisStore');
+const { getRateLimitStoreName, getRedisUrl } = require('../config/rateLimitConfig');
+
+// One store instance per backend, created lazily
+const stores = new Map();
+
+const createRateLimitStore = (name) => {
+  switch (name) {
+    case 'memory':
+      return new MemoryStore();
+    case 'redis':
+      return new RedisStore({ url: getRedisUrl() });
+    default:
+      throw new Error(`Unknown rate limit store: ${name}`);
+  }
+};
+
+/**
+ * Get a store; defaults to the one configured with RATE_LIMIT_STORE
+ */
+const getRateLimitStore = (name = getRateLimitStoreName()) => {
+  if (!stores.has(name)) {
+    stores.set(name, createRateLimitStore(name));
+  }
+  return stores.get(name);
+};
+
+/**
+ * Override the store for a backend (used by tests)
+ */
+const setRateLimitStore = (name, store) => {
+  if (store) {
+    stores.set(name, store);
+  } else {
+    stores.delete(name);
+  }
+};
+
+module.exports = {
+  getRateLimitStore,
+  setRateLimitStore
+};
@@ -1,17 +1,37 @@
 const express = require('express');
 const authController = require('../controllers/authController');
+const twoFactorController = require('../controllers/twoFactorController');
 const authMiddleware = require('../middleware/authMiddleware');
+const { optionalAuthMiddleware } = require('../middleware/authMiddleware');
+const rateLimit = require('../middleware/rateLimitMiddleware');
 
 const router = express.Router();
 
-// Public endpoints
-router.post('/register', authController.register);
-router.post('/login', authController.login);
+// Public endpoints (rate limited per IP, see config/rateLimitConfig.js)
+router.post('/register', rateLimit('register'), authController.register);
+router.post('/login', rateLimit('login'), authController.login);
+router.post('/login/2fa', rateLimit('login'), authController.loginTwoFactor);
+router.post('/refresh', authController.refresh);
+// Works with an expired access token as long as the refresh token is sent
+router.post('/logout', optionalAuthMiddleware, authController.logout);
+router.post('/verify-email', rateLimit('account'), authController.verifyEmail);
+router.post('/forgot-password', rateLimit('account'), authController.forgotPassword);
+router.post('/reset-password', rateLimit('account'), authController.resetPassword);
 
 // Protected endpoints
 router.get('/me', authMiddleware, authController.getCurrentUser);
 router.get('/my-organizations', authMiddleware, authController.getMyOrganizations);
 router.post('/switch-organization', authMiddleware, authController.switchOrganization);
+router.post('/logout-all', authMiddleware, authController.logoutAll);
+router.post('/resend-verification', authMiddleware, rateLimit('account', { by: 'user' }), authController.resendVerification);
+router.post('/change-password', authMiddleware, authController.changePassword);
+
+// Two-factor authentication
+router.get('/2fa', authMiddleware, twoFactorController.getStatus);
+router.post('/2fa/setup', authMiddleware, twoFactorController.setup);
+router.post('/2fa/enable', authMiddleware, rateLimit('account', { by: 'user' }), twoFactorController.enable);
+router.post('/2fa/disable', authMiddleware, rateLimit('account', { by: 'user' }), twoFactorController.disable);
+router.post('/2fa/recovery-codes', authMiddleware, rateLimit('account', { by: 'user' }), twoFactorController.regenerateRecoveryCodes);
 
 module.exports = router;
 
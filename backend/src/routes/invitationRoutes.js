@@ -0,0 +1,23 @@
+const express = require('express');
+const invitationController = require('../controllers/invitationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const rateLimit = require('../middleware/rateLimitMiddleware');
+
+const router = express.Router();
+
+/**
+ * Invitation Routes
+ * Answered through the token from the invitation email. Sending and managing
+ * invitations lives under /api/org/invite(s).
+ */
+
+// Invitation details for the accept page (public)
+router.get('/:token', rateLimit('account'), invitationController.getInvitation);
+
+// Accept as the logged-in user with the invited email
+router.post('/:token/accept', authMiddleware, invitationController.acceptInvitation);
+
+// Decline (public, the token is enough)
+router.post('/:token/decline', rateLimit('account'), invitationController.declineInvitation);
+
+module.exports = router;
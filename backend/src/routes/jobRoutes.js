@@ -0,0 +1,37 @@
+const express = require('express');
+const jobController = require('../controllers/jobController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission, organizationMiddleware } = require('../middleware/rbacMiddleware');
+
+const router = express.Router();
+
+/**
+ * Background Job Routes
+ * Visibility into the processing queue of the current organization (job:manage)
+ */
+
+// List jobs with per-status counts
+router.get('/',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('job:manage'),
+  jobController.listJobs
+);
+
+// Get a single job
+router.get('/:id',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('job:manage'),
+  jobController.getJob
+);
+
+// Retry a failed job
+router.post('/:id/retry',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('job:manage'),
+  jobController.retryJob
+);
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const moderationController = require('../controllers/moderationController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission, organizationMiddleware } = require('../middleware/rbacMiddleware');
+
+const router = express.Router();
+
+/**
+ * Moderation Review Routes
+ * Human review of flagged videos of the current organization (moderation:review)
+ */
+
+// Review queue with per-state counts
+router.get('/queue',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('moderation:review'),
+  moderationController.getQueue
+);
+
+// Video with analysis and decision history
+router.get('/videos/:id',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('moderation:review'),
+  moderationController.getReviewVideo
+);
+
+// Decisions
+router.post('/videos/:id/approve',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('moderation:review'),
+  moderationController.approve
+);
+
+router.post('/videos/:id/reject',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('moderation:review'),
+  moderationController.reject
+);
+
+router.post('/videos/:id/request-edits',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('moderation:review'),
+  moderationController.requestEdits
+);
+
+module.exports = router;
@@ -1,7 +1,10 @@
 const express = require('express');
 const organizationController = require('../controllers/organizationController');
+const moderationPolicyController = require('../controllers/moderationPolicyController');
+const invitationController = require('../controllers/invitationController');
+const roleController = require('../controllers/roleController');
 const authMiddleware = require('../middleware/authMiddleware');
-const { rbacMiddleware, organizationMiddleware } = require('../middleware/rbacMiddleware');
+const { requirePermission, organizationMiddleware } = require('../middleware/rbacMiddleware');
 
 const router = express.Router();
 
@@ -11,7 +14,7 @@ const router = express.Router();
  * All protected routes require:
  * 1. Authentication (authMiddleware)
  * 2. Organization membership (organizationMiddleware)
- * 3. Admin role for write operations (rbacMiddleware('admin'))
+ * 3. Named permissions for write operations (requirePermission, see config/permissions.js)
  */
 
 // Create new organization
@@ -27,11 +30,11 @@ router.get('/',
   organizationController.getCurrentOrganization
 );
 
-// Update current organization (admin only)
+// Update current organization (org:settings)
 router.put('/',
   authMiddleware,
   organizationMiddleware,
-  rbacMiddleware('admin'),
+  requirePermission('org:settings'),
   organizationController.updateCurrentOrganization
 );
 
@@ -42,68 +45,177 @@ router.get('/members',
   organizationController.getCurrentOrganizationMembers
 );
 
-// Add/invite member to current organization (admin only)
+// Add/invite member to current organization (member:invite)
 router.post('/members',
   authMiddleware,
   organizationMiddleware,
-  rbacMiddleware('admin'),
+  requirePermission('member:invite'),
   organizationController.addMemberToCurrent
 );
 
-// Invite user to current organization (alias for POST /members)
+// Invite user to current organization (member:invite)
+// Existing users are added like POST /members, unknown emails get an invitation
 router.post('/invite',
   authMiddleware,
   organizationMiddleware,
-  rbacMiddleware('admin'),
-  organizationController.addMemberToCurrent
+  requirePermission('member:invite'),
+  invitationController.inviteMember
+);
+
+// List invitations of current organization (member:invite)
+router.get('/invites',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('member:invite'),
+  invitationController.listInvitations
 );
 
-// Remove member from current organization (admin only)
+// Resend an invitation with a new link (member:invite)
+router.post('/invites/:id/resend',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('member:invite'),
+  invitationController.resendInvitation
+);
+
+// Revoke a pending invitation (member:invite)
+router.delete('/invites/:id',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('member:invite'),
+  invitationController.revokeInvitation
+);
+
+// Remove member from current organization (member:manage)
 router.delete('/members/:userId',
   authMiddleware,
   organizationMiddleware,
-  rbacMiddleware('admin'),
+  requirePermission('member:manage'),
   organizationController.removeMemberFromCurrent
 );
 
-// Update member role in current organization (admin only)
+// Update member role in current organization (member:manage)
 router.put('/members/:userId/role',
   authMiddleware,
   organizationMiddleware,
-  rbacMiddleware('admin'),
+  requirePermission('member:manage'),
   organizationController.updateMemberRoleInCurrent
 );
 
+// Get current organization's moderation policy
+router.get('/moderation',
+  authMiddleware,
+  organizationMiddleware,
+  moderationPolicyController.getPolicy
+);
+
+// Save a new moderation policy version (moderation:policy)
+router.put('/moderation',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('moderation:policy'),
+  moderationPolicyController.updatePolicy
+);
+
+// List moderation policy versions (moderation:policy)
+router.get('/moderation/versions',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('moderation:policy'),
+  moderationPolicyController.listVersions
+);
+
+// Get a moderation policy version (moderation:policy)
+router.get('/moderation/versions/:version',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('moderation:policy'),
+  moderationPolicyController.getVersion
+);
+
+// Restore a moderation policy version (moderation:policy)
+router.post('/moderation/versions/:version/restore',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('moderation:policy'),
+  moderationPolicyController.restoreVersion
+);
+
+// Dry-run a moderation policy against sample metadata (moderation:policy)
+router.post('/moderation/preview',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('moderation:policy'),
+  moderationPolicyController.previewPolicy
+);
+
+// Permission catalog, and built-in plus custom roles of current organization
+router.get('/permissions',
+  authMiddleware,
+  organizationMiddleware,
+  roleController.listPermissions
+);
+
+router.get('/roles',
+  authMiddleware,
+  organizationMiddleware,
+  roleController.listRoles
+);
+
+// Create, change and delete custom roles (role:manage)
+router.post('/roles',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('role:manage'),
+  roleController.createRole
+);
+
+router.put('/roles/:id',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('role:manage'),
+  roleController.updateRole
+);
+
+router.delete('/roles/:id',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('role:manage'),
+  roleController.deleteRole
+);
+
 // Get current user's organizations
 router.get('/my-organizations',
   authMiddleware,
   organizationController.getUserOrganizations
 );
 
-// Get organization details with members (only match valid MongoDB ObjectIds)
+// Get organization details with members and their emails (member:invite, only match valid MongoDB ObjectIds)
 router.get('/:organizationId([a-f0-9]{24})',
   authMiddleware,
+  organizationMiddleware,
+  requirePermission('member:invite', { organizationParam: 'organizationId' }),
   organizationController.getOrganization
 );
 
-// Add member to organization (admin only)
+// Add member to organization (member:invite)
 router.post('/:organizationId([a-f0-9]{24})/members',
   authMiddleware,
-  rbacMiddleware('admin'),
+  requirePermission('member:invite', { organizationParam: 'organizationId' }),
   organizationController.addMember
 );
 
-// Update member role (admin only)
+// Update member role (member:manage)
 router.put('/:organizationId([a-f0-9]{24})/members/:memberId([a-f0-9]{24})',
   authMiddleware,
-  rbacMiddleware('admin'),
+  requirePermission('member:manage', { organizationParam: 'organizationId' }),
   organizationController.updateMemberRole
 );
 
-// Remove member from organization (admin only)
+// Remove member from organization (member:manage)
 router.delete('/:organizationId([a-f0-9]{24})/members/:memberId([a-f0-9]{24})',
   authMiddleware,
-  rbacMiddleware('admin'),
+  requirePermission('member:manage', { organizationParam: 'organizationId' }),
   organizationController.removeMember
 );
 
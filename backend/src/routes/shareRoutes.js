@@ -0,0 +1,16 @@
+const express = require('express');
+const shareLinkController = require('../controllers/shareLinkController');
+const rateLimit = require('../middleware/rateLimitMiddleware');
+
+const router = express.Router();
+
+/**
+ * Share Link Routes
+ * Opened by anyone holding the link, without logging in. Creating and revoking
+ * links lives under /api/videos/:id/shares.
+ */
+
+// Video details and a media token for playback (public)
+router.get('/:token', rateLimit('share'), shareLinkController.openShareLink);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const storageController = require('../controllers/storageController');
+
+const router = express.Router();
+
+// Signed URL access to local storage (no auth header: the signature is the credential)
+router.get('/*', storageController.getSignedFile);
+
+module.exports = router;
@@ -0,0 +1,52 @@
+const express = require('express');
+const tagController = require('../controllers/tagController');
+const authMiddleware = require('../middleware/authMiddleware');
+const { requirePermission, organizationMiddleware } = require('../middleware/rbacMiddleware');
+
+const router = express.Router();
+
+/**
+ * Tag Routes
+ * Tag catalog of the current organization; renaming, merging and deleting tags
+ * changes every video that has them (tag:manage)
+ */
+
+// List tags with usage counts
+router.get('/',
+  authMiddleware,
+  organizationMiddleware,
+  tagController.listTags
+);
+
+// Suggest tags while typing
+router.get('/autocomplete',
+  authMiddleware,
+  organizationMiddleware,
+  tagController.autocompleteTags
+);
+
+// Merge tags into one
+router.post('/merge',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('tag:manage'),
+  tagController.mergeTags
+);
+
+// Rename a tag
+router.put('/:name',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('tag:manage'),
+  tagController.renameTag
+);
+
+// Delete a tag
+router.delete('/:name',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('tag:manage'),
+  tagController.deleteTag
+);
+
+module.exports = router;
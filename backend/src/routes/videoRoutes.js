@@ -1,7 +1,11 @@
 const express = require('express');
 const videoController = require('../controllers/videoController');
+const appealController = require('../controllers/appealController');
+const shareLinkController = require('../controllers/shareLinkController');
 const authMiddleware = require('../middleware/authMiddleware');
-const { rbacMiddleware, organizationMiddleware } = require('../middleware/rbacMiddleware');
+const { optionalAuthMiddleware } = require('../middleware/authMiddleware');
+const { requirePermission, organizationMiddleware } = require('../middleware/rbacMiddleware');
+const rateLimit = require('../middleware/rateLimitMiddleware');
 const upload = require('../config/multerConfig');
 
 const router = express.Router();
@@ -10,17 +14,53 @@ const router = express.Router();
  * All routes require:
  * 1. Authentication (authMiddleware)
  * 2. Organization membership check (organizationMiddleware or rbacMiddleware)
- * 3. Role-based permissions (rbacMiddleware with required role)
+ * 3. Named permissions (requirePermission, see config/permissions.js)
  */
 
-// Upload video - requires EDITOR or ADMIN role
+// Upload video - video:upload
 router.post('/upload', 
   authMiddleware, 
-  rbacMiddleware('editor'),
+  requirePermission('video:upload'),
+  // Counted per user before the file is received
+  rateLimit('upload', { by: 'user' }),
   upload.single('video'), 
   videoController.uploadVideo
 );
 
+// Resumable uploads for large files (tus-style, see services/uploadSessionService.js) - video:upload
+// Starting an upload counts towards the upload limit; its chunks do not
+router.post('/uploads',
+  authMiddleware,
+  requirePermission('video:upload'),
+  rateLimit('upload', { by: 'user' }),
+  videoController.createUpload
+);
+
+// Offset to continue from; Express answers HEAD requests with this route too
+router.get('/uploads/:uploadId',
+  authMiddleware,
+  requirePermission('video:upload'),
+  videoController.getUpload
+);
+
+router.put('/uploads/:uploadId',
+  authMiddleware,
+  requirePermission('video:upload'),
+  videoController.uploadChunk
+);
+
+router.post('/uploads/:uploadId/complete',
+  authMiddleware,
+  requirePermission('video:upload'),
+  videoController.completeUpload
+);
+
+router.delete('/uploads/:uploadId',
+  authMiddleware,
+  requirePermission('video:upload'),
+  videoController.cancelUpload
+);
+
 // Get user's videos
 router.get('/user/myvideos', 
   authMiddleware, 
@@ -28,55 +68,204 @@ router.get('/user/myvideos',
   videoController.getUserVideos
 );
 
+// Media tokens for the cards of a video list in one request (see /:id/media-token)
+router.post('/media-tokens',
+  optionalAuthMiddleware,
+  rateLimit('media', { by: 'user' }),
+  videoController.getMediaTokens
+);
+
 // Public endpoint: get all public videos (no auth required)
-router.get('/public/all', videoController.getAllPublicVideos);
+router.get('/public/all', rateLimit('public'), videoController.getAllPublicVideos);
 
-// Get all organization videos (respects role-based filtering)
+// Get the organization videos the member can watch
 router.get('/org/all', 
   authMiddleware, 
   organizationMiddleware,
   videoController.getOrganizationVideos
 );
 
-// Update video - requires ownership or ADMIN role
+// Update video - video:edit:any, or video:edit:own for own videos (checked in the controller)
 router.put('/:id', 
   authMiddleware, 
   organizationMiddleware,
   videoController.updateVideo
 );
 
-// Delete video - requires ownership or ADMIN role
+// Delete video - video:delete:any, or video:delete:own for own videos (checked in the controller)
 router.delete('/:id', 
   authMiddleware, 
   organizationMiddleware,
   videoController.deleteVideo
 );
 
-// Advanced filtering - respects role-based filtering
+// Advanced filtering - only videos the member can watch
 router.get('/filter/advanced',
   authMiddleware,
   organizationMiddleware,
   videoController.getFilteredVideos
 );
 
-// Get statistics - organization members only
+// Full-text search with ranking, highlights and facets - only videos the member can watch
+router.get('/search',
+  authMiddleware,
+  organizationMiddleware,
+  videoController.searchVideos
+);
+
+// Search transcripts of organization videos
+router.get('/transcripts/search',
+  authMiddleware,
+  organizationMiddleware,
+  videoController.searchTranscripts
+);
+
+// Get statistics - counts only videos the member can watch
 router.get('/stats/overview',
   authMiddleware,
   organizationMiddleware,
   videoController.getVideoStatistics
 );
 
-// Get processing status
+// Bulk reprocess videos matching a filter, and its progress report - video:reprocess:bulk
+router.post('/reprocess/bulk',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('video:reprocess:bulk'),
+  videoController.bulkReprocess
+);
+
+router.get('/reprocess/bulk/:jobId',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('video:reprocess:bulk'),
+  videoController.getBulkReprocessStatus
+);
+
+// Reprocess (full pipeline) or re-analyze a video - video:reprocess
+router.post('/:id/reprocess',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('video:reprocess'),
+  videoController.reprocessVideo
+);
+
+// List appeals against flagged verdicts - appeal:resolve
+router.get('/appeals',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('appeal:resolve'),
+  appealController.listAppeals
+);
+
+// Appeal a flagged video - the uploader only
+router.post('/:id/appeal',
+  authMiddleware,
+  organizationMiddleware,
+  appealController.submitAppeal
+);
+
+// Resolve an appeal - appeal:resolve
+router.post('/:id/appeal/accept',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('appeal:resolve'),
+  appealController.acceptAppeal
+);
+
+router.post('/:id/appeal/deny',
+  authMiddleware,
+  organizationMiddleware,
+  requirePermission('appeal:resolve'),
+  appealController.denyAppeal
+);
+
+// Who can watch a video, and sharing it with members and roles - same permissions as editing
+router.get('/:id/share',
+  authMiddleware,
+  organizationMiddleware,
+  videoController.getVideoAccess
+);
+
+router.put('/:id/share',
+  authMiddleware,
+  organizationMiddleware,
+  videoController.updateVideoAccess
+);
+
+// Share links anyone can watch without logging in - same permissions as editing,
+// and only while the organization allows public sharing
+router.post('/:id/shares',
+  authMiddleware,
+  organizationMiddleware,
+  shareLinkController.createShareLink
+);
+
+router.get('/:id/shares',
+  authMiddleware,
+  organizationMiddleware,
+  shareLinkController.listShareLinks
+);
+
+router.delete('/:id/shares/:shareId',
+  authMiddleware,
+  organizationMiddleware,
+  shareLinkController.revokeShareLink
+);
+
+// Get processing status - anyone who can watch the video
 router.get('/:id/processing-status',
   authMiddleware,
   organizationMiddleware,
   videoController.getProcessingStatus
 );
 
-// Get video by ID - organization members only
+// Media token for the URLs of <video>/<img> elements, which cannot send the Authorization header -
+// whoever the video's visibility allows (services/videoAccessPolicy.js)
+router.get('/:id/media-token',
+  optionalAuthMiddleware,
+  rateLimit('media', { by: 'user' }),
+  videoController.getMediaToken
+);
+
+// Stream video with Range support - same access rules as the media token
+router.get('/:id/stream',
+  optionalAuthMiddleware,
+  videoController.streamVideo
+);
+
+// Poster thumbnail and storyboard sprite - same access rules as streaming
+router.get('/:id/thumbnail',
+  optionalAuthMiddleware,
+  videoController.getThumbnail
+);
+
+router.get('/:id/storyboard',
+  optionalAuthMiddleware,
+  videoController.getStoryboard
+);
+
+// Timestamped transcript (JSON) and WebVTT captions - same access rules as streaming
+router.get('/:id/transcript',
+  optionalAuthMiddleware,
+  videoController.getTranscript
+);
+
+router.get('/:id/transcript.vtt',
+  optionalAuthMiddleware,
+  videoController.getTranscriptVtt
+);
+
+// Adaptive streaming playlists and segments, e.g. /:id/hls/master.m3u8
+// Playlists are authorized like streaming; segments by the media token added to playlist URIs
+router.get('/:id/:format(hls|dash)/*',
+  optionalAuthMiddleware,
+  videoController.getStreamingFile
+);
+
+// Get video by ID - same access rules as streaming
 router.get('/:id',
-  authMiddleware,
-  organizationMiddleware,
+  optionalAuthMiddleware,
   videoController.getVideoById
 );
 
@@ -5,6 +5,9 @@ const dotenv = require('dotenv');
 const path = require('path');
 const { createServer } = require('http');
 const { Server } = require('socket.io');
+const JobQueueService = require('./services/jobQueueService');
+const SocketService = require('./services/socketService');
+const UploadSessionService = require('./services/uploadSessionService');
 
 dotenv.config();
 
@@ -49,7 +52,11 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Share-Password', 'Upload-Offset'],
+  exposedHeaders: [
+    'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'RateLimit-Policy', 'Retry-After',
+    'Upload-Offset', 'Upload-Length', 'Location'
+  ]
 };
 
 const io = new Server(httpServer, {
@@ -59,6 +66,13 @@ const io = new Server(httpServer, {
 // Make io accessible to routes
 app.set('io', io);
 
+// Behind a reverse proxy (e.g. TRUST_PROXY=1), so req.ip and per-IP rate limits see the client address
+// Accepts a hop count, `true`, or the subnet names/addresses Express understands (e.g. "loopback")
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy && trustProxy !== 'false') {
+  app.set('trust proxy', /^\d+$/.test(trustProxy) ? parseInt(trustProxy, 10) : (trustProxy === 'true' || trustProxy));
+}
+
 // Middleware
 app.use(cors(corsOptions));
 app.use(express.json());
@@ -67,27 +81,8 @@ app.use(express.urlencoded({ extended: true }));
 // Serve uploaded files statically
 app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-  console.log(`✓ User connected: ${socket.id}`);
-
-  // Join organization room for real-time updates
-  socket.on('join-org', (organizationId) => {
-    socket.join(`org-${organizationId}`);
-    console.log(`User ${socket.id} joined organization ${organizationId}`);
-  });
-
-  // Leave organization room
-  socket.on('leave-org', (organizationId) => {
-    socket.leave(`org-${organizationId}`);
-    console.log(`User ${socket.id} left organization ${organizationId}`);
-  });
-
-  // Disconnect handler
-  socket.on('disconnect', () => {
-    console.log(`✗ User disconnected: ${socket.id}`);
-  });
-});
+// Socket.io: handshake authentication and organization rooms (services/socketService.js)
+SocketService.register(io);
 
 // Connect to MongoDB (validate env and support common names)
 const getMongoUri = () => {
@@ -116,12 +111,31 @@ const connectDB = async () => {
   }
 };
 
-connectDB();
+const startJobQueue = async () => {
+  try {
+    const { recoverOrphanedVideos } = require('./jobs/videoJobs');
+    await JobQueueService.start({ io });
+    await recoverOrphanedVideos();
+  } catch (error) {
+    console.error('✗ Job queue failed to start:', error.message);
+  }
+};
+
+connectDB().then(() => {
+  UploadSessionService.startCleanup();
+  return startJobQueue();
+});
 
 // Routes
 app.use('/api/auth', require('./routes/authRoutes'));
 app.use('/api/videos', require('./routes/videoRoutes'));
 app.use('/api/org', require('./routes/organizationRoutes'));
+app.use('/api/invites', require('./routes/invitationRoutes'));
+app.use('/api/storage', require('./routes/storageRoutes'));
+app.use('/api/jobs', require('./routes/jobRoutes'));
+app.use('/api/moderation', require('./routes/moderationRoutes'));
+app.use('/api/share', require('./routes/shareRoutes'));
+app.use('/api/tags', require('./routes/tagRoutes'));
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,157 @@
+/**
+ * Account Service
+ * Email verification and password reset through single-use, expiring links,
+ * and password changes for logged-in users. Changing or resetting a password
+ * ends the user's other sessions.
+ */
+
+const crypto = require('crypto');
+const AccountToken = require('../models/AccountToken');
+const User = require('../models/User');
+const TokenService = require('./tokenService');
+const { sendMail } = require('../mailers');
+const { verificationEmail, passwordResetEmail } = require('../mailers/templates');
+const { getAppUrl } = require('../config/mailConfig');
+const { getVerifyEmailTtlMs, getPasswordResetTtlMs } = require('../config/authConfig');
+
+const MIN_PASSWORD_LENGTH = 6;
+
+const PURPOSES = {
+  'verify-email': { path: '/verify-email', getTtlMs: getVerifyEmailTtlMs, template: verificationEmail },
+  'reset-password': { path: '/reset-password', getTtlMs: getPasswordResetTtlMs, template: passwordResetEmail }
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class AccountService {
+  /**
+   * Check a new password and its confirmation
+   * @returns {string|null} error message
+   */
+  static validatePassword(password, confirmPassword) {
+    if (typeof password !== 'string' || !password) {
+      return 'Password is required';
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (password !== confirmPassword) {
+      return 'Passwords do not match';
+    }
+    return null;
+  }
+
+  /**
+   * Create a token for a purpose and email its link; earlier unused tokens
+   * for the same purpose stop working
+   */
+  static async sendLink(user, purpose) {
+    const { path, getTtlMs, template } = PURPOSES[purpose];
+    const token = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(Date.now() + getTtlMs());
+
+    await AccountToken.updateMany({ userId: user._id, purpose, usedAt: null }, { usedAt: new Date() });
+    await AccountToken.create({ userId: user._id, purpose, tokenHash: hashToken(token), expiresAt });
+
+    await sendMail({
+      to: user.email,
+      ...template({
+        username: user.username,
+        link: `${getAppUrl()}${path}?token=${encodeURIComponent(token)}`,
+        expiresAt
+      })
+    });
+    console.log(`[ACCOUNT] Sent ${purpose} link to user ${user._id}`);
+  }
+
+  /**
+   * Mark a token used, once
+   * @returns {Promise<object|null>} the token, or null when unknown, used or expired
+   */
+  static async consumeToken(token, purpose) {
+    if (typeof token !== 'string' || !token) return null;
+
+    return AccountToken.findOneAndUpdate(
+      { tokenHash: hashToken(token), purpose, usedAt: null, expiresAt: { $gt: new Date() } },
+      { usedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  static async sendVerificationEmail(user) {
+    return this.sendLink(user, 'verify-email');
+  }
+
+  /**
+   * Confirm an email address with a verification token
+   * @returns {Promise<object|null>} verified user, or null when the token is not usable
+   */
+  static async verifyEmail(token) {
+    const accountToken = await this.consumeToken(token, 'verify-email');
+    if (!accountToken) return null;
+
+    return User.findByIdAndUpdate(
+      accountToken.userId,
+      { emailVerified: true, emailVerifiedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Email a reset link when an active account has this email. Callers answer the
+   * same way either way so the endpoint does not reveal which emails exist.
+   */
+  static async requestPasswordReset(email) {
+    const user = await User.findOne({ email: String(email || '').trim().toLowerCase() });
+    if (!user || !user.isActive) return;
+
+    await this.sendLink(user, 'reset-password');
+  }
+
+  /**
+   * Set a new password with a reset token and end all sessions of the user.
+   * Resetting also proves the user received the email, so it is marked verified.
+   * @returns {Promise<object|null>} user, or null when the token is not usable
+   */
+  static async resetPassword(token, password) {
+    const accountToken = await this.consumeToken(token, 'reset-password');
+    if (!accountToken) return null;
+
+    const user = await User.findById(accountToken.userId);
+    if (!user || !user.isActive) return null;
+
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await TokenService.revokeUserSessions(user._id, { reason: 'password-changed' });
+    return user;
+  }
+
+  /**
+   * Change the password of a logged-in user; other sessions are ended
+   * @returns {Promise<string|null>} error message
+   */
+  static async changePassword(userId, { currentPassword, newPassword, sessionId }) {
+    const user = await User.findById(userId).select('+password');
+    if (!user) {
+      return 'User not found';
+    }
+    if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+      return 'Current password is incorrect';
+    }
+
+    user.password = newPassword;
+    user.passwordChangedAt = new Date();
+    await user.save();
+
+    await TokenService.revokeUserSessions(user._id, { exceptSessionId: sessionId, reason: 'password-changed' });
+    return null;
+  }
+}
+
+module.exports = AccountService;
@@ -0,0 +1,182 @@
+/**
+ * Appeal Service
+ * Lets uploaders contest a flagged verdict with a justification; organization
+ * admins accept (the video becomes safe) or deny the appeal.
+ */
+
+const Video = require('../models/Video');
+const SocketService = require('./socketService');
+
+const MIN_JUSTIFICATION_LENGTH = 10;
+const MAX_TEXT_LENGTH = 2000;
+const APPEAL_STATES = ['pending', 'accepted', 'denied'];
+
+class AppealService {
+  static get appealStates() {
+    return APPEAL_STATES;
+  }
+
+  /**
+   * Check an appeal justification
+   * @returns {string|null} error message
+   */
+  static validateJustification(justification) {
+    if (typeof justification !== 'string' || justification.trim().length < MIN_JUSTIFICATION_LENGTH) {
+      return `Justification must be at least ${MIN_JUSTIFICATION_LENGTH} characters`;
+    }
+    if (justification.trim().length > MAX_TEXT_LENGTH) {
+      return `Justification must be at most ${MAX_TEXT_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Check an admin's resolution note; denials must explain themselves to the uploader
+   * @returns {string|null} error message
+   */
+  static validateResolution(resolution, note) {
+    if (!['accepted', 'denied'].includes(resolution)) {
+      return 'Invalid resolution';
+    }
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return 'Note must be a string';
+    }
+
+    const text = (note || '').trim();
+    if (resolution === 'denied' && !text) {
+      return 'A note is required to deny an appeal';
+    }
+    if (text.length > MAX_TEXT_LENGTH) {
+      return `Note must be at most ${MAX_TEXT_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Why a user cannot appeal a video, or null when they can.
+   * One appeal per verdict: a denied appeal can only be retried after reprocessing.
+   */
+  static getAppealBlocker(video, userId) {
+    if (video.userId.toString() !== userId.toString()) {
+      return { status: 403, error: 'Only the uploader can appeal this video' };
+    }
+    if (video.status !== 'flagged') {
+      return { status: 409, error: 'Only flagged videos can be appealed' };
+    }
+
+    const state = video.appeal?.state || 'none';
+    if (state === 'pending') {
+      return { status: 409, error: 'An appeal for this video is already pending' };
+    }
+    if (state === 'denied') {
+      return { status: 409, error: 'The appeal for this video was already denied' };
+    }
+    return null;
+  }
+
+  /**
+   * Open an appeal. Conditional on the state checked by getAppealBlocker so
+   * concurrent submissions cannot open two appeals.
+   * @returns {Promise<object|null>} updated video, or null when the state changed meanwhile
+   */
+  static async submit(video, { justification, userId }) {
+    const state = video.appeal?.state || 'none';
+    return Video.findOneAndUpdate(
+      {
+        _id: video._id,
+        userId,
+        status: 'flagged',
+        // Videos flagged before appeals existed have no appeal stored (null matches a missing field)
+        'appeal.state': state === 'none' ? { $in: ['none', null] } : state
+      },
+      {
+        'appeal.state': 'pending',
+        $push: {
+          'appeal.requests': {
+            justification: justification.trim(),
+            submittedBy: userId,
+            submittedAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    );
+  }
+
+  /**
+   * Videos of an organization with appeals in a state, oldest appeal first
+   */
+  static async getAppeals(organizationId, { state = 'pending', limit = 50 } = {}) {
+    return Video.find({ organizationId, 'appeal.state': state })
+      .sort({ updatedAt: 1 })
+      .limit(Math.min(Math.max(limit, 1), 200))
+      .populate('userId', 'username email')
+      .select('title status userId sensitivityAnalysis.score sensitivityAnalysis.summary appeal createdAt updatedAt');
+  }
+
+  /**
+   * Resolve the pending appeal of a video. Accepting clears the flag and records
+   * an approval in the moderation history, which also takes it out of the review queue.
+   * @returns {Promise<object|null>} updated video, or null when no appeal is pending
+   */
+  static async resolve(videoId, organizationId, { resolution, note, resolvedBy }) {
+    const resolvedAt = new Date();
+    const text = (note || '').trim();
+    const update = {
+      'appeal.state': resolution,
+      'appeal.requests.$.resolution': resolution,
+      'appeal.requests.$.resolutionNote': text,
+      'appeal.requests.$.resolvedBy': resolvedBy,
+      'appeal.requests.$.resolvedAt': resolvedAt,
+      updatedAt: resolvedAt
+    };
+
+    if (resolution === 'accepted') {
+      Object.assign(update, {
+        status: 'safe',
+        'moderation.state': 'approved',
+        'moderation.lastDecisionAt': resolvedAt,
+        $push: {
+          'moderation.decisions': {
+            decision: 'approve',
+            reason: text ? `Appeal accepted: ${text}` : 'Appeal accepted',
+            decidedBy: resolvedBy,
+            previousStatus: 'flagged',
+            decidedAt: resolvedAt
+          }
+        }
+      });
+    }
+
+    return Video.findOneAndUpdate(
+      {
+        _id: videoId,
+        organizationId,
+        'appeal.state': 'pending',
+        'appeal.requests': { $elemMatch: { resolution: { $exists: false } } }
+      },
+      update,
+      { new: true }
+    ).populate('userId', 'username email');
+  }
+
+  /**
+   * Emit `video-appeal-submitted` / `video-appeal-resolved` to the members who can watch the video
+   */
+  static notify(io, event, video) {
+    if (!io) return;
+
+    const latest = video.appeal.requests[video.appeal.requests.length - 1];
+    SocketService.emitVideoEvent(io, video, `video-appeal-${event}`, {
+      videoId: video._id,
+      title: video.title,
+      status: video.status,
+      state: video.appeal.state,
+      justification: latest?.justification,
+      resolutionNote: latest?.resolutionNote || '',
+      uploaderId: video.userId?._id || video.userId
+    });
+  }
+}
+
+module.exports = AppealService;
@@ -0,0 +1,198 @@
+/**
+ * Invitation Service
+ * Email invitations for people who do not have an account yet. The link carries a
+ * random token; whoever registers or logs in with the invited email can accept it.
+ */
+
+const crypto = require('crypto');
+const Invitation = require('../models/Invitation');
+const OrganizationMember = require('../models/OrganizationMember');
+const { sendMail } = require('../mailers');
+const { invitationEmail } = require('../mailers/templates');
+const { getAppUrl } = require('../config/mailConfig');
+const { getInviteTtlMs } = require('../config/authConfig');
+const { BUILT_IN_ROLE_NAMES } = require('../config/permissions');
+
+const INVITATION_STATUSES = ['pending', 'accepted', 'declined', 'revoked', 'expired'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
+
+class InvitationService {
+  static get statuses() {
+    return INVITATION_STATUSES;
+  }
+
+  static normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
+  }
+
+  /**
+   * Check an invitation request
+   * @param {string[]} [roles] role names of the organization (built-in and custom)
+   * @returns {string|null} error message
+   */
+  static validateInvite({ email, role }, roles = BUILT_IN_ROLE_NAMES) {
+    if (!email || !role) {
+      return 'Email and role are required';
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(this.normalizeEmail(email))) {
+      return 'Please provide a valid email';
+    }
+    if (!roles.includes(role)) {
+      return `Invalid role. Must be one of: ${roles.join(', ')}`;
+    }
+    return null;
+  }
+
+  static getInviteLink(token) {
+    return `${getAppUrl()}/invite/${token}`;
+  }
+
+  /**
+   * Why an invitation can no longer be answered, or null when it is open
+   */
+  static getResponseBlocker(invitation) {
+    if (invitation.status === 'pending' && invitation.expiresAt <= new Date()) {
+      return { status: 410, error: 'This invitation has expired' };
+    }
+    if (invitation.status !== 'pending') {
+      return { status: 410, error: `This invitation was already ${invitation.status}` };
+    }
+    return null;
+  }
+
+  static isForUser(invitation, user) {
+    return invitation.email === this.normalizeEmail(user.email);
+  }
+
+  /**
+   * Pending invitation for an email, marking it expired when it ran out
+   */
+  static async findPending(organizationId, email) {
+    const invitation = await Invitation.findOne({
+      organizationId,
+      email: this.normalizeEmail(email),
+      status: 'pending'
+    });
+
+    if (invitation && invitation.expiresAt <= new Date()) {
+      invitation.status = 'expired';
+      await invitation.save();
+      return null;
+    }
+    return invitation;
+  }
+
+  static async findByToken(token) {
+    if (typeof token !== 'string' || !token) return null;
+    return Invitation.findOne({ tokenHash: hashToken(token) })
+      .populate('organizationId', 'name slug')
+      .populate('invitedBy', 'username');
+  }
+
+  /**
+   * Create an invitation and email it
+   * @param {{ organization: object, email: string, role: string, inviter: object }} data
+   */
+  static async create({ organization, email, role, inviter }) {
+    const { token, tokenHash } = createToken();
+    const invitation = await Invitation.create({
+      organizationId: organization._id,
+      email: this.normalizeEmail(email),
+      role,
+      tokenHash,
+      invitedBy: inviter._id,
+      expiresAt: new Date(Date.now() + getInviteTtlMs())
+    });
+
+    await this.send(invitation, token, { organization, inviter });
+    return invitation;
+  }
+
+  /**
+   * Send the invitation again with a new link and expiry; earlier links stop working
+   */
+  static async resend(invitation, { organization, inviter }) {
+    const { token, tokenHash } = createToken();
+    invitation.tokenHash = tokenHash;
+    invitation.expiresAt = new Date(Date.now() + getInviteTtlMs());
+    await invitation.save();
+
+    await this.send(invitation, token, { organization, inviter });
+    return invitation;
+  }
+
+  static async send(invitation, token, { organization, inviter }) {
+    await sendMail({
+      to: invitation.email,
+      ...invitationEmail({
+        organizationName: organization.name,
+        inviterName: inviter.username,
+        role: invitation.role,
+        link: this.getInviteLink(token),
+        expiresAt: invitation.expiresAt
+      })
+    });
+
+    invitation.sendCount += 1;
+    invitation.lastSentAt = new Date();
+    await invitation.save();
+    console.log(`[INVITE] Sent invitation ${invitation._id} to ${invitation.email}`);
+  }
+
+  /**
+   * Accept an invitation for a user with the invited email and add them to the organization.
+   * Conditional on the invitation still being pending so it is only used once.
+   * @returns {Promise<object|null>} membership, or null when the invitation was answered meanwhile
+   */
+  static async accept(invitation, user) {
+    const accepted = await Invitation.findOneAndUpdate(
+      { _id: invitation._id, status: 'pending', expiresAt: { $gt: new Date() } },
+      { status: 'accepted', acceptedBy: user._id, respondedAt: new Date() },
+      { new: true }
+    );
+    if (!accepted) return null;
+
+    const organizationId = accepted.organizationId;
+    const existing = await OrganizationMember.findOne({ userId: user._id, organizationId });
+    if (existing) return existing;
+
+    return OrganizationMember.create({ userId: user._id, organizationId, role: accepted.role });
+  }
+
+  /**
+   * Mark a pending invitation declined or revoked
+   * @returns {Promise<object|null>} updated invitation, or null when it was not pending
+   */
+  static async close(invitationId, status) {
+    return Invitation.findOneAndUpdate(
+      { _id: invitationId, status: 'pending' },
+      { status, respondedAt: new Date() },
+      { new: true }
+    );
+  }
+
+  /**
+   * Invitations of an organization, newest first
+   */
+  static async list(organizationId, { status = 'pending' } = {}) {
+    if (status === 'pending') {
+      await Invitation.updateMany(
+        { organizationId, status: 'pending', expiresAt: { $lte: new Date() } },
+        { status: 'expired' }
+      );
+    }
+
+    return Invitation.find({ organizationId, status })
+      .sort({ createdAt: -1 })
+      .limit(200)
+      .populate('invitedBy', 'username email');
+  }
+}
+
+module.exports = InvitationService;
@@ -0,0 +1,337 @@
+/**
+ * Job Queue Service
+ * MongoDB-backed background job queue: persisted jobs, worker concurrency limits,
+ * retries with exponential backoff and recovery of jobs left running by a crashed worker
+ */
+
+const os = require('os');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+
+const DEFAULT_OPTIONS = {
+  concurrency: parseInt(process.env.JOB_CONCURRENCY, 10) || 2,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 3,
+  pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000,
+  // A running job whose heartbeat is older than this is considered abandoned
+  staleAfterMs: parseInt(process.env.JOB_STALE_AFTER_MS, 10) || 2 * 60 * 1000,
+  backoffBaseMs: parseInt(process.env.JOB_BACKOFF_BASE_MS, 10) || 5000,
+  backoffMaxMs: 10 * 60 * 1000
+};
+
+class JobQueueService {
+  static handlers = new Map();
+  static options = { ...DEFAULT_OPTIONS };
+  static workerId = `${os.hostname()}-${process.pid}`;
+  static activeJobs = new Set();
+  static pollTimer = null;
+  static heartbeatTimer = null;
+  static polling = false;
+  static context = {};
+
+  /**
+   * Register a handler for a job type
+   * @param {string} type
+   * @param {(job, context) => Promise<any>} handle - resolved value is stored as job.result
+   * @param {{ onFailed?: (job, error) => Promise<void> }} hooks - called once retries are exhausted
+   */
+  static registerHandler(type, handle, hooks = {}) {
+    this.handlers.set(type, { handle, onFailed: hooks.onFailed });
+  }
+
+  /**
+   * Add a job to the queue
+   */
+  static async enqueue(type, { organizationId = null, videoId = null, payload = {}, maxAttempts, runAt } = {}) {
+    const job = new Job({
+      type,
+      organizationId,
+      videoId,
+      payload,
+      maxAttempts: maxAttempts || this.options.maxAttempts,
+      runAt: runAt || new Date()
+    });
+    await job.save();
+
+    console.log(`[JOB-QUEUE] Enqueued ${type} job ${job._id}`);
+
+    // Pick the job up right away instead of waiting for the next poll
+    if (this.pollTimer) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Delay before the next attempt: base * 2^(attempt - 1), capped
+   */
+  static getBackoffDelay(attempts, options = this.options) {
+    const exponent = Math.max(0, attempts - 1);
+    return Math.min(options.backoffBaseMs * Math.pow(2, exponent), options.backoffMaxMs);
+  }
+
+  /**
+   * Atomically claim the next runnable job this worker has a handler for
+   */
+  static async claimNextJob() {
+    const now = new Date();
+    return Job.findOneAndUpdate(
+      {
+        status: 'queued',
+        runAt: { $lte: now },
+        type: { $in: [...this.handlers.keys()] }
+      },
+      {
+        $set: {
+          status: 'running',
+          lockedBy: this.workerId,
+          lockedAt: now,
+          startedAt: now,
+          updatedAt: now
+        },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1, createdAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Filter matching a job only while this worker holds its lock. Once stuck-job
+   * recovery hands the job to another worker, this one must not overwrite it.
+   */
+  static getLockFilter(job) {
+    return { _id: job._id, status: 'running', lockedBy: this.workerId };
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   */
+  static async runJob(job) {
+    const handler = this.handlers.get(job.type);
+    const context = {
+      ...this.context,
+      isFinalAttempt: job.attempts >= job.maxAttempts,
+      updateProgress: (progress) => Job.updateOne(
+        this.getLockFilter(job),
+        { progress: Math.max(0, Math.min(100, Math.round(progress))), updatedAt: new Date() }
+      )
+    };
+
+    try {
+      console.log(`[JOB-QUEUE] Running ${job.type} job ${job._id} (attempt ${job.attempts}/${job.maxAttempts})`);
+      const result = await handler.handle(job, context);
+
+      const { matchedCount } = await Job.updateOne(this.getLockFilter(job), {
+        status: 'completed',
+        progress: 100,
+        result: result === undefined ? null : result,
+        lockedBy: null,
+        lockedAt: null,
+        completedAt: new Date(),
+        updatedAt: new Date()
+      });
+      if (matchedCount === 0) {
+        console.warn(`[JOB-QUEUE] ${job.type} job ${job._id} finished after losing its lock; result dropped`);
+        return;
+      }
+      console.log(`[JOB-QUEUE] Completed ${job.type} job ${job._id}`);
+    } catch (error) {
+      await this.handleFailure(job, error);
+    }
+  }
+
+  /**
+   * Schedule a retry or mark the job failed once attempts are exhausted
+   */
+  static async handleFailure(job, error) {
+    const message = error?.message || String(error);
+    const exhausted = job.attempts >= job.maxAttempts;
+    const update = {
+      lastError: message,
+      lockedBy: null,
+      lockedAt: null,
+      updatedAt: new Date(),
+      $push: { attemptErrors: { attempt: job.attempts, error: message, timestamp: new Date() } }
+    };
+
+    if (exhausted) {
+      update.status = 'failed';
+      update.completedAt = new Date();
+      console.error(`[JOB-QUEUE] ${job.type} job ${job._id} failed permanently: ${message}`);
+    } else {
+      const delay = this.getBackoffDelay(job.attempts);
+      update.status = 'queued';
+      update.runAt = new Date(Date.now() + delay);
+      console.warn(`[JOB-QUEUE] ${job.type} job ${job._id} failed (attempt ${job.attempts}), retrying in ${delay}ms: ${message}`);
+    }
+
+    const { matchedCount } = await Job.updateOne(this.getLockFilter(job), update);
+    if (matchedCount === 0) {
+      console.warn(`[JOB-QUEUE] ${job.type} job ${job._id} failed after losing its lock; outcome dropped`);
+      return;
+    }
+
+    const handler = this.handlers.get(job.type);
+    if (exhausted && handler?.onFailed) {
+      try {
+        await handler.onFailed(job, error);
+      } catch (hookError) {
+        console.error(`[JOB-QUEUE] onFailed hook error for job ${job._id}:`, hookError.message);
+      }
+    }
+  }
+
+  /**
+   * Fill free worker slots with runnable jobs
+   */
+  static async poll() {
+    if (this.polling) return;
+    this.polling = true;
+
+    try {
+      while (this.activeJobs.size < this.options.concurrency) {
+        const job = await this.claimNextJob();
+        if (!job) break;
+
+        this.activeJobs.add(job._id.toString());
+        this.runJob(job)
+          .catch(error => console.error('[JOB-QUEUE] Unexpected worker error:', error))
+          .finally(() => {
+            this.activeJobs.delete(job._id.toString());
+            if (this.pollTimer) setImmediate(() => this.poll());
+          });
+      }
+    } catch (error) {
+      console.error('[JOB-QUEUE] Poll error:', error.message);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Refresh lockedAt on jobs this worker is running so they are not treated as stuck
+   */
+  static async heartbeat() {
+    if (this.activeJobs.size === 0) return;
+    await Job.updateMany(
+      { _id: { $in: [...this.activeJobs] }, lockedBy: this.workerId, status: 'running' },
+      { lockedAt: new Date() }
+    );
+  }
+
+  /**
+   * Requeue (or fail) running jobs whose worker stopped sending heartbeats,
+   * e.g. because the server restarted mid-processing
+   */
+  static async recoverStuckJobs() {
+    const staleBefore = new Date(Date.now() - this.options.staleAfterMs);
+    const stuckJobs = await Job.find({
+      status: 'running',
+      lockedAt: { $lt: staleBefore }
+    });
+
+    let recovered = 0;
+    for (const stuck of stuckJobs) {
+      // Take the lock first so concurrent workers do not recover the same job twice
+      const job = await Job.findOneAndUpdate(
+        { _id: stuck._id, status: 'running', lockedAt: { $lt: staleBefore } },
+        { lockedBy: this.workerId, lockedAt: new Date() },
+        { new: true }
+      );
+      if (!job) continue;
+
+      console.warn(`[JOB-QUEUE] Recovering stuck ${job.type} job ${job._id} (locked by ${stuck.lockedBy})`);
+      await this.handleFailure(job, new Error('Worker stopped responding (job recovered after restart)'));
+      recovered++;
+    }
+
+    return recovered;
+  }
+
+  /**
+   * Start polling for jobs
+   * @param {{ io?: import('socket.io').Server, concurrency?: number, pollIntervalMs?: number }} options
+   */
+  static async start(options = {}) {
+    const { io, ...queueOptions } = options;
+    this.options = { ...this.options, ...queueOptions };
+    this.context = { io };
+
+    const recovered = await this.recoverStuckJobs();
+    console.log(`✓ Job queue started (worker ${this.workerId}, concurrency ${this.options.concurrency}, recovered ${recovered})`);
+
+    this.pollTimer = setInterval(() => this.poll(), this.options.pollIntervalMs);
+    // Heartbeat well within the stale window; also catch jobs abandoned by other workers
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat()
+        .then(() => this.recoverStuckJobs())
+        .catch(error => console.error('[JOB-QUEUE] Heartbeat error:', error.message));
+    }, Math.max(1000, Math.floor(this.options.staleAfterMs / 4)));
+
+    await this.poll();
+  }
+
+  /**
+   * Stop polling (running jobs are left to finish)
+   */
+  static stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * List jobs for an organization, newest first
+   */
+  static async listJobs(organizationId, { status, type, limit = 50 } = {}) {
+    const query = { organizationId };
+    if (status) query.status = status;
+    if (type) query.type = type;
+
+    return Job.find(query)
+      .sort({ createdAt: -1 })
+      .limit(Math.min(200, Math.max(1, limit)))
+      .populate('videoId', 'title status');
+  }
+
+  /**
+   * Requeue a failed job with a fresh set of attempts
+   */
+  static async retryJob(jobId, organizationId) {
+    const job = await Job.findOneAndUpdate(
+      { _id: jobId, organizationId, status: 'failed' },
+      {
+        status: 'queued',
+        attempts: 0,
+        runAt: new Date(),
+        lastError: null,
+        completedAt: null,
+        updatedAt: new Date()
+      },
+      { new: true }
+    );
+
+    if (job && this.pollTimer) {
+      setImmediate(() => this.poll());
+    }
+
+    return job;
+  }
+
+  /**
+   * Count jobs per status for an organization
+   */
+  static async getStatusCounts(organizationId) {
+    // Aggregation does not cast, so make sure we match on an ObjectId
+    const counts = await Job.aggregate([
+      { $match: { organizationId: new mongoose.Types.ObjectId(String(organizationId)) } },
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    return counts.reduce((acc, { _id, count }) => ({ ...acc, [_id]: count }),
+      { queued: 0, running: 0, completed: 0, failed: 0 });
+  }
+}
+
+module.exports = JobQueueService;
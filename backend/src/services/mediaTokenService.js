@@ -0,0 +1,64 @@
+/**
+ * Media Token Service
+ * Short-lived tokens appended to media URLs (stream, thumbnail, captions, HLS/DASH playlists
+ * and segments). Media elements and players fetch them without auth headers, so each URL
+ * carries a token bound to one video.
+ * Tokens are signed with a key derived from JWT_SECRET so they cannot be used as login tokens.
+ */
+
+const jwt = require('jsonwebtoken');
+
+const getSigningKey = () => `${process.env.JWT_SECRET || 'secret'}:media`;
+
+class MediaTokenService {
+  // Minimum lifetime; long videos get their duration on top so playback never outlives the token
+  static MIN_TTL_SECONDS = 60 * 60;
+
+  /**
+   * Create a token granting read access to the streaming files of a video
+   * @param {string} videoId
+   * @param {{ userId?: string, shareLinkId?: string, duration?: number, download?: boolean }} options
+   *   shareLinkId: the share link the token was handed out by; it must still work for the token to
+   *   download: the token may also fetch the original file as an attachment (share links)
+   */
+  static create(videoId, { userId = null, shareLinkId = null, duration = 0, download = false } = {}) {
+    return jwt.sign(
+      {
+        videoId: String(videoId),
+        userId: userId ? String(userId) : null,
+        purpose: 'media',
+        ...(shareLinkId && { shareLinkId: String(shareLinkId) }),
+        ...(download && { download: true })
+      },
+      getSigningKey(),
+      { expiresIn: this.getTtlSeconds(duration) }
+    );
+  }
+
+  static getTtlSeconds(duration = 0) {
+    return Math.ceil(this.MIN_TTL_SECONDS + (duration || 0));
+  }
+
+  /**
+   * Payload of a valid token issued for this video, or null
+   */
+  static decode(token, videoId) {
+    if (!token || typeof token !== 'string') return null;
+
+    try {
+      const decoded = jwt.verify(token, getSigningKey());
+      return decoded.purpose === 'media' && decoded.videoId === String(videoId) ? decoded : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Check that a token is valid and was issued for this video
+   */
+  static verify(token, videoId) {
+    return !!this.decode(token, videoId);
+  }
+}
+
+module.exports = MediaTokenService;
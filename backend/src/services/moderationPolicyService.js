@@ -0,0 +1,264 @@
+/**
+ * Moderation Policy Service
+ * Per-organization moderation rules: validation, versioned storage and
+ * compilation into matchers used by VideoProcessingService.analyzeSensitivity
+ */
+
+const ModerationPolicy = require('../models/ModerationPolicy');
+const {
+  DEFAULT_KEYWORD_CATEGORIES,
+  DEFAULT_FLAG_THRESHOLD
+} = require('../config/moderationConfig');
+
+const LIMITS = {
+  categories: 50,
+  keywords: 500,
+  patterns: 50,
+  allowList: 200,
+  keywordLength: 100,
+  patternLength: 200
+};
+
+const CATEGORY_KEY = /^[a-z0-9_-]{1,40}$/;
+
+// Quantified group that is itself quantified, e.g. (a+)+ — catastrophic backtracking
+const NESTED_QUANTIFIER = /\((?:[^()\\]|\\.)*[+*}](?:[^()\\]|\\.)*\)\s*[+*{]/;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class ModerationPolicyService {
+  /**
+   * Built-in policy (version 0) in the same shape as a saved policy
+   */
+  static getDefaultPolicy() {
+    return {
+      _id: null,
+      version: 0,
+      threshold: DEFAULT_FLAG_THRESHOLD,
+      heuristics: true,
+      allowList: [],
+      categories: Object.entries(DEFAULT_KEYWORD_CATEGORIES).map(([key, category]) => ({
+        key,
+        name: category.category,
+        weight: category.weight,
+        keywords: [...category.keywords],
+        patterns: [],
+        wholeWord: false,
+        enabled: true
+      }))
+    };
+  }
+
+  /**
+   * Validate and normalize policy input from the API
+   * @returns {{ policy: object|null, errors: string[] }}
+   */
+  static validatePolicy(input = {}) {
+    const errors = [];
+    const isStringList = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+    const cleanList = (value) => [...new Set(value.map(item => item.trim()).filter(Boolean))];
+
+    const threshold = input.threshold === undefined ? DEFAULT_FLAG_THRESHOLD : Number(input.threshold);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+      errors.push('threshold must be a number between 0 and 100');
+    }
+
+    if (input.heuristics !== undefined && typeof input.heuristics !== 'boolean') {
+      errors.push('heuristics must be a boolean');
+    }
+
+    let allowList = [];
+    if (input.allowList !== undefined) {
+      if (!isStringList(input.allowList)) {
+        errors.push('allowList must be an array of strings');
+      } else {
+        allowList = cleanList(input.allowList);
+        if (allowList.length > LIMITS.allowList) {
+          errors.push(`allowList can have at most ${LIMITS.allowList} entries`);
+        }
+        if (allowList.some(phrase => phrase.length > LIMITS.keywordLength)) {
+          errors.push(`allowList entries can be at most ${LIMITS.keywordLength} characters`);
+        }
+      }
+    }
+
+    if (!Array.isArray(input.categories) || input.categories.length === 0) {
+      errors.push('categories must be a non-empty array');
+    } else if (input.categories.length > LIMITS.categories) {
+      errors.push(`A policy can have at most ${LIMITS.categories} categories`);
+    }
+
+    const seenKeys = new Set();
+    const categories = (Array.isArray(input.categories) ? input.categories : []).map((category, index) => {
+      const label = `categories[${index}]`;
+      if (!category || typeof category !== 'object') {
+        errors.push(`${label} must be an object`);
+        return null;
+      }
+
+      const key = typeof category.key === 'string' ? category.key.trim().toLowerCase() : '';
+      if (!CATEGORY_KEY.test(key)) {
+        errors.push(`${label}.key must be 1-40 lowercase letters, digits, "-" or "_"`);
+      } else if (seenKeys.has(key)) {
+        errors.push(`${label}.key "${key}" is used more than once`);
+      }
+      seenKeys.add(key);
+
+      const weight = Number(category.weight);
+      if (!Number.isFinite(weight) || weight < 0 || weight > 100) {
+        errors.push(`${label}.weight must be a number between 0 and 100`);
+      }
+
+      const keywords = category.keywords === undefined ? [] : category.keywords;
+      const patterns = category.patterns === undefined ? [] : category.patterns;
+      if (!isStringList(keywords)) {
+        errors.push(`${label}.keywords must be an array of strings`);
+      } else if (keywords.length > LIMITS.keywords || keywords.some(k => k.length > LIMITS.keywordLength)) {
+        errors.push(`${label}.keywords can have at most ${LIMITS.keywords} entries of ${LIMITS.keywordLength} characters`);
+      }
+
+      if (!isStringList(patterns)) {
+        errors.push(`${label}.patterns must be an array of strings`);
+      } else if (patterns.length > LIMITS.patterns) {
+        errors.push(`${label}.patterns can have at most ${LIMITS.patterns} entries`);
+      } else {
+        patterns.forEach((pattern) => {
+          const patternError = this.validatePattern(pattern);
+          if (patternError) errors.push(`${label}.patterns: ${patternError}`);
+        });
+      }
+
+      return {
+        key,
+        name: typeof category.name === 'string' && category.name.trim() ? category.name.trim().slice(0, 80) : key,
+        weight,
+        keywords: isStringList(keywords) ? cleanList(keywords.map(k => k.toLowerCase())) : [],
+        patterns: isStringList(patterns) ? cleanList(patterns) : [],
+        wholeWord: category.wholeWord === true,
+        enabled: category.enabled !== false
+      };
+    });
+
+    if (errors.length > 0) {
+      return { policy: null, errors };
+    }
+
+    return {
+      policy: {
+        categories,
+        allowList,
+        threshold,
+        heuristics: input.heuristics !== false,
+        note: typeof input.note === 'string' ? input.note.trim().slice(0, 500) : undefined
+      },
+      errors
+    };
+  }
+
+  /**
+   * Error message for an unusable regex, or null when it is fine
+   */
+  static validatePattern(pattern) {
+    if (!pattern.trim()) return 'empty pattern';
+    if (pattern.length > LIMITS.patternLength) {
+      return `"${pattern.slice(0, 20)}..." is longer than ${LIMITS.patternLength} characters`;
+    }
+    if (NESTED_QUANTIFIER.test(pattern)) {
+      return `"${pattern}" has nested quantifiers, which can make matching extremely slow`;
+    }
+    try {
+      new RegExp(pattern, 'i');
+    } catch (error) {
+      return `"${pattern}" is not a valid regular expression (${error.message})`;
+    }
+    return null;
+  }
+
+  /**
+   * Turn a category into matchers: { label, test(text) } where text is lowercase
+   */
+  static compileCategory(category) {
+    const matchers = (category.keywords || []).map((keyword) => {
+      const lower = keyword.toLowerCase();
+      if (!category.wholeWord) {
+        return { label: `"${keyword}"`, test: (text) => text.includes(lower) };
+      }
+
+      // Letters/digits on either side mean the keyword is part of a longer word
+      const wordRegex = new RegExp(`(?<![\\p{L}\\p{N}_])${escapeRegExp(lower)}(?![\\p{L}\\p{N}_])`, 'iu');
+      return { label: `"${keyword}"`, test: (text) => wordRegex.test(text) };
+    });
+
+    (category.patterns || []).forEach((pattern) => {
+      try {
+        const regex = new RegExp(pattern, 'i');
+        matchers.push({ label: `/${pattern}/`, test: (text) => regex.test(text) });
+      } catch (error) {
+        // Saved policies are validated; skip anything that still fails to compile
+        console.warn(`[MODERATION] Skipping invalid pattern /${pattern}/:`, error.message);
+      }
+    });
+
+    return matchers;
+  }
+
+  /**
+   * Blank out allow-listed phrases so their words do not match any category
+   */
+  static removeAllowedPhrases(text, allowList = []) {
+    return allowList.reduce((result, phrase) => {
+      if (!phrase) return result;
+      return result.replace(new RegExp(escapeRegExp(phrase.toLowerCase()), 'gi'), ' ');
+    }, text);
+  }
+
+  /**
+   * Current policy of an organization, or the built-in policy if it never saved one
+   */
+  static async getActivePolicy(organizationId) {
+    if (!organizationId) return this.getDefaultPolicy();
+
+    const policy = await ModerationPolicy.findOne({ organizationId: organizationId._id || organizationId })
+      .sort({ version: -1 })
+      .lean();
+
+    return policy || this.getDefaultPolicy();
+  }
+
+  /**
+   * Save a validated policy as the organization's next version
+   */
+  static async savePolicy(organizationId, policy, userId) {
+    // Two admins saving at once race for the same version number; retry once on conflict
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const latest = await ModerationPolicy.findOne({ organizationId }).sort({ version: -1 }).select('version');
+
+      try {
+        return await ModerationPolicy.create({
+          ...policy,
+          organizationId,
+          version: (latest?.version || 0) + 1,
+          createdBy: userId
+        });
+      } catch (error) {
+        if (error.code !== 11000 || attempt === 1) throw error;
+      }
+    }
+  }
+
+  /**
+   * Version history, newest first (without the full rule lists)
+   */
+  static async listVersions(organizationId) {
+    return ModerationPolicy.find({ organizationId })
+      .sort({ version: -1 })
+      .select('version threshold heuristics note createdBy createdAt')
+      .populate('createdBy', 'username email');
+  }
+
+  static async getVersion(organizationId, version) {
+    return ModerationPolicy.findOne({ organizationId, version }).populate('createdBy', 'username email');
+  }
+}
+
+module.exports = ModerationPolicyService;
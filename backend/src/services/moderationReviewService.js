@@ -0,0 +1,183 @@
+/**
+ * Moderation Review Service
+ * Human review of videos flagged by sensitivity analysis: the review queue,
+ * reviewer decisions and the decision history kept on each video.
+ */
+
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const SocketService = require('./socketService');
+
+// Video status and review state each decision leads to
+const DECISIONS = {
+  approve: { status: 'safe', state: 'approved', requiresReason: false },
+  reject: { status: 'flagged', state: 'rejected', requiresReason: true },
+  request_edits: { status: 'flagged', state: 'changes_requested', requiresReason: true }
+};
+
+const MAX_REASON_LENGTH = 1000;
+const QUEUE_STATES = ['pending', 'changes_requested', 'approved', 'rejected'];
+
+// Videos flagged before reviews existed have no moderation state stored (null matches
+// a missing field); they are waiting for a review like newly flagged ones
+const UNREVIEWED_FLAGGED = { status: 'flagged', 'moderation.state': null };
+
+class ModerationReviewService {
+  static get decisions() {
+    return Object.keys(DECISIONS);
+  }
+
+  static get queueStates() {
+    return QUEUE_STATES;
+  }
+
+  /**
+   * Check a decision and its reason
+   * @returns {string|null} error message
+   */
+  static validateDecision(decision, reason) {
+    const rule = DECISIONS[decision];
+    if (!rule) {
+      return `Invalid decision. Must be one of: ${this.decisions.join(', ')}`;
+    }
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      return 'Reason must be a string';
+    }
+
+    const text = (reason || '').trim();
+    if (rule.requiresReason && !text) {
+      return 'A reason is required for this decision';
+    }
+    if (text.length > MAX_REASON_LENGTH) {
+      return `Reason must be at most ${MAX_REASON_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Filter matching the videos in a review state
+   */
+  static getStateFilter(state) {
+    return state === 'pending'
+      ? { $or: [{ 'moderation.state': 'pending' }, UNREVIEWED_FLAGGED] }
+      : { 'moderation.state': state };
+  }
+
+  /**
+   * Videos of an organization in a review state, oldest first
+   */
+  static async getQueue(organizationId, { state = 'pending', limit = 50 } = {}) {
+    return Video.find({ organizationId, ...this.getStateFilter(state) })
+      .sort({ processingCompletedAt: 1, createdAt: 1 })
+      .limit(Math.min(Math.max(limit, 1), 200))
+      .populate('userId', 'username email')
+      .select('-moderation.decisions');
+  }
+
+  /**
+   * Number of videos in each review state
+   */
+  static async getQueueCounts(organizationId) {
+    const rows = await Video.aggregate([
+      {
+        $match: {
+          organizationId: new mongoose.Types.ObjectId(String(organizationId)),
+          $or: [{ 'moderation.state': { $in: QUEUE_STATES } }, UNREVIEWED_FLAGGED]
+        }
+      },
+      { $group: { _id: { $ifNull: ['$moderation.state', 'pending'] }, count: { $sum: 1 } } }
+    ]);
+
+    const counts = Object.fromEntries(QUEUE_STATES.map(state => [state, 0]));
+    rows.forEach(row => { counts[row._id] = row.count; });
+    return counts;
+  }
+
+  /**
+   * Record a reviewer decision on a flagged or previously reviewed video.
+   * The update is conditional so two reviewers deciding at once cannot both
+   * apply a decision based on a state the other one already changed.
+   * @returns {Promise<object|null>} updated video, or null when it cannot be reviewed
+   */
+  static async decide(videoId, organizationId, { decision, reason, reviewerId }) {
+    const rule = DECISIONS[decision];
+    const video = await Video.findOne({ _id: videoId, organizationId });
+    if (!video || !this.canReview(video)) return null;
+
+    const decidedAt = new Date();
+    const state = video.moderation?.state || 'none';
+    return Video.findOneAndUpdate(
+      {
+        _id: videoId,
+        organizationId,
+        status: video.status,
+        // 'none' in memory is the schema default of videos stored without a state
+        'moderation.state': state === 'none' ? { $in: ['none', null] } : state
+      },
+      {
+        status: rule.status,
+        'moderation.state': rule.state,
+        'moderation.lastDecisionAt': decidedAt,
+        updatedAt: decidedAt,
+        $push: {
+          'moderation.decisions': {
+            decision,
+            reason: (reason || '').trim(),
+            decidedBy: reviewerId,
+            previousStatus: video.status,
+            decidedAt
+          }
+        }
+      },
+      { new: true }
+    ).populate('userId', 'username email');
+  }
+
+  /**
+   * Only videos that finished processing and were flagged (or already reviewed) can be decided on
+   */
+  static canReview(video) {
+    if (['uploaded', 'processing', 'failed'].includes(video.status)) return false;
+    return video.moderation?.state !== 'none' || video.status === 'flagged';
+  }
+
+  /**
+   * Put a video back in the queue after its uploader edited it in response to a change request
+   */
+  static resubmit(video, userId) {
+    if (video.moderation?.state !== 'changes_requested') return false;
+
+    video.moderation.state = 'pending';
+    video.moderation.lastDecisionAt = new Date();
+    video.moderation.decisions.push({
+      decision: 'resubmit',
+      decidedBy: userId,
+      previousStatus: video.status,
+      decidedAt: video.moderation.lastDecisionAt
+    });
+    return true;
+  }
+
+  /**
+   * Tell the members who can watch the video (review queues) and the uploader about a decision
+   */
+  static notify(io, video) {
+    if (!io) return;
+
+    const latest = video.moderation.decisions[video.moderation.decisions.length - 1];
+    const payload = {
+      videoId: video._id,
+      title: video.title,
+      status: video.status,
+      state: video.moderation.state,
+      decision: latest?.decision,
+      reason: latest?.reason || '',
+      decidedAt: latest?.decidedAt
+    };
+
+    // The uploader's room is always among the video's rooms
+    SocketService.emitVideoEvent(io, video, 'video-moderation-decision', payload);
+  }
+}
+
+module.exports = ModerationReviewService;
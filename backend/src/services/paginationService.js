@@ -0,0 +1,144 @@
+/**
+ * Pagination Service
+ * Cursor (keyset) pagination shared by the list endpoints. A page is sorted on one
+ * field plus _id, and its cursor holds the values of its last item: the next page
+ * starts right after them, however many items come before. Cursors are opaque to
+ * clients and only valid with the sort they were made for.
+ *
+ * Responses use the same envelope: { items, nextCursor, total? }
+ */
+
+const mongoose = require('mongoose');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+class PaginationService {
+  /**
+   * Check the sort, limit and cursor query parameters of a list endpoint
+   * @param {object} query - req.query
+   * @param {{ sorts: object, defaultSort: string, defaultLimit?: number, maxLimit?: number }} options
+   *   sorts maps each sort name to { field, direction } (1 ascending, -1 descending)
+   * @returns {{ error: string }|{ sort: string, field: string, direction: number, limit: number, cursor: object|null }}
+   */
+  static parseParams(query = {}, { sorts, defaultSort, defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT }) {
+    const sort = query.sort || defaultSort;
+    if (!sorts[sort]) {
+      return { error: `Invalid sort. Must be one of: ${Object.keys(sorts).join(', ')}` };
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+      cursor = this.decodeCursor(String(query.cursor), sort);
+      if (!cursor) {
+        return { error: 'Invalid cursor' };
+      }
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), maxLimit);
+    return { sort, ...sorts[sort], limit, cursor };
+  }
+
+  static encodeCursor(sort, value, id) {
+    const isDate = value instanceof Date;
+    return Buffer.from(JSON.stringify({
+      s: sort,
+      v: isDate ? value.toISOString() : value,
+      ...(isDate ? { d: 1 } : {}),
+      id: id.toString()
+    })).toString('base64url');
+  }
+
+  /**
+   * Sort value of a cursor as encodeCursor wrote it: a string, a finite number, null,
+   * or an ISO date. Anything else (objects would become query operators) is refused.
+   * @returns {*} the value, or undefined when it is not valid
+   */
+  static decodeCursorValue(v, isDate) {
+    if (isDate) {
+      if (typeof v !== 'string') return undefined;
+      const date = new Date(v);
+      return !Number.isNaN(date.getTime()) && date.toISOString() === v ? date : undefined;
+    }
+    if (v === null || typeof v === 'string' || (typeof v === 'number' && Number.isFinite(v))) {
+      return v;
+    }
+    return undefined;
+  }
+
+  /**
+   * @returns {{ value: *, id: ObjectId }|null} null for malformed cursors and cursors of another sort
+   */
+  static decodeCursor(cursor, sort) {
+    try {
+      const { s, v, d, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (s !== sort || typeof id !== 'string' || !mongoose.Types.ObjectId.isValid(id)) return null;
+      const value = this.decodeCursorValue(v, !!d);
+      if (value === undefined) return null;
+      return { value, id: new mongoose.Types.ObjectId(id) };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Sort stage of a page: the sort field, then _id in the same direction
+   */
+  static getSort({ field, direction }) {
+    return { [field]: direction, _id: direction };
+  }
+
+  /**
+   * Filter placing items after the cursor in the order of the sort
+   */
+  static getCursorFilter({ field, direction, cursor }) {
+    const operator = direction < 0 ? '$lt' : '$gt';
+    return {
+      $or: [
+        { [field]: { [operator]: cursor.value } },
+        { [field]: cursor.value, _id: { [operator]: cursor.id } }
+      ]
+    };
+  }
+
+  /**
+   * Page of `docs` fetched with limit + 1 (the extra one tells there is a next page)
+   * @returns {{ items: object[], nextCursor: string|null }}
+   */
+  static buildPage(docs, { sort, field, limit }) {
+    const items = docs.slice(0, limit);
+    const last = items[items.length - 1];
+    return {
+      items,
+      nextCursor: docs.length > limit ? this.encodeCursor(sort, last[field], last._id) : null
+    };
+  }
+
+  /**
+   * Page of a Model.find() list
+   * @param {Model} model
+   * @param {object} filter
+   * @param {object} params - result of parseParams
+   * @param {(query: Query) => Query} [configure] - populate, select... of the query
+   * @returns {Promise<{ items: object[], nextCursor: string|null, total?: number }>}
+   *   total (matching the filter) on the first page only
+   */
+  static async findPage(model, filter, params, configure = query => query) {
+    const pageFilter = params.cursor ? { $and: [filter, this.getCursorFilter(params)] } : filter;
+    const query = model.find(pageFilter)
+      .sort(this.getSort(params))
+      .limit(params.limit + 1);
+
+    const [docs, total] = await Promise.all([
+      configure(query),
+      params.cursor ? undefined : model.countDocuments(filter)
+    ]);
+
+    return {
+      ...this.buildPage(docs, params),
+      ...(total !== undefined ? { total } : {})
+    };
+  }
+}
+
+module.exports = PaginationService;
@@ -0,0 +1,244 @@
+/**
+ * Permission Service
+ * Resolves the permissions of a membership from its role (built-in or a custom
+ * role of the organization), manages custom roles and answers the ownership
+ * checks controllers need (e.g. video:edit:own vs video:edit:any).
+ */
+
+const Role = require('../models/Role');
+const OrganizationMember = require('../models/OrganizationMember');
+const Invitation = require('../models/Invitation');
+const {
+  PERMISSIONS,
+  ALL_PERMISSIONS,
+  BUILT_IN_ROLES,
+  BUILT_IN_ROLE_NAMES,
+  isPermission,
+  isBuiltInRole
+} = require('../config/permissions');
+
+const ROLE_NAME_PATTERN = /^[a-z][a-z0-9-]{1,29}$/;
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+
+class PermissionService {
+  /**
+   * Permission catalog with descriptions
+   */
+  static listPermissions() {
+    return Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }));
+  }
+
+  /**
+   * Permissions granted by a role in an organization; unknown roles grant none
+   * @returns {Promise<string[]>}
+   */
+  static async getRolePermissions(organizationId, role) {
+    if (isBuiltInRole(role)) {
+      return BUILT_IN_ROLES[role];
+    }
+    const customRole = await Role.findOne({ organizationId, name: role }).select('permissions');
+    return customRole ? customRole.permissions : [];
+  }
+
+  /**
+   * Permissions for many memberships at once (one query for all custom roles)
+   * @returns {Promise<Map<string, string[]>>} membership id -> permissions
+   */
+  static async getMembershipPermissions(memberships) {
+    const custom = memberships.filter(m => !isBuiltInRole(m.role));
+    const roles = custom.length === 0 ? [] : await Role.find({
+      $or: custom.map(m => ({ organizationId: toId(m.organizationId), name: m.role }))
+    }).select('organizationId name permissions');
+
+    const byKey = new Map(roles.map(r => [`${r.organizationId}:${r.name}`, r.permissions]));
+    return new Map(memberships.map(m => [
+      m._id.toString(),
+      isBuiltInRole(m.role) ? BUILT_IN_ROLES[m.role] : (byKey.get(`${toId(m.organizationId)}:${m.role}`) || [])
+    ]));
+  }
+
+  static has(req, permission) {
+    return Array.isArray(req.permissions) && req.permissions.includes(permission);
+  }
+
+  /**
+   * Whether the current member may edit or delete a video: with the `:any`
+   * permission, or with the `:own` one for videos they uploaded
+   * @param {'edit'|'delete'} action
+   */
+  static canModifyVideo(req, video, action) {
+    if (this.has(req, `video:${action}:any`)) return true;
+    return this.has(req, `video:${action}:own`) && toId(video.userId) === req.userId?.toString();
+  }
+
+  /**
+   * Built-in roles followed by the organization's custom roles
+   */
+  static async listRoles(organizationId) {
+    const customRoles = await Role.find({ organizationId }).sort({ name: 1 });
+    return [
+      ...BUILT_IN_ROLE_NAMES.map(name => ({ name, permissions: BUILT_IN_ROLES[name], builtIn: true })),
+      ...customRoles.map(role => ({
+        _id: role._id,
+        name: role.name,
+        description: role.description,
+        permissions: role.permissions,
+        builtIn: false,
+        createdAt: role.createdAt,
+        updatedAt: role.updatedAt
+      }))
+    ];
+  }
+
+  /**
+   * Check a role given to a member or invitation
+   * @returns {Promise<string|null>} error message
+   */
+  static async validateRole(organizationId, role) {
+    if (!role || typeof role !== 'string') {
+      return 'Role is required';
+    }
+    if (isBuiltInRole(role) || await Role.exists({ organizationId, name: role })) {
+      return null;
+    }
+    const customNames = (await Role.find({ organizationId }).select('name')).map(r => r.name);
+    return `Invalid role. Must be one of: ${[...BUILT_IN_ROLE_NAMES, ...customNames].join(', ')}`;
+  }
+
+  /**
+   * Members can only hand out permissions they hold themselves
+   * @returns {string|null} error message
+   */
+  static getEscalationError(req, permissions) {
+    const missing = permissions.filter(permission => !this.has(req, permission));
+    return missing.length > 0
+      ? `You cannot grant permissions you do not have: ${missing.join(', ')}`
+      : null;
+  }
+
+  /**
+   * Why the current member may not give a role to someone, or null when they may.
+   * The role must exist, and both the new role and the member's current role
+   * (when changing one) must be within the current member's own permissions.
+   * @returns {Promise<{ status: number, error: string }|null>}
+   */
+  static async getRoleAssignmentBlocker(req, organizationId, role, { currentRole } = {}) {
+    const validationError = await this.validateRole(organizationId, role);
+    if (validationError) {
+      return { status: 400, error: validationError };
+    }
+
+    const escalationError = this.getEscalationError(req, await this.getRolePermissions(organizationId, role));
+    if (escalationError) {
+      return { status: 403, error: escalationError };
+    }
+
+    if (currentRole && this.getEscalationError(req, await this.getRolePermissions(organizationId, currentRole))) {
+      return { status: 403, error: 'You cannot change members who have permissions you do not have' };
+    }
+    return null;
+  }
+
+  /**
+   * Roles of an organization that hold every permission: the built-in admin role and
+   * custom roles equivalent to it
+   * @returns {Promise<string[]>}
+   */
+  static async getAdminRoleNames(organizationId) {
+    const customRoles = await Role.find({ organizationId }).select('name permissions');
+    return [
+      'admin',
+      ...customRoles
+        .filter(role => ALL_PERMISSIONS.every(permission => role.permissions.includes(permission)))
+        .map(role => role.name)
+    ];
+  }
+
+  /**
+   * Why a member may not be removed or given another role, or null when they may:
+   * an organization keeps at least one member holding every permission
+   * @param {object} membership member being changed
+   * @param {string|null} newRole the role they get, or null when they are removed
+   * @returns {Promise<string|null>} error message
+   */
+  static async getLastAdminError(organizationId, membership, newRole = null) {
+    const adminRoles = await this.getAdminRoleNames(organizationId);
+    if (!adminRoles.includes(membership.role) || adminRoles.includes(newRole)) {
+      return null;
+    }
+
+    const otherAdmin = await OrganizationMember.exists({
+      organizationId,
+      _id: { $ne: membership._id },
+      role: { $in: adminRoles }
+    });
+    if (otherAdmin) return null;
+
+    return newRole
+      ? 'Cannot remove admin role from the last admin'
+      : 'Cannot remove the last admin from the organization';
+  }
+
+  /**
+   * Check a custom role definition
+   * @returns {string|null} error message
+   */
+  static validateRoleInput({ name, description, permissions }, { isUpdate = false } = {}) {
+    if (!isUpdate) {
+      if (typeof name !== 'string' || !ROLE_NAME_PATTERN.test(name.trim().toLowerCase())) {
+        return 'Role name must be 2-30 lowercase letters, digits or dashes, starting with a letter';
+      }
+      if (isBuiltInRole(name.trim().toLowerCase())) {
+        return `${name} is a built-in role`;
+      }
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.length > 200)) {
+      return 'Description must be at most 200 characters';
+    }
+    if (permissions !== undefined || !isUpdate) {
+      if (!Array.isArray(permissions)) {
+        return 'Permissions must be a list';
+      }
+      const unknown = permissions.filter(permission => !isPermission(permission));
+      if (unknown.length > 0) {
+        return `Unknown permissions: ${unknown.join(', ')}`;
+      }
+    }
+    return null;
+  }
+
+  static async createRole(organizationId, { name, description = '', permissions }, createdBy) {
+    return Role.create({
+      organizationId,
+      name: name.trim().toLowerCase(),
+      description,
+      permissions: [...new Set(permissions)],
+      createdBy
+    });
+  }
+
+  /**
+   * @returns {Promise<object|null>} updated role, or null when it does not exist
+   */
+  static async updateRole(organizationId, roleId, { description, permissions }) {
+    const update = { updatedAt: new Date() };
+    if (description !== undefined) update.description = description;
+    if (permissions !== undefined) update.permissions = [...new Set(permissions)];
+
+    return Role.findOneAndUpdate({ _id: roleId, organizationId }, update, { new: true });
+  }
+
+  /**
+   * Members and pending invitations that still use a role
+   */
+  static async countRoleUsage(organizationId, name) {
+    const [members, invitations] = await Promise.all([
+      OrganizationMember.countDocuments({ organizationId, role: name }),
+      Invitation.countDocuments({ organizationId, role: name, status: 'pending' })
+    ]);
+    return { members, invitations };
+  }
+}
+
+module.exports = PermissionService;
@@ -0,0 +1,103 @@
+/**
+ * Rate Limit Service
+ * Fixed-window request counters (per IP or per user) and the progressive
+ * lockout of accounts after repeated failed logins. Counters live in the
+ * configured store (see src/rateLimitStores). When the store is unreachable
+ * requests are let through rather than locking everyone out.
+ */
+
+const { getRateLimitStore } = require('../rateLimitStores');
+const { isRateLimitEnabled, getLoginLockoutConfig } = require('../config/rateLimitConfig');
+
+const secondsUntil = (date) => Math.max(Math.ceil((date.getTime() - Date.now()) / 1000), 0);
+
+class RateLimitService {
+  /**
+   * Count a request against a limit
+   * @returns {Promise<{ allowed: boolean, limit: number, remaining: number, resetAt: Date }>}
+   */
+  static async consume(key, { max, windowMs }) {
+    try {
+      const { count, resetAt } = await getRateLimitStore().increment(key, windowMs);
+      return {
+        allowed: count <= max,
+        limit: max,
+        remaining: Math.max(max - count, 0),
+        resetAt
+      };
+    } catch (error) {
+      console.error(`[RATE LIMIT] Counter unavailable for ${key}:`, error.message);
+      return { allowed: true, limit: max, remaining: max, resetAt: new Date(Date.now() + windowMs) };
+    }
+  }
+
+  /**
+   * Counter key of an account for the login lockout: the user id when the
+   * account exists, otherwise the identifier that was tried
+   */
+  static getAccountKey(user, identifier) {
+    return user ? `user:${user._id}` : `identifier:${String(identifier || '').trim().toLowerCase()}`;
+  }
+
+  /**
+   * @returns {Promise<{ retryAfter: number, lockedUntil: Date }|null>} active lockout of an account
+   */
+  static async getLoginLockout(accountKey) {
+    if (!isRateLimitEnabled()) return null;
+
+    try {
+      const lock = await getRateLimitStore().get(`login-lock:${accountKey}`);
+      return lock ? { retryAfter: secondsUntil(lock.resetAt), lockedUntil: lock.resetAt } : null;
+    } catch (error) {
+      console.error(`[RATE LIMIT] Lockout unavailable for ${accountKey}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Count a failed login (password or second factor). From the threshold on,
+   * every failure locks the account, twice as long as the previous lockout.
+   * @returns {Promise<{ retryAfter: number, lockedUntil: Date }|null>} lockout started by this failure
+   */
+  static async recordLoginFailure(accountKey) {
+    if (!isRateLimitEnabled()) return null;
+
+    const { threshold, failureWindowMs, baseLockoutMs, maxLockoutMs } = getLoginLockoutConfig();
+    try {
+      const store = getRateLimitStore();
+      const { count } = await store.increment(`login-failures:${accountKey}`, failureWindowMs);
+      if (count < threshold) return null;
+
+      const lockoutMs = Math.min(baseLockoutMs * 2 ** (count - threshold), maxLockoutMs);
+      const lock = await store.increment(`login-lock:${accountKey}`, lockoutMs);
+      console.warn(`[RATE LIMIT] Locked ${accountKey} after ${count} failed logins`);
+      return { retryAfter: secondsUntil(lock.resetAt), lockedUntil: lock.resetAt };
+    } catch (error) {
+      console.error(`[RATE LIMIT] Could not record failed login for ${accountKey}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Forget failed logins after a successful one
+   */
+  static async clearLoginFailures(accountKey) {
+    if (!isRateLimitEnabled()) return;
+
+    try {
+      await getRateLimitStore().reset(`login-failures:${accountKey}`);
+    } catch (error) {
+      console.error(`[RATE LIMIT] Could not clear failed logins for ${accountKey}:`, error.message);
+    }
+  }
+
+  /**
+   * Error message for a locked account
+   */
+  static getLockoutMessage(lockout) {
+    const minutes = Math.ceil(lockout.retryAfter / 60);
+    return `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}`;
+  }
+}
+
+module.exports = RateLimitService;
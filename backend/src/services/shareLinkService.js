@@ -0,0 +1,200 @@
+/**
+ * Share Link Service
+ * Links that let anyone watch one video without an account. The link carries a random
+ * token; opening it (GET /api/share/:token) counts a view and hands out a media token
+ * (see mediaTokenService.js) the player uses for the stream, thumbnail and captions.
+ *
+ * Links can have a password, an expiry date and a maximum number of views, and only
+ * work while the organization allows public sharing (settings.allowPublicSharing).
+ * Media tokens remember their link, and every media request checks it again.
+ */
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const ShareLink = require('../models/ShareLink');
+const Organization = require('../models/Organization');
+const { getAppUrl } = require('../config/mailConfig');
+
+const MAX_VIEWS_LIMIT = 1000000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const createToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashToken(token) };
+};
+
+class ShareLinkService {
+  static getShareUrl(token) {
+    return `${getAppUrl()}/share/${token}`;
+  }
+
+  static isSharingAllowed(organization) {
+    return !!organization && organization.status === 'active' &&
+      organization.settings?.allowPublicSharing !== false;
+  }
+
+  /**
+   * Check the options of a new share link
+   * @returns {string|null} error message
+   */
+  static validateInput({ label, password, expiresAt, maxViews, allowDownload }) {
+    if (label !== undefined && (typeof label !== 'string' || label.length > 100)) {
+      return 'Label must be at most 100 characters';
+    }
+    if (password !== undefined && password !== null && password !== '' &&
+        (typeof password !== 'string' || password.length < 4 || password.length > 100)) {
+      return 'Password must be 4-100 characters';
+    }
+    if (expiresAt !== undefined && expiresAt !== null) {
+      const date = new Date(expiresAt);
+      if (Number.isNaN(date.getTime())) {
+        return 'expiresAt must be a date';
+      }
+      if (date <= new Date()) {
+        return 'expiresAt must be in the future';
+      }
+    }
+    if (maxViews !== undefined && maxViews !== null &&
+        (!Number.isInteger(maxViews) || maxViews < 1 || maxViews > MAX_VIEWS_LIMIT)) {
+      return `maxViews must be a whole number between 1 and ${MAX_VIEWS_LIMIT}`;
+    }
+    if (allowDownload !== undefined && typeof allowDownload !== 'boolean') {
+      return 'allowDownload must be a boolean';
+    }
+    return null;
+  }
+
+  /**
+   * Create a link for a video; the token is only returned here
+   * @returns {Promise<{ shareLink: object, token: string }>}
+   */
+  static async create(video, { label = '', password, expiresAt, maxViews, allowDownload = false }, createdBy) {
+    const { token, tokenHash } = createToken();
+    const shareLink = await ShareLink.create({
+      organizationId: video.organizationId,
+      videoId: video._id,
+      tokenHash,
+      label: label.trim(),
+      passwordHash: password ? await bcrypt.hash(password, 10) : null,
+      expiresAt: expiresAt ? new Date(expiresAt) : null,
+      maxViews: maxViews ?? null,
+      allowDownload,
+      createdBy
+    });
+    return { shareLink, token };
+  }
+
+  static async findByToken(token) {
+    if (!token || typeof token !== 'string') return null;
+    return ShareLink.findOne({ tokenHash: hashToken(token) });
+  }
+
+  /**
+   * active, or why the link no longer works: revoked, expired or used_up
+   */
+  static getStatus(shareLink) {
+    if (shareLink.revokedAt) return 'revoked';
+    if (shareLink.expiresAt && shareLink.expiresAt <= new Date()) return 'expired';
+    if (shareLink.maxViews !== null && shareLink.viewCount >= shareLink.maxViews) return 'used_up';
+    return 'active';
+  }
+
+  /**
+   * Why a link cannot be opened, or null when it can
+   * @param {object} shareLink
+   * @param {object|null} organization organization of the video
+   * @param {object|null} video
+   * @param {{ checkViewLimit?: boolean }} options
+   *   checkViewLimit: false for media requests, whose view was counted when the link was opened
+   */
+  static getAccessBlocker(shareLink, organization, video, { checkViewLimit = true } = {}) {
+    const status = this.getStatus(shareLink);
+    if (status === 'revoked') {
+      return { status: 410, error: 'This share link has been revoked' };
+    }
+    if (status === 'expired') {
+      return { status: 410, error: 'This share link has expired' };
+    }
+    if (status === 'used_up' && checkViewLimit) {
+      return { status: 410, error: 'This share link has reached its view limit' };
+    }
+    if (!this.isSharingAllowed(organization)) {
+      return { status: 403, error: 'Public sharing is disabled for this organization' };
+    }
+    if (!video) {
+      return { status: 404, error: 'Video not found' };
+    }
+    // Flagged content is never shown outside the organization
+    if (video.status === 'flagged') {
+      return { status: 403, error: 'This video is not available' };
+    }
+    return null;
+  }
+
+  /**
+   * Why a media token handed out by a link no longer grants access, or null when it does
+   * Revoking or expiring the link, turning public sharing off or flagging the video
+   * stops playback that already started.
+   */
+  static async getMediaAccessBlocker(shareLinkId, video) {
+    const [shareLink, organization] = await Promise.all([
+      ShareLink.findById(shareLinkId),
+      Organization.findById(video.organizationId)
+    ]);
+    if (!shareLink || shareLink.videoId.toString() !== video._id.toString()) {
+      return { status: 404, error: 'Share link not found' };
+    }
+    return this.getAccessBlocker(shareLink, organization, video, { checkViewLimit: false });
+  }
+
+  static async checkPassword(shareLink, password) {
+    if (!shareLink.passwordHash) return true;
+    if (!password || typeof password !== 'string') return false;
+    return bcrypt.compare(password, shareLink.passwordHash);
+  }
+
+  /**
+   * Count a view; the view limit is checked in the same update so concurrent
+   * visitors cannot go over it
+   * @returns {Promise<object|null>} updated link, or null when it was used up meanwhile
+   */
+  static async recordView(shareLink) {
+    return ShareLink.findOneAndUpdate(
+      {
+        _id: shareLink._id,
+        revokedAt: null,
+        $or: [{ maxViews: null }, { $expr: { $lt: ['$viewCount', '$maxViews'] } }]
+      },
+      { $inc: { viewCount: 1 }, $set: { lastViewedAt: new Date() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Links of a video for the management panel, newest first
+   */
+  static async listForVideo(videoId) {
+    const shareLinks = await ShareLink.find({ videoId })
+      .populate('createdBy', 'username')
+      .sort({ createdAt: -1 });
+    return shareLinks.map(shareLink => this.describe(shareLink));
+  }
+
+  static describe(shareLink) {
+    return { ...shareLink.toJSON(), status: this.getStatus(shareLink) };
+  }
+
+  /**
+   * @returns {Promise<object|null>} revoked link, or null when it does not exist or was already revoked
+   */
+  static async revoke(videoId, shareLinkId, revokedBy) {
+    return ShareLink.findOneAndUpdate(
+      { _id: shareLinkId, videoId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy } },
+      { new: true }
+    );
+  }
+}
+
+module.exports = ShareLinkService;
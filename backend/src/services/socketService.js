@@ -0,0 +1,206 @@
+/**
+ * Socket Service
+ * Real-time events over Socket.io. Sockets authenticate in the handshake with the same
+ * access token as the REST API (`auth: { token }`) and are put in the rooms of their
+ * user (`user-<id>`) and session (`session-<id>`) right away. Organization rooms are
+ * only joined after the membership is checked:
+ * - org-<id>: every member
+ * - org-<id>-role-<role>: members with that role
+ * - org-<id>-all-videos: members with video:view:private
+ *
+ * Video events go to the rooms that can watch the video (see getVideoRooms), and
+ * sockets are moved out of an organization's rooms when the membership ends.
+ */
+
+const mongoose = require('mongoose');
+const OrganizationMember = require('../models/OrganizationMember');
+const PermissionService = require('./permissionService');
+const TokenService = require('./tokenService');
+const VideoAccessPolicy = require('./videoAccessPolicy');
+const { verifyAccessToken } = require('../middleware/authMiddleware');
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+
+const orgRoom = (organizationId) => `org-${organizationId}`;
+const roleRoom = (organizationId, role) => `org-${organizationId}-role-${role}`;
+const allVideosRoom = (organizationId) => `org-${organizationId}-all-videos`;
+const userRoom = (userId) => `user-${userId}`;
+const sessionRoom = (sessionId) => `session-${sessionId}`;
+
+class SocketService {
+  // Server passed to register, for code without a request to take it from (model hooks)
+  static io = null;
+
+  /**
+   * Handshake middleware: accepts `auth.token` or an `Authorization: Bearer` header
+   */
+  static async authenticate(socket, next) {
+    const token = socket.handshake.auth?.token || socket.handshake.headers?.authorization?.split(' ')[1];
+    if (!token) {
+      return next(new Error('Authentication required'));
+    }
+
+    try {
+      const decoded = await verifyAccessToken(token);
+      if (!decoded) {
+        return next(new Error('Session has ended. Please login again'));
+      }
+
+      socket.data.userId = decoded.userId;
+      socket.data.sessionId = decoded.sessionId;
+      next();
+    } catch (error) {
+      next(new Error('Invalid or expired token'));
+    }
+  }
+
+  /**
+   * Put a socket in the rooms of an organization after checking its membership
+   * @returns {Promise<{ ok: boolean, error?: string }>}
+   */
+  static async joinOrganization(socket, organizationId) {
+    if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+      return { ok: false, error: 'Invalid organization' };
+    }
+    if (!(await TokenService.isSessionActive(socket.data.sessionId))) {
+      return { ok: false, error: 'Session has ended. Please login again' };
+    }
+
+    const membership = await OrganizationMember.findOne({ userId: socket.data.userId, organizationId });
+    if (!membership) {
+      return { ok: false, error: 'Not a member of this organization' };
+    }
+
+    const permissions = await PermissionService.getRolePermissions(organizationId, membership.role);
+    const rooms = [orgRoom(organizationId), roleRoom(organizationId, membership.role)];
+    if (permissions.includes('video:view:private')) {
+      rooms.push(allVideosRoom(organizationId));
+    }
+
+    this.leaveOrganization(socket, organizationId);
+    socket.join(rooms);
+    return { ok: true };
+  }
+
+  static leaveOrganization(socket, organizationId) {
+    const prefix = orgRoom(organizationId);
+    for (const room of [...socket.rooms]) {
+      if (room === prefix || room.startsWith(`${prefix}-`)) {
+        socket.leave(room);
+      }
+    }
+  }
+
+  /**
+   * Authenticate connections and handle room requests
+   * Clients call `join-org` / `leave-org` with an organization id and an optional
+   * acknowledgement callback receiving { ok, error }.
+   */
+  static register(io) {
+    this.io = io;
+    io.use((socket, next) => this.authenticate(socket, next));
+
+    io.on('connection', (socket) => {
+      const { userId, sessionId } = socket.data;
+      socket.join([userRoom(userId), sessionRoom(sessionId)]);
+      console.log(`✓ User ${userId} connected: ${socket.id}`);
+
+      socket.on('join-org', async (organizationId, ack) => {
+        try {
+          const result = await this.joinOrganization(socket, organizationId);
+          if (result.ok) {
+            console.log(`[SOCKET] User ${userId} joined organization ${organizationId}`);
+          } else {
+            console.warn(`[SOCKET] User ${userId} refused in organization ${organizationId}: ${result.error}`);
+          }
+          if (typeof ack === 'function') ack(result);
+        } catch (error) {
+          console.error('[SOCKET] Join organization error:', error);
+          if (typeof ack === 'function') ack({ ok: false, error: 'Failed to join organization' });
+        }
+      });
+
+      socket.on('leave-org', (organizationId) => {
+        this.leaveOrganization(socket, organizationId);
+        console.log(`[SOCKET] User ${userId} left organization ${organizationId}`);
+      });
+
+      socket.on('disconnect', () => {
+        console.log(`✗ User ${userId} disconnected: ${socket.id}`);
+      });
+    });
+  }
+
+  /**
+   * Re-check the organization rooms of a user's sockets after their membership changed:
+   * removed members leave every room of the organization (and get `organization-access-revoked`),
+   * members with a new role move to the rooms of that role
+   */
+  static async syncMembership(io, userId, organizationId) {
+    if (!io) return;
+
+    const sockets = (await io.in(userRoom(userId)).fetchSockets())
+      .filter(socket => socket.rooms.has(orgRoom(organizationId)));
+    const membership = await OrganizationMember.exists({ userId, organizationId });
+
+    for (const socket of sockets) {
+      if (membership) {
+        await this.joinOrganization(socket, toId(organizationId));
+      } else {
+        this.leaveOrganization(socket, organizationId);
+      }
+    }
+
+    if (!membership) {
+      io.to(userRoom(userId)).emit('organization-access-revoked', { organizationId: toId(organizationId) });
+      console.log(`[SOCKET] Evicted user ${userId} from organization ${organizationId}`);
+    }
+  }
+
+  /**
+   * Close the sockets of an ended session, or of every session of a user
+   * (all but the current one with `exceptSessionId`)
+   */
+  static disconnectSession(io, sessionId) {
+    if (io && sessionId) io.in(sessionRoom(sessionId)).disconnectSockets(true);
+  }
+
+  static disconnectUser(io, userId, { exceptSessionId } = {}) {
+    if (!io || !userId) return;
+
+    const sockets = io.in(userRoom(userId));
+    (exceptSessionId ? sockets.except(sessionRoom(exceptSessionId)) : sockets).disconnectSockets(true);
+  }
+
+  /**
+   * Rooms of the members who can watch a video (see services/videoAccessPolicy.js),
+   * always including the uploader's own room
+   */
+  static getVideoRooms(video) {
+    const organizationId = toId(video.organizationId);
+    const uploaderRoom = userRoom(toId(video.userId));
+    if (VideoAccessPolicy.isOrganizationWide(video)) {
+      return [orgRoom(organizationId), uploaderRoom];
+    }
+
+    const rooms = [allVideosRoom(organizationId), uploaderRoom];
+    if (VideoAccessPolicy.getVisibility(video) === 'restricted') {
+      rooms.push(
+        ...(video.allowedUsers || []).map(id => userRoom(toId(id))),
+        ...(video.allowedRoles || []).map(role => roleRoom(organizationId, role))
+      );
+    }
+    return rooms;
+  }
+
+  /**
+   * Emit an event about a video to the members who can watch it
+   * (a socket in several of the rooms receives it once)
+   */
+  static emitVideoEvent(io, video, event, data) {
+    if (!io) return;
+    io.to(this.getVideoRooms(video)).emit(event, data);
+  }
+}
+
+module.exports = SocketService;
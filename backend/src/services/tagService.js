@@ -0,0 +1,224 @@
+/**
+ * Tag Service
+ * Tags of videos and the tag catalog of each organization. Videos keep their tag
+ * names in Video.tags; the catalog (models/Tag.js) holds one entry per name in use
+ * with the number of videos that have it. Counts are recomputed from the videos
+ * whenever tags change (syncCounts), so they cannot drift.
+ *
+ * Names are normalized (lowercase, single spaces) so "Onboarding" and " onboarding "
+ * are the same tag.
+ */
+
+const Tag = require('../models/Tag');
+const Video = require('../models/Video');
+const PaginationService = require('./paginationService');
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 40;
+const MAX_AUTOCOMPLETE = 20;
+
+const TAG_SORTS = {
+  usage: { field: 'usageCount', direction: -1 },
+  name: { field: 'name', direction: 1 }
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class TagService {
+  static normalize(name) {
+    return String(name).trim().toLowerCase().replace(/\s+/g, ' ');
+  }
+
+  /**
+   * Normalized, distinct names of a comma-separated list (or an array), e.g. a
+   * ?tags= filter. Nothing is validated.
+   */
+  static parseList(value) {
+    if (value === undefined || value === null) return [];
+    const names = String(value).split(',').map(name => this.normalize(name)).filter(Boolean);
+    return [...new Set(names)];
+  }
+
+  /**
+   * Check the tags of a video, given as an array of names or a comma-separated
+   * string (multipart uploads)
+   * @returns {{ error: string }|{ tags: string[] }}
+   */
+  static parseTags(input) {
+    if (input === undefined || input === null || input === '') {
+      return { tags: [] };
+    }
+    if (typeof input !== 'string' &&
+        (!Array.isArray(input) || input.some(name => typeof name !== 'string'))) {
+      return { error: 'Tags must be a list of names' };
+    }
+    if (Array.isArray(input) && input.some(name => name.includes(','))) {
+      return { error: 'Tags cannot contain commas' };
+    }
+
+    const tags = this.parseList(Array.isArray(input) ? input.join(',') : input);
+    if (tags.length > MAX_TAGS) {
+      return { error: `A video can have at most ${MAX_TAGS} tags` };
+    }
+    if (tags.some(name => name.length > MAX_TAG_LENGTH)) {
+      return { error: `Tags must be at most ${MAX_TAG_LENGTH} characters` };
+    }
+    return { tags };
+  }
+
+  /**
+   * Check a single tag name, e.g. the new name of a renamed tag
+   * @returns {string|null} error message
+   */
+  static validateName(name) {
+    if (typeof name !== 'string' || !this.normalize(name)) {
+      return 'Tag name is required';
+    }
+    if (name.includes(',')) {
+      return 'Tags cannot contain commas';
+    }
+    if (this.normalize(name).length > MAX_TAG_LENGTH) {
+      return `Tags must be at most ${MAX_TAG_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  /**
+   * Recount the videos of the given tags in the catalog; tags no video has any
+   * more leave the catalog
+   */
+  static async syncCounts(organizationId, names) {
+    const now = new Date();
+    await Promise.all([...new Set(names)].map(async (name) => {
+      const usageCount = await Video.countDocuments({ organizationId, tags: name });
+      if (usageCount === 0) {
+        await Tag.deleteOne({ organizationId, name });
+        return;
+      }
+      await Tag.updateOne(
+        { organizationId, name },
+        { $set: { usageCount, updatedAt: now }, $setOnInsert: { createdAt: now } },
+        { upsert: true }
+      );
+    }));
+  }
+
+  /**
+   * Names whose count changes when a video's tags go from `before` to `after`
+   */
+  static getChangedNames(before = [], after = []) {
+    return [
+      ...before.filter(name => !after.includes(name)),
+      ...after.filter(name => !before.includes(name))
+    ];
+  }
+
+  static parseListParams(query = {}) {
+    return PaginationService.parseParams(query, { sorts: TAG_SORTS, defaultSort: 'usage', defaultLimit: 50 });
+  }
+
+  /**
+   * Page of the catalog of an organization, optionally only names starting with `q`
+   * @param {object} params - result of parseListParams
+   */
+  static async listTags(organizationId, params, { q } = {}) {
+    const filter = { organizationId };
+    const prefix = q ? this.normalize(q) : '';
+    if (prefix) {
+      filter.name = new RegExp(`^${escapeRegex(prefix)}`);
+    }
+    return PaginationService.findPage(Tag, filter, params, tags => tags.select('name usageCount').lean());
+  }
+
+  /**
+   * Most used tags starting with `q` (the most used overall without `q`)
+   */
+  static async autocomplete(organizationId, q, limit = 10) {
+    const filter = { organizationId };
+    const prefix = q ? this.normalize(q) : '';
+    if (prefix) {
+      filter.name = new RegExp(`^${escapeRegex(prefix)}`);
+    }
+    return Tag.find(filter)
+      .sort({ usageCount: -1, name: 1 })
+      .limit(Math.min(Math.max(parseInt(limit, 10) || 10, 1), MAX_AUTOCOMPLETE))
+      .select('-_id name usageCount')
+      .lean();
+  }
+
+  /**
+   * Replace the source tags with the target tag on every video of the organization
+   * @returns {Promise<number>} number of videos changed
+   */
+  static async replaceTags(organizationId, sources, target) {
+    const replaced = sources.filter(name => name !== target);
+    const filter = { organizationId, tags: { $in: replaced } };
+
+    // $addToSet and $pull cannot change the same array in one update
+    await Video.updateMany(filter, { $addToSet: { tags: target } });
+    const { modifiedCount } = await Video.updateMany(filter, { $pull: { tags: { $in: replaced } } });
+
+    await this.syncCounts(organizationId, [...replaced, target]);
+    return modifiedCount;
+  }
+
+  /**
+   * Rename a tag on every video. Names already in the catalog are refused: that is a merge
+   * @returns {Promise<{ status: number, error: string }|{ tag: object, videoCount: number }>}
+   */
+  static async renameTag(organizationId, name, newName) {
+    const from = this.normalize(name);
+    const to = this.normalize(newName);
+
+    const tag = await Tag.findOne({ organizationId, name: from });
+    if (!tag) {
+      return { status: 404, error: 'Tag not found' };
+    }
+    if (from === to) {
+      return { tag, videoCount: 0 };
+    }
+    if (await Tag.exists({ organizationId, name: to })) {
+      return { status: 409, error: `Tag "${to}" already exists. Merge the tags instead` };
+    }
+
+    const videoCount = await this.replaceTags(organizationId, [from], to);
+    return { tag: await Tag.findOne({ organizationId, name: to }), videoCount };
+  }
+
+  /**
+   * Merge tags into one: videos with any of the sources get the target instead
+   * @returns {Promise<{ status: number, error: string }|{ tag: object, videoCount: number }>}
+   */
+  static async mergeTags(organizationId, sourceNames, targetName) {
+    const sources = [...new Set(sourceNames.map(name => this.normalize(name)))];
+    const target = this.normalize(targetName);
+
+    const found = await Tag.countDocuments({ organizationId, name: { $in: sources } });
+    if (found < sources.length) {
+      return { status: 404, error: 'Tag not found' };
+    }
+
+    const videoCount = await this.replaceTags(organizationId, sources, target);
+    return { tag: await Tag.findOne({ organizationId, name: target }), videoCount };
+  }
+
+  /**
+   * Remove a tag from every video and from the catalog
+   * @returns {Promise<number|null>} number of videos changed, null when the tag does not exist
+   */
+  static async deleteTag(organizationId, name) {
+    const tagName = this.normalize(name);
+    if (!(await Tag.exists({ organizationId, name: tagName }))) {
+      return null;
+    }
+
+    const { modifiedCount } = await Video.updateMany(
+      { organizationId, tags: tagName },
+      { $pull: { tags: tagName } }
+    );
+    await Tag.deleteOne({ organizationId, name: tagName });
+    return modifiedCount;
+  }
+}
+
+module.exports = TagService;
@@ -0,0 +1,174 @@
+/**
+ * Token Service
+ * Short-lived access tokens (JWT) plus rotating refresh tokens backed by a Session document.
+ * Every refresh replaces the refresh token; presenting a replaced token again revokes the
+ * session, since only a leaked copy would still be using it.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const OrganizationMember = require('../models/OrganizationMember');
+const { getJwtSecret, getAccessTokenTtl, getRefreshTokenTtlMs } = require('../config/authConfig');
+
+// Parallel refreshes (e.g. two tabs) may present the just-replaced token; not treated as reuse
+const REUSE_GRACE_MS = 10 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+class TokenService {
+  /**
+   * Client details stored with a session
+   */
+  static getClientInfo(req) {
+    return {
+      userAgent: (req.get('user-agent') || '').slice(0, 500),
+      ip: req.ip || ''
+    };
+  }
+
+  static signAccessToken(user, session) {
+    return jwt.sign(
+      {
+        userId: user._id.toString(),
+        email: user.email,
+        organizationId: session.organizationId.toString(),
+        sessionId: session._id.toString(),
+        twoFactorVerified: !!session.twoFactorVerified
+      },
+      getJwtSecret(),
+      { expiresIn: getAccessTokenTtl() }
+    );
+  }
+
+  /**
+   * Token fields returned by login, register, refresh and organization switches
+   */
+  static buildTokenResponse(user, session, refreshToken) {
+    const token = this.signAccessToken(user, session);
+    const { iat, exp } = jwt.decode(token);
+    return {
+      token,
+      refreshToken,
+      expiresIn: exp - iat
+    };
+  }
+
+  /**
+   * Start a session for a user in an organization
+   * @returns {Promise<{ token: string, refreshToken: string, expiresIn: number }>}
+   */
+  static async createSession(user, organizationId, { userAgent = '', ip = '', twoFactorVerified = false } = {}) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const session = await Session.create({
+      userId: user._id,
+      organizationId,
+      refreshTokenHash: hashToken(refreshToken),
+      twoFactorVerified,
+      userAgent,
+      ip,
+      expiresAt: new Date(Date.now() + getRefreshTokenTtlMs())
+    });
+
+    return this.buildTokenResponse(user, session, refreshToken);
+  }
+
+  /**
+   * Exchange a refresh token for a new access and refresh token
+   * @returns {Promise<object|null>} token response, or null when the token is not usable
+   */
+  static async refresh(refreshToken, clientInfo = {}) {
+    if (typeof refreshToken !== 'string' || !refreshToken) return null;
+
+    const tokenHash = hashToken(refreshToken);
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+      const replaced = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+      if (replaced && Date.now() - replaced.lastUsedAt.getTime() > REUSE_GRACE_MS) {
+        console.warn(`[AUTH] Replaced refresh token reused, revoking session ${replaced._id}`);
+        await this.revokeSession(replaced._id, 'token-reuse');
+      }
+      return null;
+    }
+
+    if (session.revokedAt || session.expiresAt <= new Date()) {
+      return null;
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user || !user.isActive) {
+      await this.revokeSession(session._id, 'user-deactivated');
+      return null;
+    }
+
+    const isMember = await OrganizationMember.exists({ userId: user._id, organizationId: session.organizationId });
+    if (!isMember) {
+      await this.revokeSession(session._id, 'member-removed');
+      return null;
+    }
+
+    const nextToken = crypto.randomBytes(48).toString('base64url');
+    const rotated = await Session.findOneAndUpdate(
+      { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+      {
+        refreshTokenHash: hashToken(nextToken),
+        previousTokenHash: tokenHash,
+        lastUsedAt: new Date(),
+        expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+        ...clientInfo
+      },
+      { new: true }
+    );
+
+    // Another request rotated or revoked the session meanwhile
+    if (!rotated) return null;
+
+    return this.buildTokenResponse(user, rotated, nextToken);
+  }
+
+  /**
+   * Move a session to another organization; later refreshes keep it
+   * @returns {Promise<object|null>} updated session, or null when it is no longer active
+   */
+  static async switchOrganization(sessionId, organizationId) {
+    return Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      { organizationId },
+      { new: true }
+    );
+  }
+
+  static async isSessionActive(sessionId) {
+    if (!sessionId) return false;
+    return !!(await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } }));
+  }
+
+  static async revokeSession(sessionId, reason = 'logout') {
+    return Session.revokeWhere({ _id: sessionId }, reason);
+  }
+
+  static async revokeRefreshToken(refreshToken, reason = 'logout') {
+    if (typeof refreshToken !== 'string' || !refreshToken) return 0;
+    return Session.revokeWhere({ refreshTokenHash: hashToken(refreshToken) }, reason);
+  }
+
+  /**
+   * Revoke all sessions of a user, optionally only those signed in to one organization
+   * or all but the current one
+   * @returns {Promise<number>} number of revoked sessions
+   */
+  static async revokeUserSessions(userId, { organizationId, exceptSessionId, reason = 'logout-all' } = {}) {
+    const filter = { userId };
+    if (organizationId) {
+      filter.organizationId = organizationId;
+    }
+    if (exceptSessionId) {
+      filter._id = { $ne: exceptSessionId };
+    }
+    return Session.revokeWhere(filter, reason);
+  }
+}
+
+module.exports = TokenService;
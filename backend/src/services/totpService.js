@@ -0,0 +1,131 @@
+/**
+ * TOTP Service
+ * Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+ * HMAC-SHA1, 6 digits, 30 second steps. Secrets are stored encrypted
+ * (AES-256-GCM) so a database dump alone does not reveal them.
+ */
+
+const crypto = require('crypto');
+const { getTwoFactorEncryptionKey } = require('../config/authConfig');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DIGITS = 6;
+const PERIOD_SECONDS = 30;
+// Accept codes from the previous and next step to allow for clock drift
+const WINDOW = 1;
+const ISSUER = 'Video Platform';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = String(input).toUpperCase().replace(/[\s=-]/g, '');
+  let bits = '';
+  for (const char of clean) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const getKey = () => crypto.createHash('sha256').update(`totp:${getTwoFactorEncryptionKey()}`).digest();
+
+class TotpService {
+  static base32Encode(buffer) {
+    return base32Encode(buffer);
+  }
+
+  static base32Decode(input) {
+    return base32Decode(input);
+  }
+
+  /**
+   * New random secret, base32 encoded for authenticator apps
+   */
+  static generateSecret() {
+    return base32Encode(crypto.randomBytes(20));
+  }
+
+  static getStep(time = Date.now()) {
+    return Math.floor(time / 1000 / PERIOD_SECONDS);
+  }
+
+  /**
+   * Code for a time step (HOTP with the step as counter)
+   */
+  static generateCode(secret, step = this.getStep(), digits = DIGITS) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** digits).padStart(digits, '0');
+  }
+
+  /**
+   * Check a code against the current time window
+   * @returns {number|null} matched time step, or null when the code is wrong
+   */
+  static verifyCode(secret, code, time = Date.now()) {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const current = this.getStep(time);
+    for (let step = current - WINDOW; step <= current + WINDOW; step++) {
+      const expected = this.generateCode(secret, step);
+      if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+        return step;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * otpauth:// URI that authenticator apps read from a QR code or accept as manual input
+   */
+  static getProvisioningUri(secret, accountName) {
+    const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+      secret,
+      issuer: ISSUER,
+      algorithm: 'SHA1',
+      digits: String(DIGITS),
+      period: String(PERIOD_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+  }
+
+  static encryptSecret(secret) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+  }
+
+  static decryptSecret(payload) {
+    const [iv, tag, encrypted] = String(payload).split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = TotpService;
@@ -0,0 +1,270 @@
+/**
+ * Transcoding Service
+ * Transcodes uploaded videos into an adaptive bitrate ladder for HLS (and optionally DASH),
+ * capped at the source resolution, and stores manifests and segments via the storage driver
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const VideoAssetService = require('./videoAssetService');
+const { getStorageForVideo, getVideoAssetPrefix } = require('../storage');
+
+class TranscodingService {
+  /**
+   * Rendition ladder, lowest first. Bitrates are in kbit/s.
+   */
+  static RENDITION_LADDER = [
+    { name: '240p', height: 240, videoBitrate: 400, audioBitrate: 64 },
+    { name: '480p', height: 480, videoBitrate: 1000, audioBitrate: 96 },
+    { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+    { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 128 }
+  ];
+
+  static isEnabled() {
+    return process.env.TRANSCODING_ENABLED !== 'false';
+  }
+
+  static isDashEnabled() {
+    return process.env.ENABLE_DASH === 'true';
+  }
+
+  static getSegmentSeconds() {
+    return parseInt(process.env.HLS_SEGMENT_SECONDS, 10) || 6;
+  }
+
+  /**
+   * Renditions to produce for a source: every rung up to the source height (never upscaled).
+   * Sources smaller than the lowest rung get a single rendition at their own height.
+   */
+  static getLadder(resolution, ladder = this.RENDITION_LADDER) {
+    const { width = 0, height = 0 } = resolution || {};
+
+    // Unknown resolution (ffprobe unavailable): a single mid-quality rendition
+    if (!height) {
+      const fallback = ladder.find(r => r.height === 480) || ladder[0];
+      return [{ ...fallback, width: Math.round(fallback.height * 16 / 9 / 2) * 2 }];
+    }
+
+    const withWidth = (rendition, targetHeight = rendition.height) => ({
+      ...rendition,
+      height: targetHeight,
+      width: width > 0 ? Math.max(2, Math.round(targetHeight * width / height / 2) * 2) : 0
+    });
+
+    const capped = ladder.filter(r => r.height <= height).map(r => withWidth(r));
+    if (capped.length > 0) return capped;
+
+    const evenHeight = Math.max(2, Math.floor(height / 2) * 2);
+    return [withWidth({ ...ladder[0], name: `${evenHeight}p` }, evenHeight)];
+  }
+
+  /**
+   * FFmpeg arguments producing every rendition from one decode, with keyframes aligned
+   * to segment boundaries so players can switch renditions between segments
+   */
+  static buildEncodingArgs(ladder, { hasAudio, segmentSeconds, audioPerRendition }) {
+    const filter = [
+      `[0:v]split=${ladder.length}${ladder.map((_, i) => `[v${i}]`).join('')}`,
+      ...ladder.map((r, i) => `[v${i}]scale=-2:${r.height}[v${i}out]`)
+    ].join(';');
+
+    const args = ['-filter_complex', filter];
+
+    ladder.forEach((r, i) => {
+      args.push(
+        '-map', `[v${i}out]`,
+        `-c:v:${i}`, 'libx264',
+        `-b:v:${i}`, `${r.videoBitrate}k`,
+        `-maxrate:v:${i}`, `${Math.round(r.videoBitrate * 1.07)}k`,
+        `-bufsize:v:${i}`, `${r.videoBitrate * 1.5}k`
+      );
+    });
+
+    if (hasAudio) {
+      // HLS variants each carry their own audio; DASH shares one audio adaptation set
+      const audioRenditions = audioPerRendition ? ladder : [ladder[ladder.length - 1]];
+      audioRenditions.forEach((r, i) => {
+        args.push('-map', 'a:0', `-c:a:${i}`, 'aac', `-b:a:${i}`, `${r.audioBitrate}k`, '-ac', '2');
+      });
+    }
+
+    args.push(
+      '-preset', process.env.TRANSCODE_PRESET || 'veryfast',
+      '-pix_fmt', 'yuv420p',
+      '-sc_threshold', '0',
+      '-force_key_frames', `expr:gte(t,n_forced*${segmentSeconds})`
+    );
+
+    return args;
+  }
+
+  /**
+   * Transcode to HLS: `master.m3u8` plus `<rendition>/index.m3u8` and `.ts` segments
+   */
+  static async transcodeHls(inputPath, outputDir, { ladder, hasAudio, duration, onProgress }) {
+    const segmentSeconds = this.getSegmentSeconds();
+    const streamMap = ladder
+      .map((r, i) => (hasAudio ? `v:${i},a:${i},name:${r.name}` : `v:${i},name:${r.name}`))
+      .join(' ');
+
+    const args = [
+      ...this.buildEncodingArgs(ladder, { hasAudio, segmentSeconds, audioPerRendition: true }),
+      '-f', 'hls',
+      '-hls_time', String(segmentSeconds),
+      '-hls_playlist_type', 'vod',
+      '-hls_flags', 'independent_segments',
+      '-hls_segment_filename', path.join(outputDir, '%v', 'segment_%04d.ts'),
+      '-master_pl_name', 'master.m3u8',
+      '-var_stream_map', streamMap
+    ];
+
+    await VideoAssetService.runCommand(
+      ffmpeg(inputPath).outputOptions(...args).output(path.join(outputDir, '%v', 'index.m3u8')),
+      { duration, onProgress }
+    );
+  }
+
+  /**
+   * Transcode to DASH: `manifest.mpd` plus fMP4 init and media segments
+   */
+  static async transcodeDash(inputPath, outputDir, { ladder, hasAudio, duration, onProgress }) {
+    const segmentSeconds = this.getSegmentSeconds();
+    const args = [
+      ...this.buildEncodingArgs(ladder, { hasAudio, segmentSeconds, audioPerRendition: false }),
+      '-f', 'dash',
+      '-seg_duration', String(segmentSeconds),
+      '-use_template', '1',
+      '-use_timeline', '1',
+      '-init_seg_name', 'init-$RepresentationID$.m4s',
+      '-media_seg_name', 'chunk-$RepresentationID$-$Number%05d$.m4s',
+      '-adaptation_sets', hasAudio ? 'id=0,streams=v id=1,streams=a' : 'id=0,streams=v'
+    ];
+
+    await VideoAssetService.runCommand(
+      ffmpeg(inputPath).outputOptions(...args).output(path.join(outputDir, 'manifest.mpd')),
+      { duration, onProgress }
+    );
+  }
+
+  /**
+   * Store every file below `localDir` under `prefix`, keeping relative paths
+   */
+  static async uploadDirectory(storage, localDir, prefix) {
+    const entries = await fs.promises.readdir(localDir, { withFileTypes: true });
+    let count = 0;
+
+    for (const entry of entries) {
+      const localPath = path.join(localDir, entry.name);
+      if (entry.isDirectory()) {
+        count += await this.uploadDirectory(storage, localPath, `${prefix}/${entry.name}`);
+      } else {
+        await storage.put(`${prefix}/${entry.name}`, fs.createReadStream(localPath));
+        count++;
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Transcode a video from a local copy of its file and store the results
+   * next to its other derived files. Replaces output of earlier runs.
+   *
+   * @param {object} video
+   * @param {string} inputPath
+   * @param {{ duration: number, resolution: { width: number, height: number }, hasAudio: boolean,
+   *           onProgress?: (percent: number) => void }} options
+   * @returns {Promise<object>} value for the video's `streaming` field
+   */
+  static async transcode(video, inputPath, { duration, resolution, hasAudio = false, onProgress } = {}) {
+    const storage = getStorageForVideo(video);
+    const assetPrefix = getVideoAssetPrefix(video);
+    const ladder = this.getLadder(resolution);
+    const withDash = this.isDashEnabled();
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transcode-'));
+    // HLS takes most of the time; DASH (when enabled) re-encodes the same ladder
+    const hlsShare = withDash ? 60 : 100;
+
+    try {
+      console.log(`[TRANSCODING] ${video._id}: ${ladder.map(r => r.name).join(', ')}${withDash ? ' (+DASH)' : ''}`);
+
+      const hlsDir = path.join(workDir, 'hls');
+      await fs.promises.mkdir(hlsDir);
+      await this.transcodeHls(inputPath, hlsDir, {
+        ladder,
+        hasAudio,
+        duration,
+        onProgress: (percent) => onProgress?.(percent * hlsShare / 100)
+      });
+
+      let dashDir = null;
+      if (withDash) {
+        dashDir = path.join(workDir, 'dash');
+        await fs.promises.mkdir(dashDir);
+        await this.transcodeDash(inputPath, dashDir, {
+          ladder,
+          hasAudio,
+          duration,
+          onProgress: (percent) => onProgress?.(hlsShare + percent * (100 - hlsShare) / 100)
+        });
+      }
+
+      const hlsPrefix = `${assetPrefix}/hls`;
+      const dashPrefix = `${assetPrefix}/dash`;
+      await storage.deletePrefix(hlsPrefix);
+      await storage.deletePrefix(dashPrefix);
+      await this.uploadDirectory(storage, hlsDir, hlsPrefix);
+      if (dashDir) {
+        await this.uploadDirectory(storage, dashDir, dashPrefix);
+      }
+
+      return {
+        renditions: ladder.map(r => ({
+          name: r.name,
+          width: r.width,
+          height: r.height,
+          bandwidth: (r.videoBitrate + (hasAudio ? r.audioBitrate : 0)) * 1000
+        })),
+        hls: { prefix: hlsPrefix, masterKey: `${hlsPrefix}/master.m3u8` },
+        dash: dashDir ? { prefix: dashPrefix, manifestKey: `${dashPrefix}/manifest.mpd` } : { prefix: null, manifestKey: null },
+        transcodedAt: new Date()
+      };
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Append a query string to every URI of an HLS playlist (segment, variant and tag URIs)
+   */
+  static signPlaylist(content, query) {
+    const withQuery = (uri) => `${uri}${uri.includes('?') ? '&' : '?'}${query}`;
+
+    return content
+      .split('\n')
+      .map((line) => {
+        const trimmed = line.trim();
+        if (!trimmed) return line;
+        if (trimmed.startsWith('#')) {
+          return line.replace(/URI="([^"]+)"/g, (match, uri) => `URI="${withQuery(uri)}"`);
+        }
+        return withQuery(trimmed);
+      })
+      .join('\n');
+  }
+
+  /**
+   * Append a query string to the segment URLs of a DASH manifest
+   */
+  static signManifest(content, query) {
+    const withQuery = (uri) => `${uri}${uri.includes('?') ? '&amp;' : '?'}${query}`;
+
+    return content
+      .replace(/\b(media|initialization|sourceURL)="([^"]+)"/g, (match, attr, uri) => `${attr}="${withQuery(uri)}"`)
+      .replace(/<BaseURL>([^<]+)<\/BaseURL>/g, (match, uri) => `<BaseURL>${withQuery(uri)}</BaseURL>`);
+  }
+}
+
+module.exports = TranscodingService;
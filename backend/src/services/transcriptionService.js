@@ -0,0 +1,145 @@
+/**
+ * Transcription Service
+ * Extracts the audio track with FFmpeg, transcribes it with a local speech-to-text
+ * engine (see src/transcribers) and analyzes the spoken words with the same
+ * moderation categories as titles and descriptions.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const VideoAssetService = require('./videoAssetService');
+const VisualAnalysisService = require('./visualAnalysisService');
+const ModerationPolicyService = require('./moderationPolicyService');
+const { getTranscriber } = require('../transcribers');
+const { FIELD_WEIGHTS } = require('../config/moderationConfig');
+
+class TranscriptionService {
+  /**
+   * Extract the audio track as 16 kHz mono PCM WAV, the input format whisper models expect
+   */
+  static async extractAudio(inputPath, outputPath, { duration, onProgress } = {}) {
+    await VideoAssetService.runCommand(
+      ffmpeg(inputPath)
+        .noVideo()
+        .outputOptions('-ac', '1', '-ar', '16000', '-c:a', 'pcm_s16le')
+        .output(outputPath),
+      { duration, onProgress }
+    );
+  }
+
+  /**
+   * Transcribe a local copy of a video
+   * @returns {Promise<object>} value for the video's `transcript` field
+   */
+  static async transcribe(inputPath, { duration, onProgress } = {}) {
+    const transcriber = getTranscriber();
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transcription-'));
+    const audioPath = path.join(workDir, 'audio.wav');
+
+    try {
+      // Audio extraction is quick compared to speech recognition
+      await this.extractAudio(inputPath, audioPath, {
+        duration,
+        onProgress: (percent) => onProgress?.(percent * 0.1)
+      });
+      const { language, segments } = await transcriber.transcribe(audioPath, {
+        onProgress: (percent) => onProgress?.(10 + percent * 0.9)
+      });
+
+      console.log(`[TRANSCRIPTION] ${transcriber.name}: ${segments.length} segments (${language || 'unknown language'})`);
+
+      return {
+        engine: transcriber.name,
+        language,
+        text: segments.map(segment => segment.text).join(' '),
+        segments,
+        transcribedAt: new Date()
+      };
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Run a moderation policy's categories over transcript segments.
+   * Scored like a description field: category weight per distinct keyword heard;
+   * every segment it was heard in is kept as a timestamp.
+   */
+  static analyzeTranscript(transcript, policy = ModerationPolicyService.getDefaultPolicy()) {
+    const segments = (transcript?.segments || []).map(segment => ({
+      ...segment,
+      lower: ModerationPolicyService.removeAllowedPhrases(segment.text.toLowerCase(), policy.allowList || [])
+    }));
+    const issues = [];
+
+    for (const category of policy.categories.filter(c => c.enabled !== false)) {
+      let matchedTerms = 0;
+      const timestamps = [];
+
+      ModerationPolicyService.compileCategory(category).forEach((matcher) => {
+        const heardAt = segments.filter(segment => matcher.test(segment.lower));
+        if (heardAt.length === 0) return;
+
+        matchedTerms++;
+        heardAt.forEach(segment => timestamps.push({ time: segment.start, label: matcher.label, confidence: 1 }));
+      });
+
+      if (timestamps.length > 0) {
+        timestamps.sort((a, b) => a.time - b.time);
+        issues.push({
+          category: category.name,
+          score: Math.min(100, Math.round(category.weight * FIELD_WEIGHTS.transcript * matchedTerms)),
+          source: 'transcript',
+          keywords: timestamps.map(t => `${t.label} at ${VisualAnalysisService.formatTimestamp(t.time)}`),
+          timestamps
+        });
+      }
+    }
+
+    return issues;
+  }
+
+  /**
+   * Format seconds as a WebVTT timestamp (HH:MM:SS.mmm)
+   */
+  static formatVttTime(seconds) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+    return `${pad(hours)}:${pad(minutes)}:${pad(secs)}.${pad(ms, 3)}`;
+  }
+
+  /**
+   * Build a WebVTT caption file from transcript segments
+   */
+  static toWebVTT(segments = []) {
+    const cues = segments.map((segment, index) => {
+      // "-->" would end the cue timing line; < and & start markup in cue text
+      const text = segment.text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/-->/g, '->');
+      return `${index + 1}\n${this.formatVttTime(segment.start)} --> ${this.formatVttTime(segment.end)}\n${text}`;
+    });
+
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+  }
+
+  /**
+   * Transcript segments containing `query` (case-insensitive)
+   */
+  static findSegments(segments = [], query) {
+    const needle = query.trim().toLowerCase();
+    if (!needle) return [];
+
+    return segments.filter(segment => segment.text.toLowerCase().includes(needle));
+  }
+}
+
+module.exports = TranscriptionService;
@@ -0,0 +1,269 @@
+/**
+ * Two-Factor Service
+ * Optional TOTP enrollment with recovery codes, the second login step and the
+ * organization setting that requires admins to sign in with a second factor. Admins are
+ * members whose role holds an administrative permission (see config/permissions.js),
+ * so custom roles with admin powers need the second factor too.
+ * A session remembers whether its login passed the second factor
+ * (Session.twoFactorVerified); access tokens carry it as a claim.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const Organization = require('../models/Organization');
+const OrganizationMember = require('../models/OrganizationMember');
+const TotpService = require('./totpService');
+const PermissionService = require('./permissionService');
+const { hasPrivilegedPermission } = require('../config/permissions');
+const { getJwtSecret } = require('../config/authConfig');
+
+const CHALLENGE_PURPOSE = 'login-2fa';
+const CHALLENGE_TTL = '5m';
+const RECOVERY_CODE_COUNT = 10;
+
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+// Recovery codes are compared without case, spaces or dashes
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+class TwoFactorService {
+  /**
+   * Short-lived token proving the password step of a login passed.
+   * It has no session, so it is not accepted as an access token.
+   */
+  static createChallenge(user) {
+    return jwt.sign(
+      { userId: user._id.toString(), purpose: CHALLENGE_PURPOSE },
+      getJwtSecret(),
+      { expiresIn: CHALLENGE_TTL }
+    );
+  }
+
+  /**
+   * @returns {string|null} user id of a valid challenge token
+   */
+  static verifyChallenge(challengeToken) {
+    if (typeof challengeToken !== 'string' || !challengeToken) return null;
+    try {
+      const decoded = jwt.verify(challengeToken, getJwtSecret());
+      return decoded.purpose === CHALLENGE_PURPOSE ? decoded.userId : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * New recovery codes, e.g. "3f9a1-c07d2"; only their hashes are stored
+   */
+  static generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const code = crypto.randomBytes(5).toString('hex');
+      return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+  }
+
+  static async getStatus(userId) {
+    const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+    if (!user) return null;
+
+    return {
+      enabled: user.twoFactor.enabled,
+      enabledAt: user.twoFactor.enabledAt,
+      recoveryCodesRemaining: user.twoFactor.enabled ? user.twoFactor.recoveryCodes.length : 0
+    };
+  }
+
+  /**
+   * Start enrollment with a new secret; replaces any unconfirmed one
+   * @returns {Promise<{ secret: string, otpauthUrl: string }>}
+   */
+  static async beginSetup(user) {
+    const secret = TotpService.generateSecret();
+    await User.updateOne({ _id: user._id }, { 'twoFactor.pendingSecret': TotpService.encryptSecret(secret) });
+
+    return {
+      secret,
+      otpauthUrl: TotpService.getProvisioningUri(secret, user.email)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a code from the authenticator app
+   * @returns {Promise<{ error?: string, recoveryCodes?: string[] }>}
+   */
+  static async enable(userId, code) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user) {
+      return { error: 'User not found' };
+    }
+    if (user.twoFactor.enabled) {
+      return { error: 'Two-factor authentication is already enabled' };
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return { error: 'Start two-factor setup first' };
+    }
+
+    const step = TotpService.verifyCode(TotpService.decryptSecret(user.twoFactor.pendingSecret), code);
+    if (step === null) {
+      return { error: 'Invalid verification code' };
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    const enabled = await User.findOneAndUpdate(
+      { _id: userId, 'twoFactor.enabled': { $ne: true }, 'twoFactor.pendingSecret': user.twoFactor.pendingSecret },
+      {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': user.twoFactor.pendingSecret,
+        'twoFactor.pendingSecret': null,
+        'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode),
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date()
+      }
+    );
+    if (!enabled) {
+      return { error: 'Two-factor setup changed meanwhile. Please start again' };
+    }
+
+    console.log(`[2FA] Enabled for user ${userId}`);
+    return { recoveryCodes };
+  }
+
+  /**
+   * Check an authenticator code; each code is accepted once
+   */
+  static async verifyCode(userId, code) {
+    const user = await User.findById(userId).select(SECRET_FIELDS);
+    if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) return false;
+
+    const step = TotpService.verifyCode(TotpService.decryptSecret(user.twoFactor.secret), code);
+    if (step === null) return false;
+
+    const accepted = await User.updateOne(
+      {
+        _id: userId,
+        $or: [{ 'twoFactor.lastUsedStep': null }, { 'twoFactor.lastUsedStep': { $lt: step } }]
+      },
+      { 'twoFactor.lastUsedStep': step }
+    );
+    return accepted.modifiedCount === 1;
+  }
+
+  /**
+   * Use up a recovery code
+   */
+  static async useRecoveryCode(userId, recoveryCode) {
+    if (!normalizeRecoveryCode(recoveryCode)) return false;
+
+    const hash = hashRecoveryCode(recoveryCode);
+    const result = await User.updateOne(
+      { _id: userId, 'twoFactor.enabled': true, 'twoFactor.recoveryCodes': hash },
+      { $pull: { 'twoFactor.recoveryCodes': hash } }
+    );
+    if (result.modifiedCount === 1) {
+      console.log(`[2FA] Recovery code used by user ${userId}`);
+      return true;
+    }
+    return false;
+  }
+
+  /**
+   * Check either an authenticator code or a recovery code
+   */
+  static async verifySecondFactor(userId, { code, recoveryCode } = {}) {
+    if (recoveryCode) {
+      return this.useRecoveryCode(userId, recoveryCode);
+    }
+    return this.verifyCode(userId, code);
+  }
+
+  /**
+   * Replace all recovery codes
+   * @returns {Promise<string[]>} the new codes
+   */
+  static async regenerateRecoveryCodes(userId) {
+    const recoveryCodes = this.generateRecoveryCodes();
+    await User.updateOne(
+      { _id: userId, 'twoFactor.enabled': true },
+      { 'twoFactor.recoveryCodes': recoveryCodes.map(hashRecoveryCode) }
+    );
+    return recoveryCodes;
+  }
+
+  /**
+   * Turn two-factor authentication off; sessions of the user no longer count as verified
+   */
+  static async disable(userId) {
+    await User.updateOne(
+      { _id: userId },
+      {
+        'twoFactor.enabled': false,
+        'twoFactor.secret': null,
+        'twoFactor.pendingSecret': null,
+        'twoFactor.recoveryCodes': [],
+        'twoFactor.lastUsedStep': null,
+        'twoFactor.enabledAt': null
+      }
+    );
+    await Session.updateMany({ userId }, { twoFactorVerified: false });
+    console.log(`[2FA] Disabled for user ${userId}`);
+  }
+
+  static async markSessionVerified(sessionId) {
+    return Session.findOneAndUpdate(
+      { _id: sessionId, revokedAt: null },
+      { twoFactorVerified: true },
+      { new: true }
+    );
+  }
+
+  /**
+   * Whether the role of a membership has administrative permissions
+   */
+  static async isAdminMembership(membership) {
+    return hasPrivilegedPermission(await PermissionService.getRolePermissions(membership.organizationId, membership.role));
+  }
+
+  /**
+   * Organizations where the user is an admin and admins must use two-factor authentication
+   */
+  static async findRequiringOrganizations(userId) {
+    const memberships = await OrganizationMember.find({ userId }).select('organizationId role');
+    if (memberships.length === 0) return [];
+
+    const permissions = await PermissionService.getMembershipPermissions(memberships);
+    const adminOrganizationIds = memberships
+      .filter(m => hasPrivilegedPermission(permissions.get(m._id.toString())))
+      .map(m => m.organizationId);
+    if (adminOrganizationIds.length === 0) return [];
+
+    return Organization.find({
+      _id: { $in: adminOrganizationIds },
+      'settings.requireTwoFactorForAdmins': true
+    }).select('name');
+  }
+
+  /**
+   * Block admin access without a verified second factor when the organization requires it
+   * @returns {Promise<{ status: number, error: string, code: string }|null>}
+   */
+  static async getAdminAccessBlocker(req, membership) {
+    if (req.twoFactorVerified || !(await this.isAdminMembership(membership))) return null;
+
+    const required = await Organization.exists({
+      _id: membership.organizationId,
+      'settings.requireTwoFactorForAdmins': true
+    });
+    if (!required) return null;
+
+    return {
+      status: 403,
+      error: 'This organization requires admins to sign in with two-factor authentication',
+      code: 'TWO_FACTOR_REQUIRED'
+    };
+  }
+}
+
+module.exports = TwoFactorService;
@@ -0,0 +1,277 @@
+/**
+ * Upload Session Service
+ * Resumable uploads for large videos, modelled on the tus protocol:
+ * 1. POST /api/videos/uploads declares the file (name, size, type) and the video metadata
+ * 2. PUT /api/videos/uploads/:id sends the next chunk, starting at the `Upload-Offset` header
+ * 3. after an interruption, GET (or HEAD) /api/videos/uploads/:id tells where to continue
+ * 4. POST /api/videos/uploads/:id/complete moves the file to storage and creates the video
+ *
+ * Chunks are appended to a staged file under UPLOAD_STAGING_DIR (see config/uploadConfig.js).
+ * Bytes received before a connection drops are kept, so no chunk is sent twice in full.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const UploadSession = require('../models/UploadSession');
+const VideoAccessPolicy = require('./videoAccessPolicy');
+const TagService = require('./tagService');
+const { getStorage, buildUploadKey } = require('../storage');
+const {
+  ALLOWED_VIDEO_TYPES,
+  getResumableUploadMaxSize,
+  getUploadChunkMaxSize,
+  getUploadSessionTtlMs,
+  getUploadStagingDir
+} = require('../config/uploadConfig');
+
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Uploads with a chunk being received by this process: one chunk at a time per upload
+const activeWrites = new Set();
+
+const getExpiry = () => new Date(Date.now() + getUploadSessionTtlMs());
+
+class UploadSessionService {
+  /**
+   * Check the file and video metadata of a new upload
+   * @returns {string|null} error message
+   */
+  static validateInput({ filename, size, mimeType, title, tags, visibility }) {
+    if (typeof filename !== 'string' || !filename.trim() || filename.length > 255) {
+      return 'filename is required (at most 255 characters)';
+    }
+    if (!Number.isInteger(size) || size < 1) {
+      return 'size must be the file size in bytes';
+    }
+    const maxSize = getResumableUploadMaxSize();
+    if (size > maxSize) {
+      return `File is too large (max ${Math.floor(maxSize / (1024 * 1024))} MB)`;
+    }
+    if (!ALLOWED_VIDEO_TYPES.includes(mimeType)) {
+      return 'Only video files are allowed';
+    }
+    if (typeof title !== 'string' || title.trim().length < 3) {
+      return 'Video title is required (at least 3 characters)';
+    }
+    const { error: tagsError } = TagService.parseTags(tags);
+    if (tagsError) {
+      return tagsError;
+    }
+    if (visibility !== undefined) {
+      return VideoAccessPolicy.validateVisibility(visibility);
+    }
+    return null;
+  }
+
+  static getStagingPath(session) {
+    return path.join(getUploadStagingDir(), `${session._id}.part`);
+  }
+
+  /**
+   * Start an upload for a member of an organization
+   */
+  static async create({ userId, organizationId }, { filename, size, mimeType, title, description, category, tags, visibility }) {
+    const session = await UploadSession.create({
+      userId,
+      organizationId,
+      filename: filename.trim(),
+      mimeType,
+      size,
+      title: title.trim(),
+      description: description || '',
+      category: category || 'general',
+      tags: TagService.parseTags(tags).tags,
+      visibility: visibility || 'organization',
+      expiresAt: getExpiry()
+    });
+
+    await fs.promises.mkdir(getUploadStagingDir(), { recursive: true });
+    await fs.promises.writeFile(this.getStagingPath(session), '');
+    return session;
+  }
+
+  /**
+   * Unexpired upload started by the user in the organization, or null
+   */
+  static async findForUser(uploadId, userId, organizationId) {
+    if (!mongoose.Types.ObjectId.isValid(uploadId)) return null;
+    return UploadSession.findOne({
+      _id: uploadId,
+      userId,
+      organizationId,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  static describe(session) {
+    return {
+      id: session._id,
+      filename: session.filename,
+      size: session.size,
+      offset: session.offset,
+      status: session.status,
+      videoId: session.videoId,
+      expiresAt: session.expiresAt
+    };
+  }
+
+  /**
+   * Most bytes the next chunk of an upload may carry
+   */
+  static getChunkLimit(session) {
+    return Math.min(getUploadChunkMaxSize(), session.size - session.offset);
+  }
+
+  /**
+   * Append the chunk read from `source` at the current offset of the upload
+   * and record the new offset, including bytes of a chunk that was cut short.
+   * @returns {Promise<{ offset: number, status?: number, error?: string }>}
+   */
+  static async appendChunk(session, source) {
+    const id = session._id.toString();
+    if (activeWrites.has(id)) {
+      return { offset: session.offset, status: 409, error: 'Another chunk of this upload is still being received' };
+    }
+    activeWrites.add(id);
+
+    const filePath = this.getStagingPath(session);
+    const limit = this.getChunkLimit(session);
+    // Bytes past the limit are read and dropped (instead of resetting the connection)
+    // so the client still gets the response with the offset to continue from
+    let received = 0;
+    const limiter = new Transform({
+      transform(chunk, encoding, callback) {
+        const accepted = Math.max(0, Math.min(chunk.length, limit - received));
+        received += chunk.length;
+        callback(null, accepted < chunk.length ? chunk.subarray(0, accepted) : chunk);
+      }
+    });
+
+    // Written over whatever follows the recorded offset (bytes of a process that stopped
+    // mid-chunk); the pipeline starts right away so no data of `source` is missed
+    const output = fs.createWriteStream(filePath, { flags: 'r+', start: session.offset });
+
+    try {
+      let failure = null;
+      try {
+        await pipeline(source, limiter, output);
+      } catch (error) {
+        failure = error;
+      }
+
+      if (failure && failure.code === 'ENOENT') {
+        return { offset: session.offset, status: 410, error: 'The received bytes of this upload are gone. Please start a new upload' };
+      }
+
+      session.offset = Math.min(session.offset + output.bytesWritten, session.size);
+      session.expiresAt = getExpiry();
+      await fs.promises.truncate(filePath, session.offset);
+      await UploadSession.updateOne(
+        { _id: session._id },
+        { $set: { offset: session.offset, expiresAt: session.expiresAt } }
+      );
+
+      if (failure) {
+        console.warn(`[UPLOAD] Chunk of upload ${id} interrupted at offset ${session.offset}:`, failure.message);
+        return { offset: session.offset, status: 400, error: 'The chunk was not received completely' };
+      }
+      if (received > limit) {
+        return { offset: session.offset, status: 413, error: `Chunks of this upload can be at most ${limit} bytes` };
+      }
+      return { offset: session.offset };
+    } finally {
+      activeWrites.delete(id);
+    }
+  }
+
+  /**
+   * Mark a fully received upload as being completed
+   * @returns {Promise<object|null>} the session, or null when another request got it first
+   */
+  static claimForCompletion(session) {
+    return UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'pending', offset: session.size },
+      { $set: { status: 'finalizing', expiresAt: getExpiry() } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Move the staged file to the storage driver for new uploads
+   * @returns {Promise<{ originalname: string, storageKey: string, storageProvider: string, size: number }>}
+   */
+  static async storeFile(session) {
+    const storage = getStorage();
+    const storageKey = buildUploadKey('videos', session.organizationId, session.filename);
+    await storage.put(storageKey, fs.createReadStream(this.getStagingPath(session)), {
+      contentType: session.mimeType
+    });
+
+    return {
+      originalname: session.filename,
+      storageKey,
+      storageProvider: storage.name,
+      size: session.size
+    };
+  }
+
+  /**
+   * Record the created video and drop the staged file. The session is kept until
+   * it expires so a repeated completion request gets the same video.
+   */
+  static async complete(session, video) {
+    session.status = 'completed';
+    session.videoId = video._id;
+    await session.save();
+    await fs.promises.rm(this.getStagingPath(session), { force: true });
+  }
+
+  /**
+   * Undo a failed completion: the upload can be completed again, and the
+   * file already copied to storage (if any) is removed
+   */
+  static async release(session, file = null) {
+    await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'pending' } });
+    if (file) {
+      await getStorage(file.storageProvider).delete(file.storageKey).catch((error) => {
+        console.error(`[UPLOAD] Failed to remove ${file.storageKey}:`, error.message);
+      });
+    }
+  }
+
+  static async remove(session) {
+    await UploadSession.deleteOne({ _id: session._id });
+    await fs.promises.rm(this.getStagingPath(session), { force: true });
+  }
+
+  /**
+   * Delete expired uploads and their staged bytes
+   * @returns {Promise<number>} number of uploads removed
+   */
+  static async cleanupExpired() {
+    const expired = await UploadSession.find({ expiresAt: { $lte: new Date() } }).select('_id');
+    for (const session of expired) {
+      await this.remove(session);
+    }
+    if (expired.length) {
+      console.log(`[UPLOAD] Removed ${expired.length} expired upload(s)`);
+    }
+    return expired.length;
+  }
+
+  /**
+   * Remove expired uploads now and every hour
+   */
+  static startCleanup() {
+    const run = () => this.cleanupExpired().catch((error) => {
+      console.error('[UPLOAD] Cleanup of expired uploads failed:', error.message);
+    });
+    run();
+    setInterval(run, CLEANUP_INTERVAL_MS).unref();
+  }
+}
+
+module.exports = UploadSessionService;
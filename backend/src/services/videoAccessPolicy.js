@@ -0,0 +1,207 @@
+/**
+ * Video Access Policy
+ * The one place that decides who can watch a video. Listing, detail, streaming,
+ * transcripts and statistics all go through it so the rules cannot drift apart.
+ *
+ * Visibility levels:
+ * - private: the uploader only
+ * - restricted: the uploader plus the members and roles it is shared with
+ * - organization: every member of the video's organization
+ * - unlisted: anyone with the link, but not listed publicly
+ * - public: anyone, and listed on the public page
+ *
+ * Members with video:view:private see every video of their organization.
+ * Flagged videos are never shown outside their organization (like share links, see
+ * shareLinkService.js): unlisted and public ones are then only open to its members.
+ */
+
+const mongoose = require('mongoose');
+const OrganizationMember = require('../models/OrganizationMember');
+const PermissionService = require('./permissionService');
+
+const VISIBILITY_LEVELS = ['private', 'restricted', 'organization', 'unlisted', 'public'];
+
+// Watchable without being a member of the video's organization
+const OPEN_VISIBILITIES = ['unlisted', 'public'];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const toId = (value) => (value && value._id ? value._id : value)?.toString();
+
+class VideoAccessPolicy {
+  static get visibilityLevels() {
+    return VISIBILITY_LEVELS;
+  }
+
+  /**
+   * Visibility of a video, falling back to isPublic for videos saved before it existed
+   */
+  static getVisibility(video) {
+    return video.visibility || (video.isPublic ? 'public' : 'organization');
+  }
+
+  /**
+   * Who is asking, as seen from one organization: their membership there (null when
+   * they are not a member or not logged in) and the permissions it grants.
+   * Reuses what organizationMiddleware loaded when it is for the same organization.
+   * @returns {Promise<{ userId: string|null, membership: object|null, permissions: string[] }>}
+   */
+  static async getViewer(req, organizationId) {
+    const orgId = toId(organizationId);
+    if (!req.userId) {
+      return { userId: null, membership: null, permissions: [] };
+    }
+
+    if (req.membership && toId(req.membership.organizationId) === orgId) {
+      return { userId: req.userId.toString(), membership: req.membership, permissions: req.permissions || [] };
+    }
+
+    const membership = await OrganizationMember.findOne({ userId: req.userId, organizationId: orgId });
+    return {
+      userId: req.userId.toString(),
+      membership,
+      permissions: membership ? await PermissionService.getRolePermissions(orgId, membership.role) : []
+    };
+  }
+
+  /**
+   * Whether anyone can watch a video, members of its organization or not
+   */
+  static isOpen(video) {
+    return OPEN_VISIBILITIES.includes(this.getVisibility(video)) && video.status !== 'flagged';
+  }
+
+  /**
+   * Whether a viewer (see getViewer, for the video's organization) can watch a video
+   */
+  static canView(video, viewer) {
+    if (this.isOpen(video)) return true;
+    if (!viewer.membership) return false;
+
+    if (toId(video.userId) === viewer.userId) return true;
+    if (viewer.permissions.includes('video:view:private')) return true;
+    if (this.isOrganizationWide(video)) return true;
+
+    switch (this.getVisibility(video)) {
+      case 'restricted':
+        return (video.allowedUsers || []).some(userId => toId(userId) === viewer.userId) ||
+          (video.allowedRoles || []).includes(viewer.membership.role);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Whether every member of the video's organization can watch it
+   */
+  static isOrganizationWide(video) {
+    return ['organization', ...OPEN_VISIBILITIES].includes(this.getVisibility(video));
+  }
+
+  /**
+   * Why a request may not watch a video, or null when it may
+   */
+  static async getViewBlocker(req, video) {
+    const viewer = await this.getViewer(req, video.organizationId);
+    if (this.canView(video, viewer)) return null;
+
+    return viewer.userId
+      ? { status: 403, error: 'Access denied to this video' }
+      : { status: 401, error: 'Authentication required to view this video' };
+  }
+
+  /**
+   * MongoDB filter for the videos of an organization a viewer can see.
+   * Ids are ObjectIds so the filter also works in aggregation pipelines.
+   */
+  static getListFilter(organizationId, viewer) {
+    const filter = { organizationId: toObjectId(organizationId) };
+    if (!viewer.membership) {
+      return { ...filter, ...this.getPublicFilter() };
+    }
+    if (viewer.permissions.includes('video:view:private')) {
+      return filter;
+    }
+
+    const userId = toObjectId(viewer.userId);
+    return {
+      ...filter,
+      $or: [
+        { userId },
+        { visibility: { $in: ['organization', ...OPEN_VISIBILITIES] } },
+        // Saved before visibility existed: public or organization
+        { visibility: null },
+        {
+          visibility: 'restricted',
+          $or: [{ allowedUsers: userId }, { allowedRoles: viewer.membership.role }]
+        }
+      ]
+    };
+  }
+
+  /**
+   * MongoDB filter for videos listed publicly
+   */
+  static getPublicFilter() {
+    return {
+      status: { $ne: 'flagged' },
+      $or: [
+        { visibility: 'public' },
+        { visibility: null, isPublic: true }
+      ]
+    };
+  }
+
+  /**
+   * Check a visibility change
+   * @param {string} visibility
+   * @param {object} [video] existing video; flagged ones cannot be opened to everyone
+   *   (keeping the visibility they already have is fine, see isOpen)
+   * @returns {string|null} error message
+   */
+  static validateVisibility(visibility, video) {
+    if (!VISIBILITY_LEVELS.includes(visibility)) {
+      return `Invalid visibility. Must be one of: ${VISIBILITY_LEVELS.join(', ')}`;
+    }
+    if (video?.status === 'flagged' && OPEN_VISIBILITIES.includes(visibility) &&
+        visibility !== this.getVisibility(video)) {
+      return 'Flagged videos cannot be made unlisted or public';
+    }
+    return null;
+  }
+
+  /**
+   * Set the visibility of a video, keeping isPublic in sync
+   */
+  static applyVisibility(video, visibility) {
+    video.visibility = visibility;
+    video.isPublic = visibility === 'public';
+  }
+
+  /**
+   * Check who a video is shared with: members of its organization and existing roles
+   * @returns {Promise<string|null>} error message
+   */
+  static async validateShares(organizationId, { userIds = [], roles = [] }) {
+    if (!Array.isArray(userIds) || !Array.isArray(roles)) {
+      return 'userIds and roles must be lists';
+    }
+    if (userIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      return 'Invalid user id';
+    }
+
+    const uniqueIds = [...new Set(userIds.map(String))];
+    const members = await OrganizationMember.countDocuments({ organizationId, userId: { $in: uniqueIds } });
+    if (members !== uniqueIds.length) {
+      return 'Videos can only be shared with members of the organization';
+    }
+
+    for (const role of new Set(roles)) {
+      const roleError = await PermissionService.validateRole(organizationId, role);
+      if (roleError) return roleError;
+    }
+    return null;
+  }
+}
+
+module.exports = VideoAccessPolicy;
@@ -0,0 +1,198 @@
+/**
+ * Video Asset Service
+ * Generates files derived from an uploaded video with FFmpeg:
+ * a poster thumbnail and a storyboard sprite (a grid of evenly spaced frames used for seek previews)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const { getStorageForVideo, getVideoAssetPrefix } = require('../storage');
+
+class VideoAssetService {
+  static THUMBNAIL = {
+    maxWidth: 640,
+    // Seek a little into the video to skip black intro frames
+    offsetRatio: 0.1,
+    maxOffset: 10
+  };
+
+  static STORYBOARD = {
+    columns: 10,
+    maxFrames: 100,
+    frameWidth: 160
+  };
+
+  /**
+   * Convert an FFmpeg timemark ("HH:MM:SS.ms") to seconds
+   */
+  static parseTimemark(timemark) {
+    if (typeof timemark === 'number') return timemark;
+    if (!timemark) return 0;
+
+    return String(timemark).split(':').reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+  }
+
+  /**
+   * Output dimensions for a frame scaled to `targetWidth`, keeping the aspect ratio.
+   * Heights are rounded to even numbers as required by most encoders.
+   */
+  static getScaledSize(resolution, targetWidth) {
+    const { width = 0, height = 0 } = resolution || {};
+    const outWidth = width > 0 ? Math.min(targetWidth, width) : targetWidth;
+    // Assume 16:9 when ffprobe could not read the resolution
+    const ratio = width > 0 && height > 0 ? height / width : 9 / 16;
+    const outHeight = Math.max(2, Math.round(outWidth * ratio / 2) * 2);
+
+    return { width: outWidth, height: outHeight };
+  }
+
+  /**
+   * Frame count, spacing and grid size of the storyboard for a video of `duration` seconds
+   */
+  static getStoryboardLayout(duration, options = this.STORYBOARD) {
+    const frameCount = Math.max(1, Math.min(options.maxFrames, Math.floor(duration)));
+    const columns = Math.min(options.columns, frameCount);
+
+    return {
+      frameCount,
+      interval: duration / frameCount,
+      columns,
+      rows: Math.ceil(frameCount / columns)
+    };
+  }
+
+  /**
+   * Run an FFmpeg command, reporting progress (0-100) of the processed timeline
+   * @param {import('fluent-ffmpeg').FfmpegCommand} command
+   * @param {{ duration?: number, onProgress?: (percent: number) => void }} options
+   */
+  static runCommand(command, { duration = 0, onProgress } = {}) {
+    return new Promise((resolve, reject) => {
+      command
+        .on('progress', (progress) => {
+          if (!onProgress) return;
+
+          // fluent-ffmpeg's own percent is unreliable with filters, so derive it from the timemark
+          const percent = duration > 0
+            ? (this.parseTimemark(progress.timemark) / duration) * 100
+            : progress.percent;
+
+          if (Number.isFinite(percent)) {
+            onProgress(Math.max(0, Math.min(100, percent)));
+          }
+        })
+        .on('error', (error, stdout, stderr) => {
+          const detail = stderr ? stderr.trim().split('\n').slice(-1)[0] : '';
+          reject(new Error(detail ? `${error.message} (${detail})` : error.message));
+        })
+        .on('end', () => resolve())
+        .run();
+    });
+  }
+
+  /**
+   * Extract a single poster frame as JPEG
+   */
+  static async generateThumbnail(inputPath, outputPath, { duration = 0, resolution } = {}) {
+    const { maxWidth, offsetRatio, maxOffset } = this.THUMBNAIL;
+    const size = this.getScaledSize(resolution, maxWidth);
+    const timestamp = Math.min(duration * offsetRatio, maxOffset);
+
+    await this.runCommand(
+      ffmpeg(inputPath)
+        .seekInput(timestamp)
+        .outputOptions(['-frames:v 1', '-q:v 3'])
+        .videoFilters(`scale=${size.width}:${size.height}`)
+        .output(outputPath)
+    );
+
+    return { ...size, timestamp };
+  }
+
+  /**
+   * Sample frames across the whole video and tile them into a single JPEG sprite
+   */
+  static async generateStoryboard(inputPath, outputPath, { duration, resolution, onProgress } = {}) {
+    if (!duration || duration <= 0) {
+      throw new Error('Video duration is required to build a storyboard');
+    }
+
+    const layout = this.getStoryboardLayout(duration);
+    const frame = this.getScaledSize(resolution, this.STORYBOARD.frameWidth);
+
+    await this.runCommand(
+      ffmpeg(inputPath)
+        .videoFilters([
+          `fps=${(1 / layout.interval).toFixed(6)}`,
+          `scale=${frame.width}:${frame.height}`,
+          `tile=${layout.columns}x${layout.rows}`
+        ])
+        .outputOptions(['-frames:v 1', '-q:v 5', '-an'])
+        .output(outputPath),
+      { duration, onProgress }
+    );
+
+    return {
+      ...layout,
+      frameWidth: frame.width,
+      frameHeight: frame.height
+    };
+  }
+
+  /**
+   * Generate the thumbnail and storyboard for a video from a local copy of its file
+   * and store them next to the video's other derived files.
+   * Each asset is optional: a failure is reported in `errors` instead of thrown.
+   *
+   * @param {object} video
+   * @param {string} inputPath - local path of the source file
+   * @param {{ duration: number, resolution: { width: number, height: number },
+   *           onProgress?: (step: 'thumbnail'|'storyboard', percent: number) => void }} options
+   */
+  static async generateAssets(video, inputPath, { duration, resolution, onProgress } = {}) {
+    const storage = getStorageForVideo(video);
+    const prefix = getVideoAssetPrefix(video);
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'video-assets-'));
+    const assets = { thumbnail: null, storyboard: null, errors: [] };
+
+    try {
+      try {
+        const thumbnailPath = path.join(workDir, 'thumbnail.jpg');
+        const thumbnail = await this.generateThumbnail(inputPath, thumbnailPath, { duration, resolution });
+        const key = `${prefix}/thumbnail.jpg`;
+        await storage.put(key, fs.createReadStream(thumbnailPath), { contentType: 'image/jpeg' });
+
+        assets.thumbnail = { key, width: thumbnail.width, height: thumbnail.height, generatedAt: new Date() };
+        onProgress?.('thumbnail', 100);
+      } catch (error) {
+        console.error('[ASSETS] Thumbnail generation failed:', error.message);
+        assets.errors.push({ step: 'thumbnail', error: error.message });
+      }
+
+      try {
+        const storyboardPath = path.join(workDir, 'storyboard.jpg');
+        const storyboard = await this.generateStoryboard(inputPath, storyboardPath, {
+          duration,
+          resolution,
+          onProgress: (percent) => onProgress?.('storyboard', percent)
+        });
+        const key = `${prefix}/storyboard.jpg`;
+        await storage.put(key, fs.createReadStream(storyboardPath), { contentType: 'image/jpeg' });
+
+        assets.storyboard = { key, ...storyboard, generatedAt: new Date() };
+        onProgress?.('storyboard', 100);
+      } catch (error) {
+        console.error('[ASSETS] Storyboard generation failed:', error.message);
+        assets.errors.push({ step: 'storyboard', error: error.message });
+      }
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+
+    return assets;
+  }
+}
+
+module.exports = VideoAssetService;
@@ -0,0 +1,134 @@
+/**
+ * Video Filter Service
+ * Builds MongoDB filters from the query parameters of the advanced video filter,
+ * shared by the filter endpoint and bulk operations on matching videos.
+ */
+
+const TagService = require('./tagService');
+
+const STATUSES = ['uploaded', 'processing', 'safe', 'flagged', 'failed'];
+// min<Name>/max<Name> parameters and the fields they apply to
+const NUMERIC_RANGES = {
+  Height: 'technicalMetadata.height',
+  Width: 'technicalMetadata.width',
+  Fps: 'technicalMetadata.fps',
+  Bitrate: 'technicalMetadata.bitrate',
+  Duration: 'duration'
+};
+const PARAM_NAMES = [
+  'status', 'sensitivity', 'dateFrom', 'dateTo', 'minSize', 'maxSize', 'category', 'tags',
+  'videoCodec', 'audioCodec', 'container', 'hasAudio', 'rotation',
+  ...Object.keys(NUMERIC_RANGES).flatMap(name => [`min${name}`, `max${name}`])
+];
+
+class VideoFilterService {
+  /**
+   * Keep only known filter parameters with scalar values, e.g. before storing them in a job
+   */
+  static pickParams(params = {}) {
+    return Object.fromEntries(PARAM_NAMES
+      .filter(name => ['string', 'number', 'boolean'].includes(typeof params[name]))
+      .map(name => [name, params[name]]));
+  }
+
+  /**
+   * Filters for the given parameters; unknown or invalid parameters are ignored.
+   * Organization and role restrictions are left to the caller.
+   * @param {object} params - status, sensitivity, dateFrom, dateTo, minSize, maxSize, category,
+   *   tags (comma-separated, videos with all of them), videoCodec, audioCodec, container, hasAudio, rotation and min/max Height, Width, Fps, Bitrate, Duration
+   */
+  static buildFilters(params = {}) {
+    const {
+      status,
+      sensitivity,
+      dateFrom,
+      dateTo,
+      minSize,
+      maxSize,
+      category,
+      videoCodec,
+      audioCodec,
+      container,
+      hasAudio
+    } = params;
+
+    const filters = {};
+
+    // Status filter
+    if (status && STATUSES.includes(status)) {
+      filters.status = status;
+    }
+
+    // Sensitivity filter
+    if (sensitivity && ['safe', 'flagged'].includes(sensitivity)) {
+      filters['sensitivityAnalysis.result'] = sensitivity;
+    }
+
+    // Date range filter
+    if (dateFrom || dateTo) {
+      filters.createdAt = {};
+      if (dateFrom) {
+        filters.createdAt.$gte = new Date(dateFrom);
+      }
+      if (dateTo) {
+        filters.createdAt.$lte = new Date(dateTo);
+      }
+    }
+
+    // File size filter
+    if (minSize || maxSize) {
+      filters.size = {};
+      if (minSize) {
+        filters.size.$gte = parseInt(minSize);
+      }
+      if (maxSize) {
+        filters.size.$lte = parseInt(maxSize);
+      }
+    }
+
+    // Category filter
+    if (category) {
+      filters.category = category;
+    }
+
+    // Tag filter: videos with every listed tag
+    const tags = TagService.parseList(params.tags);
+    if (tags.length) {
+      filters.tags = { $all: tags };
+    }
+
+    // Technical metadata filters (exact codec/container names as reported by ffprobe)
+    if (videoCodec) {
+      filters['technicalMetadata.videoCodec'] = String(videoCodec).toLowerCase();
+    }
+    if (audioCodec) {
+      filters['technicalMetadata.audioCodec'] = String(audioCodec).toLowerCase();
+    }
+    if (container) {
+      // format_name lists aliases, e.g. "mov,mp4,m4a,3gp,3g2,mj2"
+      const escaped = String(container).toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      filters['technicalMetadata.container'] = new RegExp(`(^|,)${escaped}(,|$)`);
+    }
+    if (hasAudio === 'true' || hasAudio === 'false' || typeof hasAudio === 'boolean') {
+      filters['technicalMetadata.hasAudio'] = String(hasAudio) === 'true';
+    }
+
+    for (const [name, field] of Object.entries(NUMERIC_RANGES)) {
+      const min = parseFloat(params[`min${name}`]);
+      const max = parseFloat(params[`max${name}`]);
+      if (Number.isFinite(min) || Number.isFinite(max)) {
+        filters[field] = {};
+        if (Number.isFinite(min)) filters[field].$gte = min;
+        if (Number.isFinite(max)) filters[field].$lte = max;
+      }
+    }
+
+    if (params.rotation !== undefined && [0, 90, 180, 270].includes(parseInt(params.rotation))) {
+      filters['technicalMetadata.rotation'] = parseInt(params.rotation);
+    }
+
+    return filters;
+  }
+}
+
+module.exports = VideoFilterService;
@@ -8,6 +8,17 @@ const Video = require('../models/Video');
 const ffmpeg = require('fluent-ffmpeg');
 const path = require('path');
 const { execSync } = require('child_process');
+const { getStorageForVideo, getVideoStorageKey } = require('../storage');
+const VideoStreamingService = require('./videoStreamingService');
+const VideoAssetService = require('./videoAssetService');
+const TranscodingService = require('./transcodingService');
+const ModerationPolicyService = require('./moderationPolicyService');
+const VisualAnalysisService = require('./visualAnalysisService');
+const TranscriptionService = require('./transcriptionService');
+const { isVisualAnalysisEnabled } = require('../config/visualAnalysisConfig');
+const { isTranscriptionEnabled } = require('../config/transcriptionConfig');
+const { getMaxVideoSize } = require('../config/uploadConfig');
+const { DEFAULT_KEYWORD_CATEGORIES, DEFAULT_FLAG_THRESHOLD, FIELD_WEIGHTS } = require('../config/moderationConfig');
 
 // Configure FFmpeg paths: use environment variables or static binaries
 function setupFFmpegPaths() {
@@ -36,57 +47,19 @@ function setupFFmpegPaths() {
 // Initialize on module load
 setupFFmpegPaths();
 
-// Flagging threshold: score strictly greater than this marks video as 'flagged'
-const FLAG_THRESHOLD = 30;
-
 class VideoProcessingService {
   /**
    * Comprehensive keyword lists for different content categories
+   * (the built-in policy; organizations can define their own)
    */
-  static KEYWORD_CATEGORIES = {
-    // Explicit/Adult content
-    explicit: {
-      keywords: ['adult', 'explicit', 'porn', 'xxx', 'sexual', 'nude', 'naked', 'sex', 'xxx', 'hot', 'strip', 'naked', 'orgasm', 'intercourse'],
-      weight: 40,
-      category: 'Explicit Content'
-    },
-    // Violence/Gore
-    violence: {
-      keywords: ['violence', 'murder', 'kill', 'death', 'gore', 'blood', 'brutal', 'assault', 'fight', 'weapon', 'gun', 'knife', 'shoot'],
-      weight: 30,
-      category: 'Violence/Gore'
-    },
-    // Hate speech/Discrimination
-    hate: {
-      keywords: ['hate', 'racist', 'sexist', 'discrimination', 'slur', 'bigot', 'inferior', 'supremacist', 'prejudice'],
-      weight: 35,
-      category: 'Hate Speech'
-    },
-    // Illegal activities
-    illegal: {
-      keywords: ['illegal', 'drug', 'cocaine', 'heroin', 'meth', 'steal', 'robbery', 'crime', 'criminal', 'fraud', 'scam'],
-      weight: 35,
-      category: 'Illegal Activity'
-    },
-    // Self-harm/Dangerous
-    harmful: {
-      keywords: ['suicide', 'self-harm', 'cutting', 'dangerous', 'harm', 'injury', 'trauma', 'abuse', 'domestic violence'],
-      weight: 38,
-      category: 'Self-Harm/Dangerous Content'
-    },
-    // Spam/Misleading
-    spam: {
-      keywords: ['spam', 'clickbait', 'scam', 'fake', 'hoax', 'misinformation', 'misleading', 'phishing', 'malware'],
-      weight: 20,
-      category: 'Spam/Misleading'
-    }
-  };
+  static KEYWORD_CATEGORIES = DEFAULT_KEYWORD_CATEGORIES;
 
   /**
    * Performs comprehensive sensitivity analysis on video metadata
-   * Checks title, description, and filename against multiple keyword categories
+   * Checks title, description, and filename against the categories of a moderation policy
+   * (the built-in policy unless one is passed in)
    */
-  static analyzeSensitivity(video) {
+  static analyzeSensitivity(video, policy = ModerationPolicyService.getDefaultPolicy()) {
     try {
       // Support passing a raw string (title/combined text) or a video object
       let title = '';
@@ -101,92 +74,90 @@ class VideoProcessingService {
         filename = video.filename || '';
       }
 
-      const titleLower = (title || '').toLowerCase();
-      const descLower = (description || '').toLowerCase();
-      const fileLower = (filename || '').toLowerCase();
+      const allowList = policy.allowList || [];
+      const titleLower = ModerationPolicyService.removeAllowedPhrases((title || '').toLowerCase(), allowList);
+      const descLower = ModerationPolicyService.removeAllowedPhrases((description || '').toLowerCase(), allowList);
+      const fileLower = ModerationPolicyService.removeAllowedPhrases((filename || '').toLowerCase(), allowList);
+      const fields = [
+        ['title', titleLower],
+        ['description', descLower],
+        ['filename', fileLower]
+      ];
 
       let totalScore = 0;
       const detectedIssues = [];
       const categoryBreakdown = {};
 
-      // Check each category
-      for (const [categoryKey, category] of Object.entries(this.KEYWORD_CATEGORIES)) {
+      // Check each enabled category
+      for (const category of policy.categories.filter(c => c.enabled !== false)) {
         let categoryScore = 0;
         const foundKeywords = [];
 
-        // Check each keyword in this category
-        category.keywords.forEach(keyword => {
-          // Check in title (higher weight)
-          if (titleLower.includes(keyword)) {
-            categoryScore += category.weight * 1.2; // 20% boost for title
-            foundKeywords.push(`"${keyword}" in title`);
-          }
-
-          // Check in description (medium weight)
-          if (descLower.includes(keyword)) {
-            categoryScore += category.weight;
-            foundKeywords.push(`"${keyword}" in description`);
-          }
-
-          // Check in filename (lower weight)
-          if (fileLower.includes(keyword)) {
-            categoryScore += category.weight * 0.8; // 20% penalty for filename
-            foundKeywords.push(`"${keyword}" in filename`);
-          }
+        // Check each keyword/pattern; title matches weigh more, filename matches less
+        ModerationPolicyService.compileCategory(category).forEach(matcher => {
+          fields.forEach(([field, text]) => {
+            if (text && matcher.test(text)) {
+              categoryScore += category.weight * FIELD_WEIGHTS[field];
+              foundKeywords.push(`${matcher.label} in ${field}`);
+            }
+          });
         });
 
         // If any keywords found in this category, add to results
         if (categoryScore > 0) {
           categoryScore = Math.min(categoryScore, 100); // Cap at 100
-          categoryBreakdown[category.category] = {
+          categoryBreakdown[category.name] = {
             score: Math.round(categoryScore),
             keywords: [...new Set(foundKeywords)] // Remove duplicates
           };
           totalScore += categoryScore;
           detectedIssues.push({
-            category: category.category,
+            category: category.name,
             score: Math.round(categoryScore),
             keywords: foundKeywords
           });
         }
       }
 
-      // Additional pattern checks
+      // Additional pattern checks (policies can turn these off)
       const rules = [];
 
-      // Pattern 1: Repeated characters (spam detection)
-      const fullText = `${titleLower} ${descLower} ${fileLower}`;
-      const repeatedCharPattern = /(.)\1{4,}/g;
-      if (repeatedCharPattern.test(fullText)) {
-        totalScore += 15;
-        rules.push('Repeated characters detected (spam pattern)');
-      }
+      if (policy.heuristics !== false) {
+        // Pattern 1: Repeated characters (spam detection)
+        const fullText = `${titleLower} ${descLower} ${fileLower}`;
+        const repeatedCharPattern = /(.)\1{4,}/g;
+        if (repeatedCharPattern.test(fullText)) {
+          totalScore += 15;
+          rules.push('Repeated characters detected (spam pattern)');
+        }
 
-      // Pattern 2: Description length analysis
-      if (description && description.length > 1000) {
-        totalScore += 8;
-        rules.push('Unusually long description (potential spam)');
-      }
+        // Pattern 2: Description length analysis
+        if (description && description.length > 1000) {
+          totalScore += 8;
+          rules.push('Unusually long description (potential spam)');
+        }
 
-      // Pattern 3: Special character spam
-      const specialCharCount = (fullText.match(/[!@#$%^&*]{3,}/g) || []).length;
-      if (specialCharCount > 2) {
-        totalScore += 12;
-        rules.push('Excessive special characters detected');
-      }
+        // Pattern 3: Special character spam
+        const specialCharCount = (fullText.match(/[!@#$%^&*]{3,}/g) || []).length;
+        if (specialCharCount > 2) {
+          totalScore += 12;
+          rules.push('Excessive special characters detected');
+        }
 
-      // Pattern 4: Number spam
-      const numberSequences = (fullText.match(/\d{5,}/g) || []).length;
-      if (numberSequences > 1) {
-        totalScore += 10;
-        rules.push('Excessive number sequences detected');
+        // Pattern 4: Number spam
+        const numberSequences = (fullText.match(/\d{5,}/g) || []).length;
+        if (numberSequences > 1) {
+          totalScore += 10;
+          rules.push('Excessive number sequences detected');
+        }
       }
 
       // Ensure score stays within bounds
       totalScore = Math.min(Math.round(totalScore), 100);
 
-      // Determine final result (configurable threshold)
-      const result = totalScore > FLAG_THRESHOLD ? 'flagged' : 'safe';
+      // Determine final result (threshold comes from the policy)
+      const threshold = policy.threshold ?? DEFAULT_FLAG_THRESHOLD;
+      const result = totalScore > threshold ? 'flagged' : 'safe';
 
       // Create comprehensive summary
       const summary = this._createSummary(
@@ -211,7 +182,10 @@ class VideoProcessingService {
         rules: rules.length > 0 ? rules : ['Passed all content checks'],
         detectedIssues,
         categoryBreakdown,
-        summary
+        summary,
+        threshold,
+        policyVersion: policy.version || 0,
+        policyId: policy._id || null
       };
     } catch (error) {
       console.error('Sensitivity Analysis Error:', error);
@@ -227,6 +201,68 @@ class VideoProcessingService {
     }
   }
 
+  /**
+   * Add issues found outside the metadata (video frames, transcript) to an analysis result
+   * and recompute the verdict with the same threshold
+   */
+  static mergeIssues(analysis, issues, describeIssue) {
+    if (issues.length === 0) return analysis;
+
+    const detectedIssues = [...analysis.detectedIssues, ...issues];
+    const categoryBreakdown = { ...analysis.categoryBreakdown };
+    issues.forEach((issue) => {
+      const existing = categoryBreakdown[issue.category];
+      categoryBreakdown[issue.category] = {
+        score: Math.min(100, (existing?.score || 0) + issue.score),
+        keywords: [...(existing?.keywords || []), ...issue.keywords]
+      };
+    });
+
+    const score = Math.min(100, analysis.score + issues.reduce((total, issue) => total + issue.score, 0));
+    const result = score > (analysis.threshold ?? DEFAULT_FLAG_THRESHOLD) ? 'flagged' : 'safe';
+    const rules = analysis.rules.filter(rule => rule !== 'Passed all content checks');
+    issues.forEach(issue => rules.push(describeIssue(issue)));
+
+    return {
+      ...analysis,
+      score,
+      result,
+      status: result,
+      accuracy_score: score,
+      flagged_categories: [...new Set(detectedIssues.map(d => d.category))],
+      rules: rules.length > 0 ? rules : ['Passed all content checks'],
+      detectedIssues,
+      categoryBreakdown,
+      summary: this._createSummary(result, score, detectedIssues, rules, categoryBreakdown)
+    };
+  }
+
+  /**
+   * Add visual analysis issues (with frame timestamps) to an analysis result
+   */
+  static mergeVisualAnalysis(analysis, visual) {
+    if (!visual) return analysis;
+
+    return {
+      ...this.mergeIssues(analysis, visual.issues, issue => `Visual analysis: ${issue.category} in ${issue.timestamps.length} frame(s)`),
+      visualAnalysis: {
+        classifier: visual.classifier,
+        framesAnalyzed: visual.framesAnalyzed,
+        analyzedAt: new Date()
+      }
+    };
+  }
+
+  /**
+   * Add keyword issues heard in the transcript to an analysis result
+   */
+  static mergeTranscriptAnalysis(analysis, transcript, policy) {
+    if (!transcript) return analysis;
+
+    const issues = TranscriptionService.analyzeTranscript(transcript, policy);
+    return this.mergeIssues(analysis, issues, issue => `Transcript: ${issue.category} at ${issue.timestamps.length} moment(s)`);
+  }
+
   /**
    * Create a human-readable summary of the analysis
    */
@@ -246,7 +282,7 @@ class VideoProcessingService {
 
   /**
    * Validate video format and codec using FFmpeg
-   * For remote URLs (Cloudinary), skip ffprobe and return basic validation
+   * Expects a local file path (remote files are fetched via storage.withLocalFile)
    * Falls back to basic file validation if ffprobe crashes (e.g., on Alpine/Railway with static binaries)
    */
   static async validateVideoFormat(filePath) {
@@ -254,43 +290,7 @@ class VideoProcessingService {
     const path = require('path');
     
     return new Promise((resolve, reject) => {
-      // Define helper functions first
-      const validateRemoteUrl = () => {
-        try {
-          const url = filePath;
-          
-          // Extract filename/extension from URL
-          const urlPath = new URL(url).pathname;
-          const filename = urlPath.split('/').pop();
-          const ext = path.extname(filename).toLowerCase().substring(1);
-          
-          const supportedExts = ['mp4', 'webm', 'mkv', 'avi', 'mov', 'flv'];
-          
-          if (!supportedExts.includes(ext)) {
-            reject(new Error(`Unsupported file format: .${ext}`));
-            return;
-          }
-
-          // Return validation result for remote file
-          // Note: We can't check actual file size or codec without downloading the full file
-          resolve({
-            valid: true,
-            codec: 'unknown (remote URL)',
-            format: ext,
-            duration: 0,
-            size: 0, // Unknown
-            resolution: {
-              width: 0,
-              height: 0
-            },
-            frameRate: 'unknown',
-            validatedRemoteUrl: true
-          });
-        } catch (urlError) {
-          reject(new Error(`Remote URL validation error: ${urlError.message}`));
-        }
-      };
-
+      // Fallback used when ffprobe is unavailable or crashes
       const validateWithFallback = () => {
         try {
           // Basic checks on file existence and size
@@ -311,10 +311,10 @@ class VideoProcessingService {
             return;
           }
 
-          // Maximum file size: 2GB
-          const maxSize = 2 * 1024 * 1024 * 1024;
+          // Maximum file size: the largest upload accepted (see config/uploadConfig.js)
+          const maxSize = getMaxVideoSize();
           if (fileSize > maxSize) {
-            reject(new Error('Video file exceeds maximum size of 2GB'));
+            reject(new Error(`Video file exceeds maximum size of ${Math.round(maxSize / (1024 * 1024))} MB`));
             return;
           }
 
@@ -336,6 +336,7 @@ class VideoProcessingService {
               height: 0
             },
             frameRate: 'unknown',
+            hasAudio: false,
             validatedWithFallback: true
           });
         } catch (fallbackError) {
@@ -343,13 +344,6 @@ class VideoProcessingService {
         }
       };
 
-      // Check if it's a remote URL (Cloudinary, etc.)
-      if (filePath.startsWith('http://') || filePath.startsWith('https://')) {
-        console.log('[PROCESSING] Remote video URL detected - skipping ffprobe validation');
-        // For remote URLs, return basic validation
-        return validateRemoteUrl();
-      }
-
       // Set a timeout to catch ffprobe hangs/crashes (common with static binaries on Alpine)
       const timeout = setTimeout(() => {
         console.warn('[PROCESSING] FFmpeg validation timeout - using fallback validation');
@@ -402,10 +396,10 @@ class VideoProcessingService {
             return;
           }
 
-          // Maximum file size: 2GB
-          const maxSize = 2 * 1024 * 1024 * 1024;
+          // Maximum file size: the largest upload accepted (see config/uploadConfig.js)
+          const maxSize = getMaxVideoSize();
           if (format.size > maxSize) {
-            reject(new Error('Video file exceeds maximum size of 2GB'));
+            reject(new Error(`Video file exceeds maximum size of ${Math.round(maxSize / (1024 * 1024))} MB`));
             return;
           }
 
@@ -419,7 +413,8 @@ class VideoProcessingService {
               width: videoStream.width,
               height: videoStream.height
             },
-            frameRate: videoStream.r_frame_rate
+            frameRate: videoStream.r_frame_rate,
+            hasAudio: !!metadata.streams?.some(s => s.codec_type === 'audio')
           });
         } catch (error) {
           reject(new Error(`Validation error: ${error.message}`));
@@ -485,8 +480,16 @@ class VideoProcessingService {
             detectedIssues: analysisResult.detectedIssues || [],
             categoryBreakdown: analysisResult.categoryBreakdown || {},
             summary: analysisResult.summary || '',
+            threshold: analysisResult.threshold,
+            policyVersion: analysisResult.policyVersion || 0,
+            policyId: analysisResult.policyId || null,
+            visualAnalysis: analysisResult.visualAnalysis || null,
             analyzedAt: new Date()
-          }
+          },
+          // Flagged videos wait in the review queue; reprocessing starts a fresh review
+          // and allows a new appeal against the new verdict
+          'moderation.state': analysisResult.result === 'flagged' ? 'pending' : 'none',
+          'appeal.state': 'none'
         },
         { new: true }
       );
@@ -524,14 +527,90 @@ class VideoProcessingService {
   }
 
   /**
-   * Simulate async processing (in real app, would use job queue like Bull)
+   * Record a processing error without failing the video (a retry is still pending)
    */
-  static async processVideoAsync(videoId, video, ioEmitter = null) {
+  static async recordProcessingError(videoId, errorMessage) {
+    try {
+      return await Video.findByIdAndUpdate(
+        videoId,
+        {
+          status: 'uploaded',
+          processingProgress: 0,
+          $push: {
+            processingErrors: {
+              step: 'processing',
+              error: errorMessage,
+              timestamp: new Date()
+            }
+          }
+        },
+        { new: true }
+      );
+    } catch (error) {
+      throw new Error(`Failed to record processing error: ${error.message}`);
+    }
+  }
+
+  /**
+   * Re-run sensitivity analysis with the organization's active policy without touching the media.
+   * Metadata and the stored transcript are analyzed again; stored visual findings are kept,
+   * since the frame classifier does not depend on the policy.
+   */
+  static async reanalyzeVideo(videoId) {
+    const video = await Video.findById(videoId).select('+transcript.text +transcript.segments');
+    if (!video) {
+      throw new Error('Video not found');
+    }
+
+    const previous = video.sensitivityAnalysis?.toObject?.() || video.sensitivityAnalysis || {};
+    const visual = previous.visualAnalysis?.classifier ? {
+      classifier: previous.visualAnalysis.classifier,
+      framesAnalyzed: previous.visualAnalysis.framesAnalyzed,
+      issues: (previous.detectedIssues || []).filter(issue => issue.source === 'visual')
+    } : null;
+    const transcript = video.transcript?.segments?.length ? video.transcript : null;
+
+    const policy = await ModerationPolicyService.getActivePolicy(video.organizationId);
+    const analysisResult = this.mergeTranscriptAnalysis(
+      this.mergeVisualAnalysis(this.analyzeSensitivity(video, policy), visual),
+      transcript,
+      policy
+    );
+    console.log(`[PROCESSING] Re-analyzed video ${videoId}: ${analysisResult.result} (policy v${analysisResult.policyVersion})`);
+
+    return this.completeProcessing(videoId, analysisResult);
+  }
+
+  /**
+   * Run the processing pipeline for a video (invoked by the job queue worker):
+   * FFmpeg validation, duration/resolution, thumbnail and storyboard, HLS/DASH renditions,
+   * sensitivity analysis
+   * @param {{ markFailed?: boolean }} options - markFailed: false leaves the video retryable
+   *   instead of marking it failed when this attempt errors
+   */
+  static async processVideoAsync(videoId, video, ioEmitter = null, options = {}) {
+    const { markFailed = true } = options;
+    let lastReported = 0;
+
+    // Persist progress and notify clients; FFmpeg reports many times per second,
+    // so only whole-percent increases are written
+    const reportProgress = async (progress, step) => {
+      const rounded = Math.round(progress);
+      if (rounded <= lastReported) return;
+      lastReported = rounded;
+
+      await this.updateProgress(videoId, rounded);
+      if (ioEmitter) {
+        ioEmitter('video-progress-update', { videoId, progress: rounded, step });
+      }
+    };
+
     try {
       console.log('[PROCESSING] Starting async processing for video:', videoId);
       
       // Start processing
       await this.startProcessing(videoId);
+      lastReported = 10;
       console.log('[PROCESSING] Status set to processing');
 
       if (ioEmitter) {
@@ -539,66 +618,146 @@ class VideoProcessingService {
         ioEmitter('video-processing-start', { videoId, progress: 10, step: 'Starting video processing' });
       }
 
-      // Validate video format with FFmpeg
-      try {
-        console.log('[PROCESSING] Validating video format with FFmpeg');
-        const filePath = video.filepath || video.path || video.url;
-        const validation = await this.validateVideoFormat(filePath);
-        console.log('[PROCESSING] Video validation successful:', validation);
-        
-        // Update video with FFmpeg validation results
+      const storageKey = getVideoStorageKey(video);
+      if (!storageKey) {
+        throw new Error('Video has no stored file');
+      }
+
+      // Download once (for remote storage) and run every FFmpeg step on the local copy
+      let visual = null;
+      let transcript = null;
+      await getStorageForVideo(video).withLocalFile(storageKey, async (filePath) => {
+        // Validate video format with FFmpeg
+        let validation;
+        try {
+          console.log('[PROCESSING] Validating video format with FFmpeg');
+          validation = await this.validateVideoFormat(filePath);
+          console.log('[PROCESSING] Video validation successful:', validation);
+        } catch (validationError) {
+          console.error('[PROCESSING] FFmpeg validation failed:', validationError.message);
+          validationError.message = `FFmpeg validation failed: ${validationError.message}`;
+          throw validationError;
+        }
+
+        // Full technical metadata; validation already succeeded, so a probe failure is not fatal
+        let technicalMetadata = null;
+        try {
+          technicalMetadata = await VideoStreamingService.getVideoMetadata(filePath);
+        } catch (metadataError) {
+          console.warn('[PROCESSING] Metadata extraction failed:', metadataError.message);
+        }
+
+        // Store duration/resolution on the video itself
         await Video.findByIdAndUpdate(
           videoId,
           {
             $set: {
-              'ffmpegValidation.codec': validation.codec,
-              'ffmpegValidation.format': validation.format,
-              'ffmpegValidation.duration': validation.duration,
-              'ffmpegValidation.resolution': validation.resolution,
-              'ffmpegValidation.frameRate': validation.frameRate,
-              'ffmpegValidation.validatedAt': new Date()
+              duration: validation.duration || 0,
+              'resolution.width': validation.resolution?.width || 0,
+              'resolution.height': validation.resolution?.height || 0,
+              ...(technicalMetadata && { technicalMetadata })
             }
           },
           { new: true }
         );
-      } catch (validationError) {
-        console.error('[PROCESSING] FFmpeg validation failed:', validationError.message);
-        await this.failProcessing(videoId, `FFmpeg validation failed: ${validationError.message}`);
-        throw validationError;
-      }
-
-      // Simulate processing steps with progress
-      const steps = [
-        { progress: 20, step: 'Validating video format and codec', delay: 1000 },
-        { progress: 35, step: 'Extracting metadata and duration', delay: 1500 },
-        { progress: 50, step: 'Generating thumbnail preview', delay: 1200 },
-        { progress: 65, step: 'Analyzing content sensitivity', delay: 2000 },
-        { progress: 80, step: 'Optimizing video for streaming', delay: 1500 },
-        { progress: 95, step: 'Finalizing processing and indexing', delay: 1000 }
-      ];
+        await reportProgress(20, 'Extracted duration and resolution');
+
+        // Thumbnail: 20-25%, storyboard: 25-40% following FFmpeg's progress
+        const assets = await VideoAssetService.generateAssets(video, filePath, {
+          duration: validation.duration,
+          resolution: validation.resolution,
+          onProgress: (step, percent) => {
+            const progress = step === 'thumbnail' ? 20 + percent / 20 : 25 + percent * 0.15;
+            const label = step === 'thumbnail' ? 'Generating thumbnail preview' : 'Generating storyboard frames';
+            reportProgress(progress, label).catch(error => {
+              console.error('[PROCESSING] Progress update failed:', error.message);
+            });
+          }
+        });
+        const stepErrors = [...assets.errors];
+
+        // Adaptive streaming: 40-70%. The original upload stays playable if this fails.
+        let streaming = null;
+        if (TranscodingService.isEnabled()) {
+          try {
+            streaming = await TranscodingService.transcode(video, filePath, {
+              duration: validation.duration,
+              resolution: validation.resolution,
+              hasAudio: validation.hasAudio,
+              onProgress: (percent) => {
+                reportProgress(40 + percent * 0.3, 'Optimizing video for streaming').catch(error => {
+                  console.error('[PROCESSING] Progress update failed:', error.message);
+                });
+              }
+            });
+          } catch (transcodeError) {
+            console.error('[PROCESSING] Transcoding failed:', transcodeError.message);
+            stepErrors.push({ step: 'transcoding', error: transcodeError.message });
+          }
+        }
 
-      for (const { progress, step, delay } of steps) {
-        try {
-          console.log(`[PROCESSING] Step: ${step} - Waiting ${delay}ms`);
-          await new Promise(resolve => setTimeout(resolve, delay));
-          
-          console.log(`[PROCESSING] Updating progress to ${progress}%`);
-          await this.updateProgress(videoId, progress);
+        // Visual analysis of sampled frames: 70-78%. Without it the verdict relies on metadata only.
+        if (isVisualAnalysisEnabled()) {
+          try {
+            visual = await VisualAnalysisService.analyze(filePath, {
+              duration: validation.duration,
+              resolution: validation.resolution,
+              onProgress: (percent) => {
+                reportProgress(70 + percent * 0.08, 'Analyzing video frames').catch(error => {
+                  console.error('[PROCESSING] Progress update failed:', error.message);
+                });
+              }
+            });
+          } catch (visualError) {
+            console.error('[PROCESSING] Visual analysis failed:', visualError.message);
+            stepErrors.push({ step: 'visual-analysis', error: visualError.message });
+          }
+        }
 
-          if (ioEmitter) {
-            console.log(`[PROCESSING] Emitting progress update: ${progress}%`);
-            ioEmitter('video-progress-update', { videoId, progress, step });
+        // Speech-to-text (optional): 78-85%. Videos without an audio track are skipped.
+        if (isTranscriptionEnabled() && validation.hasAudio) {
+          try {
+            transcript = await TranscriptionService.transcribe(filePath, {
+              duration: validation.duration,
+              onProgress: (percent) => {
+                reportProgress(78 + percent * 0.07, 'Transcribing audio').catch(error => {
+                  console.error('[PROCESSING] Progress update failed:', error.message);
+                });
+              }
+            });
+          } catch (transcriptionError) {
+            console.error('[PROCESSING] Transcription failed:', transcriptionError.message);
+            stepErrors.push({ step: 'transcription', error: transcriptionError.message });
           }
-        } catch (stepError) {
-          console.error(`[PROCESSING] Error in step (${progress}%):`, stepError.message);
-          throw stepError;
         }
-      }
 
-      console.log('[PROCESSING] All steps complete, running sensitivity analysis');
-      // Run sensitivity analysis
-      const analysisResult = await this.analyzeSensitivity(video);
+        // Missing previews or renditions do not block playback or moderation; keep the errors for diagnosis
+        await Video.findByIdAndUpdate(videoId, {
+          $set: {
+            ...(assets.thumbnail && { thumbnail: assets.thumbnail }),
+            ...(assets.storyboard && { storyboard: assets.storyboard }),
+            ...(streaming && { streaming }),
+            ...(transcript && { transcript })
+          },
+          $push: {
+            processingErrors: {
+              $each: stepErrors.map(({ step, error }) => ({ step, error, timestamp: new Date() }))
+            }
+          }
+        });
+      });
+      await reportProgress(85, 'Media processing complete');
+
+      console.log('[PROCESSING] Media steps complete, running sensitivity analysis');
+      await reportProgress(80, 'Analyzing content sensitivity');
+      const policy = await ModerationPolicyService.getActivePolicy(video.organizationId);
+      const analysisResult = this.mergeTranscriptAnalysis(
+        this.mergeVisualAnalysis(await this.analyzeSensitivity(video, policy), visual),
+        transcript,
+        policy
+      );
       console.log('[PROCESSING] Analysis complete, result:', analysisResult.result);
+      await reportProgress(95, 'Finalizing processing and indexing');
 
       // Complete processing with results
       const processed = await this.completeProcessing(videoId, analysisResult);
@@ -620,12 +779,16 @@ class VideoProcessingService {
     } catch (error) {
       console.error('[PROCESSING] Video Processing Error:', error.message, error.stack);
       try {
-        await this.failProcessing(videoId, error.message);
+        if (markFailed) {
+          await this.failProcessing(videoId, error.message);
+        } else {
+          await this.recordProcessingError(videoId, error.message);
+        }
       } catch (failError) {
         console.error('[PROCESSING] Error marking video as failed:', failError.message);
       }
 
-      if (ioEmitter) {
+      if (ioEmitter && markFailed) {
         console.log('[PROCESSING] Emitting video-processing-failed');
         ioEmitter('video-processing-failed', {
           videoId,
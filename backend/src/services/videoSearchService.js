@@ -0,0 +1,258 @@
+/**
+ * Video Search Service
+ * Full-text search over the videos a member can watch, backed by the text index of
+ * the Video model (title, tags, description and transcript, in that order of weight).
+ * Results are ranked by relevance (or sorted by date, views or title), come with
+ * highlighted snippets and facet counts, and are paged with cursors (services/paginationService.js).
+ */
+
+const mongoose = require('mongoose');
+const Video = require('../models/Video');
+const User = require('../models/User');
+const PaginationService = require('./paginationService');
+const TagService = require('./tagService');
+
+const STATUSES = ['uploaded', 'processing', 'safe', 'flagged', 'failed'];
+const MAX_QUERY_LENGTH = 200;
+const MAX_TERMS = 10;
+const MAX_LIMIT = 50;
+const FACET_SIZE = 20;
+const SNIPPET_LENGTH = 160;
+
+const SORTS = {
+  relevance: { field: 'score', direction: -1 },
+  date: { field: 'createdAt', direction: -1 },
+  views: { field: 'views', direction: -1 },
+  title: { field: 'title', direction: 1 }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Rough stand-in for the stemming of the text index, so searching "drills" also marks "drill"
+const stem = (term) => {
+  const stemmed = term.replace(/(ing|ed|es|s)$/, '');
+  return stemmed.length >= 3 ? stemmed : term;
+};
+
+class VideoSearchService {
+  /**
+   * Check and normalize the query parameters of a search
+   * @returns {{ error: string }|{ q: string, filters: object, sort: string, field: string,
+   *   direction: number, limit: number, cursor: object|null }}
+   */
+  static parseParams(params = {}) {
+    const q = typeof params.q === 'string' ? params.q.trim() : '';
+    if (q.length > MAX_QUERY_LENGTH) {
+      return { error: `Search text must be at most ${MAX_QUERY_LENGTH} characters` };
+    }
+
+    const page = PaginationService.parseParams(params, {
+      sorts: SORTS,
+      defaultSort: q ? 'relevance' : 'date',
+      maxLimit: MAX_LIMIT
+    });
+    if (page.error) {
+      return page;
+    }
+    if (page.sort === 'relevance' && !q) {
+      return { error: 'Sorting by relevance needs search text' };
+    }
+
+    const filters = {};
+    if (params.status !== undefined) {
+      if (!STATUSES.includes(params.status)) {
+        return { error: `Invalid status. Must be one of: ${STATUSES.join(', ')}` };
+      }
+      filters.status = params.status;
+    }
+    if (params.category !== undefined) {
+      const categories = Video.schema.path('category').enumValues;
+      if (!categories.includes(params.category)) {
+        return { error: `Invalid category. Must be one of: ${categories.join(', ')}` };
+      }
+      filters.category = params.category;
+    }
+    if (params.uploader !== undefined) {
+      if (!mongoose.Types.ObjectId.isValid(params.uploader)) {
+        return { error: 'Invalid uploader' };
+      }
+      filters.userId = new mongoose.Types.ObjectId(params.uploader);
+    }
+    if (params.tags !== undefined) {
+      const tags = TagService.parseList(params.tags);
+      if (tags.length) filters.tags = { $all: tags };
+    }
+
+    return { q, filters, ...page };
+  }
+
+  /**
+   * Words of the search text worth highlighting; negated words (-word) and
+   * one-letter words are left out
+   */
+  static getTerms(q) {
+    const terms = q.toLowerCase()
+      .split(/\s+/)
+      .filter(token => token && !token.startsWith('-'))
+      .flatMap(token => token.match(/[\p{L}\p{N}]+/gu) || [])
+      .filter(term => term.length >= 2)
+      .map(stem);
+    return [...new Set(terms)].slice(0, MAX_TERMS);
+  }
+
+  /**
+   * Ranges ([start, end)) of the words of `text` starting with one of the terms
+   */
+  static findMatches(text, terms) {
+    if (!text || !terms.length) return [];
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+    return [...text.matchAll(pattern)].map(match => [match.index, match.index + match[0].length]);
+  }
+
+  /**
+   * Snippet of a field around its first match, or null when nothing matches
+   * @returns {{ field: string, text: string, matches: number[][] }|null}
+   */
+  static highlight(field, text, terms) {
+    const matches = this.findMatches(text, terms);
+    if (!matches.length) return null;
+    if (text.length <= SNIPPET_LENGTH) {
+      return { field, text, matches };
+    }
+
+    const start = Math.max(0, Math.min(matches[0][0] - 40, text.length - SNIPPET_LENGTH));
+    const end = start + SNIPPET_LENGTH;
+    const prefix = start > 0 ? '…' : '';
+    const shift = prefix.length - start;
+    return {
+      field,
+      text: `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`,
+      matches: matches
+        .filter(([from, to]) => from >= start && to <= end)
+        .map(([from, to]) => [from + shift, to + shift])
+    };
+  }
+
+  /**
+   * Highlighted snippets of the fields of a video matching the search terms;
+   * transcript snippets carry the time (seconds) of their segment
+   */
+  static getHighlights(video, terms) {
+    const highlights = [
+      this.highlight('title', video.title || '', terms),
+      this.highlight('tags', (video.tags || []).join(', '), terms),
+      this.highlight('description', video.description || '', terms)
+    ];
+
+    const segments = video.transcript?.segments || [];
+    const segment = segments.find(item => this.findMatches(item.text, terms).length);
+    if (segment) {
+      highlights.push({ ...this.highlight('transcript', segment.text, terms), start: segment.start });
+    } else if (!segments.length && video.transcript?.text) {
+      highlights.push(this.highlight('transcript', video.transcript.text, terms));
+    }
+
+    return highlights.filter(Boolean);
+  }
+
+  /**
+   * Search videos
+   * @param {object} accessFilter - videos the member can watch (VideoAccessPolicy.getListFilter)
+   * @param {object} params - result of parseParams
+   * @param {{ withFacets?: boolean }} options - facets and total count (asked for the first page)
+   * @returns {Promise<{ items: object[], nextCursor: string|null, facets?: object, total?: number }>}
+   *   items: { video, score, highlights }
+   */
+  static async search(accessFilter, params, { withFacets = false } = {}) {
+    const { q, filters } = params;
+    // $text has to be part of the first stage
+    const match = { $and: [accessFilter, filters, ...(q ? [{ $text: { $search: q } }] : [])] };
+
+    const pipeline = [
+      { $match: match },
+      ...(q ? [{ $addFields: { score: { $meta: 'textScore' } } }] : []),
+      ...(params.cursor ? [{ $match: PaginationService.getCursorFilter(params) }] : []),
+      { $sort: PaginationService.getSort(params) },
+      { $limit: params.limit + 1 }
+    ];
+
+    const [videos, facets] = await Promise.all([
+      Video.aggregate(pipeline),
+      withFacets ? this.getFacets(accessFilter, params) : null
+    ]);
+
+    const { items, nextCursor } = PaginationService.buildPage(videos, params);
+    await Video.populate(items, { path: 'userId', select: 'username email' });
+
+    const terms = q ? this.getTerms(q) : [];
+    return {
+      items: items.map(video => {
+        const highlights = terms.length ? this.getHighlights(video, terms) : [];
+        // Transcript text and segments are not part of video listings (select: false in the model)
+        const { score, transcript, ...fields } = video;
+        if (transcript) {
+          const { text, segments, ...transcriptInfo } = transcript;
+          fields.transcript = transcriptInfo;
+        }
+        return { video: fields, score, highlights };
+      }),
+      nextCursor,
+      ...(facets || {})
+    };
+  }
+
+  /**
+   * Counts per status, category, uploader and tag of the matching videos, and their total
+   * Each facet is counted without its own filter (but with the others), so picking a value
+   * keeps the other values of that facet on offer.
+   */
+  static async getFacets(accessFilter, { q, filters }) {
+    const countBy = (path) => [
+      { $group: { _id: path, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: FACET_SIZE }
+    ];
+    const withoutFilter = (name) => {
+      const { [name]: omitted, ...others } = filters;
+      return { $match: others };
+    };
+
+    const [result] = await Video.aggregate([
+      { $match: { $and: [accessFilter, ...(q ? [{ $text: { $search: q } }] : [])] } },
+      // Only the faceted fields go on to $facet, whose output has to fit in one document
+      { $project: { status: 1, category: 1, userId: 1, tags: 1 } },
+      {
+        $facet: {
+          status: [withoutFilter('status'), ...countBy('$status')],
+          category: [withoutFilter('category'), ...countBy('$category')],
+          uploader: [
+            withoutFilter('userId'),
+            ...countBy('$userId'),
+            { $lookup: { from: User.collection.name, localField: '_id', foreignField: '_id', as: 'user' } },
+            { $project: { count: 1, username: { $arrayElemAt: ['$user.username', 0] } } }
+          ],
+          tags: [withoutFilter('tags'), { $unwind: '$tags' }, ...countBy('$tags')],
+          total: [{ $match: filters }, { $count: 'count' }]
+        }
+      }
+    ]);
+
+    const toBuckets = (buckets) => buckets.map(({ _id, count, username }) => ({
+      value: _id,
+      count,
+      ...(username !== undefined ? { label: username } : {})
+    }));
+
+    return {
+      facets: {
+        status: toBuckets(result.status),
+        category: toBuckets(result.category),
+        uploader: toBuckets(result.uploader),
+        tags: toBuckets(result.tags)
+      },
+      total: result.total[0]?.count || 0
+    };
+  }
+}
+
+module.exports = VideoSearchService;
@@ -9,12 +9,22 @@ const path = require('path');
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegStatic = require('ffmpeg-static');
 const ffprobeStatic = require('ffprobe-static');
+const { CONTENT_TYPES } = require('../storage/contentTypes');
 
 // Set ffmpeg and ffprobe paths from static packages
 ffmpeg.setFfmpegPath(ffmpegStatic);
 ffmpeg.setFfprobePath(ffprobeStatic.path);
 
 class VideoStreamingService {
+  /**
+   * Get Content-Type for a video file based on its extension
+   */
+  static getContentType(filePath) {
+    const ext = path.extname(filePath || '').toLowerCase();
+    const contentType = CONTENT_TYPES[ext];
+    return contentType && contentType.startsWith('video/') ? contentType : 'video/mp4';
+  }
+
   /**
    * Get video file stats
    */
@@ -101,12 +111,12 @@ class VideoStreamingService {
   /**
    * Get range response headers
    */
-  static getRangeHeaders(start, end, fileSize) {
+  static getRangeHeaders(start, end, fileSize, contentType = 'video/mp4') {
     return {
       'Content-Range': `bytes ${start}-${end}/${fileSize}`,
       'Content-Length': end - start + 1,
       'Accept-Ranges': 'bytes',
-      'Content-Type': 'video/mp4'
+      'Content-Type': contentType
     };
   }
 
@@ -115,8 +125,14 @@ class VideoStreamingService {
    */
   static streamVideo(req, res, filePath) {
     try {
-      const stats = this.getFileStats(filePath);
+      let stats;
+      try {
+        stats = this.getFileStats(filePath);
+      } catch (statError) {
+        return res.status(404).json({ error: 'Video file not found' });
+      }
       const fileSize = stats.size;
+      const contentType = this.getContentType(filePath);
 
       const rangeHeader = req.headers.range;
       const range = this.parseRangeHeader(rangeHeader, fileSize);
@@ -125,8 +141,8 @@ class VideoStreamingService {
       if (!range) {
         res.header('Accept-Ranges', 'bytes');
         res.header('Content-Length', fileSize);
-        res.header('Content-Type', 'video/mp4');
-        res.header('Cache-Control', 'public, max-age=86400');
+        res.header('Content-Type', contentType);
+        res.header('Cache-Control', 'private, max-age=86400');
 
         const stream = fs.createReadStream(filePath);
         stream.on('error', (err) => {
@@ -142,6 +158,7 @@ class VideoStreamingService {
       // Validate range
       const validation = this.validateRange(range, fileSize);
       if (!validation.valid) {
+        res.header('Content-Range', `bytes */${fileSize}`);
         return res.status(416).json({
           error: validation.error,
           range: `bytes */${fileSize}`
@@ -151,7 +168,7 @@ class VideoStreamingService {
       const { start, end } = range;
 
       // Send partial content (206 Partial Content)
-      const headers = this.getRangeHeaders(start, end, fileSize);
+      const headers = this.getRangeHeaders(start, end, fileSize, contentType);
       Object.entries(headers).forEach(([key, value]) => {
         res.header(key, value);
       });
@@ -175,50 +192,154 @@ class VideoStreamingService {
   }
 
   /**
-   * Get video metadata (duration, codec, resolution, bitrate, etc.)
-   * Uses ffprobe via fluent-ffmpeg
+   * Stream an object from a storage driver with range request support
+   * Same semantics as streamVideo, but works for any backend (local, S3, Cloudinary)
    */
-  static async getVideoMetadata(filePath) {
+  static async streamFromStorage(req, res, storage, key) {
     try {
-      return new Promise((resolve, reject) => {
-        ffmpeg.ffprobe(filePath, (err, metadata) => {
-          if (err) {
-            console.error('FFprobe error:', err);
-            reject(new Error(`Failed to extract metadata: ${err.message}`));
-          }
+      const stats = await storage.stat(key);
+      if (!stats) {
+        return res.status(404).json({ error: 'Video file not found' });
+      }
 
-          try {
-            const format = metadata.format || {};
-            const stream = metadata.streams && metadata.streams[0] ? metadata.streams[0] : {};
-
-            resolve({
-              size: format.size,
-              duration: Math.round(format.duration || 0),
-              bitrate: format.bit_rate || 'N/A',
-              createdAt: format.tags?.creation_time || new Date(format.tags?.date || 0),
-              modifiedAt: new Date(),
-              codec: {
-                video: stream.codec_name || 'unknown',
-                profile: stream.profile || 'unknown',
-                level: stream.level || 'N/A'
-              },
-              resolution: {
-                width: stream.width || 'N/A',
-                height: stream.height || 'N/A'
-              },
-              frameRate: stream.r_frame_rate || 'N/A',
-              pixelFormat: stream.pix_fmt || 'N/A'
-            });
-          } catch (parseError) {
-            console.error('Error parsing metadata:', parseError);
-            reject(new Error(`Failed to parse metadata: ${parseError.message}`));
-          }
+      const fileSize = stats.size;
+      const contentType = stats.contentType && stats.contentType !== 'application/octet-stream'
+        ? stats.contentType
+        : this.getContentType(key);
+      const range = this.parseRangeHeader(req.headers.range, fileSize);
+
+      if (range) {
+        const validation = this.validateRange(range, fileSize);
+        if (!validation.valid) {
+          res.header('Content-Range', `bytes */${fileSize}`);
+          return res.status(416).json({
+            error: validation.error,
+            range: `bytes */${fileSize}`
+          });
+        }
+
+        Object.entries(this.getRangeHeaders(range.start, range.end, fileSize, contentType)).forEach(([header, value]) => {
+          res.header(header, value);
         });
+        res.status(206);
+      } else {
+        res.header('Accept-Ranges', 'bytes');
+        res.header('Content-Length', fileSize);
+        res.header('Content-Type', contentType);
+      }
+      res.header('Cache-Control', 'private, max-age=86400');
+
+      const stream = await storage.getStream(key, range ? { start: range.start, end: range.end } : {});
+      stream.on('error', (err) => {
+        console.error('Stream error:', err);
+        if (!res.headersSent) {
+          res.status(500).json({ error: 'Stream error' });
+        } else {
+          res.destroy(err);
+        }
       });
+
+      return stream.pipe(res);
     } catch (error) {
-      throw new Error(`Failed to get metadata: ${error.message}`);
+      console.error('Streaming error:', error);
+      if (!res.headersSent) {
+        res.status(500).json({ error: error.message });
+      }
     }
   }
+
+  /**
+   * Parse an ffprobe frame rate ("30000/1001") into frames per second
+   */
+  static parseFrameRate(rate) {
+    if (!rate || typeof rate !== 'string') return null;
+
+    const [num, den = '1'] = rate.split('/');
+    const fps = parseFloat(num) / parseFloat(den);
+    return Number.isFinite(fps) && fps > 0 ? Math.round(fps * 1000) / 1000 : null;
+  }
+
+  /**
+   * Clockwise rotation (0/90/180/270) a player applies when displaying the stream.
+   * Older files carry a `rotate` tag; newer ffprobe reports a display matrix
+   * whose rotation is counter-clockwise.
+   */
+  static getRotation(stream) {
+    let rotation = 0;
+
+    if (stream.tags?.rotate !== undefined) {
+      rotation = parseInt(stream.tags.rotate, 10) || 0;
+    } else {
+      const matrix = (stream.side_data_list || []).find(d => d.rotation !== undefined);
+      rotation = matrix ? -parseInt(matrix.rotation, 10) || 0 : 0;
+    }
+
+    return ((Math.round(rotation / 90) * 90) % 360 + 360) % 360;
+  }
+
+  /**
+   * Normalize ffprobe output into the Video `technicalMetadata` shape
+   */
+  static parseTechnicalMetadata(metadata) {
+    const format = metadata.format || {};
+    const streams = metadata.streams || [];
+    const videoStream = streams.find(s => s.codec_type === 'video') || {};
+    const audioStream = streams.find(s => s.codec_type === 'audio');
+    const toNumber = (value) => {
+      const number = parseFloat(value);
+      return Number.isFinite(number) ? number : null;
+    };
+
+    return {
+      container: format.format_name || null,
+      duration: toNumber(format.duration),
+      bitrate: toNumber(format.bit_rate),
+      videoCodec: videoStream.codec_name || null,
+      videoProfile: videoStream.profile || null,
+      videoBitrate: toNumber(videoStream.bit_rate),
+      width: videoStream.width || null,
+      height: videoStream.height || null,
+      fps: this.parseFrameRate(videoStream.avg_frame_rate) || this.parseFrameRate(videoStream.r_frame_rate),
+      pixelFormat: videoStream.pix_fmt || null,
+      rotation: this.getRotation(videoStream),
+      hasAudio: !!audioStream,
+      audioCodec: audioStream?.codec_name || null,
+      audioBitrate: toNumber(audioStream?.bit_rate),
+      audioChannels: audioStream?.channels || null,
+      audioChannelLayout: audioStream?.channel_layout || null,
+      audioSampleRate: toNumber(audioStream?.sample_rate),
+      extractedAt: new Date()
+    };
+  }
+
+  /**
+   * Get technical metadata (container, codecs, bitrate, resolution, fps, audio, rotation)
+   * Uses ffprobe via fluent-ffmpeg
+   */
+  static getVideoMetadata(filePath, { timeoutMs = 10000 } = {}) {
+    return new Promise((resolve, reject) => {
+      // ffprobe can hang on some static builds; never block processing on it
+      const timeout = setTimeout(() => {
+        reject(new Error('Failed to extract metadata: ffprobe timed out'));
+      }, timeoutMs);
+
+      ffmpeg.ffprobe(filePath, (err, metadata) => {
+        clearTimeout(timeout);
+
+        if (err) {
+          console.error('FFprobe error:', err.message);
+          return reject(new Error(`Failed to extract metadata: ${err.message}`));
+        }
+
+        try {
+          resolve(this.parseTechnicalMetadata(metadata));
+        } catch (parseError) {
+          console.error('Error parsing metadata:', parseError);
+          reject(new Error(`Failed to parse metadata: ${parseError.message}`));
+        }
+      });
+    });
+  }
 }
 
 module.exports = VideoStreamingService;
@@ -0,0 +1,170 @@
+/**
+ * Visual Analysis Service
+ * Samples frames from a video with FFmpeg and runs them through a local, CPU-only
+ * frame classifier (see src/classifiers). Findings become detected issues with the
+ * timestamps they were seen at, merged into the video's sensitivity analysis.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ffmpeg = require('fluent-ffmpeg');
+const VideoAssetService = require('./videoAssetService');
+const { getClassifier } = require('../classifiers');
+const { getSamplingConfig } = require('../config/visualAnalysisConfig');
+const { VISUAL_LABEL_CATEGORIES } = require('../config/moderationConfig');
+
+class VisualAnalysisService {
+  // Width of sampled frames for classifiers that accept any size
+  static FRAME_WIDTH = 160;
+
+  /**
+   * Spacing and number of frames to sample from a video of `duration` seconds
+   */
+  static getSampling(duration, { maxFrames, minInterval } = getSamplingConfig()) {
+    if (!duration || duration <= 0) {
+      return { frameCount: 1, interval: 1 };
+    }
+
+    const interval = Math.max(minInterval, duration / maxFrames);
+    return {
+      frameCount: Math.max(1, Math.min(maxFrames, Math.floor(duration / interval))),
+      interval
+    };
+  }
+
+  /**
+   * Format seconds as m:ss for issue descriptions
+   */
+  static formatTimestamp(seconds) {
+    const total = Math.floor(seconds);
+    return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+  }
+
+  /**
+   * Decode sampled frames to raw RGB24 pixels with a single FFmpeg run
+   * @returns {Promise<Array<{ timestamp: number, width: number, height: number, data: Buffer }>>}
+   */
+  static async extractFrames(inputPath, { duration, resolution, size, onProgress } = {}) {
+    const { frameCount, interval } = this.getSampling(duration);
+    const frameSize = size || VideoAssetService.getScaledSize(resolution, this.FRAME_WIDTH);
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'visual-analysis-'));
+    const outputPath = path.join(workDir, 'frames.rgb');
+
+    try {
+      await VideoAssetService.runCommand(
+        ffmpeg(inputPath)
+          .videoFilters([
+            `fps=${(1 / interval).toFixed(6)}`,
+            `scale=${frameSize.width}:${frameSize.height}`
+          ])
+          .outputOptions('-frames:v', String(frameCount), '-an', '-f', 'rawvideo', '-pix_fmt', 'rgb24')
+          .output(outputPath),
+        { duration, onProgress }
+      );
+
+      const data = await fs.promises.readFile(outputPath);
+      const frameBytes = frameSize.width * frameSize.height * 3;
+      const frames = [];
+      for (let offset = 0; offset + frameBytes <= data.length; offset += frameBytes) {
+        frames.push({
+          timestamp: frames.length * interval,
+          width: frameSize.width,
+          height: frameSize.height,
+          data: data.subarray(offset, offset + frameBytes)
+        });
+      }
+
+      return frames;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Classify frames, keeping findings at or above `minConfidence`
+   * @returns {Promise<Array<{ time: number, label: string, confidence: number }>>}
+   */
+  static async classifyFrames(frames, classifier, { minConfidence, onProgress } = {}) {
+    const findings = [];
+
+    for (const [index, frame] of frames.entries()) {
+      const results = await classifier.classify(frame);
+      results
+        .filter(result => VISUAL_LABEL_CATEGORIES[result.label] && result.confidence >= minConfidence)
+        .forEach(result => findings.push({
+          time: Math.round(frame.timestamp * 100) / 100,
+          label: result.label,
+          confidence: Math.round(result.confidence * 1000) / 1000
+        }));
+      onProgress?.(((index + 1) / frames.length) * 100);
+    }
+
+    return findings;
+  }
+
+  /**
+   * Group findings into one detected issue per category.
+   * The score is the category weight scaled by the highest confidence, raised when
+   * several frames agree (a single frame is more likely a false positive).
+   */
+  static buildIssues(findings) {
+    const byCategory = new Map();
+
+    findings.forEach((finding) => {
+      const { category, weight } = VISUAL_LABEL_CATEGORIES[finding.label];
+      if (!byCategory.has(category)) {
+        byCategory.set(category, { category, weight, timestamps: [] });
+      }
+      byCategory.get(category).timestamps.push(finding);
+    });
+
+    return [...byCategory.values()].map(({ category, weight, timestamps }) => {
+      const peak = Math.max(...timestamps.map(t => t.confidence));
+      const agreement = 1 + 0.25 * (Math.min(timestamps.length, 5) - 1);
+
+      return {
+        category,
+        score: Math.min(100, Math.round(weight * peak * agreement)),
+        source: 'visual',
+        keywords: timestamps.map(t => `${t.label} at ${this.formatTimestamp(t.time)} (${Math.round(t.confidence * 100)}%)`),
+        timestamps
+      };
+    });
+  }
+
+  /**
+   * Run the visual analysis on a local copy of a video
+   * @param {string} inputPath
+   * @param {{ duration: number, resolution: { width: number, height: number },
+   *           onProgress?: (percent: number) => void }} options
+   * @returns {Promise<{ classifier: string, framesAnalyzed: number, issues: object[] }>}
+   */
+  static async analyze(inputPath, { duration, resolution, onProgress } = {}) {
+    const classifier = getClassifier();
+    const { minConfidence } = getSamplingConfig();
+    await classifier.load();
+
+    // Decoding takes about as long as classifying with the heuristic model
+    const frames = await this.extractFrames(inputPath, {
+      duration,
+      resolution,
+      size: classifier.inputSize,
+      onProgress: (percent) => onProgress?.(percent / 2)
+    });
+    const findings = await this.classifyFrames(frames, classifier, {
+      minConfidence,
+      onProgress: (percent) => onProgress?.(50 + percent / 2)
+    });
+
+    console.log(`[VISUAL] ${classifier.name}: ${frames.length} frames, ${findings.length} findings`);
+
+    return {
+      classifier: classifier.name,
+      framesAnalyzed: frames.length,
+      issues: this.buildIssues(findings)
+    };
+  }
+}
+
+module.exports = VisualAnalysisService;
@@ -0,0 +1,119 @@
+/**
+ * Cloudinary Storage Driver
+ * Keeps existing Cloudinary deployments (and videos uploaded before the storage
+ * abstraction) working. Keys map to Cloudinary public IDs plus a format extension.
+ */
+
+const https = require('https');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+const StorageDriver = require('./StorageDriver');
+const { getContentTypeForKey } = require('./contentTypes');
+
+const VIDEO_EXTS = ['.mp4', '.m4v', '.mov', '.webm', '.mkv', '.avi', '.mpeg', '.mpg', '.flv'];
+const IMAGE_EXTS = ['.jpg', '.jpeg', '.png'];
+
+class CloudinaryStorageDriver extends StorageDriver {
+  constructor(options = {}) {
+    super('cloudinary');
+    this.cloudinary = options.cloudinary || cloudinary;
+    this.cloudinary.config({
+      cloud_name: options.cloudName || process.env.CLOUDINARY_CLOUD_NAME,
+      api_key: options.apiKey || process.env.CLOUDINARY_API_KEY,
+      api_secret: options.apiSecret || process.env.CLOUDINARY_API_SECRET
+    });
+  }
+
+  /**
+   * Cloudinary stores videos/images without the extension in the public ID;
+   * everything else is a "raw" resource addressed by its full name
+   */
+  resourceFor(key) {
+    const ext = path.extname(key).toLowerCase();
+    if (VIDEO_EXTS.includes(ext) || IMAGE_EXTS.includes(ext)) {
+      return {
+        publicId: key.slice(0, -ext.length),
+        resourceType: VIDEO_EXTS.includes(ext) ? 'video' : 'image',
+        format: ext.substring(1)
+      };
+    }
+    return { publicId: key, resourceType: 'raw', format: undefined };
+  }
+
+  urlFor(key, extra = {}) {
+    const { publicId, resourceType, format } = this.resourceFor(key);
+    return this.cloudinary.url(publicId, { resource_type: resourceType, format, secure: true, ...extra });
+  }
+
+  async put(key, source, options = {}) {
+    const { publicId, resourceType } = this.resourceFor(key);
+
+    const result = await new Promise((resolve, reject) => {
+      const uploadStream = this.cloudinary.uploader.upload_stream(
+        { public_id: publicId, resource_type: resourceType, overwrite: true },
+        (error, response) => (error ? reject(error) : resolve(response))
+      );
+
+      if (Buffer.isBuffer(source) || typeof source === 'string') {
+        uploadStream.end(source);
+      } else {
+        source.on('error', reject);
+        source.pipe(uploadStream);
+      }
+    });
+
+    return { key, size: result.bytes };
+  }
+
+  async getStream(key, range = {}) {
+    const hasRange = range.start !== undefined || range.end !== undefined;
+    const headers = hasRange
+      ? { Range: `bytes=${range.start || 0}-${range.end !== undefined ? range.end : ''}` }
+      : {};
+
+    return new Promise((resolve, reject) => {
+      https.get(this.urlFor(key), { headers }, (response) => {
+        if (response.statusCode >= 400) {
+          response.resume();
+          reject(new Error(`Cloudinary responded with ${response.statusCode}`));
+          return;
+        }
+        resolve(response);
+      }).on('error', reject);
+    });
+  }
+
+  async delete(key) {
+    const { publicId, resourceType } = this.resourceFor(key);
+    await this.cloudinary.uploader.destroy(publicId, { resource_type: resourceType });
+  }
+
+  async deletePrefix(prefix) {
+    const publicIdPrefix = `${prefix.replace(/\/+$/, '')}/`;
+    // Derived files can be of any resource type
+    for (const resourceType of ['image', 'video', 'raw']) {
+      await this.cloudinary.api.delete_resources_by_prefix(publicIdPrefix, { resource_type: resourceType });
+    }
+  }
+
+  async getSignedUrl(key) {
+    return this.urlFor(key, { sign_url: true });
+  }
+
+  async stat(key) {
+    const { publicId, resourceType } = this.resourceFor(key);
+    try {
+      const resource = await this.cloudinary.api.resource(publicId, { resource_type: resourceType });
+      return {
+        size: resource.bytes,
+        contentType: getContentTypeForKey(key),
+        lastModified: resource.created_at ? new Date(resource.created_at) : null
+      };
+    } catch (error) {
+      if (error.error?.http_code === 404 || error.http_code === 404) return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = CloudinaryStorageDriver;
@@ -0,0 +1,132 @@
+/**
+ * S3-Compatible Storage Driver
+ * Works with AWS S3 and S3-compatible servers (MinIO, Ceph, R2, ...) via a custom endpoint
+ */
+
+const {
+  S3Client,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+  DeleteObjectsCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const StorageDriver = require('./StorageDriver');
+const { getContentTypeForKey } = require('./contentTypes');
+
+class S3StorageDriver extends StorageDriver {
+  /**
+   * @param {{ bucket: string, region?: string, endpoint?: string, forcePathStyle?: boolean,
+   *           accessKeyId?: string, secretAccessKey?: string, prefix?: string, client?: S3Client }} options
+   */
+  constructor(options = {}) {
+    super('s3');
+    if (!options.bucket) {
+      throw new Error('S3 storage requires a bucket (S3_BUCKET)');
+    }
+
+    this.bucket = options.bucket;
+    this.prefix = (options.prefix || '').replace(/^\/+|\/+$/g, '');
+    this.client = options.client || new S3Client({
+      region: options.region || 'us-east-1',
+      endpoint: options.endpoint || undefined,
+      forcePathStyle: !!options.forcePathStyle,
+      credentials: options.accessKeyId
+        ? { accessKeyId: options.accessKeyId, secretAccessKey: options.secretAccessKey }
+        : undefined
+    });
+  }
+
+  objectKey(key) {
+    if (!key || key.split('/').includes('..')) {
+      throw new Error('Invalid storage key');
+    }
+    return this.prefix ? `${this.prefix}/${key}` : key;
+  }
+
+  async put(key, source, options = {}) {
+    // lib-storage handles multipart uploads for streams of unknown length
+    const upload = new Upload({
+      client: this.client,
+      params: {
+        Bucket: this.bucket,
+        Key: this.objectKey(key),
+        Body: source,
+        ContentType: options.contentType || getContentTypeForKey(key)
+      }
+    });
+    await upload.done();
+
+    const stats = await this.stat(key);
+    return { key, size: stats ? stats.size : 0 };
+  }
+
+  async getStream(key, range = {}) {
+    const hasRange = range.start !== undefined || range.end !== undefined;
+    const response = await this.client.send(new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key),
+      Range: hasRange ? `bytes=${range.start || 0}-${range.end !== undefined ? range.end : ''}` : undefined
+    }));
+    return response.Body;
+  }
+
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: this.objectKey(key)
+    }));
+  }
+
+  async deletePrefix(prefix) {
+    const listPrefix = `${this.objectKey(prefix).replace(/\/+$/, '')}/`;
+    let continuationToken;
+
+    do {
+      const page = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: listPrefix,
+        ContinuationToken: continuationToken
+      }));
+
+      const objects = (page.Contents || []).map(({ Key }) => ({ Key }));
+      if (objects.length > 0) {
+        await this.client.send(new DeleteObjectsCommand({
+          Bucket: this.bucket,
+          Delete: { Objects: objects, Quiet: true }
+        }));
+      }
+
+      continuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+
+  async getSignedUrl(key, options = {}) {
+    return getSignedUrl(
+      this.client,
+      new GetObjectCommand({ Bucket: this.bucket, Key: this.objectKey(key) }),
+      { expiresIn: options.expiresIn || 3600 }
+    );
+  }
+
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: this.objectKey(key)
+      }));
+      return {
+        size: response.ContentLength,
+        contentType: response.ContentType || getContentTypeForKey(key),
+        lastModified: response.LastModified || null
+      };
+    } catch (error) {
+      if (error.name === 'NotFound' || error.$metadata?.httpStatusCode === 404) return null;
+      throw error;
+    }
+  }
+}
+
+module.exports = S3StorageDriver;
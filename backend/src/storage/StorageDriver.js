@@ -0,0 +1,89 @@
+/**
+ * Storage Driver
+ * Base class describing the interface every storage backend implements.
+ * Keys are forward-slash separated paths, e.g. "videos/<orgId>/<file>.mp4".
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+
+class StorageDriver {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key
+   * @param {Buffer|string|import('stream').Readable} source - buffer, string or readable stream
+   * @param {{ contentType?: string }} options
+   * @returns {Promise<{ key: string, size: number }>}
+   */
+  async put(key, source, options = {}) {
+    throw new Error(`${this.name} storage does not implement put()`);
+  }
+
+  /**
+   * Open a readable stream, optionally for an inclusive byte range
+   * @param {string} key
+   * @param {{ start?: number, end?: number }} range
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async getStream(key, range = {}) {
+    throw new Error(`${this.name} storage does not implement getStream()`);
+  }
+
+  /**
+   * Delete an object. Deleting a missing object is not an error.
+   */
+  async delete(key) {
+    throw new Error(`${this.name} storage does not implement delete()`);
+  }
+
+  /**
+   * Delete every object whose key starts with `prefix/` (e.g. all files derived from a video)
+   */
+  async deletePrefix(prefix) {
+    throw new Error(`${this.name} storage does not implement deletePrefix()`);
+  }
+
+  /**
+   * Get a time-limited URL that can be fetched without authentication
+   * @param {string} key
+   * @param {{ expiresIn?: number }} options - lifetime in seconds
+   */
+  async getSignedUrl(key, options = {}) {
+    throw new Error(`${this.name} storage does not implement getSignedUrl()`);
+  }
+
+  /**
+   * Get object metadata
+   * @returns {Promise<{ size: number, contentType: string|null, lastModified: Date|null }|null>}
+   *   null when the object does not exist
+   */
+  async stat(key) {
+    throw new Error(`${this.name} storage does not implement stat()`);
+  }
+
+  /**
+   * Run `fn` with a path to a local copy of the object (FFmpeg needs seekable files).
+   * Remote drivers download to a temp file which is removed afterwards.
+   */
+  async withLocalFile(key, fn) {
+    const tmpDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'storage-'));
+    const tmpPath = path.join(tmpDir, `${crypto.randomBytes(6).toString('hex')}${path.extname(key)}`);
+
+    try {
+      const stream = await this.getStream(key);
+      await pipeline(stream, fs.createWriteStream(tmpPath));
+      return await fn(tmpPath);
+    } finally {
+      await fs.promises.rm(tmpDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = StorageDriver;
@@ -0,0 +1,31 @@
+const path = require('path');
+
+// Content types for the files we store: uploaded videos and derived assets
+const CONTENT_TYPES = {
+  '.mp4': 'video/mp4',
+  '.m4v': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.webm': 'video/webm',
+  '.mkv': 'video/x-matroska',
+  '.avi': 'video/x-msvideo',
+  '.mpeg': 'video/mpeg',
+  '.mpg': 'video/mpeg',
+  '.flv': 'video/x-flv',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.ts': 'video/mp2t',
+  '.mpd': 'application/dash+xml',
+  '.m4s': 'video/iso.segment',
+  '.json': 'application/json'
+};
+
+const getContentTypeForKey = (key) => {
+  return CONTENT_TYPES[path.extname(key || '').toLowerCase()] || 'application/octet-stream';
+};
+
+module.exports = {
+  CONTENT_TYPES,
+  getContentTypeForKey
+};
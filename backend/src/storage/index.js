@@ -0,0 +1,116 @@
+/**
+ * Storage
+ * Entry point for the storage layer: creates drivers from configuration and
+ * maps videos to the driver/key that holds their file.
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const LocalStorageDriver = require('./LocalStorageDriver');
+const S3StorageDriver = require('./S3StorageDriver');
+const CloudinaryStorageDriver = require('./CloudinaryStorageDriver');
+const {
+  getStorageProvider,
+  getLocalStorageDir,
+  getS3Config
+} = require('../config/storageConfig');
+
+// One driver instance per provider, created lazily
+const drivers = new Map();
+
+const createStorageDriver = (provider) => {
+  switch (provider) {
+    case 'local':
+      return new LocalStorageDriver({
+        rootDir: getLocalStorageDir(),
+        baseUrl: process.env.PUBLIC_API_URL || ''
+      });
+    case 's3':
+      return new S3StorageDriver(getS3Config());
+    case 'cloudinary':
+      return new CloudinaryStorageDriver();
+    default:
+      throw new Error(`Unknown storage provider: ${provider}`);
+  }
+};
+
+/**
+ * Get a storage driver; defaults to the provider configured for new uploads
+ */
+const getStorage = (provider = getStorageProvider()) => {
+  if (!drivers.has(provider)) {
+    drivers.set(provider, createStorageDriver(provider));
+  }
+  return drivers.get(provider);
+};
+
+/**
+ * Override the driver for a provider (used by tests to point at a temp directory)
+ */
+const setStorage = (provider, driver) => {
+  if (driver) {
+    drivers.set(provider, driver);
+  } else {
+    drivers.delete(provider);
+  }
+};
+
+/**
+ * Storage key of a video's source file.
+ * Videos uploaded before the storage layer only have a Cloudinary public ID;
+ * the format extension is recovered from their Cloudinary URL.
+ */
+const getVideoStorageKey = (video) => {
+  if (video.storageKey) return video.storageKey;
+
+  if (video.cloudinaryPublicId) {
+    let ext = '.mp4';
+    try {
+      ext = path.extname(new URL(video.filepath).pathname) || ext;
+    } catch (error) {
+      // filepath is not a URL; keep the default extension
+    }
+    return `${video.cloudinaryPublicId}${ext}`;
+  }
+
+  // Local uploads made before storageKey existed stored their key in filepath
+  if (video.storageProvider && video.storageProvider !== 'cloudinary') {
+    return video.filepath || null;
+  }
+
+  return null;
+};
+
+/**
+ * Driver holding a video's files (the provider recorded at upload time,
+ * so switching STORAGE_PROVIDER does not orphan existing videos)
+ */
+const getStorageForVideo = (video) => {
+  return getStorage(video.storageProvider || 'cloudinary');
+};
+
+/**
+ * Key prefix for files derived from a video (thumbnails, renditions, ...)
+ */
+const getVideoAssetPrefix = (video) => {
+  return `videos/${video.organizationId._id || video.organizationId}/${video._id}`;
+};
+
+/**
+ * Key for a newly uploaded file, e.g. "videos/<orgId>/<timestamp>-<random>.mp4"
+ */
+const buildUploadKey = (keyPrefix, organizationId, originalName) => {
+  const ext = path.extname(originalName).toLowerCase();
+  const orgSegment = organizationId ? `${organizationId}/` : '';
+  return `${keyPrefix}/${orgSegment}${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`;
+};
+
+module.exports = {
+  createStorageDriver,
+  getStorage,
+  setStorage,
+  getVideoStorageKey,
+  getStorageForVideo,
+  getVideoAssetPrefix,
+  buildUploadKey
+};
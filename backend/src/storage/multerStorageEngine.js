@@ -0,0 +1,53 @@
+/**
+ * Multer storage engine that streams uploads straight into the configured storage driver
+ */
+
+const path = require('path');
+const { Transform } = require('stream');
+const { getStorage, buildUploadKey } = require('./index');
+
+class StorageDriverEngine {
+  /**
+   * @param {{ getStorage?: () => import('./StorageDriver'), keyPrefix?: string }} options
+   */
+  constructor(options = {}) {
+    this.getStorage = options.getStorage || (() => getStorage());
+    this.keyPrefix = options.keyPrefix || 'videos';
+  }
+
+  buildKey(req, file) {
+    return buildUploadKey(this.keyPrefix, req.organizationId, file.originalname);
+  }
+
+  _handleFile(req, file, cb) {
+    const storage = this.getStorage();
+    const key = this.buildKey(req, file);
+
+    // Count bytes as they pass through: remote drivers may not report the size
+    let size = 0;
+    const counter = new Transform({
+      transform(chunk, encoding, callback) {
+        size += chunk.length;
+        callback(null, chunk);
+      }
+    });
+    file.stream.on('error', (err) => counter.destroy(err));
+
+    storage.put(key, file.stream.pipe(counter), { contentType: file.mimetype })
+      .then(() => cb(null, {
+        storageKey: key,
+        storageProvider: storage.name,
+        filename: path.basename(key),
+        size
+      }))
+      .catch(cb);
+  }
+
+  _removeFile(req, file, cb) {
+    this.getStorage().delete(file.storageKey)
+      .then(() => cb(null))
+      .catch(cb);
+  }
+}
+
+module.exports = StorageDriverEngine;
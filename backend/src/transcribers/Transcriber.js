@@ -0,0 +1,24 @@
+/**
+ * Transcriber
+ * Base class describing the interface every speech-to-text engine implements.
+ * Engines receive a 16 kHz mono WAV file extracted by TranscriptionService.
+ */
+
+class Transcriber {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Transcribe an audio file
+   * @param {string} audioPath - 16 kHz mono PCM WAV
+   * @param {{ onProgress?: (percent: number) => void }} options
+   * @returns {Promise<{ language: string|null, segments: Array<{ start: number, end: number, text: string }> }>}
+   *   segment times in seconds
+   */
+  async transcribe(audioPath, options = {}) {
+    throw new Error(`${this.name} transcriber does not implement transcribe()`);
+  }
+}
+
+module.exports = Transcriber;
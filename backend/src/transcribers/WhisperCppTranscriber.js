@@ -0,0 +1,116 @@
+/**
+ * whisper.cpp Transcriber
+ * Runs the whisper.cpp command line program (`whisper-cli`, formerly `main`) on the CPU
+ * and reads its JSON output. Requires the binary (WHISPER_CPP_PATH) and a ggml model
+ * file (WHISPER_MODEL_PATH), e.g. ggml-base.en.bin.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+const Transcriber = require('./Transcriber');
+
+class WhisperCppTranscriber extends Transcriber {
+  /**
+   * @param {{ binaryPath: string, modelPath: string, language?: string, threads?: number,
+   *           timeoutMs?: number, spawnProcess?: Function }} options
+   */
+  constructor({ binaryPath = 'whisper-cli', modelPath, language = 'auto', threads = 2, timeoutMs = 30 * 60 * 1000, spawnProcess = spawn } = {}) {
+    super('whisper-cpp');
+    this.binaryPath = binaryPath;
+    this.modelPath = modelPath;
+    this.language = language;
+    this.threads = threads;
+    this.timeoutMs = timeoutMs;
+    this.spawnProcess = spawnProcess;
+  }
+
+  buildArgs(audioPath, outputBase) {
+    return [
+      '-m', this.modelPath,
+      '-f', audioPath,
+      '-l', this.language,
+      '-t', String(this.threads),
+      '-oj',
+      '-of', outputBase,
+      '-pp'
+    ];
+  }
+
+  /**
+   * Convert whisper.cpp JSON output to segments in seconds
+   */
+  static parseOutput(output) {
+    const segments = (output.transcription || [])
+      .map(item => ({
+        start: (item.offsets?.from || 0) / 1000,
+        end: (item.offsets?.to || 0) / 1000,
+        text: (item.text || '').trim()
+      }))
+      .filter(segment => segment.text);
+
+    return {
+      language: output.result?.language || null,
+      segments
+    };
+  }
+
+  run(args, onProgress) {
+    return new Promise((resolve, reject) => {
+      const child = this.spawnProcess(this.binaryPath, args, { stdio: ['ignore', 'ignore', 'pipe'] });
+      let stderrTail = '';
+
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`whisper.cpp timed out after ${this.timeoutMs} ms`));
+      }, this.timeoutMs);
+
+      child.stderr.on('data', (chunk) => {
+        const text = chunk.toString();
+        stderrTail = (stderrTail + text).slice(-2000);
+
+        // "-pp" prints lines like "whisper_print_progress_callback: progress =  40%"
+        for (const match of text.matchAll(/progress\s*=\s*(\d+)%/g)) {
+          onProgress?.(Number(match[1]));
+        }
+      });
+
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(error.code === 'ENOENT'
+          ? new Error(`whisper.cpp binary not found at "${this.binaryPath}" (set WHISPER_CPP_PATH)`)
+          : error);
+      });
+
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) {
+          resolve();
+        } else {
+          const detail = stderrTail.trim().split('\n').slice(-1)[0];
+          reject(new Error(`whisper.cpp exited with code ${code}${detail ? ` (${detail})` : ''}`));
+        }
+      });
+    });
+  }
+
+  async transcribe(audioPath, { onProgress } = {}) {
+    if (!this.modelPath) {
+      throw new Error('whisper.cpp transcriber requires WHISPER_MODEL_PATH');
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'whisper-'));
+    const outputBase = path.join(workDir, 'transcript');
+
+    try {
+      await this.run(this.buildArgs(audioPath, outputBase), onProgress);
+      const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+      return WhisperCppTranscriber.parseOutput(output);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+}
+
+module.exports = WhisperCppTranscriber;
@@ -0,0 +1,46 @@
+/**
+ * Transcribers
+ * Entry point for speech-to-text engines: creates the engine selected
+ * by configuration and lets tests swap in their own.
+ */
+
+const WhisperCppTranscriber = require('./WhisperCppTranscriber');
+const { getTranscriberName, getWhisperCppConfig } = require('../config/transcriptionConfig');
+
+// One transcriber instance per name, created lazily
+const transcribers = new Map();
+
+const createTranscriber = (name) => {
+  switch (name) {
+    case 'whisper-cpp':
+      return new WhisperCppTranscriber(getWhisperCppConfig());
+    default:
+      throw new Error(`Unknown transcriber: ${name}`);
+  }
+};
+
+/**
+ * Get a transcriber; defaults to the one configured with TRANSCRIBER
+ */
+const getTranscriber = (name = getTranscriberName()) => {
+  if (!transcribers.has(name)) {
+    transcribers.set(name, createTranscriber(name));
+  }
+  return transcribers.get(name);
+};
+
+/**
+ * Override the transcriber for a name (used by tests to avoid running a real engine)
+ */
+const setTranscriber = (name, transcriber) => {
+  if (transcriber) {
+    transcribers.set(name, transcriber);
+  } else {
+    transcribers.delete(name);
+  }
+};
+
+module.exports = {
+  getTranscriber,
+  setTranscriber
+};
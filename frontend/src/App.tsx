@@ -8,6 +8,13 @@ import { AllVideos } from './pages/AllVideos';
 import { VideoPlayer } from './pages/VideoPlayer';
 import { OrganizationSettings } from './pages/OrganizationSettings';
 import { MemberManagement } from './pages/MemberManagement';
+import { Review } from './pages/Review';
+import { AcceptInvite } from './pages/AcceptInvite';
+import { ForgotPassword } from './pages/ForgotPassword';
+import { ResetPassword } from './pages/ResetPassword';
+import { VerifyEmail } from './pages/VerifyEmail';
+import { AccountSettings } from './pages/AccountSettings';
+import { SharedVideo } from './pages/SharedVideo';
 import { Header } from './components/Header';
 import { ProtectedRoute } from './components/ProtectedRoute';
 import { OrganizationProvider } from './context/OrganizationContext';
@@ -22,6 +29,18 @@ function App() {
           <Route path="/" element={<Home />} />
           <Route path="/login" element={<Login />} />
           <Route path="/register" element={<Register />} />
+          <Route path="/invite/:token" element={<AcceptInvite />} />
+          <Route path="/forgot-password" element={<ForgotPassword />} />
+          <Route path="/reset-password" element={<ResetPassword />} />
+          <Route path="/verify-email" element={<VerifyEmail />} />
+          <Route 
+            path="/account" 
+            element={
+              <ProtectedRoute>
+                <AccountSettings />
+              </ProtectedRoute>
+            } 
+          />
           <Route 
             path="/upload" 
             element={
@@ -40,6 +59,7 @@ function App() {
           />
           <Route path="/videos" element={<AllVideos />} />
           <Route path="/video/:id" element={<VideoPlayer />} />
+          <Route path="/share/:token" element={<SharedVideo />} />
           <Route 
             path="/organization" 
             element={
@@ -56,6 +76,14 @@ function App() {
               </ProtectedRoute>
             } 
           />
+          <Route 
+            path="/review" 
+            element={
+              <ProtectedRoute>
+                <Review />
+              </ProtectedRoute>
+            } 
+          />
           <Route path="*" element={<Navigate to="/" />} />
         </Routes>
       </OrganizationProvider>
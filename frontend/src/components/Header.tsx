@@ -1,14 +1,15 @@
 import { useNavigate, useLocation } from 'react-router-dom';
-import { clearAuthToken, getAuthToken, getOrganization } from '../services/authService';
+import { authAPI, clearAuthToken, getAuthToken, getOrganization } from '../services/authService';
 import { useState, useEffect } from 'react';
 import { useOrganization } from '../context/OrganizationContext';
+import socketService from '../services/socketService';
 import './Header.css';
 
 export function Header() {
   const navigate = useNavigate();
   const location = useLocation();
   const organizationContext = useOrganization();
-  const { currentOrganization, organizations, switchOrganization } = organizationContext;
+  const { currentOrganization, organizations, switchOrganization, hasPermission } = organizationContext;
   const [authenticated, setAuthenticated] = useState(() => !!getAuthToken());
   const [user, setUser] = useState<any>(null);
   const [showOrgDropdown, setShowOrgDropdown] = useState(false);
@@ -66,7 +67,14 @@ export function Header() {
     return () => window.removeEventListener('storage', handleStorageChange);
   }, []);
 
-  const handleLogout = () => {
+  const handleLogout = async (allSessions = false) => {
+    try {
+      await (allSessions ? authAPI.logoutAll() : authAPI.logout());
+    } catch (error) {
+      // The local session is cleared either way
+      console.error('Failed to end session on the server:', error);
+    }
+    socketService.disconnect();
     clearAuthToken();
     setAuthenticated(false);
     setUser(null);
@@ -100,10 +108,13 @@ export function Header() {
               <a href="/" className="nav-item">Home</a>
               <a href="/videos" className="nav-item">All Videos</a>
               <a href="/my-videos" className="nav-item">My Videos</a>
-              <a href="/upload" className="nav-item upload-link">+ Upload</a>
+              {hasPermission('video:upload') && <a href="/upload" className="nav-item upload-link">+ Upload</a>}
+              {hasPermission('moderation:review') && (
+                <a href="/review" className="nav-item">Review</a>
+              )}
               <a href="/organization" className="nav-item">Organization</a>
               <div className="user-org-info">
-                <span className="user-info">👤 {user?.username || 'User'}</span>
+                <a href="/account" className="user-info" title="Account settings">👤 {user?.username || 'User'}</a>
                 {currentOrganization && (
                   <div className="org-dropdown-container">
                     <button 
@@ -130,9 +141,16 @@ export function Header() {
                   </div>
                 )}
               </div>
-              <button onClick={handleLogout} className="logout-btn">
+              <button onClick={() => handleLogout()} className="logout-btn">
                 Logout
               </button>
+              <button
+                onClick={() => handleLogout(true)}
+                className="logout-btn"
+                title="Log out on every device"
+              >
+                Logout all
+              </button>
             </div>
           ) : (
             <div className="nav-links">
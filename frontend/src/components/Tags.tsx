@@ -0,0 +1,162 @@
+import { useEffect, useRef, useState } from 'react';
+import type { KeyboardEvent } from 'react';
+import { tagAPI, normalizeTag, MAX_TAGS, MAX_TAG_LENGTH, type Tag } from '../services/tagService';
+import './Tags.css';
+
+interface TagChipsProps {
+  tags?: string[];
+  // Makes the chips buttons, e.g. to filter the list by the tag
+  onSelect?: (tag: string) => void;
+  selected?: string;
+}
+
+// Tags of a video
+export function TagChips({ tags = [], onSelect, selected }: TagChipsProps) {
+  if (!tags.length) return null;
+
+  return (
+    <div className="tag-chips">
+      {tags.map(tag => onSelect ? (
+        <button
+          key={tag}
+          type="button"
+          className={`tag-chip tag-chip-button${selected === tag ? ' active' : ''}`}
+          onClick={() => onSelect(tag)}
+          title={selected === tag ? 'Show all videos' : `Show videos tagged "${tag}"`}
+        >
+          #{tag}
+        </button>
+      ) : (
+        <span key={tag} className="tag-chip">#{tag}</span>
+      ))}
+    </div>
+  );
+}
+
+interface TagPickerProps {
+  tags: string[];
+  onChange: (tags: string[]) => void;
+  disabled?: boolean;
+}
+
+// Tag input with suggestions from the organization's tags; Enter or a comma adds the typed tag
+export function TagPicker({ tags, onChange, disabled }: TagPickerProps) {
+  const [input, setInput] = useState('');
+  const [suggestions, setSuggestions] = useState<Tag[]>([]);
+  const suggestTimer = useRef<ReturnType<typeof setTimeout> | null>(null);
+  // Text of the latest autocomplete request; answers to older ones are dropped
+  const latestQuery = useRef('');
+
+  useEffect(() => () => {
+    if (suggestTimer.current) clearTimeout(suggestTimer.current);
+  }, []);
+
+  const suggest = (text: string) => {
+    if (suggestTimer.current) clearTimeout(suggestTimer.current);
+    const q = normalizeTag(text);
+    latestQuery.current = q;
+    if (!q) {
+      setSuggestions([]);
+      return;
+    }
+
+    suggestTimer.current = setTimeout(async () => {
+      try {
+        const response = await tagAPI.autocomplete(q);
+        if (latestQuery.current === q) setSuggestions(response.data.tags);
+      } catch (err) {
+        console.error('Failed to load tag suggestions:', err);
+      }
+    }, 200);
+  };
+
+  const addTags = (names: string[]) => {
+    const next = [...tags];
+    names.map(normalizeTag).forEach(name => {
+      if (name && name.length <= MAX_TAG_LENGTH && !next.includes(name) && next.length < MAX_TAGS) {
+        next.push(name);
+      }
+    });
+    if (next.length !== tags.length) onChange(next);
+  };
+
+  const handleChange = (value: string) => {
+    // Typing or pasting a comma adds the tags before it
+    const parts = value.split(',');
+    const rest = parts.pop() ?? '';
+    if (parts.length) addTags(parts);
+    setInput(rest);
+    suggest(rest);
+  };
+
+  const commitInput = () => {
+    if (!input.trim()) return;
+    addTags([input]);
+    setInput('');
+    suggest('');
+  };
+
+  const handleKeyDown = (e: KeyboardEvent<HTMLInputElement>) => {
+    if (e.key === 'Enter') {
+      // Adds the tag instead of submitting the form
+      e.preventDefault();
+      commitInput();
+    } else if (e.key === 'Backspace' && !input && tags.length) {
+      onChange(tags.slice(0, -1));
+    }
+  };
+
+  const pickSuggestion = (name: string) => {
+    addTags([name]);
+    setInput('');
+    suggest('');
+  };
+
+  const visibleSuggestions = suggestions.filter(tag => !tags.includes(tag.name));
+  const full = tags.length >= MAX_TAGS;
+
+  return (
+    <div className="tag-picker">
+      <div className={`tag-picker-field${disabled ? ' disabled' : ''}`}>
+        {tags.map(tag => (
+          <span key={tag} className="tag-chip">
+            #{tag}
+            {!disabled && (
+              <button
+                type="button"
+                className="tag-chip-remove"
+                onClick={() => onChange(tags.filter(t => t !== tag))}
+                aria-label={`Remove tag ${tag}`}
+              >
+                ×
+              </button>
+            )}
+          </span>
+        ))}
+        <input
+          type="text"
+          value={input}
+          onChange={(e) => handleChange(e.target.value)}
+          onKeyDown={handleKeyDown}
+          onBlur={commitInput}
+          placeholder={full ? `At most ${MAX_TAGS} tags` : tags.length ? 'Add a tag' : 'Add tags, e.g. onboarding, sales'}
+          disabled={disabled || full}
+          maxLength={MAX_TAG_LENGTH}
+          className="tag-picker-input"
+        />
+      </div>
+      {visibleSuggestions.length > 0 && !disabled && (
+        <ul className="tag-suggestions">
+          {visibleSuggestions.map(tag => (
+            <li key={tag.name}>
+              {/* mousedown keeps the input focused, so the blur does not add the typed text first */}
+              <button type="button" onMouseDown={(e) => e.preventDefault()} onClick={() => pickSuggestion(tag.name)}>
+                #{tag.name} <span className="tag-suggestion-count">{tag.usageCount}</span>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,22 @@
+import { videoAPI } from '../services/videoService';
+import { useMediaToken } from '../hooks/useMediaToken';
+
+interface VideoPreviewProps {
+  video: {
+    _id: string;
+    title: string;
+    thumbnail?: { key: string | null };
+  };
+}
+
+// Picture of a video card: the poster thumbnail, or the first frame while there is none
+export function VideoPreview({ video }: VideoPreviewProps) {
+  const mediaToken = useMediaToken(video._id);
+  if (!mediaToken) return null;
+
+  return video.thumbnail?.key ? (
+    <img src={videoAPI.getThumbnailUrl(video._id, mediaToken)} alt={video.title} loading="lazy" />
+  ) : (
+    <video src={videoAPI.getStreamUrl(video._id, mediaToken)} preload="metadata" />
+  );
+}
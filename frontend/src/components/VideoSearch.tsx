@@ -0,0 +1,116 @@
+import type { ReactNode } from 'react';
+import type { SearchFacetBucket, SearchHighlight, VideoSearchFacets, VideoSearchFilters } from '../services/videoService';
+
+const SNIPPET_LABELS: Record<SearchHighlight['field'], string> = {
+  title: 'Title',
+  tags: 'Tags',
+  description: 'Description',
+  transcript: 'Said'
+};
+
+const formatTime = (seconds: number) => {
+  const total = Math.floor(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+// Text of a search highlight with the matched words in <mark>
+export function Highlight({ highlight }: { highlight: Pick<SearchHighlight, 'text' | 'matches'> }) {
+  const { text, matches } = highlight;
+  const parts: ReactNode[] = [];
+  let last = 0;
+  matches.forEach(([start, end]) => {
+    if (start < last) return;
+    parts.push(text.slice(last, start));
+    parts.push(<mark key={start} className="search-mark">{text.slice(start, end)}</mark>);
+    last = end;
+  });
+  parts.push(text.slice(last));
+  return <>{parts}</>;
+}
+
+// Title of a video, with the matched words marked when the title matched the search
+// (and was not edited since)
+export function HighlightedTitle({ title, highlights = [] }: { title: string; highlights?: SearchHighlight[] }) {
+  const highlight = highlights.find(h => h.field === 'title' && h.text === title);
+  return highlight ? <Highlight highlight={highlight} /> : <>{title}</>;
+}
+
+// Snippets of the other fields (tags, description, transcript) that matched the search
+export function SearchSnippets({ highlights = [] }: { highlights?: SearchHighlight[] }) {
+  const snippets = highlights.filter(h => h.field !== 'title');
+  if (!snippets.length) return null;
+
+  return (
+    <div className="search-snippets">
+      {snippets.map(snippet => (
+        <p key={snippet.field} className="search-snippet">
+          <span className="search-snippet-label">
+            {SNIPPET_LABELS[snippet.field]}
+            {snippet.start !== undefined && ` at ${formatTime(snippet.start)}`}:
+          </span>{' '}
+          <Highlight highlight={snippet} />
+        </p>
+      ))}
+    </div>
+  );
+}
+
+interface FacetSelectProps {
+  label: string;
+  buckets: SearchFacetBucket[];
+  value?: string;
+  onChange: (value: string) => void;
+}
+
+function FacetSelect({ label, buckets, value, onChange }: FacetSelectProps) {
+  // Keep the selected value listed even when the current results do not count it
+  const options = value && !buckets.some(b => String(b.value) === value)
+    ? [{ value, count: 0 }, ...buckets]
+    : buckets;
+
+  return (
+    <select value={value || ''} onChange={(e) => onChange(e.target.value)} className="sort-select" title={`Filter by ${label.toLowerCase()}`}>
+      <option value="">Any {label.toLowerCase()}</option>
+      {options.map(bucket => (
+        <option key={String(bucket.value)} value={String(bucket.value)}>
+          {bucket.label || String(bucket.value)} ({bucket.count})
+        </option>
+      ))}
+    </select>
+  );
+}
+
+interface SearchFiltersProps {
+  facets: VideoSearchFacets | null;
+  filters: VideoSearchFilters;
+  onChange: (name: keyof VideoSearchFilters, value: string) => void;
+  fields?: (keyof VideoSearchFilters)[];
+}
+
+const FACET_LABELS: Record<keyof VideoSearchFilters, string> = {
+  status: 'Status',
+  category: 'Category',
+  uploader: 'Uploader',
+  tags: 'Tag'
+};
+
+// Facet filters of a video search, with the number of matching videos of each value
+export function SearchFilters({ facets, filters, onChange, fields = ['status', 'category', 'uploader', 'tags'] }: SearchFiltersProps) {
+  if (!facets) return null;
+
+  return (
+    <div className="search-facets">
+      {fields
+        .filter(field => facets[field].length > 0 || filters[field])
+        .map(field => (
+          <FacetSelect
+            key={field}
+            label={FACET_LABELS[field]}
+            buckets={facets[field]}
+            value={filters[field]}
+            onChange={(value) => onChange(field, value)}
+          />
+        ))}
+    </div>
+  );
+}
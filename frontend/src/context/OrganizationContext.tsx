@@ -6,7 +6,8 @@ export interface Organization {
   id: string;
   name: string;
   slug: string;
-  role?: 'admin' | 'editor' | 'viewer';
+  role?: string;
+  permissions?: string[];
 }
 
 interface OrganizationContextType {
@@ -15,6 +16,8 @@ interface OrganizationContextType {
   switchOrganization: (orgId: string) => Promise<void>;
   refreshOrganizations: () => Promise<void>;
   addOrganizationChangeListener: (callback: (org: Organization | null) => void) => () => void;
+  // Whether the current member holds a permission (see backend config/permissions.js)
+  hasPermission: (permission: string) => boolean;
 }
 
 const OrganizationContext = createContext<OrganizationContextType | undefined>(undefined);
@@ -75,7 +78,9 @@ export function OrganizationProvider({ children }: { children: ReactNode }) {
             const currentOrgFromStorage = getOrganization();
             if (currentOrgFromStorage) {
               const freshCurrentOrg = freshOrganizations.find(org => org.id === currentOrgFromStorage.id);
-              if (freshCurrentOrg && freshCurrentOrg.role && freshCurrentOrg.role !== currentOrgFromStorage.role) {
+              const permissionsChanged = freshCurrentOrg &&
+                (freshCurrentOrg.permissions || []).join() !== (currentOrgFromStorage.permissions || []).join();
+              if (freshCurrentOrg && freshCurrentOrg.role && (freshCurrentOrg.role !== currentOrgFromStorage.role || permissionsChanged)) {
                 console.log('[ORG CONTEXT] Updating current org role from backend:', freshCurrentOrg.role);
                 setCurrentOrg(freshCurrentOrg);
                 if (freshCurrentOrg.role) {
@@ -138,7 +143,8 @@ export function OrganizationProvider({ children }: { children: ReactNode }) {
         id: newOrg.id,
         name: newOrg.name,
         slug: newOrg.slug,
-        role: newOrg.role
+        role: newOrg.role,
+        permissions: newOrg.permissions
       };
       
       setCurrentOrg(updatedOrg);
@@ -201,8 +207,10 @@ export function OrganizationProvider({ children }: { children: ReactNode }) {
     }
   };
 
+  const hasPermission = (permission: string) => !!currentOrganization?.permissions?.includes(permission);
+
   return (
-    <OrganizationContext.Provider value={{ currentOrganization, organizations, switchOrganization, refreshOrganizations, addOrganizationChangeListener }}>
+    <OrganizationContext.Provider value={{ currentOrganization, organizations, switchOrganization, refreshOrganizations, addOrganizationChangeListener, hasPermission }}>
       {children}
     </OrganizationContext.Provider>
   );
@@ -0,0 +1,29 @@
+import { useEffect, useRef } from 'react';
+
+/**
+ * Infinite scroll: calls `onLoadMore` when the element given the returned ref (placed
+ * after the list) comes near the viewport. Pass `enabled` false while a page is loading
+ * or when there is none left; it is checked again each time it turns true, so short
+ * pages keep loading until the list fills the screen.
+ */
+export function useInfiniteScroll<T extends Element = HTMLDivElement>(onLoadMore: () => void, enabled: boolean) {
+  const sentinelRef = useRef<T | null>(null);
+  const onLoadMoreRef = useRef(onLoadMore);
+
+  useEffect(() => {
+    onLoadMoreRef.current = onLoadMore;
+  });
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!enabled || !sentinel || typeof IntersectionObserver === 'undefined') return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some(entry => entry.isIntersecting)) onLoadMoreRef.current();
+    }, { rootMargin: '400px 0px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [enabled]);
+
+  return sentinelRef;
+}
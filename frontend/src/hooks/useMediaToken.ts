@@ -0,0 +1,129 @@
+import { useEffect, useState } from 'react';
+import { videoAPI } from '../services/videoService';
+import type { MediaToken } from '../services/videoService';
+
+// Ask for a new token this long before the current one expires
+const RENEW_BEFORE_MS = 5 * 60 * 1000;
+// Videos asked for within this delay (the cards of a list page) share one request
+const BATCH_DELAY_MS = 10;
+// Videos per request, the most POST /videos/media-tokens accepts
+const BATCH_SIZE = 50;
+
+type Listener = (mediaToken: string) => void;
+
+// Tokens already handed out, per login token and video, so the cards of a list and the
+// panels of the video page share them
+const tokens = new Map<string, MediaToken>();
+// Components showing each video, told about its token and every renewal
+const listeners = new Map<string, Set<Listener>>();
+const requested = new Set<string>();
+const queued = new Set<string>();
+let batchTimer: ReturnType<typeof setTimeout> | null = null;
+
+const cacheKey = (videoId: string) => `${localStorage.getItem('token') || ''}:${videoId}`;
+
+const isFresh = (token: MediaToken | undefined): token is MediaToken =>
+  !!token && new Date(token.expiresAt).getTime() - RENEW_BEFORE_MS > Date.now();
+
+const queueVideo = (videoId: string) => {
+  if (requested.has(cacheKey(videoId))) return;
+  queued.add(videoId);
+  if (!batchTimer) batchTimer = setTimeout(flushQueue, BATCH_DELAY_MS);
+};
+
+// Renew the tokens of one request together, before the first of them expires, for the
+// videos still on screen
+const scheduleRenewal = (issued: MediaToken[], videoIds: string[]) => {
+  const renewAt = Math.min(...issued.map(token => new Date(token.expiresAt).getTime())) - RENEW_BEFORE_MS;
+  setTimeout(() => {
+    videoIds.filter(videoId => listeners.has(videoId)).forEach(queueVideo);
+  }, Math.max(renewAt - Date.now(), 0));
+};
+
+const requestTokens = async (videoIds: string[]) => {
+  const keys = videoIds.map(cacheKey);
+  keys.forEach(key => requested.add(key));
+
+  try {
+    const response = await videoAPI.getMediaTokens(videoIds);
+    const issued = Object.entries(response.data.tokens);
+    issued.forEach(([videoId, token]) => {
+      tokens.set(cacheKey(videoId), token);
+      listeners.get(videoId)?.forEach(listener => listener(token.mediaToken));
+    });
+    if (issued.length > 0) {
+      scheduleRenewal(issued.map(([, token]) => token), issued.map(([videoId]) => videoId));
+    }
+  } catch (err) {
+    console.error('Failed to load media tokens:', err);
+  } finally {
+    keys.forEach(key => requested.delete(key));
+  }
+};
+
+function flushQueue() {
+  batchTimer = null;
+  const videoIds = [...queued];
+  queued.clear();
+  for (let i = 0; i < videoIds.length; i += BATCH_SIZE) {
+    requestTokens(videoIds.slice(i, i + BATCH_SIZE));
+  }
+}
+
+const subscribe = (videoId: string, listener: Listener) => {
+  const videoListeners = listeners.get(videoId) || new Set<Listener>();
+  videoListeners.add(listener);
+  listeners.set(videoId, videoListeners);
+
+  const cached = tokens.get(cacheKey(videoId));
+  if (isFresh(cached)) {
+    listener(cached.mediaToken);
+  } else {
+    queueVideo(videoId);
+  }
+
+  return () => {
+    videoListeners.delete(listener);
+    if (videoListeners.size === 0) listeners.delete(videoId);
+  };
+};
+
+/**
+ * Media token of a video for the URLs of its <video> and <img> elements (`?mt=`), or null
+ * while it loads. Tokens of the videos on screen are fetched together (one request per list
+ * page) and renewed before they expire, so the returned token changes while the page stays
+ * open; players keep their position with keepPlaybackPosition.
+ */
+export function useMediaToken(videoId: string | null | undefined) {
+  const [loaded, setLoaded] = useState<{ videoId: string; mediaToken: string } | null>(null);
+
+  useEffect(() => {
+    if (!videoId) return;
+    return subscribe(videoId, mediaToken => setLoaded({ videoId, mediaToken }));
+  }, [videoId]);
+
+  return loaded && loaded.videoId === videoId ? loaded.mediaToken : null;
+}
+
+/**
+ * Call before giving a <video> a new source URL. When it is another URL of the video already
+ * playing (a renewed media token), playback continues from the same position and stays paused
+ * or playing; for another video it starts over.
+ */
+export const keepPlaybackPosition = (player: HTMLVideoElement, videoId: string) => {
+  const sameVideo = player.dataset.videoId === videoId;
+  player.dataset.videoId = videoId;
+
+  const position = player.currentTime;
+  if (!sameVideo || !player.currentSrc || !position) return;
+
+  const paused = player.paused;
+  player.addEventListener('loadedmetadata', () => {
+    player.currentTime = position;
+    if (paused) {
+      player.pause();
+    } else {
+      player.play().catch(() => {});
+    }
+  }, { once: true });
+};
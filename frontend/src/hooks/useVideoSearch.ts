@@ -0,0 +1,160 @@
+import { useEffect, useMemo, useRef, useState } from 'react';
+import type { Dispatch, SetStateAction } from 'react';
+import axios from 'axios';
+import { videoAPI } from '../services/videoService';
+import type {
+  SearchHighlight,
+  VideoSearchFacets,
+  VideoSearchFilters,
+  VideoSearchParams,
+  VideoSearchResponse,
+  VideoSearchSort
+} from '../services/videoService';
+
+const SEARCH_DELAY_MS = 300;
+const PAGE_SIZE = 12;
+
+const getErrorMessage = (err: unknown) =>
+  (axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to load videos';
+
+const getHighlights = <T extends { _id: string }>(response: VideoSearchResponse<T>) => Object.fromEntries(
+  response.items.map(item => [item.video._id, item.highlights])
+);
+
+export interface VideoSearch<T> {
+  searchTerm: string;
+  setSearchTerm: (value: string) => void;
+  // Search text actually sent (searchTerm once typing pauses)
+  query: string;
+  // '' keeps the server default: relevance with search text, newest first without
+  sort: VideoSearchSort | '';
+  setSort: (sort: VideoSearchSort | '') => void;
+  filters: VideoSearchFilters;
+  setFilter: (name: keyof VideoSearchFilters, value: string) => void;
+  isFiltered: boolean;
+  videos: T[];
+  setVideos: Dispatch<SetStateAction<T[]>>;
+  removeVideo: (id: string) => void;
+  highlights: Record<string, SearchHighlight[]>;
+  facets: VideoSearchFacets | null;
+  total: number;
+  hasMore: boolean;
+  loadMore: () => void;
+  // First load, a new search, and a next page
+  loading: boolean;
+  searching: boolean;
+  loadingMore: boolean;
+  error: string;
+  reload: () => void;
+}
+
+/**
+ * Videos of the current organization found by the server-side search (GET /videos/search),
+ * with a debounced search text, sort, facet filters and pages loaded by loadMore
+ * (with useInfiniteScroll).
+ * `videos` can be updated in place (edits, socket events) with setVideos.
+ */
+export function useVideoSearch<T extends { _id: string }>({ mine = false } = {}): VideoSearch<T> {
+  const [searchTerm, setSearchTerm] = useState('');
+  const [query, setQuery] = useState('');
+  const [sort, setSort] = useState<VideoSearchSort | ''>('');
+  const [filters, setFilters] = useState<VideoSearchFilters>({});
+  const [videos, setVideos] = useState<T[]>([]);
+  const [highlights, setHighlights] = useState<Record<string, SearchHighlight[]>>({});
+  const [facets, setFacets] = useState<VideoSearchFacets | null>(null);
+  const [total, setTotal] = useState(0);
+  const [nextCursor, setNextCursor] = useState<string | null>(null);
+  const [loadedParams, setLoadedParams] = useState<VideoSearchParams | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+  // Responses of searches replaced by a newer one are ignored
+  const latestRequest = useRef(0);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setQuery(searchTerm.trim()), SEARCH_DELAY_MS);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  const params = useMemo<VideoSearchParams>(() => ({
+    ...filters,
+    q: query || undefined,
+    // Relevance needs search text; fall back to the default order when it is cleared
+    sort: sort && (sort !== 'relevance' || query) ? sort : undefined,
+    mine,
+    limit: PAGE_SIZE
+  }), [filters, query, sort, mine]);
+
+  useEffect(() => {
+    const requestId = ++latestRequest.current;
+    videoAPI.searchVideos<T>(params)
+      .then((response) => {
+        if (requestId !== latestRequest.current) return;
+        setVideos(response.data.items.map(item => item.video));
+        setHighlights(getHighlights(response.data));
+        setFacets(response.data.facets || null);
+        setTotal(response.data.total || 0);
+        setNextCursor(response.data.nextCursor);
+        setError('');
+      })
+      .catch((err) => {
+        if (requestId !== latestRequest.current) return;
+        setError(getErrorMessage(err));
+      })
+      .finally(() => {
+        if (requestId === latestRequest.current) setLoadedParams(params);
+      });
+  }, [params]);
+
+  const loadMore = () => {
+    if (!nextCursor || loadingMore) return;
+    const requestId = latestRequest.current;
+    setLoadingMore(true);
+    videoAPI.searchVideos<T>({ ...params, cursor: nextCursor })
+      .then((response) => {
+        if (requestId !== latestRequest.current) return;
+        setVideos(prev => [
+          ...prev,
+          ...response.data.items
+            .map(item => item.video)
+            .filter(video => !prev.some(v => v._id === video._id))
+        ]);
+        setHighlights(prev => ({ ...prev, ...getHighlights(response.data) }));
+        setNextCursor(response.data.nextCursor);
+      })
+      .catch((err) => {
+        if (requestId === latestRequest.current) setError(getErrorMessage(err));
+      })
+      .finally(() => setLoadingMore(false));
+  };
+
+  const removeVideo = (id: string) => {
+    setVideos(prev => prev.filter(v => v._id !== id));
+    setTotal(prev => Math.max(0, prev - 1));
+  };
+
+  return {
+    searchTerm,
+    setSearchTerm,
+    query,
+    sort,
+    setSort,
+    filters,
+    setFilter: (name, value) => setFilters(prev => ({ ...prev, [name]: value || undefined })),
+    isFiltered: !!query || Object.values(filters).some(Boolean),
+    videos,
+    setVideos,
+    removeVideo,
+    highlights,
+    facets,
+    total,
+    hasMore: !!nextCursor,
+    loadMore,
+    loading: loadedParams === null,
+    searching: loadedParams !== null && (loadedParams !== params || query !== searchTerm.trim()),
+    loadingMore,
+    error,
+    // After switching organization: start over without the filters of the previous one
+    // (a new filters object runs the search again)
+    reload: () => setFilters({})
+  };
+}
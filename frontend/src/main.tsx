@@ -4,6 +4,10 @@ import axios from 'axios'
 import './index.css'
 import App from './App.tsx'
 import socketService from './services/socketService'
+import { setupTokenRefresh } from './services/authService'
+
+// Renew expired access tokens with the stored refresh token
+setupTokenRefresh();
 
 // Initialize auth token from localStorage on app start
 const token = localStorage.getItem('token');
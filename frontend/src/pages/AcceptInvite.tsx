@@ -0,0 +1,113 @@
+import { useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import axios from 'axios';
+import { getAuthToken } from '../services/authService';
+import { invitationAPI } from '../services/organizationService';
+import type { InvitationDetails } from '../services/organizationService';
+import { useOrganization } from '../context/OrganizationContext';
+import '../styles/Auth.css';
+
+const getErrorMessage = (err: unknown, fallback: string) =>
+  (axios.isAxiosError(err) && err.response?.data?.error) || fallback;
+
+// Landing page of invitation emails (/invite/:token)
+export function AcceptInvite() {
+  const { token = '' } = useParams();
+  const navigate = useNavigate();
+  const { refreshOrganizations, switchOrganization } = useOrganization();
+  const [invitation, setInvitation] = useState<InvitationDetails | null>(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const isLoggedIn = !!getAuthToken();
+
+  useEffect(() => {
+    invitationAPI.getInvitation(token)
+      .then(response => setInvitation(response.data.invitation))
+      .catch(err => setError(getErrorMessage(err, 'Invitation not found')))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleAccept = async () => {
+    setError('');
+    setSubmitting(true);
+    try {
+      const response = await invitationAPI.accept(token);
+      await refreshOrganizations();
+      navigate('/', { replace: true });
+      await switchOrganization(response.data.organization.id);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to accept invitation'));
+      setSubmitting(false);
+    }
+  };
+
+  const handleDecline = async () => {
+    setError('');
+    setSubmitting(true);
+    try {
+      await invitationAPI.decline(token);
+      setInvitation(current => current && { ...current, status: 'declined' });
+      setMessage('Invitation declined');
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to decline invitation'));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="auth-container"><div className="auth-card"><p>Loading...</p></div></div>;
+  }
+
+  const isOpen = invitation?.status === 'pending';
+  const returnPath = encodeURIComponent(`/invite/${token}`);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Invitation</h2>
+        {error && <div className="error-message">{error}</div>}
+        {message && <div className="success-message">{message}</div>}
+
+        {invitation && (
+          <>
+            <p>
+              {invitation.invitedBy || 'An admin'} invited <strong>{invitation.email}</strong> to join{' '}
+              <strong>{invitation.organization.name}</strong> as {invitation.role}.
+            </p>
+            {isOpen ? (
+              <p className="auth-link">Expires {new Date(invitation.expiresAt).toLocaleString()}</p>
+            ) : (
+              !message && <p className="auth-link">This invitation is {invitation.status}.</p>
+            )}
+          </>
+        )}
+
+        {invitation && isOpen && (
+          isLoggedIn ? (
+            <button onClick={handleAccept} disabled={submitting}>
+              {submitting ? 'Joining...' : `Join ${invitation.organization.name}`}
+            </button>
+          ) : invitation.hasAccount ? (
+            <button onClick={() => navigate(`/login?redirect=${returnPath}`)} disabled={submitting}>
+              Log in to accept
+            </button>
+          ) : (
+            <button onClick={() => navigate(`/register?invite=${encodeURIComponent(token)}`)} disabled={submitting}>
+              Create account to accept
+            </button>
+          )
+        )}
+
+        {invitation && isOpen && (
+          <p className="auth-link">
+            Not interested?{' '}
+            <a href="#" onClick={(e) => { e.preventDefault(); handleDecline(); }}>Decline invitation</a>
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,296 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { authAPI, setAuthToken } from '../services/authService';
+import type { TwoFactorStatus, User } from '../services/authService';
+import '../styles/Auth.css';
+
+const getErrorMessage = (err: unknown, fallback: string) =>
+  (axios.isAxiosError(err) && err.response?.data?.error) || fallback;
+
+export function AccountSettings() {
+  const [user, setUser] = useState<User | null>(null);
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+  const [sendingVerification, setSendingVerification] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [passwords, setPasswords] = useState({
+    currentPassword: '',
+    newPassword: '',
+    confirmPassword: ''
+  });
+  const [twoFactor, setTwoFactor] = useState<TwoFactorStatus | null>(null);
+  const [twoFactorSetup, setTwoFactorSetup] = useState<{ secret: string; otpauthUrl: string } | null>(null);
+  const [twoFactorCode, setTwoFactorCode] = useState('');
+  const [disablePassword, setDisablePassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState<string[]>([]);
+  const [twoFactorBusy, setTwoFactorBusy] = useState(false);
+
+  const loadTwoFactor = () => authAPI.getTwoFactorStatus()
+    .then(response => setTwoFactor(response.data.twoFactor))
+    .catch(err => setError(getErrorMessage(err, 'Failed to load two-factor status')));
+
+  useEffect(() => {
+    authAPI.getCurrentUser()
+      .then(response => setUser(response.data.user))
+      .catch(err => setError(getErrorMessage(err, 'Failed to load account')));
+    loadTwoFactor();
+  }, []);
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    setPasswords({ ...passwords, [e.target.name]: e.target.value });
+  };
+
+  const handleResendVerification = async () => {
+    setError('');
+    setSuccess('');
+    setSendingVerification(true);
+    try {
+      const response = await authAPI.resendVerification();
+      setSuccess(response.data.message);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to send verification email'));
+    } finally {
+      setSendingVerification(false);
+    }
+  };
+
+  const handleChangePassword = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setSuccess('');
+
+    if (passwords.newPassword.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+    if (passwords.newPassword !== passwords.confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await authAPI.changePassword(
+        passwords.currentPassword,
+        passwords.newPassword,
+        passwords.confirmPassword
+      );
+      setSuccess(response.data.message);
+      setPasswords({ currentPassword: '', newPassword: '', confirmPassword: '' });
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to change password'));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Runs a two-factor action with shared busy and message handling
+  const runTwoFactorAction = async (action: () => Promise<string>, fallback: string) => {
+    setError('');
+    setSuccess('');
+    setTwoFactorBusy(true);
+    try {
+      setSuccess(await action());
+      setTwoFactorCode('');
+      await loadTwoFactor();
+    } catch (err) {
+      setError(getErrorMessage(err, fallback));
+    } finally {
+      setTwoFactorBusy(false);
+    }
+  };
+
+  const handleStartTwoFactor = () => runTwoFactorAction(async () => {
+    const response = await authAPI.setupTwoFactor();
+    setTwoFactorSetup({ secret: response.data.secret, otpauthUrl: response.data.otpauthUrl });
+    setRecoveryCodes([]);
+    return response.data.message;
+  }, 'Failed to start two-factor setup');
+
+  const handleEnableTwoFactor = (e: React.FormEvent) => {
+    e.preventDefault();
+    return runTwoFactorAction(async () => {
+      const response = await authAPI.enableTwoFactor(twoFactorCode.trim());
+      // This session is now verified; keep using the token that says so
+      setAuthToken(response.data.token);
+      setTwoFactorSetup(null);
+      setRecoveryCodes(response.data.recoveryCodes);
+      return response.data.message;
+    }, 'Failed to enable two-factor authentication');
+  };
+
+  const handleRegenerateCodes = (e: React.FormEvent) => {
+    e.preventDefault();
+    return runTwoFactorAction(async () => {
+      const response = await authAPI.regenerateRecoveryCodes(twoFactorCode.trim());
+      setRecoveryCodes(response.data.recoveryCodes);
+      return response.data.message;
+    }, 'Failed to create new recovery codes');
+  };
+
+  const handleDisableTwoFactor = (e: React.FormEvent) => {
+    e.preventDefault();
+    return runTwoFactorAction(async () => {
+      const response = await authAPI.disableTwoFactor(disablePassword, twoFactorCode.trim());
+      setDisablePassword('');
+      setRecoveryCodes([]);
+      return response.data.message;
+    }, 'Failed to disable two-factor authentication');
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Account</h2>
+        {error && <div className="error-message">{error}</div>}
+        {success && <div className="success-message">{success}</div>}
+
+        {user && (
+          <div className="account-email">
+            <p><strong>{user.username}</strong> · {user.email}</p>
+            {user.emailVerified ? (
+              <p className="account-verified">✓ Email verified</p>
+            ) : (
+              <>
+                <p className="account-unverified">Email not verified yet</p>
+                <button type="button" onClick={handleResendVerification} disabled={sendingVerification}>
+                  {sendingVerification ? 'Sending...' : 'Resend Verification Email'}
+                </button>
+              </>
+            )}
+          </div>
+        )}
+
+        <h3>Change Password</h3>
+        <form onSubmit={handleChangePassword}>
+          <div className="form-group">
+            <label>Current Password</label>
+            <input
+              type="password"
+              name="currentPassword"
+              value={passwords.currentPassword}
+              onChange={handleChange}
+              required
+              disabled={saving}
+            />
+          </div>
+          <div className="form-group">
+            <label>New Password</label>
+            <input
+              type="password"
+              name="newPassword"
+              value={passwords.newPassword}
+              onChange={handleChange}
+              placeholder="At least 6 characters"
+              required
+              disabled={saving}
+            />
+          </div>
+          <div className="form-group">
+            <label>Confirm New Password</label>
+            <input
+              type="password"
+              name="confirmPassword"
+              value={passwords.confirmPassword}
+              onChange={handleChange}
+              required
+              disabled={saving}
+            />
+          </div>
+          <button type="submit" disabled={saving}>
+            {saving ? 'Saving...' : 'Change Password'}
+          </button>
+        </form>
+        <p className="auth-link">Changing your password logs out your other sessions.</p>
+
+        <h3>Two-Factor Authentication</h3>
+        {recoveryCodes.length > 0 && (
+          <div className="recovery-codes">
+            <p>Recovery codes — each works once if you lose your authenticator. They are shown only now.</p>
+            <ul>
+              {recoveryCodes.map(code => <li key={code}><code>{code}</code></li>)}
+            </ul>
+          </div>
+        )}
+
+        {twoFactor && !twoFactor.enabled && !twoFactorSetup && (
+          <>
+            <p className="account-unverified">Two-factor authentication is off</p>
+            <button type="button" onClick={handleStartTwoFactor} disabled={twoFactorBusy}>
+              Set Up Two-Factor Authentication
+            </button>
+          </>
+        )}
+
+        {twoFactor && !twoFactor.enabled && twoFactorSetup && (
+          <form onSubmit={handleEnableTwoFactor}>
+            <div className="two-factor-setup">
+              <p>
+                Add this account to your authenticator app:{' '}
+                <a href={twoFactorSetup.otpauthUrl}>open in authenticator</a> or enter the key manually.
+              </p>
+              <code className="two-factor-secret">{twoFactorSetup.secret}</code>
+            </div>
+            <div className="form-group">
+              <label>Code from the App</label>
+              <input
+                type="text"
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                placeholder="6-digit code"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                required
+                disabled={twoFactorBusy}
+              />
+            </div>
+            <button type="submit" disabled={twoFactorBusy}>
+              {twoFactorBusy ? 'Verifying...' : 'Enable Two-Factor Authentication'}
+            </button>
+          </form>
+        )}
+
+        {twoFactor?.enabled && (
+          <>
+            <p className="account-verified">
+              ✓ Enabled {twoFactor.enabledAt && `on ${new Date(twoFactor.enabledAt).toLocaleDateString()}`}
+              {' '}· {twoFactor.recoveryCodesRemaining} recovery codes left
+            </p>
+            <div className="form-group">
+              <label>Current Code</label>
+              <input
+                type="text"
+                value={twoFactorCode}
+                onChange={(e) => setTwoFactorCode(e.target.value)}
+                placeholder="6-digit code from your app"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                disabled={twoFactorBusy}
+              />
+            </div>
+            <form onSubmit={handleRegenerateCodes}>
+              <button type="submit" disabled={twoFactorBusy || !twoFactorCode.trim()}>
+                New Recovery Codes
+              </button>
+            </form>
+            <form onSubmit={handleDisableTwoFactor}>
+              <div className="form-group">
+                <label>Password</label>
+                <input
+                  type="password"
+                  value={disablePassword}
+                  onChange={(e) => setDisablePassword(e.target.value)}
+                  required
+                  disabled={twoFactorBusy}
+                />
+              </div>
+              <button type="submit" className="danger-button" disabled={twoFactorBusy || !twoFactorCode.trim()}>
+                Disable Two-Factor Authentication
+              </button>
+            </form>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
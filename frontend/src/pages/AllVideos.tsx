@@ -1,7 +1,13 @@
 import { useState, useEffect } from 'react';
 import { videoAPI } from '../services/videoService';
+import type { VideoSearchSort } from '../services/videoService';
 import { useOrganization } from '../context/OrganizationContext';
 import { useToast, ToastContainer } from '../components/Toast';
+import { HighlightedTitle, SearchFilters, SearchSnippets } from '../components/VideoSearch';
+import { TagChips, TagPicker } from '../components/Tags';
+import { VideoPreview } from '../components/VideoPreview';
+import { useVideoSearch } from '../hooks/useVideoSearch';
+import { useInfiniteScroll } from '../hooks/useInfiniteScroll';
 import '../styles/Videos.css';
 
 interface Video {
@@ -11,39 +17,41 @@ interface Video {
   filepath: string;
   views: number;
   createdAt: string;
+  tags?: string[];
   userId: { _id: string; username: string };
+  thumbnail?: { key: string | null };
 }
 
 export function AllVideos() {
-  const { currentOrganization, addOrganizationChangeListener, refreshOrganizations } = useOrganization();
+  const { currentOrganization, addOrganizationChangeListener, refreshOrganizations, hasPermission } = useOrganization();
   const { toasts, addToast, removeToast } = useToast();
-  const [videos, setVideos] = useState<Video[]>([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
-  const [searchTerm, setSearchTerm] = useState('');
-  const [sortBy, setSortBy] = useState<'date' | 'views' | 'title'>('date');
-  const [currentPage, setCurrentPage] = useState(1);
+  // Searched, sorted and paged by the server (GET /videos/search)
+  const search = useVideoSearch<Video>();
+  const { videos, setVideos, highlights } = search;
+  // Next page once the end of the list scrolls into view ("Load more" stays as a fallback)
+  const sentinelRef = useInfiniteScroll(search.loadMore, search.hasMore && !search.loadingMore && !search.error);
   const [editingId, setEditingId] = useState<string | null>(null);
-  const [editFormData, setEditFormData] = useState({ title: '', description: '' });
-  const videosPerPage = 12;
+  const [editFormData, setEditFormData] = useState({ title: '', description: '', tags: [] as string[] });
 
-  // Check if user can edit videos (admin or editor role)
-  const canEditVideos = currentOrganization?.role === 'admin' || currentOrganization?.role === 'editor';
-  
-  // No per-video ownership checks: org admins and editors can edit videos
+  // Editors may only change their own videos (video:*:own), admins any (video:*:any)
+  const currentUserId = (() => {
+    try {
+      return JSON.parse(localStorage.getItem('user') || 'null')?._id as string | undefined;
+    } catch {
+      return undefined;
+    }
+  })();
 
   useEffect(() => {
     // Ensure we have fresh organization data with current role
     refreshOrganizations();
-    fetchVideos();
     
-    // Listen for organization changes and refetch videos
+    // Listen for organization changes and search the videos of the new one
     const unsubscribe = addOrganizationChangeListener(() => {
       console.log('[ALLVIDEOS] Organization changed, refetching organization videos');
       setVideos([]); // Clear current videos
-      setCurrentPage(1); // Reset to first page
       refreshOrganizations(); // Refresh to get latest role
-      fetchVideos(); // Refetch for new organization
+      search.reload(); // Search again in the new organization
     });
 
     return () => {
@@ -51,50 +59,19 @@ export function AllVideos() {
     };
   }, []);
 
-  const fetchVideos = async () => {
-    try {
-      setLoading(true);
-      // Fetch organization videos instead of public videos
-      const response = await videoAPI.getOrganizationVideos();
-      setVideos(response.data.videos);
-    } catch (err: any) {
-      const errorMsg = err.response?.data?.error || 'Failed to load videos';
-      setError(errorMsg);
-      
-      // If organization membership error, show helpful message
-      if (errorMsg.includes('does not belong') || errorMsg.includes('not authenticated')) {
-        setError('Please refresh the page. Organization data is out of sync.');
-      }
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const getFilteredAndSortedVideos = () => {
-    let filtered = videos.filter(video => 
-      video.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      video.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      video.userId?.username.toLowerCase().includes(searchTerm.toLowerCase())
-    );
-
-    switch(sortBy) {
-      case 'views':
-        return filtered.sort((a, b) => b.views - a.views);
-      case 'title':
-        return filtered.sort((a, b) => a.title.localeCompare(b.title));
-      case 'date':
-      default:
-        return filtered.sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
-    }
+  const canModifyVideo = (video: Video, action: 'edit' | 'delete'): boolean => {
+    return hasPermission(`video:${action}:any`) ||
+      (hasPermission(`video:${action}:own`) && video.userId?._id === currentUserId);
   };
 
-  const canEditVideo = (): boolean => {
-    return !!canEditVideos;
+  // Clicking a tag shows the videos with it; clicking it again shows all videos
+  const toggleTagFilter = (tag: string) => {
+    search.setFilter('tags', search.filters.tags === tag ? '' : tag);
   };
 
   const handleEdit = (video: Video) => {
     setEditingId(video._id);
-    setEditFormData({ title: video.title, description: video.description });
+    setEditFormData({ title: video.title, description: video.description, tags: video.tags || [] });
   };
 
   const handleSaveEdit = async (videoId: string) => {
@@ -104,8 +81,8 @@ export function AllVideos() {
     }
 
     try {
-      await videoAPI.updateVideo(videoId, { title: editFormData.title, description: editFormData.description });
-      setVideos(videos.map(v => v._id === videoId ? { ...v, ...editFormData } : v));
+      await videoAPI.updateVideo(videoId, editFormData);
+      setVideos(prev => prev.map(v => v._id === videoId ? { ...v, ...editFormData } : v));
       setEditingId(null);
       addToast('Video updated successfully', 'success');
     } catch (err: any) {
@@ -116,14 +93,14 @@ export function AllVideos() {
 
   const handleCancelEdit = () => {
     setEditingId(null);
-    setEditFormData({ title: '', description: '' });
+    setEditFormData({ title: '', description: '', tags: [] });
   };
 
   const handleDelete = async (videoId: string, videoTitle: string) => {
     if (window.confirm(`Delete "${videoTitle}"? This action cannot be undone.`)) {
       try {
         await videoAPI.deleteVideo(videoId);
-        setVideos(videos.filter(v => v._id !== videoId));
+        search.removeVideo(videoId);
         addToast('Video deleted successfully', 'success');
       } catch (err: any) {
         const errorMsg = err.response?.data?.error || 'Failed to delete video';
@@ -132,14 +109,14 @@ export function AllVideos() {
     }
   };
 
-  if (loading) {
+  if (search.loading) {
     return <div className="loading">Loading videos...</div>;
   }
 
-  const filteredVideos = getFilteredAndSortedVideos();
-  const totalPages = Math.ceil(filteredVideos.length / videosPerPage);
-  const startIdx = (currentPage - 1) * videosPerPage;
-  const paginatedVideos = filteredVideos.slice(startIdx, startIdx + videosPerPage);
+  // If organization membership error, show helpful message
+  const error = search.error.includes('does not belong') || search.error.includes('not authenticated')
+    ? 'Please refresh the page. Organization data is out of sync.'
+    : search.error;
 
   return (
     <div className="videos-container">
@@ -149,44 +126,45 @@ export function AllVideos() {
 
       {error && <div className="error-message">{error}</div>}
 
-      {videos.length > 0 && (
+      {(videos.length > 0 || search.isFiltered) && (
         <div className="filter-controls">
           <input
             type="text"
-            placeholder="Search videos by title, description, or uploader..."
-            value={searchTerm}
-            onChange={(e) => {
-              setSearchTerm(e.target.value);
-              setCurrentPage(1);
-            }}
+            placeholder="Search videos by title, description, tags or what is said..."
+            value={search.searchTerm}
+            onChange={(e) => search.setSearchTerm(e.target.value)}
             className="search-input"
           />
           <select 
-            value={sortBy} 
-            onChange={(e) => setSortBy(e.target.value as any)} 
+            value={search.sort} 
+            onChange={(e) => search.setSort(e.target.value as VideoSearchSort | '')} 
             className="sort-select"
-            title="Sort videos by date, views, or title"
+            title="Sort videos by relevance, date, views, or title"
           >
-            <option value="date">Sort by Date (Newest)</option>
+            <option value="">{search.query ? 'Sort by Relevance' : 'Sort by Date (Newest)'}</option>
+            {search.query && <option value="date">Sort by Date (Newest)</option>}
             <option value="views">Sort by Views (Most)</option>
             <option value="title">Sort by Title (A-Z)</option>
           </select>
-          {searchTerm && <span className="search-result-count">{filteredVideos.length} results</span>}
+          <SearchFilters facets={search.facets} filters={search.filters} onChange={search.setFilter} />
+          {search.isFiltered && (
+            <span className="search-result-count">{search.searching ? 'Searching...' : `${search.total} results`}</span>
+          )}
         </div>
       )}
 
-      {videos.length === 0 ? (
+      {videos.length === 0 && !search.isFiltered ? (
         <div className="no-videos">
           <p>No videos available</p>
         </div>
-      ) : filteredVideos.length === 0 ? (
+      ) : videos.length === 0 ? (
         <div className="no-videos">
           <p>No videos match your search</p>
         </div>
       ) : (
         <>
           <div className="videos-grid">
-            {paginatedVideos.map((video) => (
+            {videos.map((video) => (
               <div key={video._id} className="video-card">
                 {editingId === video._id ? (
                   <div className="edit-form">
@@ -205,6 +183,7 @@ export function AllVideos() {
                       className="edit-textarea"
                       rows={3}
                     />
+                    <TagPicker tags={editFormData.tags} onChange={(tags) => setEditFormData({ ...editFormData, tags })} />
                     <div className="edit-buttons">
                       <button onClick={() => handleSaveEdit(video._id)} className="save-btn">
                         Save
@@ -217,33 +196,39 @@ export function AllVideos() {
                 ) : (
                   <>
                     <div className="video-thumb">
-                      <video src={video.filepath} />
+                      <VideoPreview video={video} />
                       <div className="video-overlay">
                         <a href={`/video/${video._id}`} className="play-btn">▶</a>
                       </div>
                     </div>
                     <div className="video-info">
-                      <h3>{video.title}</h3>
+                      <h3><HighlightedTitle title={video.title} highlights={highlights[video._id]} /></h3>
                       <p className="uploader">By {video.userId?.username || 'Unknown'}</p>
                       <p className="description">{video.description || 'No description'}</p>
+                      <TagChips tags={video.tags} selected={search.filters.tags} onSelect={toggleTagFilter} />
+                      <SearchSnippets highlights={highlights[video._id]} />
                       <div className="video-stats">
                         <span>👁️ {video.views} views</span>
                         <span>📅 {new Date(video.createdAt).toLocaleDateString()}</span>
                       </div>
-                      {canEditVideo() && (
+                      {(canModifyVideo(video, 'edit') || canModifyVideo(video, 'delete')) && (
                         <div className="video-actions">
-                          <button 
-                            onClick={() => handleEdit(video)}
-                            className="edit-btn"
-                          >
-                            ✏️ Edit
-                          </button>
-                          <button 
-                            onClick={() => handleDelete(video._id, video.title)}
-                            className="delete-btn"
-                          >
-                            🗑️ Delete
-                          </button>
+                          {canModifyVideo(video, 'edit') && (
+                            <button 
+                              onClick={() => handleEdit(video)}
+                              className="edit-btn"
+                            >
+                              ✏️ Edit
+                            </button>
+                          )}
+                          {canModifyVideo(video, 'delete') && (
+                            <button 
+                              onClick={() => handleDelete(video._id, video.title)}
+                              className="delete-btn"
+                            >
+                              🗑️ Delete
+                            </button>
+                          )}
                         </div>
                       )}
                     </div>
@@ -253,24 +238,11 @@ export function AllVideos() {
             ))}
           </div>
 
-          {totalPages > 1 && (
+          <div ref={sentinelRef} />
+          {search.hasMore && (
             <div className="pagination">
-              <button 
-                onClick={() => setCurrentPage(p => Math.max(1, p - 1))}
-                disabled={currentPage === 1}
-                className="pagination-btn"
-              >
-                ← Previous
-              </button>
-              <span className="pagination-info">
-                Page {currentPage} of {totalPages}
-              </span>
-              <button 
-                onClick={() => setCurrentPage(p => Math.min(totalPages, p + 1))}
-                disabled={currentPage === totalPages}
-                className="pagination-btn"
-              >
-                Next →
+              <button onClick={search.loadMore} disabled={search.loadingMore} className="pagination-btn">
+                {search.loadingMore ? 'Loading...' : 'Load more'}
               </button>
             </div>
           )}
@@ -0,0 +1,61 @@
+import { useState } from 'react';
+import axios from 'axios';
+import { authAPI } from '../services/authService';
+import '../styles/Auth.css';
+
+export function ForgotPassword() {
+  const [email, setEmail] = useState('');
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setMessage('');
+
+    if (!email.trim()) {
+      setError('Email is required');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authAPI.forgotPassword(email.trim());
+      setMessage(response.data.message);
+    } catch (err) {
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to send reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Forgot Password</h2>
+        {error && <div className="error-message">{error}</div>}
+        {message && <div className="success-message">{message}</div>}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Email</label>
+            <input
+              type="email"
+              value={email}
+              onChange={(e) => setEmail(e.target.value)}
+              placeholder="you@example.com"
+              required
+              disabled={loading}
+            />
+          </div>
+          <button type="submit" disabled={loading}>
+            {loading ? 'Sending...' : 'Send Reset Link'}
+          </button>
+        </form>
+        <p className="auth-link">
+          Remembered it? <a href="/login">Back to login</a>
+        </p>
+      </div>
+    </div>
+  );
+}
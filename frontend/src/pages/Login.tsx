@@ -1,17 +1,27 @@
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
 import { authAPI, setAuthToken } from '../services/authService';
+import type { LoginResponse } from '../services/authService';
 import socketService from '../services/socketService';
 import '../styles/Auth.css';
 
 export function Login() {
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // Only same-site paths, e.g. back to an invitation after logging in
+  const redirect = searchParams.get('redirect');
+  const redirectPath = redirect?.startsWith('/') && !redirect.startsWith('//') ? redirect : '/';
   const [formData, setFormData] = useState({
     identifier: '',
     password: ''
   });
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
+  // Set after the password step when the account uses two-factor authentication
+  const [challengeToken, setChallengeToken] = useState('');
+  const [verificationCode, setVerificationCode] = useState('');
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
 
   const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     setFormData({
@@ -66,22 +76,14 @@ export function Login() {
 
     try {
       const response = await authAPI.login(formData.identifier, formData.password);
-      const { setOrganization, setOrganizations } = await import('../services/authService');
-      
-      setAuthToken(response.data.token);
-      setOrganization(response.data.currentOrganization);
-      setOrganizations(response.data.organizations);
-      localStorage.setItem('user', JSON.stringify(response.data.user));
-      
-      // Initialize Socket.io connection for real-time updates
-      try {
-        socketService.connect(response.data.currentOrganization.id);
-      } catch (socketError) {
-        console.error('Failed to initialize socket connection:', socketError);
+
+      if ('twoFactorRequired' in response.data) {
+        setChallengeToken(response.data.challengeToken);
+        setLoading(false);
+        return;
       }
-      
-      // Redirect to home after login
-      navigate('/', { replace: true });
+
+      await completeLogin(response.data);
     } catch (err: any) {
       const errorMessage = err.response?.data?.error || 'Login failed';
       setError(errorMessage);
@@ -89,6 +91,94 @@ export function Login() {
     }
   };
 
+  const completeLogin = async (data: LoginResponse) => {
+    const { setOrganization, setOrganizations } = await import('../services/authService');
+    
+    setAuthToken(data.token, data.refreshToken);
+    setOrganization(data.currentOrganization);
+    setOrganizations(data.organizations);
+    localStorage.setItem('user', JSON.stringify(data.user));
+    
+    // Initialize Socket.io connection for real-time updates
+    try {
+      socketService.connect(data.currentOrganization.id);
+    } catch (socketError) {
+      console.error('Failed to initialize socket connection:', socketError);
+    }
+    
+    // Admins of organizations that require 2FA enroll first; otherwise go home (or the requested page)
+    navigate(data.twoFactorSetupRequired ? '/account' : redirectPath, { replace: true });
+  };
+
+  const handleVerify = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    const value = verificationCode.trim();
+    if (!value) {
+      setError(useRecoveryCode ? 'Recovery code is required' : 'Verification code is required');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authAPI.loginTwoFactor(
+        challengeToken,
+        useRecoveryCode ? { recoveryCode: value } : { code: value }
+      );
+      await completeLogin(response.data);
+    } catch (err) {
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Verification failed');
+      // An expired challenge needs the password step again
+      if (axios.isAxiosError(err) && err.response?.status === 401 && /expired/i.test(err.response.data?.error || '')) {
+        setChallengeToken('');
+        setVerificationCode('');
+      }
+      setLoading(false);
+    }
+  };
+
+  if (challengeToken) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>Two-Factor Authentication</h2>
+          {error && <div className="error-message">{error}</div>}
+          <form onSubmit={handleVerify}>
+            <div className="form-group">
+              <label>{useRecoveryCode ? 'Recovery Code' : 'Authentication Code'}</label>
+              <input
+                type="text"
+                name="verificationCode"
+                value={verificationCode}
+                onChange={(e) => { setVerificationCode(e.target.value); setError(''); }}
+                placeholder={useRecoveryCode ? 'xxxxx-xxxxx' : '6-digit code from your app'}
+                inputMode={useRecoveryCode ? 'text' : 'numeric'}
+                autoComplete="one-time-code"
+                autoFocus
+                required
+                disabled={loading}
+              />
+            </div>
+            <button type="submit" disabled={loading}>
+              {loading ? 'Verifying...' : 'Verify'}
+            </button>
+          </form>
+          <p className="auth-link">
+            <a href="#" onClick={(e) => { e.preventDefault(); setUseRecoveryCode(!useRecoveryCode); setVerificationCode(''); setError(''); }}>
+              {useRecoveryCode ? 'Use authenticator code' : 'Use a recovery code'}
+            </a>
+          </p>
+          <p className="auth-link">
+            <a href="#" onClick={(e) => { e.preventDefault(); setChallengeToken(''); setVerificationCode(''); setError(''); }}>
+              Back to login
+            </a>
+          </p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="auth-container">
       <div className="auth-card">
@@ -119,6 +209,9 @@ export function Login() {
               disabled={loading}
             />
           </div>
+          <p className="forgot-link">
+            <a href="/forgot-password">Forgot password?</a>
+          </p>
           <button type="submit" disabled={loading}>
             {loading ? 'Logging in...' : 'Login'}
           </button>
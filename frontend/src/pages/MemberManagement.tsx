@@ -1,20 +1,29 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
 import { organizationAPI } from '../services/organizationService';
-import type { OrganizationMember } from '../services/organizationService';
+import type { Invitation, OrganizationMember, Permission, Role } from '../services/organizationService';
 import { getAuthToken } from '../services/authService';
 import { useOrganization } from '../context/OrganizationContext';
 import '../styles/Auth.css';
 
 export function MemberManagement() {
   const navigate = useNavigate();
-  const { refreshOrganizations } = useOrganization();
+  const { refreshOrganizations, hasPermission } = useOrganization();
   const [members, setMembers] = useState<OrganizationMember[]>([]);
+  const [membersTotal, setMembersTotal] = useState(0);
+  const [membersCursor, setMembersCursor] = useState<string | null>(null);
+  const [loadingMoreMembers, setLoadingMoreMembers] = useState(false);
+  const [invitations, setInvitations] = useState<Invitation[]>([]);
+  const [roles, setRoles] = useState<Role[]>([]);
+  const [permissions, setPermissions] = useState<Permission[]>([]);
+  const [newRole, setNewRole] = useState({ name: '', description: '', permissions: [] as string[] });
+  const [creatingRole, setCreatingRole] = useState(false);
   const [error, setError] = useState('');
   const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(true);
   const [inviteEmail, setInviteEmail] = useState('');
-  const [inviteRole, setInviteRole] = useState<'admin' | 'editor' | 'viewer'>('viewer');
+  const [inviteRole, setInviteRole] = useState('viewer');
   const [inviting, setInviting] = useState(false);
 
   useEffect(() => {
@@ -24,13 +33,17 @@ export function MemberManagement() {
     }
 
     fetchMembers();
+    fetchInvitations();
+    fetchRoles();
   }, []);
 
   const fetchMembers = async () => {
     try {
       setLoading(true);
       const response = await organizationAPI.getMembers();
-      setMembers(response.data.members);
+      setMembers(response.data.items);
+      setMembersTotal(response.data.total ?? response.data.items.length);
+      setMembersCursor(response.data.nextCursor);
     } catch (err: any) {
       setError(err.response?.data?.error || 'Failed to fetch members');
     } finally {
@@ -38,6 +51,42 @@ export function MemberManagement() {
     }
   };
 
+  const fetchMoreMembers = async () => {
+    if (!membersCursor) return;
+    try {
+      setLoadingMoreMembers(true);
+      const response = await organizationAPI.getMembers({ cursor: membersCursor });
+      setMembers(prev => [...prev, ...response.data.items]);
+      setMembersCursor(response.data.nextCursor);
+    } catch (err) {
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to fetch members');
+    } finally {
+      setLoadingMoreMembers(false);
+    }
+  };
+
+  const fetchInvitations = async () => {
+    try {
+      const response = await organizationAPI.getInvitations();
+      setInvitations(response.data.invitations);
+    } catch (err) {
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to fetch invitations');
+    }
+  };
+
+  const fetchRoles = async () => {
+    try {
+      const [rolesResponse, permissionsResponse] = await Promise.all([
+        organizationAPI.getRoles(),
+        organizationAPI.getPermissions()
+      ]);
+      setRoles(rolesResponse.data.roles);
+      setPermissions(permissionsResponse.data.permissions);
+    } catch (err) {
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to fetch roles');
+    }
+  };
+
   const handleInvite = async (e: React.FormEvent) => {
     e.preventDefault();
     setError('');
@@ -50,14 +99,17 @@ export function MemberManagement() {
 
     try {
       setInviting(true);
-      await organizationAPI.inviteUser(inviteEmail, inviteRole);
-      setSuccess(`User ${inviteEmail} invited successfully!`);
+      const response = await organizationAPI.inviteUser(inviteEmail, inviteRole);
+      setSuccess(response.data.invitation
+        ? `Invitation emailed to ${inviteEmail}`
+        : `User ${inviteEmail} added successfully!`);
       setInviteEmail('');
       setInviteRole('viewer');
       setTimeout(() => setSuccess(''), 3000);
       
       // Refresh members list and organizations
       fetchMembers();
+      fetchInvitations();
       await refreshOrganizations();
     } catch (err: any) {
       setError(err.response?.data?.error || 'Failed to invite user');
@@ -66,6 +118,30 @@ export function MemberManagement() {
     }
   };
 
+  const handleResendInvitation = async (invitation: Invitation) => {
+    try {
+      await organizationAPI.resendInvitation(invitation._id);
+      setSuccess(`Invitation resent to ${invitation.email}`);
+      setTimeout(() => setSuccess(''), 3000);
+      fetchInvitations();
+    } catch (err) {
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to resend invitation');
+    }
+  };
+
+  const handleRevokeInvitation = async (invitation: Invitation) => {
+    if (window.confirm(`Revoke the invitation for ${invitation.email}?`)) {
+      try {
+        await organizationAPI.revokeInvitation(invitation._id);
+        setSuccess('Invitation revoked');
+        setTimeout(() => setSuccess(''), 3000);
+        fetchInvitations();
+      } catch (err) {
+        setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to revoke invitation');
+      }
+    }
+  };
+
   const handleRemoveMember = async (userId: string) => {
     if (window.confirm('Are you sure you want to remove this member?')) {
       try {
@@ -79,7 +155,7 @@ export function MemberManagement() {
     }
   };
 
-  const handleChangeRole = async (userId: string, newRole: 'admin' | 'editor' | 'viewer') => {
+  const handleChangeRole = async (userId: string, newRole: string) => {
     try {
       await organizationAPI.changeUserRole(userId, newRole);
       setSuccess('Role updated successfully!');
@@ -90,6 +166,50 @@ export function MemberManagement() {
     }
   };
 
+  const toggleNewRolePermission = (permission: string) => {
+    setNewRole(role => ({
+      ...role,
+      permissions: role.permissions.includes(permission)
+        ? role.permissions.filter(p => p !== permission)
+        : [...role.permissions, permission]
+    }));
+  };
+
+  const handleCreateRole = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    try {
+      setCreatingRole(true);
+      await organizationAPI.createRole(newRole);
+      setSuccess(`Role ${newRole.name} created`);
+      setTimeout(() => setSuccess(''), 3000);
+      setNewRole({ name: '', description: '', permissions: [] });
+      fetchRoles();
+    } catch (err) {
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to create role');
+    } finally {
+      setCreatingRole(false);
+    }
+  };
+
+  const handleDeleteRole = async (role: Role) => {
+    if (role._id && window.confirm(`Delete the role ${role.name}?`)) {
+      try {
+        await organizationAPI.deleteRole(role._id);
+        setSuccess('Role deleted');
+        setTimeout(() => setSuccess(''), 3000);
+        fetchRoles();
+      } catch (err) {
+        setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to delete role');
+      }
+    }
+  };
+
+  // Roles the current member may hand out: those within their own permissions
+  const assignableRoles = roles.filter(role => role.permissions.every(permission => hasPermission(permission)));
+  const customRoles = roles.filter(role => !role.builtIn);
+
   if (loading) {
     return <div className="auth-container"><div className="auth-card"><p>Loading...</p></div></div>;
   }
@@ -118,11 +238,13 @@ export function MemberManagement() {
               <label>Role</label>
               <select
                 value={inviteRole}
-                onChange={(e) => setInviteRole(e.target.value as 'admin' | 'editor' | 'viewer')}
+                onChange={(e) => setInviteRole(e.target.value)}
               >
-                <option value="viewer">Viewer (View only)</option>
-                <option value="editor">Editor (Upload & manage own)</option>
-                <option value="admin">Admin (Full access)</option>
+                {assignableRoles.map(role => (
+                  <option key={role.name} value={role.name}>
+                    {role.name} ({role.permissions.length} permissions)
+                  </option>
+                ))}
               </select>
             </div>
 
@@ -132,8 +254,34 @@ export function MemberManagement() {
           </form>
         </div>
 
+        {invitations.length > 0 && (
+          <div className="members-section">
+            <h3>Pending Invitations ({invitations.length})</h3>
+            <div className="members-list">
+              {invitations.map((invitation) => (
+                <div key={invitation._id} className="member-card">
+                  <div className="member-info">
+                    <p><strong>{invitation.email}</strong></p>
+                    <p className="role">Role: <span className={`role-badge ${invitation.role}`}>{invitation.role}</span></p>
+                    <p className="joined">Expires: {new Date(invitation.expiresAt).toLocaleDateString()}</p>
+                  </div>
+
+                  <div className="member-actions">
+                    <button onClick={() => handleResendInvitation(invitation)} className="btn-promote">
+                      Resend
+                    </button>
+                    <button onClick={() => handleRevokeInvitation(invitation)} className="btn-remove">
+                      Revoke
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         <div className="members-section">
-          <h3>Members ({members.length})</h3>
+          <h3>Members ({membersTotal})</h3>
           {members.length === 0 ? (
             <p>No members found</p>
           ) : (
@@ -148,36 +296,18 @@ export function MemberManagement() {
                   </div>
 
                   <div className="member-actions">
-                    {member.role === 'viewer' ? (
-                      <button
-                        onClick={() => handleChangeRole(member.userId._id, 'editor')}
-                        className="btn-promote"
-                      >
-                        Make Editor
-                      </button>
-                    ) : member.role === 'editor' ? (
-                      <>
-                        <button
-                          onClick={() => handleChangeRole(member.userId._id, 'admin')}
-                          className="btn-promote"
-                        >
-                          Make Admin
-                        </button>
-                        <button
-                          onClick={() => handleChangeRole(member.userId._id, 'viewer')}
-                          className="btn-demote"
-                        >
-                          Make Viewer
-                        </button>
-                      </>
-                    ) : (
-                      <button
-                        onClick={() => handleChangeRole(member.userId._id, 'editor')}
-                        className="btn-demote"
-                      >
-                        Make Editor
-                      </button>
-                    )}
+                    <select
+                      value={member.role}
+                      onChange={(e) => handleChangeRole(member.userId._id, e.target.value)}
+                      aria-label={`Role of ${member.userId.username}`}
+                    >
+                      {!assignableRoles.some(role => role.name === member.role) && (
+                        <option value={member.role} disabled>{member.role}</option>
+                      )}
+                      {assignableRoles.map(role => (
+                        <option key={role.name} value={role.name}>{role.name}</option>
+                      ))}
+                    </select>
                     <button
                       onClick={() => handleRemoveMember(member.userId._id)}
                       className="btn-remove"
@@ -189,8 +319,77 @@ export function MemberManagement() {
               ))}
             </div>
           )}
+          {membersCursor && (
+            <button onClick={fetchMoreMembers} disabled={loadingMoreMembers} className="btn-promote">
+              {loadingMoreMembers ? 'Loading...' : 'Load more members'}
+            </button>
+          )}
         </div>
 
+        {hasPermission('role:manage') && (
+          <div className="members-section">
+            <h3>Custom Roles ({customRoles.length})</h3>
+            <div className="members-list">
+              {customRoles.map((role) => (
+                <div key={role.name} className="member-card">
+                  <div className="member-info">
+                    <p><strong>{role.name}</strong></p>
+                    {role.description && <p className="email">{role.description}</p>}
+                    <p className="joined">{role.permissions.join(', ') || 'No permissions'}</p>
+                  </div>
+
+                  <div className="member-actions">
+                    <button onClick={() => handleDeleteRole(role)} className="btn-remove">
+                      Delete
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+
+            <form onSubmit={handleCreateRole} className="role-form">
+              <div className="form-group">
+                <label>Role Name</label>
+                <input
+                  type="text"
+                  value={newRole.name}
+                  onChange={(e) => setNewRole({ ...newRole, name: e.target.value })}
+                  placeholder="reviewer"
+                />
+              </div>
+
+              <div className="form-group">
+                <label>Description</label>
+                <input
+                  type="text"
+                  value={newRole.description}
+                  onChange={(e) => setNewRole({ ...newRole, description: e.target.value })}
+                  maxLength={200}
+                />
+              </div>
+
+              <div className="form-group">
+                <label>Permissions</label>
+                {permissions.map(permission => (
+                  <label key={permission.name} className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={newRole.permissions.includes(permission.name)}
+                      disabled={!hasPermission(permission.name)}
+                      onChange={() => toggleNewRolePermission(permission.name)}
+                    />
+                    {permission.description} <code>{permission.name}</code>
+                  </label>
+                ))}
+              </div>
+
+              <button type="submit" className="submit-btn" disabled={creatingRole || !newRole.name.trim()}>
+                {creatingRole ? 'Creating...' : 'Create Role'}
+              </button>
+            </form>
+          </div>
+        )}
+
         <button
           onClick={() => navigate('/organization')}
           className="back-btn"
@@ -262,6 +461,10 @@ export function MemberManagement() {
           color: #1565c0;
         }
 
+        .role-form {
+          margin-top: 1.5rem;
+        }
+
         .member-info .joined {
           color: #999;
           font-size: 0.8rem;
@@ -1,8 +1,16 @@
 import { useState, useEffect } from 'react';
+import axios from 'axios';
 import { videoAPI } from '../services/videoService';
+import type { VideoSearchSort } from '../services/videoService';
 import { useToast, ToastContainer } from '../components/Toast';
+import { HighlightedTitle, SearchFilters, SearchSnippets } from '../components/VideoSearch';
+import { TagChips, TagPicker } from '../components/Tags';
+import { VideoPreview } from '../components/VideoPreview';
+import { useVideoSearch } from '../hooks/useVideoSearch';
+import { useInfiniteScroll } from '../hooks/useInfiniteScroll';
 import { useOrganization } from '../context/OrganizationContext';
 import socketService from '../services/socketService';
+import type { VideoModeration, ModerationDecisionEvent, VideoAppeal, AppealEvent } from '../services/moderationService';
 import '../styles/Videos.css';
 
 interface Video {
@@ -12,8 +20,10 @@ interface Video {
   filepath: string;
   views: number;
   createdAt: string;
+  tags?: string[];
   status: 'uploaded' | 'processing' | 'safe' | 'flagged' | 'failed';
   processingProgress: number;
+  thumbnail?: { key: string | null };
   sensitivityAnalysis?: {
     score: number;
     result: string;
@@ -22,7 +32,9 @@ interface Video {
     detectedIssues?: Array<{
       category: string;
       score: number;
+      source?: 'metadata' | 'visual' | 'transcript';
       keywords: string[];
+      timestamps?: Array<{ time: number; label: string; confidence: number }>;
     }>;
     categoryBreakdown?: {
       [key: string]: {
@@ -31,34 +43,50 @@ interface Video {
       };
     };
   };
+  moderation?: VideoModeration;
+  appeal?: VideoAppeal;
   userId?: { username: string };
 }
 
+// Reason of the reviewer decision that put the video in its current review state
+const getLatestReason = (moderation?: VideoModeration) => {
+  const latest = moderation?.decisions?.[moderation.decisions.length - 1];
+  return latest && latest.decision !== 'resubmit' ? latest.reason : undefined;
+};
+
+const formatTimestamp = (seconds: number) => {
+  const total = Math.floor(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
 export function MyVideos() {
   const { toasts, addToast, removeToast } = useToast();
-  const { currentOrganization, addOrganizationChangeListener, refreshOrganizations } = useOrganization();
-  const [videos, setVideos] = useState<Video[]>([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState('');
+  const { addOrganizationChangeListener, refreshOrganizations, hasPermission } = useOrganization();
+  // The user's videos, searched, sorted and paged by the server (GET /videos/search?mine=true)
+  const search = useVideoSearch<Video>({ mine: true });
+  const { videos, setVideos, highlights, isFiltered } = search;
+  // Next page once the end of the list scrolls into view ("Load more" stays as a fallback)
+  const sentinelRef = useInfiniteScroll(search.loadMore, search.hasMore && !search.loadingMore && !search.error);
   const [editingId, setEditingId] = useState<string | null>(null);
-  const [searchTerm, setSearchTerm] = useState('');
-  const [sortBy, setSortBy] = useState<'date' | 'views' | 'title'>('date');
-  const [editFormData, setEditFormData] = useState({ title: '', description: '' });
+  const [editFormData, setEditFormData] = useState({ title: '', description: '', tags: [] as string[] });
+  const [appealingId, setAppealingId] = useState<string | null>(null);
+  const [appealJustification, setAppealJustification] = useState('');
+  const [submittingAppeal, setSubmittingAppeal] = useState(false);
 
-  // Check if current user can edit videos (admin or editor role)
-  const canEditVideos = currentOrganization?.role === 'admin' || currentOrganization?.role === 'editor';
+  // These are the user's own videos, so the :own permissions are enough
+  const canEditVideos = hasPermission('video:edit:own') || hasPermission('video:edit:any');
+  const canDeleteVideos = hasPermission('video:delete:own') || hasPermission('video:delete:any');
 
   useEffect(() => {
     // Ensure we have fresh organization data with current role
     refreshOrganizations();
-    fetchVideos();
     
-    // Listen for organization changes and refetch videos
+    // Listen for organization changes and search the videos of the new one
     const unsubscribe = addOrganizationChangeListener(() => {
       console.log('[MYVIDEOS] Organization changed, refetching videos');
       setVideos([]); // Clear current videos
       refreshOrganizations(); // Refresh to get latest role
-      fetchVideos(); // Refetch for new organization
+      search.reload(); // Search again in the new organization
     });
 
     // Define Socket.io event handlers
@@ -103,12 +131,57 @@ export function MyVideos() {
       addToast(`Video processing failed: ${data.error}`, 'error');
     };
 
+    const handleModerationDecision = (data: ModerationDecisionEvent) => {
+      let isOwnVideo = false;
+      setVideos(prevVideos => prevVideos.map(v => {
+        if (v._id !== data.videoId) return v;
+        isOwnVideo = true;
+        const decisions = [...(v.moderation?.decisions || []), {
+          _id: data.decidedAt,
+          decision: data.decision,
+          reason: data.reason,
+          decidedAt: data.decidedAt
+        }];
+        return { ...v, status: data.status, moderation: { state: data.state, decisions } };
+      }));
+
+      if (!isOwnVideo || data.decision === 'resubmit') return;
+      if (data.decision === 'approve') {
+        addToast(`"${data.title}" was approved by a moderator`, 'success');
+      } else if (data.decision === 'reject') {
+        addToast(`"${data.title}" was rejected: ${data.reason}`, 'error');
+      } else {
+        addToast(`Changes requested for "${data.title}": ${data.reason}`, 'warning');
+      }
+    };
+
+    const handleAppealResolved = (data: AppealEvent) => {
+      let isOwnVideo = false;
+      setVideos(prevVideos => prevVideos.map(v => {
+        if (v._id !== data.videoId) return v;
+        isOwnVideo = true;
+        const requests = (v.appeal?.requests || []).map((request, idx, all) =>
+          idx === all.length - 1 ? { ...request, resolutionNote: data.resolutionNote } : request
+        );
+        return { ...v, status: data.status, appeal: { state: data.state, requests } };
+      }));
+
+      if (!isOwnVideo) return;
+      if (data.state === 'accepted') {
+        addToast(`Your appeal for "${data.title}" was accepted`, 'success');
+      } else {
+        addToast(`Your appeal for "${data.title}" was denied: ${data.resolutionNote}`, 'error');
+      }
+    };
+
     // Listen for real-time video status updates
     socketService.on('video-uploaded', handleVideoUploaded);
     socketService.on('video-processing-start', handleProcessingStart);
     socketService.on('video-progress-update', handleProgressUpdate);
     socketService.on('video-processing-complete', handleProcessingComplete);
     socketService.on('video-processing-failed', handleProcessingFailed);
+    socketService.on('video-moderation-decision', handleModerationDecision);
+    socketService.on('video-appeal-resolved', handleAppealResolved);
 
     return () => {
       // Cleanup
@@ -118,49 +191,19 @@ export function MyVideos() {
       socketService.off('video-progress-update', handleProgressUpdate);
       socketService.off('video-processing-complete', handleProcessingComplete);
       socketService.off('video-processing-failed', handleProcessingFailed);
+      socketService.off('video-moderation-decision', handleModerationDecision);
+      socketService.off('video-appeal-resolved', handleAppealResolved);
     };
   }, []);
 
-  const fetchVideos = async () => {
-    try {
-      setLoading(true);
-      setError('');
-      const response = await videoAPI.getUserVideos();
-      setVideos(response.data.videos);
-    } catch (err: any) {
-      const errorMsg = err.response?.data?.error || 'Failed to load videos';
-      setError(errorMsg);
-      addToast(errorMsg, 'error');
-      
-      // If organization membership error, offer to refresh session
-      if (errorMsg.includes('does not belong') || errorMsg.includes('not authenticated')) {
-        addToast('Please refresh the page and login again', 'warning');
-      }
-    } finally {
-      setLoading(false);
-    }
-  };
-
-  const getFilteredAndSortedVideos = () => {
-    let filtered = videos.filter(video => 
-      video.title.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      video.description.toLowerCase().includes(searchTerm.toLowerCase())
-    );
-
-    switch(sortBy) {
-      case 'views':
-        return filtered.sort((a, b) => b.views - a.views);
-      case 'title':
-        return filtered.sort((a, b) => a.title.localeCompare(b.title));
-      case 'date':
-      default:
-        return filtered.sort((a, b) => new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime());
-    }
+  // Clicking a tag shows the videos with it; clicking it again shows all videos
+  const toggleTagFilter = (tag: string) => {
+    search.setFilter('tags', search.filters.tags === tag ? '' : tag);
   };
 
   const handleEdit = (video: Video) => {
     setEditingId(video._id);
-    setEditFormData({ title: video.title, description: video.description });
+    setEditFormData({ title: video.title, description: video.description, tags: video.tags || [] });
   };
 
   const handleSaveEdit = async (videoId: string) => {
@@ -170,8 +213,10 @@ export function MyVideos() {
     }
 
     try {
-      await videoAPI.updateVideo(videoId, { title: editFormData.title, description: editFormData.description });
-      setVideos(videos.map(v => v._id === videoId ? { ...v, ...editFormData } : v));
+      const response = await videoAPI.updateVideo(videoId, editFormData);
+      // Editing a video with requested changes sends it back for review
+      const moderation = response.data.video?.moderation;
+      setVideos(prev => prev.map(v => v._id === videoId ? { ...v, ...editFormData, moderation: moderation || v.moderation } : v));
       setEditingId(null);
       addToast('Video updated successfully', 'success');
     } catch (err: any) {
@@ -182,14 +227,46 @@ export function MyVideos() {
 
   const handleCancelEdit = () => {
     setEditingId(null);
-    setEditFormData({ title: '', description: '' });
+    setEditFormData({ title: '', description: '', tags: [] });
+  };
+
+  const handleSubmitAppeal = async (videoId: string) => {
+    if (appealJustification.trim().length < 10) {
+      addToast('Please explain why the video should not be flagged (at least 10 characters)', 'error');
+      return;
+    }
+
+    try {
+      setSubmittingAppeal(true);
+      const response = await videoAPI.appealVideo(videoId, appealJustification.trim());
+      setVideos(prev => prev.map(v => v._id === videoId ? { ...v, appeal: response.data.appeal } : v));
+      setAppealingId(null);
+      setAppealJustification('');
+      addToast('Appeal submitted. An admin will review it.', 'success');
+    } catch (err) {
+      const errorMsg = (axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to submit appeal';
+      addToast(errorMsg, 'error');
+    } finally {
+      setSubmittingAppeal(false);
+    }
+  };
+
+  const handleReprocess = async (videoId: string) => {
+    try {
+      await videoAPI.reprocessVideo(videoId, 'full');
+      setVideos(prev => prev.map(v => v._id === videoId ? { ...v, status: 'uploaded', processingProgress: 0 } : v));
+      addToast('Processing queued again', 'success');
+    } catch (err) {
+      const errorMsg = (axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to reprocess video';
+      addToast(errorMsg, 'error');
+    }
   };
 
   const handleDelete = async (videoId: string, videoTitle: string) => {
     if (window.confirm(`Delete "${videoTitle}"? This action cannot be undone.`)) {
       try {
         await videoAPI.deleteVideo(videoId);
-        setVideos(videos.filter(v => v._id !== videoId));
+        search.removeVideo(videoId);
         addToast('Video deleted successfully', 'success');
       } catch (err: any) {
         const errorMsg = err.response?.data?.error || 'Failed to delete video';
@@ -198,7 +275,7 @@ export function MyVideos() {
     }
   };
 
-  if (loading) {
+  if (search.loading) {
     return (
       <div className="videos-container">
         <div className="loading-spinner">
@@ -209,56 +286,65 @@ export function MyVideos() {
     );
   }
 
-  const filteredVideos = getFilteredAndSortedVideos();
+  const { error } = search;
 
   return (
     <div className="videos-container">
       <ToastContainer toasts={toasts} onClose={removeToast} />
       <div className="videos-header">
         <h2>My Videos</h2>
-        {canEditVideos && <a href="/upload" className="upload-btn">+ Upload New Video</a>}
+        {hasPermission('video:upload') && <a href="/upload" className="upload-btn">+ Upload New Video</a>}
       </div>
 
       {error && (
         <div className="error-section">
           <div className="error-message">{error}</div>
-          <button onClick={fetchVideos} className="retry-btn">Retry</button>
+          <button onClick={search.reload} className="retry-btn">Retry</button>
         </div>
       )}
 
-      {!error && videos.length > 0 && (
+      {!error && (videos.length > 0 || isFiltered) && (
         <div className="filter-controls">
           <input
             type="text"
-            placeholder="Search videos by title or description..."
-            value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
+            placeholder="Search videos by title, description, tags or what is said..."
+            value={search.searchTerm}
+            onChange={(e) => search.setSearchTerm(e.target.value)}
             className="search-input"
           />
-          <select value={sortBy} onChange={(e) => setSortBy(e.target.value as any)} className="sort-select" title="Sort videos by">
-            <option value="date">Sort by Date (Newest)</option>
+          <select value={search.sort} onChange={(e) => search.setSort(e.target.value as VideoSearchSort | '')} className="sort-select" title="Sort videos by">
+            <option value="">{search.query ? 'Sort by Relevance' : 'Sort by Date (Newest)'}</option>
+            {search.query && <option value="date">Sort by Date (Newest)</option>}
             <option value="views">Sort by Views (Most)</option>
             <option value="title">Sort by Title (A-Z)</option>
           </select>
-          {searchTerm && <span className="search-result-count">{filteredVideos.length} results</span>}
+          <SearchFilters
+            facets={search.facets}
+            filters={search.filters}
+            onChange={search.setFilter}
+            fields={['status', 'category', 'tags']}
+          />
+          {isFiltered && (
+            <span className="search-result-count">{search.searching ? 'Searching...' : `${search.total} results`}</span>
+          )}
         </div>
       )}
 
-      {!error && videos.length === 0 ? (
+      {!error && videos.length === 0 && !isFiltered ? (
         <div className="no-videos">
           <p>No videos uploaded yet</p>
           <a href="/upload" className="upload-link">Upload your first video</a>
         </div>
-      ) : !error && filteredVideos.length === 0 ? (
+      ) : !error && videos.length === 0 ? (
         <div className="no-videos">
           <p>No videos match your search</p>
         </div>
       ) : (
         <div className="videos-grid">
-          {filteredVideos.map(video => (
+          {videos.map(video => (
             <div key={video._id} className="video-card">
               <div className="video-thumb">
-                <video src={video.filepath} />
+                <VideoPreview video={video} />
                 <div className="video-overlay">
                   <a href={`/video/${video._id}`} className="play-btn">▶</a>
                 </div>
@@ -282,6 +368,7 @@ export function MyVideos() {
                       maxLength={500}
                       rows={2}
                     />
+                    <TagPicker tags={editFormData.tags} onChange={(tags) => setEditFormData({ ...editFormData, tags })} />
                     <div className="edit-actions">
                       <button onClick={() => handleSaveEdit(video._id)} className="save-btn">Save</button>
                       <button onClick={handleCancelEdit} className="cancel-btn">Cancel</button>
@@ -289,15 +376,56 @@ export function MyVideos() {
                   </div>
                 ) : (
                   <>
-                    <h3>{video.title}</h3>
+                    <h3><HighlightedTitle title={video.title} highlights={highlights[video._id]} /></h3>
                     <div className="status-badge">
                       {video.status === 'processing' && <span className="badge badge-processing">⏳ Processing ({video.processingProgress}%)</span>}
                       {video.status === 'safe' && <span className="badge badge-safe">✅ Safe</span>}
                       {video.status === 'flagged' && <span className="badge badge-flagged">⚠️ Flagged</span>}
+                      {video.status === 'flagged' && (video.appeal?.state || 'none') === 'none' && appealingId !== video._id && (
+                        <button className="appeal-btn" onClick={() => setAppealingId(video._id)}>Appeal</button>
+                      )}
+                      {video.appeal?.state === 'pending' && <span className="badge badge-processing">⏳ Appeal pending</span>}
+                      {video.appeal?.state === 'accepted' && <span className="badge badge-safe">✅ Appeal accepted</span>}
+                      {video.appeal?.state === 'denied' && <span className="badge badge-failed">❌ Appeal denied</span>}
                       {video.status === 'failed' && <span className="badge badge-failed">❌ Failed</span>}
                       {video.status === 'uploaded' && <span className="badge badge-uploaded">📤 Uploaded</span>}
                     </div>
+                    {appealingId === video._id && (
+                      <div className="edit-form appeal-form">
+                        <textarea
+                          value={appealJustification}
+                          onChange={(e) => setAppealJustification(e.target.value)}
+                          className="edit-textarea"
+                          placeholder="Explain why this video should not be flagged"
+                          maxLength={2000}
+                          rows={3}
+                        />
+                        <div className="edit-actions">
+                          <button onClick={() => handleSubmitAppeal(video._id)} className="save-btn" disabled={submittingAppeal}>
+                            {submittingAppeal ? 'Submitting...' : 'Submit Appeal'}
+                          </button>
+                          <button onClick={() => { setAppealingId(null); setAppealJustification(''); }} className="cancel-btn">Cancel</button>
+                        </div>
+                      </div>
+                    )}
+                    {video.appeal?.state === 'denied' && !!video.appeal.requests?.length && (
+                      <p className="review-note">Appeal denied: {video.appeal.requests[video.appeal.requests.length - 1].resolutionNote}</p>
+                    )}
+                    {video.moderation?.state === 'pending' && (
+                      <p className="review-note">🕵️ Waiting for review by a moderator</p>
+                    )}
+                    {video.moderation?.state === 'changes_requested' && (
+                      <p className="review-note">✏️ Changes requested: {getLatestReason(video.moderation)} — edit the video to resubmit it</p>
+                    )}
+                    {video.moderation?.state === 'rejected' && (
+                      <p className="review-note">🚫 Rejected by a moderator: {getLatestReason(video.moderation)}</p>
+                    )}
+                    {video.moderation?.state === 'approved' && (
+                      <p className="review-note">✔️ Approved by a moderator</p>
+                    )}
                     <p className="description">{video.description || 'No description'}</p>
+                    <TagChips tags={video.tags} selected={search.filters.tags} onSelect={toggleTagFilter} />
+                    <SearchSnippets highlights={highlights[video._id]} />
                     {video.sensitivityAnalysis && (
                       <div className="sensitivity-info">
                         {video.sensitivityAnalysis.summary && (
@@ -326,6 +454,23 @@ export function MyVideos() {
                           </details>
                         )}
 
+                        {video.sensitivityAnalysis.detectedIssues?.some(issue => issue.source === 'visual') && (
+                          <details className="analysis-rules">
+                            <summary>🎞️ Visual Findings</summary>
+                            <ul>
+                              {video.sensitivityAnalysis.detectedIssues
+                                .filter(issue => issue.source === 'visual')
+                                .flatMap(issue => (issue.timestamps || []).map(t => ({ ...t, category: issue.category })))
+                                .sort((a, b) => a.time - b.time)
+                                .map((finding, idx) => (
+                                  <li key={idx}>
+                                    {formatTimestamp(finding.time)} — {finding.category} ({Math.round(finding.confidence * 100)}%)
+                                  </li>
+                                ))}
+                            </ul>
+                          </details>
+                        )}
+
                         {video.sensitivityAnalysis.rules && video.sensitivityAnalysis.rules.length > 0 && (
                           <details className="analysis-rules">
                             <summary>🔍 Detection Rules Applied</summary>
@@ -342,22 +487,35 @@ export function MyVideos() {
                       <span>👁️ {video.views} views</span>
                       <span>📅 {new Date(video.createdAt).toLocaleDateString()}</span>
                     </div>
-                    {canEditVideos && (
+                    {(canEditVideos || canDeleteVideos) && (
                       <div className="video-actions">
-                        <button 
-                          className="edit-btn"
-                          onClick={() => handleEdit(video)}
-                          title="Edit video"
-                        >
-                          ✏️ Edit
-                        </button>
-                        <button 
-                          className="delete-btn"
-                          onClick={() => handleDelete(video._id, video.title)}
-                          title="Delete video"
-                        >
-                          🗑️ Delete
-                        </button>
+                        {canEditVideos && (
+                          <button 
+                            className="edit-btn"
+                            onClick={() => handleEdit(video)}
+                            title="Edit video"
+                          >
+                            ✏️ Edit
+                          </button>
+                        )}
+                        {video.status === 'failed' && hasPermission('video:reprocess') && (
+                          <button
+                            className="edit-btn"
+                            onClick={() => handleReprocess(video._id)}
+                            title="Run processing again"
+                          >
+                            🔄 Retry
+                          </button>
+                        )}
+                        {canDeleteVideos && (
+                          <button 
+                            className="delete-btn"
+                            onClick={() => handleDelete(video._id, video.title)}
+                            title="Delete video"
+                          >
+                            🗑️ Delete
+                          </button>
+                        )}
                       </div>
                     )}
                   </>
@@ -367,6 +525,15 @@ export function MyVideos() {
           ))}
         </div>
       )}
+
+      <div ref={sentinelRef} />
+      {!error && search.hasMore && (
+        <div className="pagination">
+          <button onClick={search.loadMore} disabled={search.loadingMore} className="pagination-btn">
+            {search.loadingMore ? 'Loading...' : 'Load more'}
+          </button>
+        </div>
+      )}
     </div>
   );
 }
@@ -1,5 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import axios from 'axios';
 import { organizationAPI } from '../services/organizationService';
 import { getAuthToken } from '../services/authService';
 import '../styles/Auth.css';
@@ -68,6 +69,40 @@ export function OrganizationSettings() {
     }
   };
 
+  const handleRequireTwoFactorChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const requireTwoFactorForAdmins = e.target.checked;
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await organizationAPI.updateOrganization({ settings: { requireTwoFactorForAdmins } });
+      setOrganization(response.data.organization);
+      setSuccess(requireTwoFactorForAdmins
+        ? 'Admins now need two-factor authentication'
+        : 'Two-factor authentication is no longer required for admins');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to update security settings');
+    }
+  };
+
+  const handleAllowPublicSharingChange = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const allowPublicSharing = e.target.checked;
+    setError('');
+    setSuccess('');
+
+    try {
+      const response = await organizationAPI.updateOrganization({ settings: { allowPublicSharing } });
+      setOrganization(response.data.organization);
+      setSuccess(allowPublicSharing
+        ? 'Share links are enabled'
+        : 'Share links are disabled, existing links stop working');
+      setTimeout(() => setSuccess(''), 3000);
+    } catch (err) {
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to update sharing settings');
+    }
+  };
+
   if (loading) {
     return <div className="auth-container"><div className="auth-card"><p>Loading...</p></div></div>;
   }
@@ -111,6 +146,32 @@ export function OrganizationSettings() {
           </button>
         </form>
 
+        <div className="org-info-section">
+          <h3>Security</h3>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={!!organization.settings?.requireTwoFactorForAdmins}
+              onChange={handleRequireTwoFactorChange}
+            />
+            Require two-factor authentication for admins
+          </label>
+          <p className="auth-link">Admins without it, including members of custom roles with admin permissions, are asked to set it up before using admin access.</p>
+        </div>
+
+        <div className="org-info-section">
+          <h3>Sharing</h3>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={organization.settings?.allowPublicSharing !== false}
+              onChange={handleAllowPublicSharingChange}
+            />
+            Allow share links for people outside the organization
+          </label>
+          <p className="auth-link">Turning this off disables every existing share link.</p>
+        </div>
+
         <div className="org-info-section">
           <h3>Organization Info</h3>
           <p><strong>Slug:</strong> {organization.slug}</p>
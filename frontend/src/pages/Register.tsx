@@ -1,6 +1,9 @@
-import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
 import { authAPI } from '../services/authService';
+import { invitationAPI } from '../services/organizationService';
+import type { InvitationDetails } from '../services/organizationService';
 import '../styles/Auth.css';
 
 export function Register() {
@@ -13,7 +16,30 @@ export function Register() {
     organizationName: ''
   });
   const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
   const [loading, setLoading] = useState(false);
+  // Registering from an invitation link (/register?invite=<token>)
+  const [searchParams] = useSearchParams();
+  const inviteToken = searchParams.get('invite') || undefined;
+  const [invitation, setInvitation] = useState<InvitationDetails | null>(null);
+
+  useEffect(() => {
+    if (!inviteToken) return;
+
+    invitationAPI.getInvitation(inviteToken)
+      .then(response => {
+        const details = response.data.invitation;
+        if (details.status !== 'pending') {
+          setError(`This invitation is ${details.status}`);
+          return;
+        }
+        setInvitation(details);
+        setFormData(current => ({ ...current, email: details.email }));
+      })
+      .catch(err => {
+        setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Invitation not found');
+      });
+  }, [inviteToken]);
 
   const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     setFormData({
@@ -81,12 +107,13 @@ export function Register() {
         formData.email,
         formData.password,
         formData.confirmPassword,
-        formData.organizationName
+        formData.organizationName,
+        invitation ? inviteToken : undefined
       );
       
       // Import and use auth service functions
       const { setAuthToken, setOrganization, setOrganizations } = await import('../services/authService');
-      setAuthToken(response.data.token);
+      setAuthToken(response.data.token, response.data.refreshToken);
       
       // Ensure organization has a role (defaults to 'admin' for newly created org)
       const orgWithRole = {
@@ -96,9 +123,14 @@ export function Register() {
       setOrganization(orgWithRole);
       setOrganizations([orgWithRole]);
       localStorage.setItem('user', JSON.stringify(response.data.user));
+
+      // Invited users already proved their email; others get a verification link
+      if (!response.data.user.emailVerified) {
+        setSuccess(`Account created! We sent a verification link to ${response.data.user.email}`);
+      }
       setTimeout(() => {
         navigate('/');
-      }, 1000);
+      }, response.data.user.emailVerified ? 1000 : 2500);
     } catch (err: any) {
       const errorMessage = err.response?.data?.error || 'Registration failed';
       setError(errorMessage);
@@ -111,17 +143,25 @@ export function Register() {
       <div className="auth-card">
         <h2>Register</h2>
         {error && <div className="error-message">{error}</div>}
-        <form onSubmit={handleSubmit}>
-          <div className="form-group">
-            <label>Organization Name (optional)</label>
-            <input
-              type="text"
-              name="organizationName"
-              value={formData.organizationName}
-              onChange={handleChange}
-              placeholder="Optional — leave empty for a personal workspace"
-            />
+        {success && <div className="success-message">{success}</div>}
+        {invitation && (
+          <div className="success-message">
+            You're joining <strong>{invitation.organization.name}</strong> as {invitation.role}
           </div>
+        )}
+        <form onSubmit={handleSubmit}>
+          {!invitation && (
+            <div className="form-group">
+              <label>Organization Name (optional)</label>
+              <input
+                type="text"
+                name="organizationName"
+                value={formData.organizationName}
+                onChange={handleChange}
+                placeholder="Optional — leave empty for a personal workspace"
+              />
+            </div>
+          )}
           <div className="form-group">
             <label>Username</label>
             <input
@@ -144,6 +184,7 @@ export function Register() {
               placeholder="your@email.com"
               required
               disabled={loading}
+              readOnly={!!invitation}
             />
           </div>
           <div className="form-group">
@@ -0,0 +1,83 @@
+import { useState } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { authAPI, clearAuthToken } from '../services/authService';
+import '../styles/Auth.css';
+
+// Landing page of password reset emails (/reset-password?token=)
+export function ResetPassword() {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [error, setError] = useState(token ? '' : 'This reset link is incomplete');
+  const [message, setMessage] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+
+    if (password.length < 6) {
+      setError('Password must be at least 6 characters');
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError('Passwords do not match');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await authAPI.resetPassword(token, password, confirmPassword);
+      // Every session ended on the server, including one in this browser
+      clearAuthToken();
+      setMessage(response.data.message);
+      setTimeout(() => navigate('/login'), 2000);
+    } catch (err) {
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to reset password');
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Reset Password</h2>
+        {error && <div className="error-message">{error}</div>}
+        {message && <div className="success-message">{message}</div>}
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>New Password</label>
+            <input
+              type="password"
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              placeholder="At least 6 characters"
+              required
+              disabled={loading || !token}
+            />
+          </div>
+          <div className="form-group">
+            <label>Confirm Password</label>
+            <input
+              type="password"
+              value={confirmPassword}
+              onChange={(e) => setConfirmPassword(e.target.value)}
+              placeholder="Re-enter your password"
+              required
+              disabled={loading || !token}
+            />
+          </div>
+          <button type="submit" disabled={loading || !token}>
+            {loading ? 'Saving...' : 'Set New Password'}
+          </button>
+        </form>
+        <p className="auth-link">
+          Link expired? <a href="/forgot-password">Request a new one</a>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,321 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import axios from 'axios';
+import { useNavigate } from 'react-router-dom';
+import { moderationAPI } from '../services/moderationService';
+import type { ReviewVideo, ReviewState, ReviewDecision, ModerationDecision } from '../services/moderationService';
+import { videoAPI } from '../services/videoService';
+import { useToast, ToastContainer } from '../components/Toast';
+import { useOrganization } from '../context/OrganizationContext';
+import { keepPlaybackPosition, useMediaToken } from '../hooks/useMediaToken';
+import socketService from '../services/socketService';
+import '../styles/Videos.css';
+
+const STATE_LABELS: Record<ReviewState, string> = {
+  pending: 'Pending',
+  changes_requested: 'Changes Requested',
+  approved: 'Approved',
+  rejected: 'Rejected'
+};
+
+const DECISION_LABELS: Record<ModerationDecision['decision'], string> = {
+  approve: '✅ Approved',
+  reject: '🚫 Rejected',
+  request_edits: '✏️ Changes requested',
+  resubmit: '🔁 Resubmitted by uploader'
+};
+
+const SOURCE_LABELS = {
+  metadata: 'Title / description',
+  visual: 'Video frames',
+  transcript: 'Spoken audio'
+};
+
+const getErrorMessage = (err: unknown, fallback: string) => {
+  return (axios.isAxiosError(err) && err.response?.data?.error) || fallback;
+};
+
+const formatTimestamp = (seconds: number) => {
+  const total = Math.floor(seconds);
+  return `${Math.floor(total / 60)}:${String(total % 60).padStart(2, '0')}`;
+};
+
+export function Review() {
+  const navigate = useNavigate();
+  const { toasts, addToast, removeToast } = useToast();
+  const { hasPermission } = useOrganization();
+  const [state, setState] = useState<ReviewState>('pending');
+  const [queue, setQueue] = useState<ReviewVideo[]>([]);
+  const [counts, setCounts] = useState<Record<ReviewState, number> | null>(null);
+  const [selected, setSelected] = useState<ReviewVideo | null>(null);
+  const mediaToken = useMediaToken(selected?._id);
+  const [reason, setReason] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+  const playerRef = useRef<HTMLVideoElement>(null);
+
+  const canReview = hasPermission('moderation:review');
+  const selectedId = selected?._id;
+
+  // Set here rather than as src so a renewed media token does not restart the video
+  useEffect(() => {
+    const player = playerRef.current;
+    if (!player || !selectedId || !mediaToken) return;
+
+    keepPlaybackPosition(player, selectedId);
+    player.src = videoAPI.getStreamUrl(selectedId, mediaToken);
+  }, [selectedId, mediaToken]);
+
+  const fetchQueue = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await moderationAPI.getQueue(state);
+      setQueue(response.data.videos);
+      setCounts(response.data.counts);
+    } catch (err) {
+      setError(getErrorMessage(err, 'Failed to load review queue'));
+    } finally {
+      setLoading(false);
+    }
+  }, [state]);
+
+  useEffect(() => {
+    if (!canReview) return;
+    fetchQueue();
+  }, [fetchQueue, canReview]);
+
+  // Keep the queue current when other reviewers decide or uploaders resubmit
+  useEffect(() => {
+    const handleDecision = () => {
+      fetchQueue();
+    };
+
+    socketService.on('video-moderation-decision', handleDecision);
+    return () => socketService.off('video-moderation-decision', handleDecision);
+  }, [fetchQueue]);
+
+  const selectVideo = async (id: string) => {
+    try {
+      const response = await moderationAPI.getVideo(id);
+      setSelected(response.data.video);
+      setReason('');
+    } catch (err) {
+      addToast(getErrorMessage(err, 'Failed to load video'), 'error');
+    }
+  };
+
+  const handleDecision = async (decision: ReviewDecision) => {
+    if (!selected) return;
+    if (decision !== 'approve' && !reason.trim()) {
+      addToast('Please give a reason for the uploader', 'warning');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      await moderationAPI.decide(selected._id, decision, reason.trim() || undefined);
+      addToast(`Decision recorded: ${DECISION_LABELS[decision]}`, 'success');
+      // Reload with populated reviewers for the history
+      await selectVideo(selected._id);
+      fetchQueue();
+    } catch (err) {
+      addToast(getErrorMessage(err, 'Failed to record decision'), 'error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const seekTo = (time: number) => {
+    if (!playerRef.current) return;
+    playerRef.current.currentTime = time;
+    playerRef.current.play().catch(() => {});
+  };
+
+  if (!canReview) {
+    return (
+      <div className="videos-container">
+        <div className="error-section">
+          <div className="error-message">Only moderators and admins can review flagged videos</div>
+          <button onClick={() => navigate('/')} className="back-btn">Back to Home</button>
+        </div>
+      </div>
+    );
+  }
+
+  const analysis = selected?.sensitivityAnalysis;
+  const breakdown = Object.entries(analysis?.categoryBreakdown || {});
+  const decisions = [...(selected?.moderation.decisions || [])].reverse();
+
+  return (
+    <div className="videos-container">
+      <ToastContainer toasts={toasts} onClose={removeToast} />
+      <div className="videos-header">
+        <h2>Review Queue</h2>
+      </div>
+
+      <div className="review-tabs">
+        {(Object.keys(STATE_LABELS) as ReviewState[]).map(key => (
+          <button
+            key={key}
+            className={`review-tab ${state === key ? 'active' : ''}`}
+            onClick={() => setState(key)}
+          >
+            {STATE_LABELS[key]}{counts ? ` (${counts[key]})` : ''}
+          </button>
+        ))}
+      </div>
+
+      {error && (
+        <div className="error-section">
+          <div className="error-message">{error}</div>
+          <button onClick={fetchQueue} className="retry-btn">Retry</button>
+        </div>
+      )}
+
+      <div className="review-layout">
+        <div className="review-queue">
+          {loading ? (
+            <div className="loading-spinner">
+              <div className="spinner"></div>
+            </div>
+          ) : queue.length === 0 ? (
+            <p className="review-empty">No videos {STATE_LABELS[state].toLowerCase()}</p>
+          ) : (
+            queue.map(video => (
+              <button
+                key={video._id}
+                className={`review-queue-item ${selected?._id === video._id ? 'active' : ''}`}
+                onClick={() => selectVideo(video._id)}
+              >
+                <strong>{video.title}</strong>
+                <span>👤 {video.userId?.username || 'Unknown'}</span>
+                <span>⚠️ Score {video.sensitivityAnalysis?.score ?? 'N/A'}/100</span>
+              </button>
+            ))
+          )}
+        </div>
+
+        {selected ? (
+          <div className="review-detail">
+            <div className="review-side-by-side">
+              <div className="review-player">
+                <video
+                  ref={playerRef}
+                  key={selected._id}
+                  controls
+                  preload="metadata"
+                  className="player-video"
+                />
+                <h3>{selected.title}</h3>
+                <p className="description">{selected.description || 'No description'}</p>
+                <p className="uploader">Uploaded by {selected.userId?.username || 'Unknown'} on {new Date(selected.createdAt).toLocaleDateString()}</p>
+              </div>
+
+              <div className="review-analysis sensitivity-info">
+                {analysis?.summary && <p className="summary"><strong>Summary:</strong> {analysis.summary}</p>}
+                <p>
+                  <strong>Score:</strong> {analysis?.score ?? 'N/A'}/100
+                  {analysis?.threshold !== undefined && <> (flags above {analysis.threshold}, policy v{analysis.policyVersion ?? 0})</>}
+                </p>
+
+                <h4>📊 Category Breakdown</h4>
+                {breakdown.length === 0 ? (
+                  <p>No categories matched</p>
+                ) : (
+                  <div className="breakdown-items">
+                    {breakdown.map(([category, data]) => (
+                      <div key={category} className="breakdown-item">
+                        <span className="category-name">{category}:</span>
+                        <span className="category-score">{data.score}/100</span>
+                        {data.keywords?.length > 0 && (
+                          <div className="keywords-list">
+                            {data.keywords.map((kw, idx) => (
+                              <span key={idx} className="keyword-tag">{kw}</span>
+                            ))}
+                          </div>
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                )}
+
+                {analysis?.detectedIssues && analysis.detectedIssues.length > 0 && (
+                  <>
+                    <h4>🔍 Matched Keywords</h4>
+                    <ul className="review-issues">
+                      {analysis.detectedIssues.map((issue, idx) => (
+                        <li key={idx}>
+                          <strong>{issue.category}</strong> — {SOURCE_LABELS[issue.source || 'metadata']}
+                          {issue.timestamps && issue.timestamps.length > 0 ? (
+                            <div className="keywords-list">
+                              {issue.timestamps.map((t, tIdx) => (
+                                <button key={tIdx} className="keyword-tag review-timestamp" onClick={() => seekTo(t.time)}>
+                                  {formatTimestamp(t.time)} {t.label}
+                                </button>
+                              ))}
+                            </div>
+                          ) : (
+                            <div className="keywords-list">
+                              {issue.keywords.map((kw, kwIdx) => (
+                                <span key={kwIdx} className="keyword-tag">{kw}</span>
+                              ))}
+                            </div>
+                          )}
+                        </li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </div>
+            </div>
+
+            <div className="review-actions">
+              <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                className="edit-textarea"
+                placeholder="Reason (required to reject or request edits; shown to the uploader)"
+                maxLength={1000}
+                rows={3}
+              />
+              <div className="edit-actions">
+                <button onClick={() => handleDecision('approve')} className="save-btn" disabled={submitting}>
+                  Approve
+                </button>
+                <button onClick={() => handleDecision('request_edits')} className="edit-btn" disabled={submitting}>
+                  Request Edits
+                </button>
+                <button onClick={() => handleDecision('reject')} className="delete-btn" disabled={submitting}>
+                  Reject
+                </button>
+              </div>
+            </div>
+
+            <div className="review-history">
+              <h4>Decision History</h4>
+              {decisions.length === 0 ? (
+                <p>No decisions yet</p>
+              ) : (
+                <ul>
+                  {decisions.map(item => (
+                    <li key={item._id}>
+                      <strong>{DECISION_LABELS[item.decision]}</strong>
+                      {typeof item.decidedBy === 'object' && <> by {item.decidedBy.username}</>}
+                      {' '}on {new Date(item.decidedAt).toLocaleString()}
+                      {item.reason && <p>{item.reason}</p>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        ) : (
+          <div className="review-detail review-empty">
+            <p>Select a video to review</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
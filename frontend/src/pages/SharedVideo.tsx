@@ -0,0 +1,202 @@
+import { useEffect, useRef, useState } from 'react';
+import { useParams } from 'react-router-dom';
+import Hls from 'hls.js';
+import axios from 'axios';
+import { videoAPI, getMediaUrl } from '../services/videoService';
+import type { SharedVideo as SharedVideoData } from '../services/videoService';
+import '../styles/Auth.css';
+import '../styles/Videos.css';
+
+const getErrorMessage = (err: unknown, fallback: string) =>
+  (axios.isAxiosError(err) && err.response?.data?.error) || fallback;
+
+const isPasswordRequired = (err: unknown) =>
+  axios.isAxiosError(err) && !!err.response?.data?.passwordRequired;
+
+// Landing page of share links (/share/:token), playable without an account
+export function SharedVideo() {
+  const { token = '' } = useParams();
+  const [shared, setShared] = useState<SharedVideoData | null>(null);
+  const [passwordRequired, setPasswordRequired] = useState(false);
+  const [password, setPassword] = useState('');
+  const [error, setError] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [captionsUrl, setCaptionsUrl] = useState<string | null>(null);
+  const playerRef = useRef<HTMLVideoElement>(null);
+  // Opening the link counts a view; StrictMode's second effect run must not open it again
+  const openedRef = useRef<string | null>(null);
+
+  useEffect(() => {
+    if (openedRef.current === token) return;
+    openedRef.current = token;
+    videoAPI.openShareLink(token)
+      .then(response => setShared(response.data))
+      .catch(err => {
+        if (isPasswordRequired(err)) {
+          setPasswordRequired(true);
+        } else {
+          setError(getErrorMessage(err, 'This link is not available'));
+        }
+      })
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const video = shared?.video;
+  const mediaToken = shared?.mediaToken;
+  const hasRenditions = !!video?.streaming?.renditions?.length;
+
+  // Same playback as the video page: HLS when renditions exist, otherwise the original upload
+  useEffect(() => {
+    const player = playerRef.current;
+    if (!video || !mediaToken || !hasRenditions || !player) return;
+
+    const hlsUrl = getMediaUrl(video._id, 'hls/master.m3u8', mediaToken);
+    const streamUrl = getMediaUrl(video._id, 'stream', mediaToken);
+
+    if (Hls.isSupported()) {
+      const hls = new Hls();
+      hls.on(Hls.Events.ERROR, (_event, data) => {
+        if (data.fatal) {
+          console.error('HLS playback error, falling back to the original file:', data.details);
+          hls.destroy();
+          player.src = streamUrl;
+        }
+      });
+      hls.loadSource(hlsUrl);
+      hls.attachMedia(player);
+      return () => hls.destroy();
+    }
+
+    player.src = player.canPlayType('application/vnd.apple.mpegurl') ? hlsUrl : streamUrl;
+  }, [video, mediaToken, hasRenditions]);
+
+  // Captions fetched as a blob so the <track> is same-origin
+  useEffect(() => {
+    if (!video?.transcript || !mediaToken) return;
+
+    let objectUrl: string | null = null;
+    let cancelled = false;
+    axios.get(getMediaUrl(video._id, 'transcript.vtt', mediaToken), { responseType: 'text' })
+      .then((response) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(new Blob([response.data], { type: 'text/vtt' }));
+        setCaptionsUrl(objectUrl);
+      })
+      .catch((err) => console.error('Failed to load captions:', err));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      setCaptionsUrl(null);
+    };
+  }, [video, mediaToken]);
+
+  const handlePasswordSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setError('');
+    setSubmitting(true);
+    try {
+      const response = await videoAPI.openShareLink(token, password);
+      setShared(response.data);
+    } catch (err) {
+      setError(getErrorMessage(err, isPasswordRequired(err) ? 'Incorrect password' : 'This link is not available'));
+      if (!isPasswordRequired(err)) setPasswordRequired(false);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="auth-container"><div className="auth-card"><p>Loading...</p></div></div>;
+  }
+
+  if (!shared || !video || !mediaToken) {
+    return (
+      <div className="auth-container">
+        <div className="auth-card">
+          <h2>Shared video</h2>
+          {error && <div className="error-message">{error}</div>}
+          {passwordRequired && (
+            <form onSubmit={handlePasswordSubmit}>
+              <div className="form-group">
+                <label>This video is protected by a password</label>
+                <input
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  placeholder="Password"
+                  required
+                  autoFocus
+                />
+              </div>
+              <button type="submit" className="submit-btn" disabled={submitting}>
+                {submitting ? 'Checking...' : 'Watch video'}
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="video-player-container">
+      <div className="player-wrapper">
+        {video.status === 'safe' || video.status === 'uploaded' ? (
+          <video
+            ref={playerRef}
+            controls
+            autoPlay
+            className="player-video"
+            poster={video.thumbnail?.key ? getMediaUrl(video._id, 'thumbnail', mediaToken) : undefined}
+          >
+            {!hasRenditions && <source src={getMediaUrl(video._id, 'stream', mediaToken)} />}
+            {captionsUrl && (
+              <track
+                kind="captions"
+                src={captionsUrl}
+                srcLang={video.transcript?.language || 'en'}
+                label="Transcript"
+              />
+            )}
+            Your browser does not support the video tag.
+          </video>
+        ) : (
+          <div className="processing-content">
+            <div className="processing-icon">⏳</div>
+            <h2>Not ready yet</h2>
+            <p>This video cannot be played yet. Please open the link again later.</p>
+          </div>
+        )}
+      </div>
+
+      <div className="video-details">
+        <h1>{video.title}</h1>
+        <div className="video-meta">
+          <span>📅 {new Date(video.createdAt).toLocaleDateString()}</span>
+          {shared.share.expiresAt && (
+            <span>⌛ Link expires {new Date(shared.share.expiresAt).toLocaleString()}</span>
+          )}
+          {shared.share.remainingViews !== null && (
+            <span>👁️ {shared.share.remainingViews} view(s) left on this link</span>
+          )}
+        </div>
+
+        <div className="video-description">
+          <h3>Description</h3>
+          <p>{video.description || 'No description provided'}</p>
+        </div>
+
+        {shared.share.allowDownload && (
+          <a
+            className="share-download"
+            href={getMediaUrl(video._id, 'stream', mediaToken, { download: '1' })}
+          >
+            ⬇️ Download video
+          </a>
+        )}
+      </div>
+    </div>
+  );
+}
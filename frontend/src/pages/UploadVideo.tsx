@@ -1,20 +1,34 @@
 import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { getAuthToken } from '../services/authService';
-import { videoAPI } from '../services/videoService';
+import axios from 'axios';
+import {
+  videoAPI,
+  VISIBILITY_OPTIONS,
+  getFileKey,
+  getPendingUploads,
+  forgetUpload,
+  uploadVideoResumable,
+  type PendingUpload,
+  type VideoVisibility
+} from '../services/videoService';
 import socketService from '../services/socketService';
+import { useOrganization } from '../context/OrganizationContext';
 import { ProgressBar } from '../components/ProgressBar';
+import { TagPicker } from '../components/Tags';
 import '../styles/Upload.css';
 
 export function UploadVideo() {
   const navigate = useNavigate();
-  const [userRole, setUserRole] = useState<string | null>(null);
+  const { hasPermission } = useOrganization();
   const [loading, setLoading] = useState(true);
   const [formData, setFormData] = useState({
     title: '',
     description: '',
     video: null as File | null
   });
+  const [tags, setTags] = useState<string[]>([]);
+  const [visibility, setVisibility] = useState<VideoVisibility>('organization');
   const [error, setError] = useState('');
   const [isSubmitting, setIsSubmitting] = useState(false);
   const [fileName, setFileName] = useState('');
@@ -23,22 +37,18 @@ export function UploadVideo() {
   const [processingStep, setProcessingStep] = useState('');
   const [uploadedVideoId, setUploadedVideoId] = useState<string | null>(null);
   const [processingStatus, setProcessingStatus] = useState<'uploading' | 'processing' | 'complete' | 'failed' | null>(null);
+  // Uploads interrupted by a network drop or a reload; picking the same file again resumes them
+  const [pendingUploads, setPendingUploads] = useState<PendingUpload[]>(getPendingUploads);
+  const resumeTarget = formData.video
+    ? pendingUploads.find(upload => upload.fileKey === getFileKey(formData.video as File))
+    : undefined;
 
   useEffect(() => {
-    // Check user role from localStorage or JWT
     const token = getAuthToken();
     if (!token) {
       navigate('/login');
       return;
     }
-
-    // Decode JWT to get user role
-    try {
-      const payload = JSON.parse(atob(token.split('.')[1]));
-      setUserRole(payload.role || null);
-    } catch {
-      console.error('Failed to decode token');
-    }
     setLoading(false);
 
     // Set up Socket.io listeners
@@ -87,14 +97,14 @@ export function UploadVideo() {
     return <div className="upload-container"><div className="upload-card"><p>Loading...</p></div></div>;
   }
 
-  if (userRole === 'viewer') {
+  if (!hasPermission('video:upload')) {
     return (
       <div className="upload-container">
         <div className="upload-card">
           <h2>Upload Video</h2>
           <div className="error-message">
             <strong>Access Denied</strong><br />
-            Viewers cannot upload videos. Contact your organization admin to change your role to Editor or Admin.
+            Your role cannot upload videos. Contact your organization admin to get the video:upload permission.
           </div>
           <button
             onClick={() => navigate('/my-videos')}
@@ -123,19 +133,33 @@ export function UploadVideo() {
         setError('Please select a valid video file');
         return;
       }
-      if (file.size > 500 * 1024 * 1024) {
-        setError('File size must be less than 500MB');
-        return;
-      }
+      // Resuming keeps the title, description, tags and visibility the upload was started with
+      const pending = pendingUploads.find(upload => upload.fileKey === getFileKey(file));
       setFormData(prev => ({
         ...prev,
+        ...(pending ? { title: pending.title, description: pending.description } : {}),
         video: file
       }));
+      if (pending) {
+        setTags(pending.tags || []);
+        setVisibility(pending.visibility);
+      }
       setFileName(file.name);
       setError('');
     }
   };
 
+  const handleDiscardPending = async (upload: PendingUpload) => {
+    try {
+      await videoAPI.cancelUpload(upload.uploadId);
+    } catch (err) {
+      // Already expired on the server; forgetting it here is enough
+      console.error('Failed to cancel upload:', err);
+    }
+    forgetUpload(upload.fileKey);
+    setPendingUploads(getPendingUploads());
+  };
+
   const validateForm = (): boolean => {
     if (!formData.title.trim()) {
       setError('Title is required');
@@ -168,16 +192,11 @@ export function UploadVideo() {
     setProcessingStatus('uploading');
 
     try {
-      const uploadFormData = new FormData();
-      uploadFormData.append('title', formData.title);
-      uploadFormData.append('description', formData.description);
-      if (formData.video) {
-        uploadFormData.append('video', formData.video);
-      }
-
-      const response = await videoAPI.uploadVideo(uploadFormData, (progress) => {
-        setUploadProgress(progress);
-      });
+      const response = await uploadVideoResumable(
+        formData.video as File,
+        { title: formData.title, description: formData.description, tags, visibility },
+        (progress) => setUploadProgress(progress)
+      );
 
       // Capture the video ID for tracking processing
       setUploadedVideoId(response.data.video._id);
@@ -189,9 +208,12 @@ export function UploadVideo() {
         navigate('/my-videos');
       }, 1500); // Brief delay to show success message
     } catch (err: unknown) {
-      const error = err as { response?: { data?: { error?: string } } };
-      const errorMessage = error.response?.data?.error || 'Upload failed. Please try again.';
-      setError(errorMessage);
+      const pending = getPendingUploads().find(upload => upload.fileKey === getFileKey(formData.video as File));
+      const interrupted = pending && !(axios.isAxiosError(err) && err.response && err.response.status < 500);
+      setError(interrupted
+        ? `Upload interrupted at ${Math.floor((pending.offset / pending.size) * 100)}%. Check your connection and press "Resume upload" to continue.`
+        : (axios.isAxiosError(err) && err.response?.data?.error) || 'Upload failed. Please try again.');
+      setPendingUploads(getPendingUploads());
       setProcessingStatus('failed');
       console.error('Upload error:', err);
     } finally {
@@ -206,6 +228,25 @@ export function UploadVideo() {
         <h2>Upload Video</h2>
         
         {error && <div className="error-message">{error}</div>}
+
+        {pendingUploads.length > 0 && !isSubmitting && (
+          <div className="pending-uploads">
+            <h4>Unfinished uploads</h4>
+            <p>Select the same file again to continue where it stopped.</p>
+            <ul>
+              {pendingUploads.map(upload => (
+                <li key={upload.uploadId}>
+                  <span>
+                    📁 {upload.filename} — {upload.title} ({Math.floor((upload.offset / upload.size) * 100)}%)
+                  </span>
+                  <button type="button" className="pending-discard" onClick={() => handleDiscardPending(upload)}>
+                    Discard
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
         
         <form onSubmit={handleSubmit} className="upload-form">
           <div className="form-group">
@@ -237,6 +278,28 @@ export function UploadVideo() {
             <small className="char-count">{formData.description.length}/500</small>
           </div>
 
+          <div className="form-group">
+            <label>Tags</label>
+            <TagPicker tags={tags} onChange={setTags} disabled={isSubmitting} />
+            <small>Press Enter or type a comma after each tag</small>
+          </div>
+
+          <div className="form-group">
+            <label>Who can watch</label>
+            <select
+              value={visibility}
+              onChange={(e) => setVisibility(e.target.value as VideoVisibility)}
+              disabled={isSubmitting}
+            >
+              {VISIBILITY_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+            {visibility === 'restricted' && (
+              <small>Choose the members and roles on the video page after uploading</small>
+            )}
+          </div>
+
           <div className="form-group">
             <label>Select Video File *</label>
             <div className="file-input-wrapper">
@@ -288,7 +351,7 @@ export function UploadVideo() {
           )}
 
           <button type="submit" disabled={isSubmitting || !formData.video || processingStatus === 'processing' || processingStatus === 'complete'}>
-            {isSubmitting ? `Uploading... ${Math.round(uploadProgress)}%` : 'Upload Video'}
+            {isSubmitting ? `Uploading... ${Math.round(uploadProgress)}%` : resumeTarget ? 'Resume upload' : 'Upload Video'}
           </button>
         </form>
       </div>
@@ -0,0 +1,46 @@
+import { useEffect, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import axios from 'axios';
+import { authAPI } from '../services/authService';
+import '../styles/Auth.css';
+
+// Landing page of verification emails (/verify-email?token=)
+export function VerifyEmail() {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+  const [error, setError] = useState(token ? '' : 'This verification link is incomplete');
+  const [message, setMessage] = useState('');
+  // Tokens are single-use; StrictMode would otherwise send it twice in development
+  const submitted = useRef(false);
+
+  useEffect(() => {
+    if (!token || submitted.current) return;
+    submitted.current = true;
+
+    authAPI.verifyEmail(token)
+      .then(response => {
+        setMessage(response.data.message);
+        const storedUser = localStorage.getItem('user');
+        if (storedUser) {
+          localStorage.setItem('user', JSON.stringify({ ...JSON.parse(storedUser), emailVerified: true }));
+        }
+      })
+      .catch(err => {
+        setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to verify email');
+      });
+  }, [token]);
+
+  return (
+    <div className="auth-container">
+      <div className="auth-card">
+        <h2>Email Verification</h2>
+        {error && <div className="error-message">{error}</div>}
+        {message && <div className="success-message">{message}</div>}
+        {!error && !message && <p>Verifying...</p>}
+        <p className="auth-link">
+          <a href="/">Continue to Video Platform</a>
+        </p>
+      </div>
+    </div>
+  );
+}
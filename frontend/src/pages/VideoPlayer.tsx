@@ -1,6 +1,25 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { videoAPI } from '../services/videoService';
+import Hls from 'hls.js';
+import axios from 'axios';
+import { videoAPI, VISIBILITY_OPTIONS, OPEN_VISIBILITIES } from '../services/videoService';
+import { organizationAPI } from '../services/organizationService';
+import { fetchAllPages } from '../services/pagination';
+import type { OrganizationMember, Role } from '../services/organizationService';
+import { useOrganization } from '../context/OrganizationContext';
+import { keepPlaybackPosition, useMediaToken } from '../hooks/useMediaToken';
+import type {
+  VideoThumbnail,
+  VideoStoryboard,
+  VideoStreaming,
+  VideoTechnicalMetadata,
+  VideoTranscript,
+  TranscriptSegment,
+  VideoVisibility,
+  ShareLink,
+  ShareLinkStatus
+} from '../services/videoService';
+import type { VideoModeration } from '../services/moderationService';
 import '../styles/Videos.css';
 
 interface Video {
@@ -10,21 +29,45 @@ interface Video {
   filepath: string;
   views: number;
   status: 'uploaded' | 'processing' | 'safe' | 'flagged' | 'failed';
+  duration?: number;
+  resolution?: { width: number; height: number };
+  thumbnail?: VideoThumbnail;
+  storyboard?: VideoStoryboard;
+  streaming?: VideoStreaming;
+  technicalMetadata?: VideoTechnicalMetadata;
+  transcript?: VideoTranscript;
   createdAt?: string;
   sensitivityAnalysis?: {
     score: number;
     result: string;
     rules: string[];
   };
-  userId?: { username: string } | string;
+  moderation?: VideoModeration;
+  visibility?: VideoVisibility;
+  userId?: { _id: string; username: string } | string;
 }
 
+const formatDuration = (seconds: number) => {
+  const total = Math.floor(seconds);
+  const h = Math.floor(total / 3600);
+  const m = Math.floor((total % 3600) / 60);
+  const s = String(total % 60).padStart(2, '0');
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`;
+};
+
 export function VideoPlayer() {
   const { id } = useParams<{ id: string }>();
   const navigate = useNavigate();
+  const { hasPermission } = useOrganization();
   const [video, setVideo] = useState<Video | null>(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const playerRef = useRef<HTMLVideoElement>(null);
+  const hlsRef = useRef<Hls | null>(null);
+  const [qualityLevels, setQualityLevels] = useState<{ index: number; label: string }[]>([]);
+  const [selectedLevel, setSelectedLevel] = useState(-1);
+  const [captionsUrl, setCaptionsUrl] = useState<string | null>(null);
+  const mediaToken = useMediaToken(video?._id);
 
   useEffect(() => {
     if (!id) {
@@ -36,6 +79,90 @@ export function VideoPlayer() {
     fetchVideo();
   }, [id]);
 
+  const hasRenditions = !!video?.streaming?.renditions?.length && video.status !== 'flagged';
+
+  // Adaptive playback: hls.js where MSE is available, native HLS on Safari/iOS,
+  // otherwise the original upload. Runs again with every renewed media token.
+  useEffect(() => {
+    const player = playerRef.current;
+    if (!video || !mediaToken || !player) return;
+
+    keepPlaybackPosition(player, video._id);
+    if (!hasRenditions) {
+      player.src = videoAPI.getStreamUrl(video._id, mediaToken);
+      return;
+    }
+
+    const hlsUrl = videoAPI.getHlsUrl(video._id, mediaToken);
+
+    if (Hls.isSupported()) {
+      const hls = new Hls();
+      hlsRef.current = hls;
+      hls.on(Hls.Events.MANIFEST_PARSED, (_event, data) => {
+        setQualityLevels(data.levels.map((level, index) => ({
+          index,
+          label: level.height ? `${level.height}p` : `${Math.round(level.bitrate / 1000)} kbps`
+        })));
+      });
+      hls.on(Hls.Events.ERROR, (_event, data) => {
+        if (data.fatal) {
+          console.error('HLS playback error, falling back to the original file:', data.details);
+          hls.destroy();
+          hlsRef.current = null;
+          setQualityLevels([]);
+          player.src = videoAPI.getStreamUrl(video._id, mediaToken);
+        }
+      });
+      hls.loadSource(hlsUrl);
+      hls.attachMedia(player);
+
+      return () => {
+        hls.destroy();
+        hlsRef.current = null;
+        setQualityLevels([]);
+        setSelectedLevel(-1);
+      };
+    }
+
+    player.src = player.canPlayType('application/vnd.apple.mpegurl')
+      ? hlsUrl
+      : videoAPI.getStreamUrl(video._id, mediaToken);
+  }, [video, mediaToken, hasRenditions]);
+
+  // Captions from the transcript. Fetched as a blob so the <track> is same-origin
+  // and the player does not need CORS mode for the video itself.
+  const hasTranscript = !!video?.transcript?.transcribedAt && video.status !== 'flagged';
+  useEffect(() => {
+    if (!video || !hasTranscript) return;
+
+    let objectUrl: string | null = null;
+    let cancelled = false;
+    videoAPI.getTranscriptVtt(video._id)
+      .then((response) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(new Blob([response.data], { type: 'text/vtt' }));
+        setCaptionsUrl(objectUrl);
+      })
+      .catch((err) => console.error('Failed to load captions:', err));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      setCaptionsUrl(null);
+    };
+  }, [video, hasTranscript]);
+
+  const seekTo = (time: number) => {
+    if (playerRef.current) playerRef.current.currentTime = time;
+  };
+
+  const handleQualityChange = (level: number) => {
+    setSelectedLevel(level);
+    if (hlsRef.current) {
+      hlsRef.current.currentLevel = level;
+    }
+  };
+
   const fetchVideo = async () => {
     try {
       setLoading(true);
@@ -48,6 +175,19 @@ export function VideoPlayer() {
     }
   };
 
+  // Sharing follows the edit permissions: video:edit:any, or video:edit:own for own videos
+  const canShare = (() => {
+    if (!video || !localStorage.getItem('token')) return false;
+    if (hasPermission('video:edit:any')) return true;
+    try {
+      const currentUserId = JSON.parse(localStorage.getItem('user') || 'null')?._id;
+      const ownerId = typeof video.userId === 'object' ? video.userId?._id : video.userId;
+      return hasPermission('video:edit:own') && !!currentUserId && ownerId === currentUserId;
+    } catch {
+      return false;
+    }
+  })();
+
   if (loading) {
     return <div className="loading">Loading video...</div>;
   }
@@ -82,6 +222,9 @@ export function VideoPlayer() {
             <div className="restricted-icon">⚠️</div>
             <h2>Content Flagged</h2>
             <p>This video has been flagged as potentially inappropriate content and cannot be played.</p>
+            {video.moderation?.state === 'pending' && <p>It is waiting for review by a moderator.</p>}
+            {video.moderation?.state === 'changes_requested' && <p>A moderator has asked the uploader for changes.</p>}
+            {video.moderation?.state === 'rejected' && <p>A moderator has rejected this video.</p>}
             <div className="safety-score">Safety Score: {video.sensitivityAnalysis?.score || 'N/A'}/100</div>
           </div>
         ) : video.status === 'processing' ? (
@@ -99,13 +242,37 @@ export function VideoPlayer() {
         ) : (
           <>
             <video
+              ref={playerRef}
               controls
               autoPlay
               className="player-video"
+              poster={video.thumbnail?.key && mediaToken ? videoAPI.getThumbnailUrl(video._id, mediaToken) : undefined}
             >
-              <source src={video.filepath} type="video/mp4" />
+              {captionsUrl && (
+                <track
+                  kind="captions"
+                  src={captionsUrl}
+                  srcLang={video.transcript?.language || 'en'}
+                  label="Transcript"
+                />
+              )}
               Your browser does not support the video tag.
             </video>
+            {qualityLevels.length > 1 && (
+              <div className="quality-selector">
+                <label htmlFor="quality-select">Quality</label>
+                <select
+                  id="quality-select"
+                  value={selectedLevel}
+                  onChange={(e) => handleQualityChange(Number(e.target.value))}
+                >
+                  <option value={-1}>Auto</option>
+                  {qualityLevels.map((level) => (
+                    <option key={level.index} value={level.index}>{level.label}</option>
+                  ))}
+                </select>
+              </div>
+            )}
             {video.status === 'safe' && (
               <div className="safe-indicator">✅ Safe to View</div>
             )}
@@ -125,8 +292,23 @@ export function VideoPlayer() {
         <div className="video-meta">
           <span>👁️ {video.views} views</span>
           <span>📅 {video.createdAt ? new Date(video.createdAt).toLocaleDateString() : 'Unknown date'}</span>
+          {!!video.duration && <span>⏱️ {formatDuration(video.duration)}</span>}
+          {!!video.resolution?.height && <span>🖥️ {video.resolution.width}×{video.resolution.height}</span>}
         </div>
 
+        {video.storyboard?.key && video.status !== 'flagged' && (
+          <StoryboardStrip
+            videoId={video._id}
+            mediaToken={mediaToken}
+            storyboard={video.storyboard}
+            onSeek={seekTo}
+          />
+        )}
+
+        {hasTranscript && (
+          <TranscriptPanel videoId={video._id} mediaToken={mediaToken} transcript={video.transcript!} onSeek={seekTo} />
+        )}
+
         <div className="uploader-info">
           <h3>Uploaded by: {typeof video.userId === 'object' ? video.userId?.username : video.userId || 'Unknown'}</h3>
         </div>
@@ -136,6 +318,14 @@ export function VideoPlayer() {
           <p>{video.description || 'No description provided'}</p>
         </div>
 
+        {canShare && <SharingPanel videoId={video._id} flagged={video.status === 'flagged'} />}
+
+        {canShare && <ShareLinksPanel videoId={video._id} />}
+
+        {video.technicalMetadata && (
+          <TechnicalDetails metadata={video.technicalMetadata} />
+        )}
+
         {video.sensitivityAnalysis && (
           <div className="sensitivity-details">
             <h3>Content Analysis</h3>
@@ -161,3 +351,418 @@ export function VideoPlayer() {
     </div>
   );
 }
+
+// Visibility of the video and the members and roles it is shared with
+// Flagged videos cannot be opened to people outside the organization
+function SharingPanel({ videoId, flagged }: { videoId: string; flagged: boolean }) {
+  const [visibility, setVisibility] = useState<VideoVisibility>('organization');
+  const [userIds, setUserIds] = useState<string[]>([]);
+  const [roles, setRoles] = useState<string[]>([]);
+  const [members, setMembers] = useState<OrganizationMember[]>([]);
+  const [availableRoles, setAvailableRoles] = useState<Role[]>([]);
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    Promise.all([
+      videoAPI.getVideoAccess(videoId),
+      // The picker lists every member
+      fetchAllPages(organizationAPI.getMembers),
+      organizationAPI.getRoles()
+    ])
+      .then(([accessResponse, allMembers, rolesResponse]) => {
+        const { access } = accessResponse.data;
+        setVisibility(access.visibility);
+        setUserIds(access.allowedUsers.map(user => user._id));
+        setRoles(access.allowedRoles);
+        setMembers(allMembers);
+        setAvailableRoles(rolesResponse.data.roles);
+      })
+      .catch(err => setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to load sharing settings'));
+  }, [videoId]);
+
+  const toggle = (list: string[], value: string) =>
+    list.includes(value) ? list.filter(item => item !== value) : [...list, value];
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError('');
+      const response = await videoAPI.updateVideoAccess(videoId, { visibility, userIds, roles });
+      setVisibility(response.data.access.visibility);
+      setMessage('Sharing settings saved');
+      setTimeout(() => setMessage(''), 3000);
+    } catch (err) {
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to save sharing settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <details className="sharing-panel">
+      <summary>Sharing</summary>
+      {error && <div className="error-message">{error}</div>}
+      {message && <div className="success-message">{message}</div>}
+
+      <label className="sharing-visibility">
+        Who can watch
+        <select value={visibility} onChange={(e) => setVisibility(e.target.value as VideoVisibility)}>
+          {VISIBILITY_OPTIONS.map(option => (
+            <option
+              key={option.value}
+              value={option.value}
+              disabled={flagged && OPEN_VISIBILITIES.includes(option.value) && option.value !== visibility}
+            >
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      {visibility === 'restricted' && (
+        <div className="sharing-lists">
+          <fieldset>
+            <legend>Members</legend>
+            {members.map(member => (
+              <label key={member.userId._id}>
+                <input
+                  type="checkbox"
+                  checked={userIds.includes(member.userId._id)}
+                  onChange={() => setUserIds(toggle(userIds, member.userId._id))}
+                />
+                {member.userId.username}
+              </label>
+            ))}
+          </fieldset>
+          <fieldset>
+            <legend>Roles</legend>
+            {availableRoles.map(role => (
+              <label key={role.name}>
+                <input
+                  type="checkbox"
+                  checked={roles.includes(role.name)}
+                  onChange={() => setRoles(toggle(roles, role.name))}
+                />
+                {role.name}
+              </label>
+            ))}
+          </fieldset>
+        </div>
+      )}
+
+      <button onClick={handleSave} className="sharing-save" disabled={saving}>
+        {saving ? 'Saving...' : 'Save'}
+      </button>
+    </details>
+  );
+}
+
+const SHARE_LINK_EXPIRY_OPTIONS = [
+  { days: 0, label: 'Never' },
+  { days: 1, label: '1 day' },
+  { days: 7, label: '7 days' },
+  { days: 30, label: '30 days' }
+];
+
+const SHARE_LINK_STATUS_LABELS: Record<ShareLinkStatus, string> = {
+  active: 'Active',
+  revoked: 'Revoked',
+  expired: 'Expired',
+  used_up: 'View limit reached'
+};
+
+// Links that let people outside the organization watch the video without an account
+function ShareLinksPanel({ videoId }: { videoId: string }) {
+  const [shareLinks, setShareLinks] = useState<ShareLink[]>([]);
+  const [sharingAllowed, setSharingAllowed] = useState(true);
+  const [label, setLabel] = useState('');
+  const [password, setPassword] = useState('');
+  const [expiresInDays, setExpiresInDays] = useState(0);
+  const [maxViews, setMaxViews] = useState('');
+  const [allowDownload, setAllowDownload] = useState(false);
+  const [createdUrl, setCreatedUrl] = useState('');
+  const [creating, setCreating] = useState(false);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    videoAPI.getShareLinks(videoId)
+      .then(response => {
+        setShareLinks(response.data.shareLinks);
+        setSharingAllowed(response.data.sharingAllowed);
+      })
+      .catch(err => setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to load share links'));
+  }, [videoId]);
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    try {
+      setCreating(true);
+      setError('');
+      const response = await videoAPI.createShareLink(videoId, {
+        label,
+        password: password || undefined,
+        expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString() : null,
+        maxViews: maxViews ? Number(maxViews) : null,
+        allowDownload
+      });
+      setShareLinks([response.data.shareLink, ...shareLinks]);
+      setCreatedUrl(response.data.url);
+      setLabel('');
+      setPassword('');
+      setMaxViews('');
+    } catch (err) {
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to create share link');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (shareLink: ShareLink) => {
+    if (!window.confirm('Revoke this link? Anyone using it will lose access.')) return;
+    try {
+      setError('');
+      const response = await videoAPI.revokeShareLink(videoId, shareLink._id);
+      setShareLinks(shareLinks.map(link => link._id === shareLink._id ? response.data.shareLink : link));
+    } catch (err) {
+      setError((axios.isAxiosError(err) && err.response?.data?.error) || 'Failed to revoke share link');
+    }
+  };
+
+  return (
+    <details className="sharing-panel">
+      <summary>Share links</summary>
+      {error && <div className="error-message">{error}</div>}
+
+      {!sharingAllowed ? (
+        <p className="share-links-note">Share links are disabled in the organization settings.</p>
+      ) : (
+        <form onSubmit={handleCreate} className="share-link-form">
+          <input
+            type="text"
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            placeholder="Label (optional)"
+            maxLength={100}
+          />
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password (optional)"
+            autoComplete="new-password"
+          />
+          <label>
+            Expires
+            <select value={expiresInDays} onChange={(e) => setExpiresInDays(Number(e.target.value))}>
+              {SHARE_LINK_EXPIRY_OPTIONS.map(option => (
+                <option key={option.days} value={option.days}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <input
+            type="number"
+            min={1}
+            value={maxViews}
+            onChange={(e) => setMaxViews(e.target.value)}
+            placeholder="Max views (optional)"
+          />
+          <label>
+            <input
+              type="checkbox"
+              checked={allowDownload}
+              onChange={(e) => setAllowDownload(e.target.checked)}
+            />
+            Allow download
+          </label>
+          <button type="submit" className="sharing-save" disabled={creating}>
+            {creating ? 'Creating...' : 'Create link'}
+          </button>
+        </form>
+      )}
+
+      {createdUrl && (
+        <div className="share-link-created">
+          <p>Copy the link now, it will not be shown again:</p>
+          <input type="text" value={createdUrl} readOnly onFocus={(e) => e.target.select()} />
+          <button type="button" onClick={() => navigator.clipboard?.writeText(createdUrl)}>Copy</button>
+        </div>
+      )}
+
+      {shareLinks.length > 0 && (
+        <ul className="share-link-list">
+          {shareLinks.map(link => (
+            <li key={link._id} className={`share-link-item share-link-${link.status}`}>
+              <div>
+                <strong>{link.label || 'Untitled link'}</strong>
+                <span className="share-link-status">{SHARE_LINK_STATUS_LABELS[link.status]}</span>
+              </div>
+              <div className="share-link-meta">
+                <span>{link.viewCount}{link.maxViews !== null ? ` / ${link.maxViews}` : ''} views</span>
+                {link.expiresAt && <span>Expires {new Date(link.expiresAt).toLocaleDateString()}</span>}
+                {link.hasPassword && <span>🔒 Password</span>}
+                {link.allowDownload && <span>⬇️ Download</span>}
+                <span>Created {new Date(link.createdAt).toLocaleDateString()}</span>
+              </div>
+              {link.status === 'active' && (
+                <button type="button" onClick={() => handleRevoke(link)} className="share-link-revoke">
+                  Revoke
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+}
+
+const formatBitrate = (bitsPerSecond?: number | null) => {
+  if (!bitsPerSecond) return null;
+  return bitsPerSecond >= 1000000
+    ? `${(bitsPerSecond / 1000000).toFixed(1)} Mbps`
+    : `${Math.round(bitsPerSecond / 1000)} kbps`;
+};
+
+// Container, codec and stream details probed during processing
+function TechnicalDetails({ metadata }: { metadata: VideoTechnicalMetadata }) {
+  const rows: [string, string | null | undefined][] = [
+    ['Container', metadata.container?.split(',')[0]],
+    ['Video codec', [metadata.videoCodec, metadata.videoProfile].filter(Boolean).join(' ') || null],
+    ['Resolution', metadata.width && metadata.height ? `${metadata.width}×${metadata.height}` : null],
+    ['Frame rate', metadata.fps ? `${metadata.fps} fps` : null],
+    ['Pixel format', metadata.pixelFormat],
+    ['Rotation', metadata.rotation ? `${metadata.rotation}°` : null],
+    ['Bitrate', formatBitrate(metadata.bitrate)],
+    ['Audio', metadata.hasAudio === false
+      ? 'None'
+      : [metadata.audioCodec, metadata.audioChannels && `${metadata.audioChannels} ch`, metadata.audioSampleRate && `${metadata.audioSampleRate / 1000} kHz`]
+          .filter(Boolean)
+          .join(', ') || null]
+  ];
+
+  return (
+    <details className="technical-details">
+      <summary>Technical Details</summary>
+      <dl>
+        {rows.filter(([, value]) => value).map(([label, value]) => (
+          <div key={label} className="technical-row">
+            <dt>{label}</dt>
+            <dd>{value}</dd>
+          </div>
+        ))}
+      </dl>
+    </details>
+  );
+}
+
+interface TranscriptPanelProps {
+  videoId: string;
+  mediaToken: string | null;
+  transcript: VideoTranscript;
+  onSeek: (time: number) => void;
+}
+
+// Timestamped transcript with a text filter; clicking a line seeks to it
+function TranscriptPanel({ videoId, mediaToken, transcript, onSeek }: TranscriptPanelProps) {
+  const [segments, setSegments] = useState<TranscriptSegment[] | null>(null);
+  const [filter, setFilter] = useState('');
+
+  const loadSegments = () => {
+    if (segments) return;
+    videoAPI.getTranscript(videoId)
+      .then((response) => setSegments(response.data.transcript.segments))
+      .catch((err) => {
+        console.error('Failed to load transcript:', err);
+        setSegments([]);
+      });
+  };
+
+  const needle = filter.trim().toLowerCase();
+  const visible = (segments || []).filter(segment => !needle || segment.text.toLowerCase().includes(needle));
+
+  return (
+    <details className="transcript-panel" onToggle={loadSegments}>
+      <summary>
+        Transcript{transcript.language ? ` (${transcript.language})` : ''}
+      </summary>
+      <div className="transcript-toolbar">
+        <input
+          type="search"
+          placeholder="Search transcript..."
+          value={filter}
+          onChange={(e) => setFilter(e.target.value)}
+        />
+        {mediaToken && (
+          <a href={videoAPI.getTranscriptDownloadUrl(videoId, mediaToken)} className="transcript-download">
+            Download WebVTT
+          </a>
+        )}
+      </div>
+      {segments === null ? (
+        <p className="transcript-empty">Loading transcript...</p>
+      ) : visible.length === 0 ? (
+        <p className="transcript-empty">{needle ? 'No matching lines' : 'No speech detected'}</p>
+      ) : (
+        <ul className="transcript-lines">
+          {visible.map((segment) => (
+            <li key={segment.start}>
+              <button type="button" onClick={() => onSeek(segment.start)}>
+                {formatDuration(segment.start)}
+              </button>
+              <span>{segment.text}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </details>
+  );
+}
+
+interface StoryboardStripProps {
+  videoId: string;
+  mediaToken: string | null;
+  storyboard: VideoStoryboard;
+  onSeek: (time: number) => void;
+}
+
+// Scene previews cut from the storyboard sprite; clicking a frame seeks to it
+function StoryboardStrip({ videoId, mediaToken, storyboard, onSeek }: StoryboardStripProps) {
+  const {
+    frameWidth = 160,
+    frameHeight = 90,
+    columns = 1,
+    frameCount = 0,
+    interval = 0
+  } = storyboard;
+  const spriteUrl = mediaToken ? videoAPI.getStoryboardUrl(videoId, mediaToken) : null;
+  // Show at most 10 evenly spaced scenes
+  const step = Math.max(1, Math.ceil(frameCount / 10));
+  const frames = Array.from({ length: Math.ceil(frameCount / step) }, (_, i) => i * step);
+
+  return (
+    <div className="storyboard-strip">
+      <h3>Scenes</h3>
+      <div className="storyboard-frames">
+        {frames.map((index) => (
+          <button
+            key={index}
+            type="button"
+            className="storyboard-frame"
+            title={`Jump to ${formatDuration(index * interval)}`}
+            onClick={() => onSeek(index * interval)}
+            style={{
+              width: frameWidth,
+              height: frameHeight,
+              backgroundImage: spriteUrl ? `url(${spriteUrl})` : undefined,
+              backgroundPosition: `-${(index % columns) * frameWidth}px -${Math.floor(index / columns) * frameHeight}px`
+            }}
+          >
+            <span>{formatDuration(index * interval)}</span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -1,4 +1,4 @@
-import axios from 'axios';
+import axios, { type InternalAxiosRequestConfig } from 'axios';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
@@ -7,7 +7,9 @@ export interface Organization {
   id: string;
   name: string;
   slug: string;
-  role?: 'admin' | 'editor' | 'viewer';
+  // Built-in role (admin, moderator, editor, viewer) or a custom role of the organization
+  role?: string;
+  permissions?: string[];
 }
 
 // User is now global (no organizationId)
@@ -16,21 +18,45 @@ export interface User {
   username: string;
   email: string;
   isActive: boolean;
+  emailVerified?: boolean;
+  emailVerifiedAt?: string | null;
+  twoFactor?: { enabled: boolean; enabledAt: string | null };
   createdAt: string;
 }
 
+// Access token plus the rotating refresh token used to renew it
+export interface TokenResponse {
+  token: string;
+  refreshToken: string;
+  expiresIn: number;
+}
+
 // New response format
-export interface LoginResponse {
+export interface LoginResponse extends TokenResponse {
   message: string;
-  token: string;
   user: User;
-  currentOrganization: Organization & { role: 'admin' | 'editor' | 'viewer' };
-  organizations: (Organization & { role: 'admin' | 'editor' | 'viewer' })[];
+  currentOrganization: Organization & { role: string };
+  organizations: (Organization & { role: string })[];
+  // Admin access in the current organization needs two-factor enrollment first
+  twoFactorSetupRequired?: boolean;
 }
 
-export interface RegisterResponse {
+// Password step passed; the login continues with loginTwoFactor
+export interface TwoFactorChallengeResponse {
+  message: string;
+  twoFactorRequired: true;
+  challengeToken: string;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  enabledAt: string | null;
+  recoveryCodesRemaining: number;
+  sessionVerified: boolean;
+}
+
+export interface RegisterResponse extends TokenResponse {
   message: string;
-  token: string;
   user: User;
   organization: Organization;
   isNewOrganization: boolean;
@@ -39,27 +65,37 @@ export interface RegisterResponse {
 export interface CurrentUserResponse {
   user: User;
   currentOrganization: Organization | null;
-  organizations: (Organization & { role: 'admin' | 'editor' | 'viewer' })[];
+  organizations: (Organization & { role: string })[];
 }
 
 export const authAPI = {
-  register: (username: string, email: string, password: string, confirmPassword: string, organizationName?: string) => {
+  // With an invitation token the user joins the inviting organization instead of creating one
+  register: (username: string, email: string, password: string, confirmPassword: string, organizationName?: string, inviteToken?: string) => {
     return axios.post<RegisterResponse>(`${API_BASE_URL}/auth/register`, {
       username,
       email,
       password,
       confirmPassword,
-      organizationName
+      organizationName,
+      inviteToken
     });
   },
 
   login: (identifier: string, password: string) => {
-    return axios.post<LoginResponse>(`${API_BASE_URL}/auth/login`, {
+    return axios.post<LoginResponse | TwoFactorChallengeResponse>(`${API_BASE_URL}/auth/login`, {
       identifier,
       password
     });
   },
 
+  // Second login step with an authenticator code or a recovery code
+  loginTwoFactor: (challengeToken: string, verification: { code?: string; recoveryCode?: string }) => {
+    return axios.post<LoginResponse>(`${API_BASE_URL}/auth/login/2fa`, {
+      challengeToken,
+      ...verification
+    });
+  },
+
   getCurrentUser: () => {
     return axios.get<CurrentUserResponse>(`${API_BASE_URL}/auth/me`, {
       headers: { 'Authorization': `Bearer ${getAuthToken()}` }
@@ -67,13 +103,99 @@ export const authAPI = {
   },
 
   getMyOrganizations: () => {
-    return axios.get<{ organizations: (Organization & { role: 'admin' | 'editor' | 'viewer' })[]; count: number }>(`${API_BASE_URL}/auth/my-organizations`, {
+    return axios.get<{ organizations: (Organization & { role: string })[]; count: number }>(`${API_BASE_URL}/auth/my-organizations`, {
+      headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+    });
+  },
+
+  refresh: (refreshToken: string) => {
+    return axios.post<TokenResponse & { message: string }>(`${API_BASE_URL}/auth/refresh`, { refreshToken });
+  },
+
+  // Ends this session on the server; works even when the access token has expired
+  logout: () => {
+    return axios.post<{ message: string }>(`${API_BASE_URL}/auth/logout`, {
+      refreshToken: getRefreshToken()
+    });
+  },
+
+  // Ends every session of the user, on all devices
+  logoutAll: () => {
+    return axios.post<{ message: string; revoked: number }>(`${API_BASE_URL}/auth/logout-all`, {}, {
+      headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+    });
+  },
+
+  // Confirm the email address with the token from the verification link
+  verifyEmail: (token: string) => {
+    return axios.post<{ message: string; user: User }>(`${API_BASE_URL}/auth/verify-email`, { token });
+  },
+
+  resendVerification: () => {
+    return axios.post<{ message: string }>(`${API_BASE_URL}/auth/resend-verification`, {}, {
+      headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+    });
+  },
+
+  // Always succeeds, whether or not an account exists for the email
+  forgotPassword: (email: string) => {
+    return axios.post<{ message: string }>(`${API_BASE_URL}/auth/forgot-password`, { email });
+  },
+
+  // Ends every session; the user logs in again with the new password
+  resetPassword: (token: string, password: string, confirmPassword: string) => {
+    return axios.post<{ message: string }>(`${API_BASE_URL}/auth/reset-password`, {
+      token,
+      password,
+      confirmPassword
+    });
+  },
+
+  // Ends the user's other sessions
+  changePassword: (currentPassword: string, newPassword: string, confirmPassword: string) => {
+    return axios.post<{ message: string }>(`${API_BASE_URL}/auth/change-password`, {
+      currentPassword,
+      newPassword,
+      confirmPassword
+    }, {
+      headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+    });
+  },
+
+  getTwoFactorStatus: () => {
+    return axios.get<{ twoFactor: TwoFactorStatus }>(`${API_BASE_URL}/auth/2fa`, {
+      headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+    });
+  },
+
+  // New secret and otpauth:// URI for the authenticator app
+  setupTwoFactor: () => {
+    return axios.post<{ message: string; secret: string; otpauthUrl: string }>(`${API_BASE_URL}/auth/2fa/setup`, {}, {
+      headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+    });
+  },
+
+  // Returns the recovery codes once, plus a token for the now verified session
+  enableTwoFactor: (code: string) => {
+    return axios.post<{ message: string; recoveryCodes: string[]; token: string; expiresIn: number }>(`${API_BASE_URL}/auth/2fa/enable`, { code }, {
+      headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+    });
+  },
+
+  disableTwoFactor: (password: string, code: string) => {
+    return axios.post<{ message: string }>(`${API_BASE_URL}/auth/2fa/disable`, { password, code }, {
+      headers: { 'Authorization': `Bearer ${getAuthToken()}` }
+    });
+  },
+
+  regenerateRecoveryCodes: (code: string) => {
+    return axios.post<{ message: string; recoveryCodes: string[] }>(`${API_BASE_URL}/auth/2fa/recovery-codes`, { code }, {
       headers: { 'Authorization': `Bearer ${getAuthToken()}` }
     });
   },
 
   switchOrganization: (organizationId: string) => {
-    return axios.post<{ message: string; token: string; organization: Organization & { role: 'admin' | 'editor' | 'viewer' } }>(`${API_BASE_URL}/auth/switch-organization`, {
+    return axios.post<{ message: string; token: string; organization: Organization & { role: string } }>(`${API_BASE_URL}/auth/switch-organization`, {
       organizationId
     }, {
       headers: { 'Authorization': `Bearer ${getAuthToken()}` }
@@ -81,7 +203,7 @@ export const authAPI = {
   }
 };
 
-export const setAuthToken = (token: string) => {
+export const setAuthToken = (token: string, refreshToken?: string) => {
   if (token) {
     localStorage.setItem('token', token);
     axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
@@ -89,6 +211,9 @@ export const setAuthToken = (token: string) => {
     localStorage.removeItem('token');
     delete axios.defaults.headers.common['Authorization'];
   }
+  if (refreshToken) {
+    localStorage.setItem('refreshToken', refreshToken);
+  }
 };
 
 export const setOrganization = (organization: Organization & { role: string }) => {
@@ -123,8 +248,13 @@ export const getAuthToken = () => {
   return localStorage.getItem('token');
 };
 
+export const getRefreshToken = () => {
+  return localStorage.getItem('refreshToken');
+};
+
 export const clearAuthToken = () => {
   localStorage.removeItem('token');
+  localStorage.removeItem('refreshToken');
   localStorage.removeItem('currentOrganization');
   localStorage.removeItem('organizations');
   localStorage.removeItem('user');
@@ -135,3 +265,58 @@ export const isAuthenticated = () => {
   return !!getAuthToken();
 };
 
+const AUTH_PATHS_WITHOUT_REFRESH = ['/auth/login', '/auth/register', '/auth/refresh', '/auth/logout'];
+
+let refreshInFlight: Promise<string> | null = null;
+
+// One refresh at a time; concurrent 401s wait for the same new token
+const refreshAccessToken = () => {
+  if (!refreshInFlight) {
+    const refreshToken = getRefreshToken();
+    refreshInFlight = (refreshToken ? authAPI.refresh(refreshToken) : Promise.reject(new Error('No refresh token')))
+      .then(response => {
+        setAuthToken(response.data.token, response.data.refreshToken);
+        return response.data.token;
+      })
+      .finally(() => {
+        refreshInFlight = null;
+      });
+  }
+  return refreshInFlight;
+};
+
+/**
+ * Renew expired access tokens transparently: a request rejected with 401 is retried
+ * once with a refreshed token. When the session cannot be refreshed the user is
+ * logged out and sent to the login page.
+ */
+export const setupTokenRefresh = () => {
+  axios.interceptors.response.use(undefined, async (error) => {
+    const config = error.config as (InternalAxiosRequestConfig & { _retried?: boolean }) | undefined;
+    const isAuthPath = AUTH_PATHS_WITHOUT_REFRESH.some(path => config?.url?.includes(path));
+
+    if (error.response?.status !== 401 || !config || config._retried || isAuthPath || !getAuthToken()) {
+      return Promise.reject(error);
+    }
+
+    config._retried = true;
+    const sentAuthorization = config.headers.get('Authorization');
+    try {
+      const token = await refreshAccessToken();
+      config.headers.set('Authorization', `Bearer ${token}`);
+      return axios(config);
+    } catch {
+      // Another tab may have refreshed (and rotated the refresh token) meanwhile
+      const storedAuthorization = `Bearer ${getAuthToken()}`;
+      if (getAuthToken() && storedAuthorization !== sentAuthorization) {
+        config.headers.set('Authorization', storedAuthorization);
+        return axios(config);
+      }
+      clearAuthToken();
+      if (window.location.pathname !== '/login') {
+        window.location.href = '/login';
+      }
+      return Promise.reject(error);
+    }
+  });
+};
@@ -0,0 +1,134 @@
+import axios from 'axios';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const getAuthHeader = () => {
+  const token = localStorage.getItem('token');
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+};
+
+export type ModerationState = 'none' | 'pending' | 'approved' | 'rejected' | 'changes_requested';
+
+export type ReviewState = Exclude<ModerationState, 'none'>;
+
+export type ReviewDecision = 'approve' | 'reject' | 'request_edits';
+
+export interface ModerationDecision {
+  _id: string;
+  // resubmit: the uploader edited the video after changes were requested
+  decision: ReviewDecision | 'resubmit';
+  reason?: string;
+  decidedBy?: { _id: string; username: string; email: string } | string;
+  previousStatus?: string;
+  decidedAt: string;
+}
+
+export interface VideoModeration {
+  state: ModerationState;
+  decisions?: ModerationDecision[];
+  lastDecisionAt?: string;
+}
+
+export type AppealState = 'none' | 'pending' | 'accepted' | 'denied';
+
+export interface AppealRequest {
+  _id: string;
+  justification: string;
+  submittedAt: string;
+  resolution?: 'accepted' | 'denied';
+  resolutionNote?: string;
+  resolvedAt?: string;
+}
+
+// Uploader appeals against a flagged verdict, resolved by admins
+export interface VideoAppeal {
+  state: AppealState;
+  requests?: AppealRequest[];
+}
+
+// Sent to the organization as video-appeal-submitted / video-appeal-resolved
+export interface AppealEvent {
+  videoId: string;
+  title: string;
+  status: ReviewVideo['status'];
+  state: AppealState;
+  justification: string;
+  resolutionNote: string;
+  uploaderId: string;
+}
+
+export interface DetectedIssue {
+  category: string;
+  score: number;
+  source?: 'metadata' | 'visual' | 'transcript';
+  keywords: string[];
+  timestamps?: Array<{ time: number; label: string; confidence: number }>;
+}
+
+export interface ReviewVideo {
+  _id: string;
+  title: string;
+  description: string;
+  filename: string;
+  status: 'uploaded' | 'processing' | 'safe' | 'flagged' | 'failed';
+  duration: number;
+  createdAt: string;
+  processingCompletedAt?: string;
+  userId?: { _id: string; username: string; email: string };
+  thumbnail?: { key: string | null };
+  sensitivityAnalysis?: {
+    score: number;
+    result: 'safe' | 'flagged';
+    rules: string[];
+    summary?: string;
+    threshold?: number;
+    policyVersion?: number;
+    detectedIssues?: DetectedIssue[];
+    categoryBreakdown?: Record<string, { score: number; keywords: string[] }>;
+  };
+  moderation: VideoModeration;
+}
+
+// Sent to the organization and the uploader when a decision is recorded
+export interface ModerationDecisionEvent {
+  videoId: string;
+  title: string;
+  status: ReviewVideo['status'];
+  state: ModerationState;
+  decision: ModerationDecision['decision'];
+  reason: string;
+  decidedAt: string;
+}
+
+const DECISION_PATHS: Record<ReviewDecision, string> = {
+  approve: 'approve',
+  reject: 'reject',
+  request_edits: 'request-edits'
+};
+
+export const moderationAPI = {
+  // Videos in a review state (oldest first) with counts for every state
+  getQueue: (state: ReviewState = 'pending', limit = 50) => {
+    return axios.get<{ videos: ReviewVideo[]; counts: Record<ReviewState, number> }>(
+      `${API_BASE_URL}/moderation/queue`,
+      { params: { state, limit }, headers: getAuthHeader() }
+    );
+  },
+
+  // Video with its analysis and decision history
+  getVideo: (id: string) => {
+    return axios.get<{ video: ReviewVideo }>(
+      `${API_BASE_URL}/moderation/videos/${id}`,
+      { headers: getAuthHeader() }
+    );
+  },
+
+  // Approve, reject or request edits; a reason is required except for approvals
+  decide: (id: string, decision: ReviewDecision, reason?: string) => {
+    return axios.post<{ message: string; video: ReviewVideo }>(
+      `${API_BASE_URL}/moderation/videos/${id}/${DECISION_PATHS[decision]}`,
+      { reason },
+      { headers: getAuthHeader() }
+    );
+  }
+};
@@ -1,4 +1,5 @@
 import axios from 'axios';
+import type { Page, PageParams } from './pagination';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
@@ -15,7 +16,7 @@ export interface OrganizationMember {
     isActive: boolean;
     createdAt: string;
   };
-  role: 'admin' | 'editor' | 'viewer';
+  role: MemberRole;
   joinedAt: string;
 }
 
@@ -26,6 +27,7 @@ export interface OrganizationSettings {
   storageUsed: number;
   isPublic: boolean;
   allowPublicSharing: boolean;
+  requireTwoFactorForAdmins?: boolean;
 }
 
 export interface Organization {
@@ -49,6 +51,50 @@ export interface OrganizationStats {
   storageQuota: number;
 }
 
+// Built-in role (admin, moderator, editor, viewer) or a custom role of the organization
+export type MemberRole = string;
+
+export interface Permission {
+  name: string;
+  description: string;
+}
+
+export interface Role {
+  _id?: string;
+  name: string;
+  description?: string;
+  permissions: string[];
+  builtIn: boolean;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+export type InvitationStatus = 'pending' | 'accepted' | 'declined' | 'revoked' | 'expired';
+
+// Invitation sent by email to someone without an account
+export interface Invitation {
+  _id: string;
+  email: string;
+  role: MemberRole;
+  status: InvitationStatus;
+  invitedBy?: { _id: string; username: string; email: string } | string;
+  expiresAt: string;
+  sendCount: number;
+  lastSentAt?: string;
+  createdAt: string;
+}
+
+// What the accept page shows for an invitation link
+export interface InvitationDetails {
+  email: string;
+  role: MemberRole;
+  status: InvitationStatus;
+  expiresAt: string;
+  organization: { id: string; name: string };
+  invitedBy: string | null;
+  hasAccount: boolean;
+}
+
 export const organizationAPI = {
   // Get organization details
   getOrganization: () => {
@@ -58,7 +104,7 @@ export const organizationAPI = {
     );
   },
 
-  // Update organization details (admin only)
+  // Update organization details (org:settings)
   updateOrganization: (data: { name?: string; description?: string; settings?: Partial<OrganizationSettings> }) => {
     return axios.put<{ message: string; organization: Organization }>(
       `${API_BASE_URL}/org/`,
@@ -67,24 +113,50 @@ export const organizationAPI = {
     );
   },
 
-  // Get organization members
-  getMembers: () => {
-    return axios.get<{ members: OrganizationMember[]; count: number }>(
+  // Get a page of the organization members, in the order they joined
+  getMembers: (params: PageParams = {}) => {
+    return axios.get<Page<OrganizationMember>>(
       `${API_BASE_URL}/org/members`,
-      { headers: getAuthHeader() }
+      { headers: getAuthHeader(), params }
     );
   },
 
-  // Invite user to organization (admin only)
-  inviteUser: (email: string, role: 'admin' | 'editor' | 'viewer' = 'viewer') => {
-    return axios.post<{ message: string; member: any }>(
+  // Invite user to organization (member:invite)
+  // Existing users are added right away (member), unknown emails get an invitation
+  inviteUser: (email: string, role: MemberRole = 'viewer') => {
+    return axios.post<{ message: string; member?: OrganizationMember; invitation?: Invitation }>(
       `${API_BASE_URL}/org/invite`,
       { email, role },
       { headers: getAuthHeader() }
     );
   },
 
-  // Remove user from organization (admin only)
+  // Invitations of the organization by status (member:invite)
+  getInvitations: (status: InvitationStatus = 'pending') => {
+    return axios.get<{ invitations: Invitation[]; count: number }>(
+      `${API_BASE_URL}/org/invites`,
+      { params: { status }, headers: getAuthHeader() }
+    );
+  },
+
+  // Send an invitation again with a new link (member:invite)
+  resendInvitation: (id: string) => {
+    return axios.post<{ message: string; invitation: Invitation }>(
+      `${API_BASE_URL}/org/invites/${id}/resend`,
+      {},
+      { headers: getAuthHeader() }
+    );
+  },
+
+  // Revoke a pending invitation (member:invite)
+  revokeInvitation: (id: string) => {
+    return axios.delete<{ message: string; invitation: Invitation }>(
+      `${API_BASE_URL}/org/invites/${id}`,
+      { headers: getAuthHeader() }
+    );
+  },
+
+  // Remove user from organization (member:manage)
   removeUser: (userId: string) => {
     return axios.delete<{ message: string }>(
       `${API_BASE_URL}/org/members/${userId}`,
@@ -92,8 +164,8 @@ export const organizationAPI = {
     );
   },
 
-  // Change user role (admin only)
-  changeUserRole: (userId: string, role: 'admin' | 'editor' | 'viewer') => {
+  // Change user role (member:manage)
+  changeUserRole: (userId: string, role: MemberRole) => {
     return axios.put<{ message: string; user: any }>(
       `${API_BASE_URL}/org/members/${userId}/role`,
       { role },
@@ -107,5 +179,65 @@ export const organizationAPI = {
       `${API_BASE_URL}/org/stats`,
       { headers: getAuthHeader() }
     );
+  },
+
+  // Permissions that roles can be made of
+  getPermissions: () => {
+    return axios.get<{ permissions: Permission[] }>(
+      `${API_BASE_URL}/org/permissions`,
+      { headers: getAuthHeader() }
+    );
+  },
+
+  // Built-in and custom roles, with the permissions of the current member
+  getRoles: () => {
+    return axios.get<{ roles: Role[]; permissions: string[] }>(
+      `${API_BASE_URL}/org/roles`,
+      { headers: getAuthHeader() }
+    );
+  },
+
+  // Custom roles (role:manage)
+  createRole: (data: { name: string; description?: string; permissions: string[] }) => {
+    return axios.post<{ message: string; role: Role }>(
+      `${API_BASE_URL}/org/roles`,
+      data,
+      { headers: getAuthHeader() }
+    );
+  },
+
+  updateRole: (id: string, data: { description?: string; permissions?: string[] }) => {
+    return axios.put<{ message: string; role: Role }>(
+      `${API_BASE_URL}/org/roles/${id}`,
+      data,
+      { headers: getAuthHeader() }
+    );
+  },
+
+  deleteRole: (id: string) => {
+    return axios.delete<{ message: string }>(
+      `${API_BASE_URL}/org/roles/${id}`,
+      { headers: getAuthHeader() }
+    );
+  }
+};
+
+// Answering an invitation with the token from its email link
+export const invitationAPI = {
+  getInvitation: (token: string) => {
+    return axios.get<{ invitation: InvitationDetails }>(`${API_BASE_URL}/invites/${token}`);
+  },
+
+  // Requires a logged-in user with the invited email
+  accept: (token: string) => {
+    return axios.post<{ message: string; organization: { id: string; name: string; slug: string; role: MemberRole } }>(
+      `${API_BASE_URL}/invites/${token}/accept`,
+      {},
+      { headers: getAuthHeader() }
+    );
+  },
+
+  decline: (token: string) => {
+    return axios.post<{ message: string }>(`${API_BASE_URL}/invites/${token}/decline`);
   }
 };
@@ -0,0 +1,28 @@
+// Envelope of the paginated list endpoints (backend services/paginationService.js).
+// Pass nextCursor as `cursor` to get the next page; total is only sent with the first page.
+export interface Page<T> {
+  items: T[];
+  nextCursor: string | null;
+  total?: number;
+}
+
+export interface PageParams {
+  cursor?: string;
+  limit?: number;
+  sort?: string;
+}
+
+// Every item of a list, page after page (for short lists needed whole, like member pickers)
+export const fetchAllPages = async <T>(
+  fetchPage: (params: PageParams) => Promise<{ data: Page<T> }>,
+  params: PageParams = {}
+) => {
+  const items: T[] = [];
+  let cursor: string | undefined;
+  do {
+    const { data } = await fetchPage({ ...params, cursor });
+    items.push(...data.items);
+    cursor = data.nextCursor || undefined;
+  } while (cursor);
+  return items;
+};
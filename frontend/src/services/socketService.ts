@@ -2,21 +2,30 @@ import { io, Socket } from 'socket.io-client';
 
 const API_URL = import.meta.env.VITE_API_URL?.replace('/api', '') || 'http://localhost:5000';
 
+// Handshakes refused by the server (expired token, ended session) are retried a few times,
+// since the access token may have been refreshed in the meantime
+const MAX_AUTH_RETRIES = 3;
+const AUTH_RETRY_DELAY = 5000;
+
 class SocketService {
   socket: Socket | null;
   connected: boolean;
   listeners: Record<string, Array<(data?: any) => void>>;
   currentOrganizationId: string | null | undefined;
+  authRetries: number;
 
   constructor() {
     this.socket = null;
     this.connected = false;
     this.listeners = {};
     this.currentOrganizationId = null;
+    this.authRetries = 0;
   }
 
   /**
    * Initialize Socket.io connection
+   * The server authenticates the handshake with the access token and puts the socket
+   * in the user's own room; organization rooms are joined after a membership check.
    */
   connect(organizationId?: string) {
     if (this.socket?.connected) {
@@ -25,7 +34,10 @@ class SocketService {
     }
 
     try {
+      this.currentOrganizationId = organizationId;
       this.socket = io(API_URL, {
+        // Read on every (re)connection so refreshed access tokens are used
+        auth: (cb) => cb({ token: localStorage.getItem('token') }),
         reconnection: true,
         reconnectionDelay: 1000,
         reconnectionDelayMax: 5000,
@@ -38,12 +50,22 @@ class SocketService {
       sock.on('connect', () => {
         console.log('✓ Socket connected:', sock.id);
         this.connected = true;
+        this.authRetries = 0;
+
+        // Join organization room for real-time updates (again after reconnecting)
+        if (this.currentOrganizationId) {
+          this.emitJoinOrganization(this.currentOrganizationId);
+        }
+      });
 
-        // Join organization room for real-time updates
-        if (organizationId) {
-          this.currentOrganizationId = organizationId;
-          sock.emit('join-org', organizationId);
-          console.log('[SOCKET] Joined organization room:', organizationId);
+      // The server refused the handshake; Socket.io does not retry these by itself
+      sock.on('connect_error', (error: Error) => {
+        console.error('[SOCKET] Connection refused:', error.message);
+        if (!sock.active && localStorage.getItem('token') && this.authRetries < MAX_AUTH_RETRIES) {
+          this.authRetries++;
+          setTimeout(() => {
+            if (this.socket === sock) sock.connect();
+          }, AUTH_RETRY_DELAY);
         }
       });
 
@@ -52,6 +74,14 @@ class SocketService {
         this.connected = false;
       });
 
+      // Sent when the user is removed from an organization
+      sock.on('organization-access-revoked', (data: { organizationId: string }) => {
+        if (this.currentOrganizationId === data.organizationId) {
+          this.currentOrganizationId = null;
+        }
+        this.emit('organization-access-revoked', data);
+      });
+
       sock.on('error', (error: any) => {
         console.error('Socket error:', error);
       });
@@ -63,6 +93,19 @@ class SocketService {
     }
   }
 
+  /**
+   * Ask to join an organization room; the server checks the membership first
+   */
+  emitJoinOrganization(organizationId: string): void {
+    this.socket?.emit('join-org', organizationId, (result?: { ok: boolean; error?: string }) => {
+      if (result?.ok) {
+        console.log('[SOCKET] Joined organization room:', organizationId);
+      } else {
+        console.warn('[SOCKET] Could not join organization room:', organizationId, result?.error);
+      }
+    });
+  }
+
   /**
    * Setup listeners for video processing events
    */
@@ -82,6 +125,18 @@ class SocketService {
     this.socket?.on('video-processing-failed', (data: any) => {
       this.emit('video-processing-failed', data);
     });
+
+    this.socket?.on('video-moderation-decision', (data: unknown) => {
+      this.emit('video-moderation-decision', data);
+    });
+
+    this.socket?.on('video-appeal-submitted', (data: unknown) => {
+      this.emit('video-appeal-submitted', data);
+    });
+
+    this.socket?.on('video-appeal-resolved', (data: unknown) => {
+      this.emit('video-appeal-resolved', data);
+    });
   }
 
   /**
@@ -133,7 +188,9 @@ class SocketService {
     // Join new organization room
     this.currentOrganizationId = newOrganizationId;
     console.log('[SOCKET] Joining new organization room:', newOrganizationId);
-    this.socket.emit('join-org', newOrganizationId);
+    if (newOrganizationId) {
+      this.emitJoinOrganization(newOrganizationId);
+    }
   }
 
   /**
@@ -142,8 +199,7 @@ class SocketService {
   joinOrganization(organizationId: string) {
     if (this.socket?.connected) {
       this.currentOrganizationId = organizationId;
-      this.socket.emit('join-org', organizationId);
-      console.log('[SOCKET] Joined organization:', organizationId);
+      this.emitJoinOrganization(organizationId);
     }
   }
 
@@ -166,7 +222,9 @@ class SocketService {
   disconnect(): void {
     if (this.socket) {
       this.socket.disconnect();
+      this.socket = null;
       this.connected = false;
+      this.currentOrganizationId = null;
     }
   }
 
@@ -0,0 +1,71 @@
+import axios from 'axios';
+import type { Page, PageParams } from './pagination';
+
+const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
+
+const getAuthHeader = () => {
+  const token = localStorage.getItem('token');
+  return token ? { 'Authorization': `Bearer ${token}` } : {};
+};
+
+// Same limits and normalization as the backend (services/tagService.js)
+export const MAX_TAGS = 20;
+export const MAX_TAG_LENGTH = 40;
+
+export const normalizeTag = (name: string) => name.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Tag of the organization catalog with the number of videos that have it
+export interface Tag {
+  _id?: string;
+  name: string;
+  usageCount: number;
+}
+
+export type TagSort = 'usage' | 'name';
+
+export interface TagListParams extends PageParams {
+  q?: string;
+  sort?: TagSort;
+}
+
+export const tagAPI = {
+  // Tag catalog of the current organization, most used first by default
+  getTags: (params: TagListParams = {}) => {
+    return axios.get<Page<Tag>>(`${API_BASE_URL}/tags`, {
+      params,
+      headers: getAuthHeader()
+    });
+  },
+
+  // Most used tags starting with q
+  autocomplete: (q: string, limit = 8) => {
+    return axios.get<{ tags: Tag[] }>(`${API_BASE_URL}/tags/autocomplete`, {
+      params: { q, limit },
+      headers: getAuthHeader()
+    });
+  },
+
+  // Renaming, merging and deleting change every video with the tags (tag:manage)
+  renameTag: (name: string, newName: string) => {
+    return axios.put<{ message: string; tag: Tag; videoCount: number }>(
+      `${API_BASE_URL}/tags/${encodeURIComponent(name)}`,
+      { name: newName },
+      { headers: getAuthHeader() }
+    );
+  },
+
+  mergeTags: (sources: string[], target: string) => {
+    return axios.post<{ message: string; tag: Tag; videoCount: number }>(
+      `${API_BASE_URL}/tags/merge`,
+      { sources, target },
+      { headers: getAuthHeader() }
+    );
+  },
+
+  deleteTag: (name: string) => {
+    return axios.delete<{ message: string; videoCount: number }>(
+      `${API_BASE_URL}/tags/${encodeURIComponent(name)}`,
+      { headers: getAuthHeader() }
+    );
+  }
+};
@@ -1,4 +1,6 @@
 import axios from 'axios';
+import type { AxiosResponse } from 'axios';
+import type { Page, PageParams } from './pagination';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 
@@ -28,6 +30,169 @@ const retryRequest = async (fn: () => Promise<any>, maxRetries = 3, delay = 1000
   }
 };
 
+export interface VideoThumbnail {
+  key: string | null;
+  width?: number;
+  height?: number;
+}
+
+// Sprite of `frameCount` frames taken every `interval` seconds, laid out row by row
+export interface VideoStoryboard {
+  key: string | null;
+  frameWidth?: number;
+  frameHeight?: number;
+  columns?: number;
+  rows?: number;
+  frameCount?: number;
+  interval?: number;
+}
+
+// Technical details probed with ffprobe during processing
+export interface VideoTechnicalMetadata {
+  container?: string | null;
+  duration?: number | null;
+  bitrate?: number | null;
+  videoCodec?: string | null;
+  videoProfile?: string | null;
+  videoBitrate?: number | null;
+  width?: number | null;
+  height?: number | null;
+  fps?: number | null;
+  pixelFormat?: string | null;
+  rotation?: number | null;
+  hasAudio?: boolean;
+  audioCodec?: string | null;
+  audioBitrate?: number | null;
+  audioChannels?: number | null;
+  audioChannelLayout?: string | null;
+  audioSampleRate?: number | null;
+}
+
+export interface VideoRendition {
+  name: string;
+  width: number;
+  height: number;
+  bandwidth: number;
+}
+
+// Adaptive bitrate output; without renditions only the original upload is playable
+export interface VideoStreaming {
+  renditions: VideoRendition[];
+  hls?: { masterKey: string | null };
+  dash?: { manifestKey: string | null };
+}
+
+export interface TranscriptSegment {
+  start: number;
+  end: number;
+  text: string;
+}
+
+// Speech-to-text output; segments are loaded separately with getTranscript
+export interface VideoTranscript {
+  engine: string;
+  language: string | null;
+  transcribedAt: string;
+  segments?: TranscriptSegment[];
+}
+
+// Who can watch a video (backend services/videoAccessPolicy.js)
+export type VideoVisibility = 'private' | 'restricted' | 'organization' | 'unlisted' | 'public';
+
+export const VISIBILITY_OPTIONS: { value: VideoVisibility; label: string }[] = [
+  { value: 'private', label: 'Private (only me)' },
+  { value: 'restricted', label: 'Specific members and roles' },
+  { value: 'organization', label: 'Organization members' },
+  { value: 'unlisted', label: 'Anyone with the link' },
+  { value: 'public', label: 'Public' }
+];
+
+// Open to people outside the organization; not available for flagged videos
+export const OPEN_VISIBILITIES: VideoVisibility[] = ['unlisted', 'public'];
+
+export interface VideoAccess {
+  visibility: VideoVisibility;
+  allowedUsers: { _id: string; username: string; email: string }[];
+  allowedRoles: string[];
+}
+
+// Link anyone can watch a video with, without logging in (backend services/shareLinkService.js)
+export type ShareLinkStatus = 'active' | 'revoked' | 'expired' | 'used_up';
+
+export interface ShareLink {
+  _id: string;
+  videoId: string;
+  label: string;
+  hasPassword: boolean;
+  expiresAt: string | null;
+  maxViews: number | null;
+  viewCount: number;
+  allowDownload: boolean;
+  createdBy?: { _id: string; username: string } | string;
+  revokedAt: string | null;
+  lastViewedAt: string | null;
+  createdAt: string;
+  status: ShareLinkStatus;
+}
+
+export interface ShareLinkOptions {
+  label?: string;
+  password?: string;
+  expiresAt?: string | null;
+  maxViews?: number | null;
+  allowDownload?: boolean;
+}
+
+// What an opened share link returns; mediaToken authorizes the media URLs (getSharedMediaUrl)
+export interface SharedVideo {
+  video: {
+    _id: string;
+    title: string;
+    description: string;
+    duration?: number;
+    status: string;
+    thumbnail?: VideoThumbnail;
+    streaming?: VideoStreaming;
+    transcript?: { language: string | null; transcribedAt: string };
+    createdAt: string;
+  };
+  share: {
+    allowDownload: boolean;
+    expiresAt: string | null;
+    remainingViews: number | null;
+  };
+  mediaToken: string;
+}
+
+// Resumable (chunked) upload (backend services/uploadSessionService.js)
+export interface UploadSession {
+  id: string;
+  filename: string;
+  size: number;
+  offset: number;
+  status: 'pending' | 'finalizing' | 'completed';
+  videoId: string | null;
+  expiresAt: string;
+}
+
+export interface UploadMetadata {
+  title: string;
+  description: string;
+  // Absent in uploads remembered before tags existed
+  tags?: string[];
+  visibility: VideoVisibility;
+}
+
+// Upload remembered in localStorage so it can be resumed after a reload, once the same file is picked again
+export interface PendingUpload extends UploadMetadata {
+  uploadId: string;
+  fileKey: string;
+  filename: string;
+  size: number;
+  offset: number;
+  expiresAt: string;
+}
+
 export interface Video {
   _id: string;
   title: string;
@@ -37,14 +202,78 @@ export interface Video {
   userId: string;
   organizationId: string;
   duration: number;
+  resolution?: { width: number; height: number };
+  thumbnail?: VideoThumbnail;
+  storyboard?: VideoStoryboard;
+  streaming?: VideoStreaming;
+  technicalMetadata?: VideoTechnicalMetadata;
+  transcript?: VideoTranscript;
   size: number;
   views: number;
+  visibility?: VideoVisibility;
   isPublic: boolean;
   allowedUsers: string[];
+  allowedRoles?: string[];
+  tags?: string[];
   createdAt: string;
   updatedAt: string;
 }
 
+// Full-text search (backend services/videoSearchService.js)
+export type VideoSearchSort = 'relevance' | 'date' | 'views' | 'title';
+
+export interface VideoSearchFilters {
+  status?: string;
+  category?: string;
+  uploader?: string;
+  tags?: string;
+}
+
+export interface VideoSearchParams extends VideoSearchFilters, PageParams {
+  q?: string;
+  mine?: boolean;
+  sort?: VideoSearchSort;
+}
+
+// Snippet of a matching field; matches are [start, end) ranges of the matched words in `text`
+export interface SearchHighlight {
+  field: 'title' | 'tags' | 'description' | 'transcript';
+  text: string;
+  matches: [number, number][];
+  start?: number;
+}
+
+export interface SearchFacetBucket {
+  value: string;
+  count: number;
+  label?: string;
+}
+
+export interface VideoSearchFacets {
+  status: SearchFacetBucket[];
+  category: SearchFacetBucket[];
+  uploader: SearchFacetBucket[];
+  tags: SearchFacetBucket[];
+}
+
+export interface VideoSearchResponse<T> extends Page<{ video: T; score?: number; highlights: SearchHighlight[] }> {
+  // Only on the first page
+  facets?: VideoSearchFacets;
+}
+
+export interface MediaToken {
+  mediaToken: string;
+  expiresAt: string;
+}
+
+// URL of a video's media endpoint usable in <video>/<img> src. Media elements cannot send
+// headers, so the URL carries a media token of the video (from videoAPI.getMediaTokens or a
+// share link) rather than the login token.
+export const getMediaUrl = (id: string, resource: string, mediaToken: string, params: Record<string, string> = {}) => {
+  const query = new URLSearchParams({ ...params, mt: mediaToken }).toString();
+  return `${API_BASE_URL}/videos/${id}/${resource}?${query}`;
+};
+
 export const videoAPI = {
   // Upload video to user's organization
   uploadVideo: (formData: FormData, onProgress?: (progress: number) => void) => {
@@ -64,28 +293,135 @@ export const videoAPI = {
     );
   },
 
-  // Get user's videos
-  getUserVideos: () => {
+  // Resumable uploads: start, send chunks from the returned offset, then complete
+  createUpload: (file: File, metadata: UploadMetadata) => {
+    return axios.post<{ message: string; upload: UploadSession }>(`${API_BASE_URL}/videos/uploads`, {
+      filename: file.name,
+      size: file.size,
+      mimeType: file.type,
+      ...metadata
+    }, {
+      headers: getAuthHeader()
+    });
+  },
+
+  getUpload: (uploadId: string) => {
+    return axios.get<{ upload: UploadSession }>(`${API_BASE_URL}/videos/uploads/${uploadId}`, {
+      headers: getAuthHeader()
+    });
+  },
+
+  uploadChunk: (uploadId: string, offset: number, chunk: Blob, onProgress?: (loaded: number) => void) => {
+    return axios.put<{ upload: UploadSession }>(`${API_BASE_URL}/videos/uploads/${uploadId}`, chunk, {
+      headers: {
+        'Content-Type': 'application/offset+octet-stream',
+        'Upload-Offset': String(offset),
+        ...getAuthHeader()
+      },
+      onUploadProgress: (progressEvent) => onProgress?.(progressEvent.loaded)
+    });
+  },
+
+  completeUpload: (uploadId: string) => {
+    return retryRequest(() =>
+      axios.post(`${API_BASE_URL}/videos/uploads/${uploadId}/complete`, {}, {
+        headers: getAuthHeader()
+      })
+    );
+  },
+
+  cancelUpload: (uploadId: string) => {
+    return axios.delete(`${API_BASE_URL}/videos/uploads/${uploadId}`, {
+      headers: getAuthHeader()
+    });
+  },
+
+  // Get a page of the user's videos (sort: date | views | title)
+  getUserVideos: (params: PageParams = {}): Promise<AxiosResponse<Page<Video>>> => {
     return retryRequest(() => 
       axios.get(`${API_BASE_URL}/videos/user/myvideos`, {
-        headers: getAuthHeader()
+        headers: getAuthHeader(),
+        params
       })
     );
   },
 
-  // Get all videos in user's organization
-  getOrganizationVideos: () => {
+  // Get a page of the videos in user's organization
+  getOrganizationVideos: (params: PageParams = {}): Promise<AxiosResponse<Page<Video>>> => {
     return retryRequest(() => 
       axios.get(`${API_BASE_URL}/videos/org/all`, {
-        headers: getAuthHeader()
+        headers: getAuthHeader(),
+        params
       })
     );
   },
 
-  // Get all public videos (no auth required)
-  getPublicVideos: () => {
+  // Get a page of public videos (no auth required)
+  getPublicVideos: (params: PageParams = {}): Promise<AxiosResponse<Page<Video>>> => {
     return retryRequest(() => 
-      axios.get(`${API_BASE_URL}/videos/public/all`)
+      axios.get(`${API_BASE_URL}/videos/public/all`, { params })
+    );
+  },
+
+  // Media tokens for the stream, thumbnail, storyboard, captions and HLS URLs below, for up to
+  // 50 videos at once (see useMediaToken). Videos the user cannot watch are left out.
+  getMediaTokens: (videoIds: string[]): Promise<AxiosResponse<{ tokens: Record<string, MediaToken> }>> => {
+    return retryRequest(() =>
+      axios.post(`${API_BASE_URL}/videos/media-tokens`, { videoIds }, { headers: getAuthHeader() })
+    );
+  },
+
+  // Streaming URL for <video src>
+  getStreamUrl: (id: string, mediaToken: string) => getMediaUrl(id, 'stream', mediaToken),
+
+  // Poster thumbnail and storyboard sprite generated during processing
+  getThumbnailUrl: (id: string, mediaToken: string) => getMediaUrl(id, 'thumbnail', mediaToken),
+
+  getStoryboardUrl: (id: string, mediaToken: string) => getMediaUrl(id, 'storyboard', mediaToken),
+
+  // HLS master playlist; the backend signs the variant and segment URIs it references
+  getHlsUrl: (id: string, mediaToken: string) => getMediaUrl(id, 'hls/master.m3u8', mediaToken),
+
+  // Timestamped transcript; `q` keeps only the segments containing the text
+  getTranscript: (id: string, q?: string) => {
+    return retryRequest(() =>
+      axios.get(`${API_BASE_URL}/videos/${id}/transcript`, {
+        headers: getAuthHeader(),
+        params: q ? { q } : undefined
+      })
+    );
+  },
+
+  // WebVTT captions as text (for a <track>) and as a file download link
+  getTranscriptVtt: (id: string) => {
+    return retryRequest(() =>
+      axios.get(`${API_BASE_URL}/videos/${id}/transcript.vtt`, {
+        headers: getAuthHeader(),
+        responseType: 'text'
+      })
+    );
+  },
+
+  getTranscriptDownloadUrl: (id: string, mediaToken: string) =>
+    getMediaUrl(id, 'transcript.vtt', mediaToken, { download: '1' }),
+
+  // Search the videos the member can watch; pass nextCursor of a page as `cursor` for the next one
+  searchVideos: <T = Video>({ mine, ...params }: VideoSearchParams): Promise<AxiosResponse<VideoSearchResponse<T>>> => {
+    return retryRequest(() =>
+      axios.get(`${API_BASE_URL}/videos/search`, {
+        headers: getAuthHeader(),
+        params: { ...params, ...(mine ? { mine: 'true' } : {}) }
+      })
+    );
+  },
+
+  // Search the transcripts of the organization's videos
+  searchTranscripts: (q: string) => {
+    return retryRequest(() =>
+      axios.get(`${API_BASE_URL}/videos/transcripts/search`, {
+        headers: getAuthHeader(),
+        params: { q }
+      })
     );
   },
 
@@ -97,7 +433,7 @@ export const videoAPI = {
   },
 
   // Update video details
-  updateVideo: (id: string, data: { title?: string; description?: string; isPublic?: boolean }) => {
+  updateVideo: (id: string, data: { title?: string; description?: string; tags?: string[]; isPublic?: boolean }) => {
     return retryRequest(() => 
       axios.put(`${API_BASE_URL}/videos/${id}`, data, {
         headers: getAuthHeader()
@@ -114,12 +450,179 @@ export const videoAPI = {
     );
   },
 
-  // Share video with specific users in organization
-  shareVideo: (id: string, userIds: string[]) => {
-    return retryRequest(() =>
-      axios.post(`${API_BASE_URL}/videos/${id}/share`, { userIds }, {
-        headers: getAuthHeader()
-      })
-    );
+  // Run the processing pipeline again ('full') or only re-run sensitivity analysis ('analysis')
+  reprocessVideo: (id: string, mode: 'full' | 'analysis' = 'full') => {
+    return axios.post(`${API_BASE_URL}/videos/${id}/reprocess`, { mode }, {
+      headers: getAuthHeader()
+    });
+  },
+
+  // Appeal a flagged video (uploader only)
+  appealVideo: (id: string, justification: string) => {
+    return axios.post(`${API_BASE_URL}/videos/${id}/appeal`, { justification }, {
+      headers: getAuthHeader()
+    });
+  },
+
+  // Visibility and the members and roles a video is shared with (needs edit permission)
+  getVideoAccess: (id: string) => {
+    return axios.get<{ access: VideoAccess }>(`${API_BASE_URL}/videos/${id}/share`, {
+      headers: getAuthHeader()
+    });
+  },
+
+  // userIds and roles replace the current lists
+  updateVideoAccess: (id: string, data: { visibility?: VideoVisibility; userIds?: string[]; roles?: string[] }) => {
+    return axios.put<{ message: string; access: VideoAccess }>(`${API_BASE_URL}/videos/${id}/share`, data, {
+      headers: getAuthHeader()
+    });
+  },
+
+  // Share links of a video, including revoked and expired ones (needs edit permission)
+  getShareLinks: (id: string) => {
+    return axios.get<{ shareLinks: ShareLink[]; sharingAllowed: boolean }>(`${API_BASE_URL}/videos/${id}/shares`, {
+      headers: getAuthHeader()
+    });
+  },
+
+  // The returned url is the only time the link is shown
+  createShareLink: (id: string, options: ShareLinkOptions) => {
+    return axios.post<{ message: string; shareLink: ShareLink; url: string }>(`${API_BASE_URL}/videos/${id}/shares`, options, {
+      headers: getAuthHeader()
+    });
+  },
+
+  revokeShareLink: (id: string, shareId: string) => {
+    return axios.delete<{ message: string; shareLink: ShareLink }>(`${API_BASE_URL}/videos/${id}/shares/${shareId}`, {
+      headers: getAuthHeader()
+    });
+  },
+
+  // Open a share link without logging in; counts as a view
+  openShareLink: (token: string, password?: string) => {
+    return axios.get<SharedVideo>(`${API_BASE_URL}/share/${token}`, {
+      headers: password ? { 'X-Share-Password': password } : {}
+    });
+  }
+};
+
+const PENDING_UPLOADS_KEY = 'pendingUploads';
+
+export const getFileKey = (file: File) => `${file.name}:${file.size}:${file.lastModified}`;
+
+// Interrupted uploads of this browser, without the expired ones
+export const getPendingUploads = (): PendingUpload[] => {
+  try {
+    const uploads: PendingUpload[] = JSON.parse(localStorage.getItem(PENDING_UPLOADS_KEY) || '[]');
+    return uploads.filter(upload => new Date(upload.expiresAt) > new Date());
+  } catch {
+    return [];
+  }
+};
+
+const savePendingUploads = (uploads: PendingUpload[]) => {
+  if (uploads.length) {
+    localStorage.setItem(PENDING_UPLOADS_KEY, JSON.stringify(uploads));
+  } else {
+    localStorage.removeItem(PENDING_UPLOADS_KEY);
+  }
+};
+
+const rememberUpload = (upload: PendingUpload) => {
+  savePendingUploads([...getPendingUploads().filter(item => item.fileKey !== upload.fileKey), upload]);
+};
+
+export const forgetUpload = (fileKey: string) => {
+  savePendingUploads(getPendingUploads().filter(item => item.fileKey !== fileKey));
+};
+
+export const UPLOAD_CHUNK_SIZE = 8 * 1024 * 1024;
+const MAX_CHUNK_ATTEMPTS = 5;
+
+const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Dropped connections, server errors, offset mismatches and rate limits are worth another try
+const isRetryableChunkError = (err: unknown) => {
+  if (!axios.isAxiosError(err)) return false;
+  const status = err.response?.status;
+  return !status || status >= 500 || status === 408 || status === 409 || status === 429;
+};
+
+/**
+ * Upload a file in chunks, continuing a pending upload of the same file when there is one
+ * Each chunk is retried with backoff from the offset the server reports; the upload stays
+ * pending (and resumable) when it still fails.
+ */
+export const uploadVideoResumable = async (
+  file: File,
+  metadata: UploadMetadata,
+  onProgress?: (progress: number) => void
+) => {
+  const fileKey = getFileKey(file);
+  const pending = getPendingUploads().find(upload => upload.fileKey === fileKey);
+
+  let upload: UploadSession | null = null;
+  if (pending) {
+    try {
+      upload = (await videoAPI.getUpload(pending.uploadId)).data.upload;
+    } catch (err) {
+      // Expired or removed on the server: start over
+      if (!axios.isAxiosError(err) || err.response?.status !== 404) throw err;
+      forgetUpload(fileKey);
+    }
+  }
+  if (!upload) {
+    upload = (await videoAPI.createUpload(file, metadata)).data.upload;
   }
+
+  const uploadId = upload.id;
+  let offset = upload.offset;
+  // Pushed back by the server with every chunk
+  let expiresAt = upload.expiresAt;
+  const remember = () => rememberUpload({
+    ...(pending && pending.uploadId === uploadId ? pending : metadata),
+    uploadId,
+    fileKey,
+    filename: file.name,
+    size: file.size,
+    offset,
+    expiresAt
+  });
+  remember();
+
+  let failures = 0;
+  while (offset < file.size) {
+    const start = offset;
+    try {
+      const response = await videoAPI.uploadChunk(uploadId, start, file.slice(start, start + UPLOAD_CHUNK_SIZE), (loaded) => {
+        onProgress?.(((start + loaded) / file.size) * 100);
+      });
+      offset = response.data.upload.offset;
+      expiresAt = response.data.upload.expiresAt;
+      failures = 0;
+    } catch (err) {
+      failures += 1;
+      if (!isRetryableChunkError(err) || failures >= MAX_CHUNK_ATTEMPTS) {
+        remember();
+        throw err;
+      }
+      await wait(1000 * Math.pow(2, failures - 1));
+
+      // The server keeps the bytes of an interrupted chunk: continue from its offset
+      const reported = axios.isAxiosError(err) ? err.response?.data?.offset : undefined;
+      if (typeof reported === 'number') {
+        offset = reported;
+      } else {
+        offset = await videoAPI.getUpload(uploadId)
+          .then(response => response.data.upload.offset)
+          .catch(() => start);
+      }
+    }
+    remember();
+    onProgress?.((offset / file.size) * 100);
+  }
+
+  const response = await videoAPI.completeUpload(uploadId);
+  forgetUpload(fileKey);
+  return response;
 };